@@ -11,10 +11,23 @@ import Checkout from './pages/Checkout';
 import Orders from './pages/Orders';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import AcceptInvite from './pages/AcceptInvite';
+import ChangePassword from './pages/ChangePassword';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import Profile from './pages/Profile';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import AdminProducts from './pages/admin/AdminProducts';
 import AdminOrders from './pages/admin/AdminOrders';
+import AdminReturns from './pages/admin/AdminReturns';
 import AdminUsers from './pages/admin/AdminUsers';
+import AdminRoles from './pages/admin/AdminRoles';
+import AdminTaxRates from './pages/admin/AdminTaxRates';
+import AdminShippingMethods from './pages/admin/AdminShippingMethods';
+import AdminPromotions from './pages/admin/AdminPromotions';
+import AdminCategories from './pages/admin/AdminCategories';
+import AdminAuditLog from './pages/admin/AdminAuditLog';
 import ProtectedRoute from './components/ProtectedRoute';
 import './index.css';
 
@@ -33,13 +46,13 @@ function App() {
                 <Route path="/products/:id" element={<ProductDetail />} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/admin-invite" element={<AcceptInvite />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/cart" element={<Cart />} />
                 
                 {/* Protected Customer Routes */}
-                <Route path="/cart" element={
-                  <ProtectedRoute>
-                    <Cart />
-                  </ProtectedRoute>
-                } />
                 <Route path="/checkout" element={
                   <ProtectedRoute>
                     <Checkout />
@@ -50,28 +63,73 @@ function App() {
                     <Orders />
                   </ProtectedRoute>
                 } />
+                <Route path="/change-password" element={
+                  <ProtectedRoute allowPasswordReset>
+                    <ChangePassword />
+                  </ProtectedRoute>
+                } />
+                <Route path="/profile" element={
+                  <ProtectedRoute>
+                    <Profile />
+                  </ProtectedRoute>
+                } />
                 
                 {/* Protected Admin Routes */}
                 <Route path="/admin" element={
-                  <ProtectedRoute adminOnly>
+                  <ProtectedRoute permission="analytics:read">
                     <AdminDashboard />
                   </ProtectedRoute>
                 } />
                 <Route path="/admin/products" element={
-                  <ProtectedRoute adminOnly>
+                  <ProtectedRoute permission="products:write">
                     <AdminProducts />
                   </ProtectedRoute>
                 } />
+                <Route path="/admin/categories" element={
+                  <ProtectedRoute permission="categories:manage">
+                    <AdminCategories />
+                  </ProtectedRoute>
+                } />
                 <Route path="/admin/orders" element={
-                  <ProtectedRoute adminOnly>
+                  <ProtectedRoute permission="orders:read">
                     <AdminOrders />
                   </ProtectedRoute>
                 } />
+                <Route path="/admin/returns" element={
+                  <ProtectedRoute permission="returns:manage">
+                    <AdminReturns />
+                  </ProtectedRoute>
+                } />
                 <Route path="/admin/users" element={
-                  <ProtectedRoute adminOnly>
+                  <ProtectedRoute permission="users:read">
                     <AdminUsers />
                   </ProtectedRoute>
                 } />
+                <Route path="/admin/roles" element={
+                  <ProtectedRoute permission="roles:manage">
+                    <AdminRoles />
+                  </ProtectedRoute>
+                } />
+                <Route path="/admin/tax-rates" element={
+                  <ProtectedRoute permission="tax:manage">
+                    <AdminTaxRates />
+                  </ProtectedRoute>
+                } />
+                <Route path="/admin/shipping-methods" element={
+                  <ProtectedRoute permission="shipping:manage">
+                    <AdminShippingMethods />
+                  </ProtectedRoute>
+                } />
+                <Route path="/admin/promotions" element={
+                  <ProtectedRoute permission="promotions:manage">
+                    <AdminPromotions />
+                  </ProtectedRoute>
+                } />
+                <Route path="/admin/audit-log" element={
+                  <ProtectedRoute permission="audit:read">
+                    <AdminAuditLog />
+                  </ProtectedRoute>
+                } />
                 
                 {/* 404 Route */}
                 <Route path="*" element={
@@ -4,16 +4,32 @@ import { useAuth } from '../context/AuthContext';
 import { useCart } from '../context/CartContext';
 
 const Navbar = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll, resendVerification, hasPermission, isStaff } = useAuth();
   const { cartItemCount } = useCart();
   const navigate = useNavigate();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const [resending, setResending] = useState(false);
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
   };
 
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out from all devices?')) {
+      return;
+    }
+    await logoutAll();
+    navigate('/');
+  };
+
+  const handleResendVerification = async () => {
+    setResending(true);
+    const result = await resendVerification();
+    alert(result.success ? result.message : result.error);
+    setResending(false);
+  };
+
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
   };
@@ -43,7 +59,7 @@ const Navbar = () => {
             </Link>
             
             {/* Admin Navigation */}
-            {user && user.role === 'admin' && (
+            {user && isStaff() && (
               <div className="relative group">
                 <button className="flex items-center space-x-1 text-gray-700 hover:text-primary-600 transition-colors">
                   <span>Admin</span>
@@ -53,30 +69,94 @@ const Navbar = () => {
                 </button>
                 
                 <div className="absolute left-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-10 opacity-0 group-hover:opacity-100 transition-opacity">
-                  <Link 
-                    to="/admin" 
-                    className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
-                  >
-                    📊 Dashboard
-                  </Link>
-                  <Link 
-                    to="/admin/products" 
-                    className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
-                  >
-                    📦 Manage Products
-                  </Link>
-                  <Link 
-                    to="/admin/orders" 
-                    className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
-                  >
-                    🛒 Manage Orders
-                  </Link>
-                  <Link 
-                    to="/admin/users" 
-                    className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
-                  >
-                    👥 Manage Users
-                  </Link>
+                  {hasPermission('analytics:read') && (
+                    <Link 
+                      to="/admin" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      📊 Dashboard
+                    </Link>
+                  )}
+                  {hasPermission('products:write') && (
+                    <Link 
+                      to="/admin/products" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      📦 Manage Products
+                    </Link>
+                  )}
+                  {hasPermission('categories:manage') && (
+                    <Link 
+                      to="/admin/categories" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      🗂️ Categories
+                    </Link>
+                  )}
+                  {hasPermission('orders:read') && (
+                    <Link 
+                      to="/admin/orders" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      🛒 Manage Orders
+                    </Link>
+                  )}
+                  {hasPermission('returns:manage') && (
+                    <Link 
+                      to="/admin/returns" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      ↩️ Manage Returns
+                    </Link>
+                  )}
+                  {hasPermission('users:read') && (
+                    <Link 
+                      to="/admin/users" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      👥 Manage Users
+                    </Link>
+                  )}
+                  {hasPermission('roles:manage') && (
+                    <Link 
+                      to="/admin/roles" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      🔑 Manage Roles
+                    </Link>
+                  )}
+                  {hasPermission('tax:manage') && (
+                    <Link 
+                      to="/admin/tax-rates" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      🧾 Tax Rates
+                    </Link>
+                  )}
+                  {hasPermission('shipping:manage') && (
+                    <Link 
+                      to="/admin/shipping-methods" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      🚚 Shipping Methods
+                    </Link>
+                  )}
+                  {hasPermission('promotions:manage') && (
+                    <Link 
+                      to="/admin/promotions" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      🏷️ Promotions
+                    </Link>
+                  )}
+                  {hasPermission('audit:read') && (
+                    <Link 
+                      to="/admin/audit-log" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      📜 Audit Log
+                    </Link>
+                  )}
                 </div>
               </div>
             )}
@@ -107,8 +187,8 @@ const Navbar = () => {
                 <div className="relative group">
                   <button className="flex items-center space-x-2 text-gray-700 hover:text-primary-600 transition-colors">
                     <span>Hello, {user.name}</span>
-                    {user.role === 'admin' && (
-                      <span className="bg-red-500 text-white text-xs px-2 py-1 rounded">ADMIN</span>
+                    {user.role && user.role !== 'customer' && (
+                      <span className="bg-red-500 text-white text-xs px-2 py-1 rounded uppercase">{user.role}</span>
                     )}
                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
@@ -124,17 +204,49 @@ const Navbar = () => {
                         My Orders
                       </Link>
                     )}
+                    <Link 
+                      to="/change-password" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      Change Password
+                    </Link>
+                    <Link 
+                      to="/profile" 
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      My Profile
+                    </Link>
                     <button 
                       onClick={handleLogout}
                       className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
                     >
                       Logout
                     </button>
+                    <button 
+                      onClick={handleLogoutAll}
+                      className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      Logout All Devices
+                    </button>
                   </div>
                 </div>
               </>
             ) : (
               <>
+                {/* Guest cart */}
+                <Link 
+                  to="/cart" 
+                  className="relative text-gray-700 hover:text-primary-600 transition-colors"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4m0 0L7 13m0 0l-1.5 6H19" />
+                  </svg>
+                  {cartItemCount > 0 && (
+                    <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
+                      {cartItemCount}
+                    </span>
+                  )}
+                </Link>
                 <Link 
                   to="/login" 
                   className="text-gray-700 hover:text-primary-600 transition-colors"
@@ -210,39 +322,122 @@ const Navbar = () => {
                     </Link>
                   )}
                   
-                  {user.role === 'admin' && (
-                    <>
-                      <Link 
-                        to="/admin" 
-                        className="text-gray-700 hover:text-primary-600 transition-colors"
-                        onClick={() => setIsMobileMenuOpen(false)}
-                      >
-                        Admin Dashboard
-                      </Link>
-                      <Link 
-                        to="/admin/products" 
-                        className="text-gray-700 hover:text-primary-600 transition-colors"
-                        onClick={() => setIsMobileMenuOpen(false)}
-                      >
-                        Manage Products
-                      </Link>
-                      <Link 
-                        to="/admin/orders" 
-                        className="text-gray-700 hover:text-primary-600 transition-colors"
-                        onClick={() => setIsMobileMenuOpen(false)}
-                      >
-                        Manage Orders
-                      </Link>
-                      <Link 
-                        to="/admin/users" 
-                        className="text-gray-700 hover:text-primary-600 transition-colors"
-                        onClick={() => setIsMobileMenuOpen(false)}
-                      >
-                        Manage Users
-                      </Link>
-                    </>
+                  {hasPermission('analytics:read') && (
+                    <Link 
+                      to="/admin" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Admin Dashboard
+                    </Link>
+                  )}
+                  {hasPermission('products:write') && (
+                    <Link 
+                      to="/admin/products" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Manage Products
+                    </Link>
+                  )}
+                  {hasPermission('categories:manage') && (
+                    <Link 
+                      to="/admin/categories" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Categories
+                    </Link>
+                  )}
+                  {hasPermission('orders:read') && (
+                    <Link 
+                      to="/admin/orders" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Manage Orders
+                    </Link>
+                  )}
+                  {hasPermission('returns:manage') && (
+                    <Link 
+                      to="/admin/returns" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Manage Returns
+                    </Link>
+                  )}
+                  {hasPermission('users:read') && (
+                    <Link 
+                      to="/admin/users" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Manage Users
+                    </Link>
+                  )}
+                  {hasPermission('roles:manage') && (
+                    <Link 
+                      to="/admin/roles" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Manage Roles
+                    </Link>
+                  )}
+                  {hasPermission('tax:manage') && (
+                    <Link 
+                      to="/admin/tax-rates" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Tax Rates
+                    </Link>
+                  )}
+                  {hasPermission('shipping:manage') && (
+                    <Link 
+                      to="/admin/shipping-methods" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Shipping Methods
+                    </Link>
+                  )}
+                  {hasPermission('promotions:manage') && (
+                    <Link 
+                      to="/admin/promotions" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Promotions
+                    </Link>
+                  )}
+                  {hasPermission('audit:read') && (
+                    <Link 
+                      to="/admin/audit-log" 
+                      className="text-gray-700 hover:text-primary-600 transition-colors"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Audit Log
+                    </Link>
                   )}
                   
+                  <Link 
+                    to="/change-password" 
+                    className="text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMobileMenuOpen(false)}
+                  >
+                    Change Password
+                  </Link>
+                  
+                  <Link 
+                    to="/profile" 
+                    className="text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMobileMenuOpen(false)}
+                  >
+                    My Profile
+                  </Link>
+                  
                   <button 
                     onClick={() => {
                       handleLogout();
@@ -252,9 +447,25 @@ const Navbar = () => {
                   >
                     Logout
                   </button>
+                  <button 
+                    onClick={() => {
+                      handleLogoutAll();
+                      setIsMobileMenuOpen(false);
+                    }}
+                    className="text-left text-gray-700 hover:text-primary-600 transition-colors"
+                  >
+                    Logout All Devices
+                  </button>
                 </>
               ) : (
                 <>
+                  <Link 
+                    to="/cart" 
+                    className="text-gray-700 hover:text-primary-600 transition-colors"
+                    onClick={() => setIsMobileMenuOpen(false)}
+                  >
+                    Cart ({cartItemCount})
+                  </Link>
                   <Link 
                     to="/login" 
                     className="text-gray-700 hover:text-primary-600 transition-colors"
@@ -275,6 +486,22 @@ const Navbar = () => {
           </div>
         )}
       </div>
+
+      {/* Email Verification Reminder */}
+      {user && user.emailVerified === false && (
+        <div className="bg-yellow-50 border-t border-yellow-200">
+          <div className="container mx-auto px-4 py-2 flex flex-col md:flex-row md:items-center md:justify-between text-sm text-yellow-800">
+            <span>Please verify your email address ({user.email}) to place orders. Check your inbox for the link.</span>
+            <button
+              onClick={handleResendVerification}
+              disabled={resending}
+              className="text-left md:text-right font-medium underline hover:text-yellow-900 disabled:opacity-50"
+            >
+              {resending ? 'Sending...' : 'Resend verification email'}
+            </button>
+          </div>
+        </div>
+      )}
     </nav>
   );
 };
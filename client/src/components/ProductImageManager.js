@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../config/axios';
+
+const MAX_IMAGES = 10;
+
+// Uploaded images of a product - upload, alt text, ordering and removal.
+// Every change is saved right away; onChange receives the updated product.
+const ProductImageManager = ({ product, onChange }) => {
+  const [files, setFiles] = useState([]);
+  const [alt, setAlt] = useState('');
+  const [altDrafts, setAltDrafts] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const images = product.images || [];
+
+  useEffect(() => {
+    setAltDrafts(Object.fromEntries((product.images || []).map(image => [image._id, image.alt || ''])));
+  }, [product.images]);
+
+  const run = async (request, fallbackMessage) => {
+    setBusy(true);
+    try {
+      const response = await request();
+      onChange(response.data.product);
+      return true;
+    } catch (error) {
+      console.error(fallbackMessage, error);
+      alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallbackMessage);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = async () => {
+    if (files.length === 0) {
+      alert('Choose at least one image');
+      return;
+    }
+
+    const data = new FormData();
+    files.forEach(file => data.append('images', file));
+    if (alt.trim()) {
+      data.append('alt', alt.trim());
+    }
+
+    const uploaded = await run(
+      () => axios.post(`/api/products/${product._id}/images`, data, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      }),
+      'Failed to upload images'
+    );
+    if (uploaded) {
+      setFiles([]);
+      setAlt('');
+      setFileInputKey(key => key + 1);
+    }
+  };
+
+  const saveAlt = (image) => {
+    if ((altDrafts[image._id] || '') === (image.alt || '')) {
+      return;
+    }
+    run(
+      () => axios.patch(`/api/products/${product._id}/images/${image._id}`, { alt: altDrafts[image._id] }),
+      'Failed to update alt text'
+    );
+  };
+
+  const moveImage = (index, offset) => {
+    const imageIds = images.map(image => image._id);
+    [imageIds[index], imageIds[index + offset]] = [imageIds[index + offset], imageIds[index]];
+    run(
+      () => axios.put(`/api/products/${product._id}/images/order`, { imageIds }),
+      'Failed to reorder images'
+    );
+  };
+
+  const deleteImage = (image) => {
+    if (!window.confirm('Delete this image?')) {
+      return;
+    }
+    run(
+      () => axios.delete(`/api/products/${product._id}/images/${image._id}`),
+      'Failed to delete image'
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      {images.length > 0 ? (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          {images.map((image, index) => (
+            <div key={image._id} className="border rounded-md p-2 space-y-2">
+              <div className="relative">
+                <img
+                  src={image.renditions.thumbnail.url}
+                  alt={image.alt || product.name}
+                  className="w-full h-24 object-cover rounded"
+                />
+                {index === 0 && (
+                  <span className="absolute top-1 left-1 text-xs px-2 py-0.5 rounded bg-primary-600 text-white">Main</span>
+                )}
+              </div>
+              <input
+                type="text"
+                value={altDrafts[image._id] || ''}
+                onChange={(e) => setAltDrafts({ ...altDrafts, [image._id]: e.target.value })}
+                onBlur={() => saveAlt(image)}
+                placeholder="Alt text"
+                maxLength={200}
+                className="block w-full rounded-md border-gray-300 text-xs shadow-sm focus:border-primary-500 focus:ring-primary-500"
+                disabled={busy}
+              />
+              <div className="flex justify-between text-xs">
+                <div className="space-x-2">
+                  <button
+                    type="button"
+                    onClick={() => moveImage(index, -1)}
+                    disabled={busy || index === 0}
+                    className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                    title="Move earlier"
+                  >
+                    ◀
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveImage(index, 1)}
+                    disabled={busy || index === images.length - 1}
+                    className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                    title="Move later"
+                  >
+                    ▶
+                  </button>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => deleteImage(image)}
+                  disabled={busy}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No images uploaded yet.</p>
+      )}
+
+      {images.length < MAX_IMAGES && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            key={fileInputKey}
+            type="file"
+            accept="image/jpeg,image/png,image/webp,image/gif,image/avif"
+            multiple
+            onChange={(e) => setFiles(Array.from(e.target.files).slice(0, MAX_IMAGES - images.length))}
+            className="text-sm"
+            disabled={busy}
+          />
+          <input
+            type="text"
+            value={alt}
+            onChange={(e) => setAlt(e.target.value)}
+            placeholder="Alt text (optional)"
+            maxLength={200}
+            className="rounded-md border-gray-300 text-sm shadow-sm focus:border-primary-500 focus:ring-primary-500"
+            disabled={busy}
+          />
+          <button
+            type="button"
+            onClick={handleUpload}
+            disabled={busy || files.length === 0}
+            className="btn-secondary text-sm disabled:opacity-50"
+          >
+            {busy ? 'Saving...' : `Upload ${files.length || ''} image${files.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      )}
+      <p className="text-sm text-gray-500">
+        Up to {MAX_IMAGES} JPEG, PNG, WebP, GIF or AVIF images. The first one is the main image.
+      </p>
+    </div>
+  );
+};
+
+export default ProductImageManager;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from '../config/axios';
+
+const POLL_INTERVAL_MS = 2000;
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  error: 'bg-red-100 text-red-800'
+};
+
+// CSV product import - preview a file with a dry run, then import it.
+// Large files run in the background; their job is polled until it finishes.
+// onImported is called after a real import so the product list can refresh.
+const ProductImportPanel = ({ onImported }) => {
+  const [file, setFile] = useState(null);
+  const [job, setJob] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  // The latest callback, so polling does not restart whenever the parent renders
+  const onImportedRef = useRef(onImported);
+  onImportedRef.current = onImported;
+
+  const running = job && ['queued', 'running'].includes(job.status);
+
+  useEffect(() => {
+    if (!running) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`/api/products/import/${job._id}`);
+        setJob(response.data.job);
+        if (!response.data.job.dryRun && response.data.job.status === 'completed') {
+          onImportedRef.current();
+        }
+      } catch (error) {
+        console.error('Error fetching import progress:', error);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [job, running]);
+
+  const startImport = async (dryRun) => {
+    if (!file) {
+      alert('Choose a CSV file');
+      return;
+    }
+
+    const data = new FormData();
+    data.append('file', file);
+
+    setBusy(true);
+    try {
+      const response = await axios.post(`/api/products/import?dryRun=${dryRun}`, data, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setJob(response.data.job);
+
+      if (!dryRun && response.data.job.status === 'completed') {
+        onImported();
+      }
+      if (!dryRun) {
+        setFile(null);
+        setFileInputKey(key => key + 1);
+      }
+    } catch (error) {
+      console.error('Error importing products:', error);
+      alert(error.response?.data?.message || 'Failed to import products');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-body space-y-4">
+        <h2 className="text-xl font-semibold text-gray-800">Import Products from CSV</h2>
+        <p className="text-sm text-gray-500">
+          Columns: name, description, price, category, stock, weight, imageUrl, isActive, sku, size, color,
+          variantPrice, variantActive. A product sold in variants takes one row per variant, each with its SKU.
+          Products are updated when their SKU or name already exists. Export the catalog for an example.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            key={fileInputKey}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="text-sm"
+            disabled={busy || running}
+          />
+          <button
+            type="button"
+            onClick={() => startImport(true)}
+            disabled={busy || running || !file}
+            className="btn-secondary text-sm disabled:opacity-50"
+          >
+            Preview
+          </button>
+          <button
+            type="button"
+            onClick={() => startImport(false)}
+            disabled={busy || running || !file}
+            className="btn-primary text-sm disabled:opacity-50"
+          >
+            {busy ? 'Uploading...' : 'Import'}
+          </button>
+        </div>
+
+        {job && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap gap-4 text-sm">
+              <span className="font-medium">
+                {job.dryRun ? 'Preview' : 'Import'} of {job.fileName}:{' '}
+                {running ? `${job.status} (${job.processedRows} of ${job.totalRows} rows)` : job.status}
+              </span>
+              <span className="text-green-700">{job.summary.create} {job.dryRun ? 'to create' : 'created'}</span>
+              <span className="text-blue-700">{job.summary.update} {job.dryRun ? 'to update' : 'updated'}</span>
+              <span className="text-red-700">{job.summary.error} with errors</span>
+            </div>
+            {job.failureReason && (
+              <p className="text-sm text-red-600">{job.failureReason}</p>
+            )}
+
+            {job.rows && job.rows.length > 0 && (
+              <div className="overflow-x-auto max-h-96">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="border-b">
+                      <th className="text-left py-2 px-2">Line</th>
+                      <th className="text-left py-2 px-2">Name</th>
+                      <th className="text-left py-2 px-2">SKU</th>
+                      <th className="text-left py-2 px-2">Action</th>
+                      <th className="text-left py-2 px-2">Messages</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {job.rows.map(row => (
+                      <tr key={row.line} className="border-b">
+                        <td className="py-2 px-2">{row.line}</td>
+                        <td className="py-2 px-2">{row.name || '-'}</td>
+                        <td className="py-2 px-2">{row.sku || '-'}</td>
+                        <td className="py-2 px-2">
+                          <span className={`px-2 py-1 rounded text-xs ${ACTION_STYLES[row.action]}`}>
+                            {row.action}
+                          </span>
+                        </td>
+                        <td className="py-2 px-2 text-red-600">{row.messages.join('; ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductImportPanel;
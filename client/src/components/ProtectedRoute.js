@@ -1,9 +1,9 @@
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Link, Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const ProtectedRoute = ({ children, adminOnly = false }) => {
-  const { user, loading } = useAuth();
+const ProtectedRoute = ({ children, permission = null, allowPasswordReset = false }) => {
+  const { user, loading, hasPermission } = useAuth();
 
   if (loading) {
     return (
@@ -17,7 +17,12 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (adminOnly && user.role !== 'admin') {
+  // An admin forced a password reset - nothing else until it is changed
+  if (user.passwordResetRequired && !allowPasswordReset) {
+    return <Navigate to="/change-password" replace />;
+  }
+
+  if (permission && !hasPermission(permission)) {
     return (
       <div className="text-center py-20">
         <h1 className="text-4xl font-bold text-red-600 mb-4">Access Denied</h1>
@@ -26,6 +31,19 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     );
   }
 
+  // Staff pages stay closed until the user enrolls in two-factor authentication
+  if (permission && user.twoFactorRequired && !user.twoFactorEnabled) {
+    return (
+      <div className="text-center py-20">
+        <h1 className="text-3xl font-bold text-gray-900 mb-4">Two-Factor Authentication Required</h1>
+        <p className="text-gray-600 mb-6">Staff accounts must set up two-factor authentication before using the admin pages.</p>
+        <Link to="/profile" className="btn-primary">
+          Set Up Two-Factor Authentication
+        </Link>
+      </div>
+    );
+  }
+
   return children;
 };
 
@@ -17,6 +17,11 @@ instance.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Anonymous cart token, merged into the user's cart on login
+    const guestToken = localStorage.getItem('guestToken');
+    if (guestToken) {
+      config.headers['X-Guest-Token'] = guestToken;
+    }
     return config;
   },
   (error) => {
@@ -24,4 +29,49 @@ instance.interceptors.request.use(
   }
 );
 
+// Transparent token refresh - on a 401 the refresh token is rotated once and
+// the original request retried; concurrent 401s share the same refresh call
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  const response = await axios.post(`${baseURL}/api/auth/refresh`, { refreshToken });
+  localStorage.setItem('token', response.data.token);
+  localStorage.setItem('refreshToken', response.data.refreshToken);
+  return response.data.token;
+};
+
+instance.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRoute = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout', '/api/auth/2fa/verify']
+      .includes(originalRequest?.url);
+
+    if (error.response?.status !== 401 || !originalRequest || originalRequest._retry || isAuthRoute) {
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+
+    try {
+      refreshPromise = refreshPromise || refreshAccessToken();
+      const token = await refreshPromise;
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return instance(originalRequest);
+    } catch (refreshError) {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      window.dispatchEvent(new Event('auth:logout'));
+      return Promise.reject(error);
+    } finally {
+      refreshPromise = null;
+    }
+  }
+);
+
 export default instance; 
\ No newline at end of file
@@ -18,6 +18,7 @@ const AuthActionTypes = {
   LOGIN_START: 'LOGIN_START',
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGIN_FAILURE: 'LOGIN_FAILURE',
+  LOGIN_TWO_FACTOR: 'LOGIN_TWO_FACTOR',
   LOGOUT: 'LOGOUT',
   REGISTER_START: 'REGISTER_START',
   REGISTER_SUCCESS: 'REGISTER_SUCCESS',
@@ -40,6 +41,9 @@ const authReducer = (state, action) => {
     case AuthActionTypes.LOGIN_SUCCESS:
     case AuthActionTypes.REGISTER_SUCCESS:
       localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('refreshToken', action.payload.refreshToken);
+      // The server merged the guest cart into the user's cart
+      localStorage.removeItem('guestToken');
       return {
         ...state,
         user: action.payload.user,
@@ -51,6 +55,7 @@ const authReducer = (state, action) => {
     case AuthActionTypes.LOGIN_FAILURE:
     case AuthActionTypes.REGISTER_FAILURE:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -59,8 +64,17 @@ const authReducer = (state, action) => {
         error: action.payload
       };
     
+    // Password accepted - waiting for the second factor
+    case AuthActionTypes.LOGIN_TWO_FACTOR:
+      return {
+        ...state,
+        loading: false,
+        error: null
+      };
+    
     case AuthActionTypes.LOGOUT:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -113,13 +127,16 @@ export const AuthProvider = ({ children }) => {
       try {
         const token = localStorage.getItem('token');
         
-        if (!token) {
+        // An expired access token is renewed by the axios interceptor
+        if (!token && !localStorage.getItem('refreshToken')) {
           dispatch({ type: AuthActionTypes.LOGOUT });
           return;
         }
 
         // Set token in axios headers
-        axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        if (token) {
+          axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        }
         
         const response = await axios.get('/api/auth/me');
         
@@ -140,8 +157,34 @@ export const AuthProvider = ({ children }) => {
     };
 
     loadUser();
+
+    // The axios interceptor signals when the session can no longer be refreshed
+    const handleSessionEnd = () => {
+      delete axios.defaults.headers.common['Authorization'];
+      dispatch({ type: AuthActionTypes.LOGOUT });
+    };
+
+    window.addEventListener('auth:logout', handleSessionEnd);
+    return () => window.removeEventListener('auth:logout', handleSessionEnd);
   }, []);
 
+  // Store the session returned by a completed login
+  const completeLogin = (data) => {
+    // Set token in axios headers
+    axios.defaults.headers.common['Authorization'] = `Bearer ${data.token}`;
+    localStorage.setItem('token', data.token);
+    
+    dispatch({
+      type: AuthActionTypes.LOGIN_SUCCESS,
+      payload: data
+    });
+    return {
+      success: true,
+      cartMerge: data.cartMerge,
+      passwordResetRequired: data.user.passwordResetRequired
+    };
+  };
+
   // Login function
   const login = async (email, password) => {
     dispatch({ type: AuthActionTypes.LOGIN_START });
@@ -152,16 +195,18 @@ export const AuthProvider = ({ children }) => {
         password
       });
       
+      // Accounts with two-factor authentication need a second step
+      if (response.data && response.data.twoFactorRequired) {
+        dispatch({ type: AuthActionTypes.LOGIN_TWO_FACTOR });
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+      
       if (response.data && response.data.token) {
-        // Set token in axios headers
-        axios.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
-        localStorage.setItem('token', response.data.token);
-        
-        dispatch({
-          type: AuthActionTypes.LOGIN_SUCCESS,
-          payload: response.data
-        });
-        return { success: true };
+        return completeLogin(response.data);
       } else {
         throw new Error('No token received');
       }
@@ -177,17 +222,45 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Register function
-  const register = async (name, email, password) => {
-    dispatch({ type: AuthActionTypes.REGISTER_START });
+  // Second login step - a code from the authenticator app or a recovery code
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    dispatch({ type: AuthActionTypes.LOGIN_START });
     
     try {
-      const response = await axios.post('/api/auth/register', {
-        name,
-        email,
-        password
+      const response = await axios.post('/api/auth/2fa/verify', {
+        challengeToken,
+        ...(code ? { code } : { recoveryCode })
       });
       
+      if (response.data && response.data.token) {
+        return {
+          ...completeLogin(response.data),
+          usedRecoveryCode: response.data.usedRecoveryCode
+        };
+      } else {
+        throw new Error('No token received');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0]?.msg
+        || error.response?.data?.message
+        || 'Verification failed';
+      // The code can be retried until the challenge expires
+      dispatch({ type: AuthActionTypes.LOGIN_TWO_FACTOR });
+      return {
+        success: false,
+        error: errorMessage,
+        challengeExpired: error.response?.data?.code === 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      };
+    }
+  };
+
+  // Registration request shared by customer and admin sign-up
+  const submitRegistration = async (url, payload) => {
+    dispatch({ type: AuthActionTypes.REGISTER_START });
+    
+    try {
+      const response = await axios.post(url, payload);
+      
       if (response.data && response.data.token) {
         // Set token in axios headers
         axios.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
@@ -211,8 +284,133 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout function
-  const logout = () => {
+  // Register function
+  const register = (name, email, password) => {
+    return submitRegistration('/api/auth/register', { name, email, password });
+  };
+
+  // Admin registration function - only works with an invitation token
+  const registerAdmin = (name, email, password, inviteToken) => {
+    return submitRegistration('/api/auth/register-admin', { name, email, password, inviteToken });
+  };
+
+  // Change password function - the server ends all other sessions and starts a new one
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const response = await axios.put('/api/auth/password', { currentPassword, newPassword });
+
+      setAuthToken(response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      dispatch({
+        type: AuthActionTypes.LOAD_USER,
+        payload: { ...state.user, passwordResetRequired: false }
+      });
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0]?.msg
+        || error.response?.data?.message
+        || 'Failed to change password';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Enable two-factor authentication - the server starts a new, verified session
+  const enableTwoFactor = async (code) => {
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', { code });
+
+      setAuthToken(response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      dispatch({
+        type: AuthActionTypes.LOAD_USER,
+        payload: { ...state.user, twoFactorEnabled: true }
+      });
+
+      return { success: true, recoveryCodes: response.data.recoveryCodes };
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0]?.msg
+        || error.response?.data?.message
+        || 'Failed to enable two-factor authentication';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Disable two-factor authentication
+  const disableTwoFactor = async (password, code) => {
+    try {
+      await axios.post('/api/auth/2fa/disable', { password, code });
+
+      dispatch({
+        type: AuthActionTypes.LOAD_USER,
+        payload: { ...state.user, twoFactorEnabled: false }
+      });
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0]?.msg
+        || error.response?.data?.message
+        || 'Failed to disable two-factor authentication';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Resend the email verification link
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('/api/auth/resend-verification');
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Failed to send verification email' };
+    }
+  };
+
+  // Verify the email address with the emailed token
+  const verifyEmail = async (token) => {
+    try {
+      const response = await axios.post('/api/auth/verify-email', { token });
+
+      // The link may have been opened while signed in as that user
+      if (state.user && state.user.email === response.data.email) {
+        dispatch({
+          type: AuthActionTypes.LOAD_USER,
+          payload: { ...state.user, emailVerified: true }
+        });
+      }
+
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0]?.msg
+        || error.response?.data?.message
+        || 'Email verification failed';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Logout function - revokes the session on the server as well
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    try {
+      if (refreshToken) {
+        await axios.post('/api/auth/logout', { refreshToken });
+      }
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+
+    setAuthToken(null);
+    dispatch({ type: AuthActionTypes.LOGOUT });
+  };
+
+  // Log out all devices - revokes every session of the user
+  const logoutAll = async () => {
+    try {
+      await axios.post('/api/auth/logout-all');
+    } catch (error) {
+      console.error('Logout all error:', error);
+    }
+
     setAuthToken(null);
     dispatch({ type: AuthActionTypes.LOGOUT });
   };
@@ -227,6 +425,16 @@ export const AuthProvider = ({ children }) => {
     return state.user?.role === 'admin';
   };
 
+  // Check if the user's role grants a permission
+  const hasPermission = (permission) => {
+    return !!state.user?.permissions?.includes(permission);
+  };
+
+  // Staff are users whose role grants any permission
+  const isStaff = () => {
+    return (state.user?.permissions?.length || 0) > 0;
+  };
+
   // Check if user is authenticated
   const isAuthenticated = () => {
     return !!state.user && !!state.token;
@@ -235,10 +443,20 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
     register,
+    registerAdmin,
     logout,
+    logoutAll,
+    changePassword,
+    enableTwoFactor,
+    disableTwoFactor,
+    resendVerification,
+    verifyEmail,
     clearError,
     isAdmin,
+    hasPermission,
+    isStaff,
     isAuthenticated
   };
 
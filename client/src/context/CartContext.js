@@ -7,6 +7,7 @@ const initialState = {
   items: [],
   itemCount: 0,
   cartTotal: 0,
+  promotion: null,
   loading: false,
   error: null
 };
@@ -23,6 +24,7 @@ const CartActionTypes = {
   UPDATE_CART_SUCCESS: 'UPDATE_CART_SUCCESS',
   UPDATE_CART_FAILURE: 'UPDATE_CART_FAILURE',
   REMOVE_FROM_CART_SUCCESS: 'REMOVE_FROM_CART_SUCCESS',
+  SET_PROMOTION_SUCCESS: 'SET_PROMOTION_SUCCESS',
   CLEAR_CART: 'CLEAR_CART',
   CLEAR_ERROR: 'CLEAR_ERROR'
 };
@@ -45,6 +47,7 @@ const cartReducer = (state, action) => {
         items: action.payload.items,
         itemCount: action.payload.itemCount,
         cartTotal: action.payload.cartTotal,
+        promotion: action.payload.promotion || null,
         loading: false,
         error: null
       };
@@ -60,11 +63,13 @@ const cartReducer = (state, action) => {
     
     case CartActionTypes.UPDATE_CART_SUCCESS:
     case CartActionTypes.REMOVE_FROM_CART_SUCCESS:
+    case CartActionTypes.SET_PROMOTION_SUCCESS:
       return {
         ...state,
         items: action.payload.cart.items,
         itemCount: action.payload.cart.itemCount,
         cartTotal: action.payload.cart.cartTotal,
+        promotion: action.payload.cart.promotion || null,
         loading: false,
         error: null
       };
@@ -105,10 +110,13 @@ export const CartProvider = ({ children }) => {
   });
   const { isAuthenticated } = useAuth();
 
-  // Load cart when user authenticates
+  // Guests shop with an anonymous cart token until they log in
+  const hasCart = () => isAuthenticated() || !!localStorage.getItem('guestToken');
+
+  // Load cart when user authenticates (or as a guest with an existing cart)
   useEffect(() => {
     const initCart = async () => {
-      if (isAuthenticated()) {
+      if (hasCart()) {
         await loadCart();
       } else {
         dispatch({ type: CartActionTypes.CLEAR_CART });
@@ -120,7 +128,7 @@ export const CartProvider = ({ children }) => {
 
   // Load cart function
   const loadCart = async () => {
-    if (!isAuthenticated()) return;
+    if (!hasCart()) return;
 
     dispatch({ type: CartActionTypes.LOAD_CART_START });
     
@@ -139,19 +147,25 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  // Add to cart function
-  const addToCart = async (productId, quantity = 1) => {
-    if (!isAuthenticated()) {
-      return { success: false, error: 'Please login to add items to cart' };
-    }
+  // Cart lines of products sold by variant are addressed by product and variant
+  const itemPath = (productId, variantId) =>
+    `/api/cart/item/${productId}${variantId ? `/${variantId}` : ''}`;
 
+  // Add to cart function
+  const addToCart = async (productId, quantity = 1, variantId = null) => {
     dispatch({ type: CartActionTypes.ADD_TO_CART_START });
     
     try {
       const response = await axios.post('/api/cart/add', {
         productId,
+        ...(variantId && { variantId }),
         quantity
       });
+
+      // First add as a guest - remember the anonymous cart
+      if (response.data.guestToken) {
+        localStorage.setItem('guestToken', response.data.guestToken);
+      }
       
       dispatch({
         type: CartActionTypes.ADD_TO_CART_SUCCESS,
@@ -174,13 +188,13 @@ export const CartProvider = ({ children }) => {
   };
 
   // Update cart item quantity
-  const updateCartItem = async (productId, quantity) => {
-    if (!isAuthenticated()) return;
+  const updateCartItem = async (productId, quantity, variantId = null) => {
+    if (!hasCart()) return;
 
     dispatch({ type: CartActionTypes.UPDATE_CART_START });
     
     try {
-      const response = await axios.put(`/api/cart/item/${productId}`, {
+      const response = await axios.put(itemPath(productId, variantId), {
         quantity
       });
       
@@ -202,11 +216,11 @@ export const CartProvider = ({ children }) => {
   };
 
   // Remove item from cart
-  const removeFromCart = async (productId) => {
-    if (!isAuthenticated()) return;
+  const removeFromCart = async (productId, variantId = null) => {
+    if (!hasCart()) return;
 
     try {
-      const response = await axios.delete(`/api/cart/item/${productId}`);
+      const response = await axios.delete(itemPath(productId, variantId));
       
       dispatch({
         type: CartActionTypes.REMOVE_FROM_CART_SUCCESS,
@@ -222,7 +236,7 @@ export const CartProvider = ({ children }) => {
 
   // Clear cart
   const clearCart = async () => {
-    if (!isAuthenticated()) return;
+    if (!hasCart()) return;
 
     try {
       await axios.delete('/api/cart');
@@ -234,6 +248,44 @@ export const CartProvider = ({ children }) => {
     }
   };
 
+  // Apply a coupon code - the server checks it against the cart
+  const applyPromotion = async (code) => {
+    if (!hasCart()) return { success: false, error: 'Cart is empty' };
+
+    try {
+      const response = await axios.post('/api/cart/promotion', { code });
+
+      dispatch({
+        type: CartActionTypes.SET_PROMOTION_SUCCESS,
+        payload: response.data
+      });
+
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to apply coupon';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Remove the applied coupon
+  const removePromotion = async () => {
+    if (!hasCart()) return;
+
+    try {
+      const response = await axios.delete('/api/cart/promotion');
+
+      dispatch({
+        type: CartActionTypes.SET_PROMOTION_SUCCESS,
+        payload: response.data
+      });
+
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to remove coupon';
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Clear error function
   const clearError = () => {
     dispatch({ type: CartActionTypes.CLEAR_ERROR });
@@ -241,7 +293,7 @@ export const CartProvider = ({ children }) => {
 
   // Get cart summary (for header)
   const getCartSummary = async () => {
-    if (!isAuthenticated()) return { itemCount: 0, cartTotal: 0 };
+    if (!hasCart()) return { itemCount: 0, cartTotal: 0 };
 
     try {
       const response = await axios.get('/api/cart/summary');
@@ -256,14 +308,19 @@ export const CartProvider = ({ children }) => {
     cart: {
       items: state.items || [],
       itemCount: state.itemCount || 0,
-      cartTotal: state.cartTotal || 0
+      cartTotal: state.cartTotal || 0,
+      promotion: state.promotion
     },
+    cartItemCount: state.itemCount || 0,
+    cartTotal: state.cartTotal || 0,
     loading: state.loading,
     error: state.error,
     addToCart,
     updateQuantity: updateCartItem,
     removeFromCart,
     clearCart,
+    applyPromotion,
+    removePromotion,
     clearError
   };
 
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('token') || '';
+  const email = searchParams.get('email') || '';
+
+  const [formData, setFormData] = useState({
+    name: '',
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { registerAdmin } = useAuth();
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    // Client-side validation
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    const result = await registerAdmin(formData.name, email, formData.password, inviteToken);
+    if (result.success) {
+      navigate('/admin');
+    } else {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  if (!inviteToken || !email) {
+    return (
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6 text-center">
+        <h2 className="text-2xl font-bold mb-4">Invalid Invitation</h2>
+        <p className="text-gray-600 mb-6">
+          This invitation link is incomplete. Please ask an administrator for a new invitation.
+        </p>
+        <Link to="/" className="text-primary-600 hover:text-primary-700">
+          Back to Home
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold text-center mb-2">Accept Admin Invitation</h2>
+      <p className="text-center text-gray-600 mb-6">Create the admin account for {email}</p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <div className="mb-4">
+          <label className="block text-gray-700 text-sm font-bold mb-2">
+            Email
+          </label>
+          <input
+            type="email"
+            value={email}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-100"
+            disabled
+          />
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-gray-700 text-sm font-bold mb-2">
+            Name
+          </label>
+          <input
+            type="text"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-primary-500"
+            required
+          />
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-gray-700 text-sm font-bold mb-2">
+            Password
+          </label>
+          <input
+            type="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-primary-500"
+            required
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Must be at least 6 characters with uppercase, lowercase, and number
+          </p>
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-gray-700 text-sm font-bold mb-2">
+            Confirm Password
+          </label>
+          <input
+            type="password"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-primary-500"
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-primary-600 text-white py-2 px-4 rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Creating Account...' : 'Create Admin Account'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AcceptInvite;
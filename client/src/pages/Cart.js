@@ -1,10 +1,62 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import axios from '../config/axios';
 
 const Cart = () => {
-  const { cart = { items: [] }, updateQuantity, removeFromCart, cartTotal, loading } = useCart();
+  const { cart = { items: [] }, updateQuantity, removeFromCart, applyPromotion, removePromotion, cartTotal, loading } = useCart();
+  const { user } = useAuth();
   const navigate = useNavigate();
+  const [taxAddress, setTaxAddress] = useState({ state: '', country: 'USA' });
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [couponError, setCouponError] = useState('');
+
+  // A changed cart or coupon invalidates the estimate
+  useEffect(() => {
+    setQuote(null);
+  }, [cart?.items, cart?.promotion]);
+
+  const promotion = cart?.promotion;
+  const discountAmount = promotion?.valid ? promotion.discountAmount : 0;
+
+  const handleApplyCoupon = async (e) => {
+    e.preventDefault();
+    setCouponError('');
+
+    const result = await applyPromotion(couponCode);
+    if (result.success) {
+      setCouponCode('');
+    } else {
+      setCouponError(result.error);
+    }
+  };
+
+  const estimateTax = async (e) => {
+    e.preventDefault();
+    setQuoteError('');
+
+    try {
+      const response = await axios.post('/api/orders/quote', {
+        items: cart.items.map(item => ({
+          productId: item.productId,
+          ...(item.variantId && { variantId: item.variantId }),
+          quantity: item.quantity
+        })),
+        shippingAddress: taxAddress,
+        ...(promotion?.valid && { promotionCode: promotion.code })
+      });
+      setQuote(response.data);
+    } catch (error) {
+      console.error('Tax estimate error:', error);
+      setQuoteError(error.response?.data?.message || 'Failed to estimate tax');
+    }
+  };
+
+  // The estimate uses the first shipping method offered for the address
+  const estimatedShipping = quote ? quote.shippingOptions[0] : null;
 
   if (loading) {
     return (
@@ -40,7 +92,7 @@ const Cart = () => {
         <div className="lg:col-span-2">
           <div className="space-y-4">
             {cart.items.map((item) => (
-              <div key={item.productId} className="card">
+              <div key={`${item.productId}-${item.variantId || ''}`} className="card">
                 <div className="card-body">
                   <div className="flex items-center space-x-4">
                     {/* Product Image */}
@@ -53,6 +105,9 @@ const Cart = () => {
                     {/* Product Details */}
                     <div className="flex-1">
                       <h3 className="font-semibold text-lg">{item.productName}</h3>
+                      {item.variantLabel && (
+                        <p className="text-sm text-gray-500">{item.variantLabel}</p>
+                      )}
                       <p className="text-gray-600">${item.price} each</p>
                       {item.availableStock !== undefined && (
                         <p className="text-sm text-gray-500">
@@ -64,7 +119,7 @@ const Cart = () => {
                     {/* Quantity Controls */}
                     <div className="flex items-center space-x-2">
                       <button
-                        onClick={() => updateQuantity(item.productId, item.quantity - 1)}
+                        onClick={() => updateQuantity(item.productId, item.quantity - 1, item.variantId)}
                         className="w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center hover:bg-gray-300"
                         disabled={item.quantity <= 1}
                       >
@@ -72,7 +127,7 @@ const Cart = () => {
                       </button>
                       <span className="w-12 text-center">{item.quantity}</span>
                       <button
-                        onClick={() => updateQuantity(item.productId, item.quantity + 1)}
+                        onClick={() => updateQuantity(item.productId, item.quantity + 1, item.variantId)}
                         className="w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center hover:bg-gray-300"
                         disabled={item.availableStock && item.quantity >= item.availableStock}
                       >
@@ -84,7 +139,7 @@ const Cart = () => {
                     <div className="text-right">
                       <p className="font-semibold text-lg">${item.total}</p>
                       <button
-                        onClick={() => removeFromCart(item.productId)}
+                        onClick={() => removeFromCart(item.productId, item.variantId)}
                         className="text-red-500 hover:text-red-700 text-sm"
                       >
                         Remove
@@ -117,17 +172,95 @@ const Cart = () => {
                 <span>Items ({cart.itemCount})</span>
                 <span>${cartTotal}</span>
               </div>
+
+              {promotion?.valid && (
+                <div className="flex justify-between text-green-600">
+                  <span>Discount ({promotion.code})</span>
+                  <span>-${discountAmount.toFixed(2)}</span>
+                </div>
+              )}
+
+              {promotion ? (
+                <div className="text-sm">
+                  <div className="flex justify-between items-center">
+                    <span>
+                      Coupon <span className="font-mono font-medium">{promotion.code}</span>
+                      {promotion.valid && promotion.name && ` - ${promotion.name}`}
+                    </span>
+                    <button onClick={removePromotion} className="text-red-500 hover:text-red-700">
+                      Remove
+                    </button>
+                  </div>
+                  {!promotion.valid && (
+                    <p className="text-red-600 mt-1">{promotion.message}</p>
+                  )}
+                </div>
+              ) : (
+                <form onSubmit={handleApplyCoupon} className="flex space-x-2">
+                  <input
+                    type="text"
+                    value={couponCode}
+                    onChange={(e) => setCouponCode(e.target.value)}
+                    className="form-input"
+                    placeholder="Coupon code"
+                  />
+                  <button type="submit" className="btn-secondary" disabled={!couponCode.trim()}>
+                    Apply
+                  </button>
+                </form>
+              )}
+
+              {couponError && (
+                <div className="text-sm text-red-600">{couponError}</div>
+              )}
               
               <div className="flex justify-between">
-                <span>Shipping</span>
-                <span className="text-green-600">Free</span>
+                <span>Shipping{estimatedShipping && ` (${estimatedShipping.name})`}</span>
+                {estimatedShipping ? (
+                  <span className={estimatedShipping.cost === 0 ? 'text-green-600' : ''}>
+                    {estimatedShipping.cost === 0 ? 'Free' : `$${estimatedShipping.cost.toFixed(2)}`}
+                  </span>
+                ) : (
+                  <span>{quote ? 'Unavailable' : '—'}</span>
+                )}
+              </div>
+
+              <div className="flex justify-between">
+                <span>Estimated Tax</span>
+                <span>{quote ? `$${quote.taxAmount.toFixed(2)}` : '—'}</span>
               </div>
+
+              <form onSubmit={estimateTax} className="flex space-x-2">
+                <select
+                  value={taxAddress.country}
+                  onChange={(e) => setTaxAddress({ ...taxAddress, country: e.target.value })}
+                  className="form-input"
+                >
+                  <option value="USA">United States</option>
+                  <option value="Canada">Canada</option>
+                  <option value="Mexico">Mexico</option>
+                </select>
+                <input
+                  type="text"
+                  value={taxAddress.state}
+                  onChange={(e) => setTaxAddress({ ...taxAddress, state: e.target.value })}
+                  className="form-input"
+                  placeholder="State"
+                />
+                <button type="submit" className="btn-secondary">
+                  Estimate
+                </button>
+              </form>
+
+              {quoteError && (
+                <div className="text-sm text-red-600">{quoteError}</div>
+              )}
               
               <hr />
               
               <div className="flex justify-between font-bold text-lg">
                 <span>Total</span>
-                <span>${cartTotal}</span>
+                <span>${quote ? (quote.totalAmount + (estimatedShipping ? estimatedShipping.cost : 0)).toFixed(2) : (cartTotal - discountAmount).toFixed(2)}</span>
               </div>
               
               <div className="space-y-3">
@@ -136,7 +269,7 @@ const Cart = () => {
                   className="btn-primary w-full"
                   disabled={cart.items.some(item => !item.inStock)}
                 >
-                  Proceed to Checkout
+                  {user ? 'Proceed to Checkout' : 'Login to Checkout'}
                 </button>
                 
                 <Link 
@@ -1,12 +1,19 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
 import { useAuth } from '../context/AuthContext';
 import axios from '../config/axios';
 
+// A random key identifying one checkout attempt
+const newIdempotencyKey = () => (
+  window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : Array.from(window.crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('')
+);
+
 const Checkout = () => {
   const { cart, cartTotal, clearCart } = useCart();
-  const { isAuthenticated } = useAuth();
+  const { user, isAuthenticated } = useAuth();
   const navigate = useNavigate();
   
   const [formData, setFormData] = useState({
@@ -17,10 +24,96 @@ const Checkout = () => {
       zipCode: '',
       country: 'USA'
     },
+    shippingMethod: 'standard',
     paymentMethod: 'credit_card'
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [reservation, setReservation] = useState(null);
+  const [paymentConfig, setPaymentConfig] = useState(null);
+  const [paymentToken, setPaymentToken] = useState('');
+  const [quote, setQuote] = useState(null);
+
+  // Double submits and network retries reuse the key, so the server places the
+  // order once; a new key is only drawn after the server has answered an attempt
+  const idempotencyKey = useRef(newIdempotencyKey());
+
+  // The mock payment provider lets testers pick the payment outcome
+  useEffect(() => {
+    const fetchPaymentConfig = async () => {
+      try {
+        const response = await axios.get('/api/payments/config');
+        setPaymentConfig(response.data);
+        setPaymentToken(response.data.testTokens[0] || '');
+      } catch (err) {
+        console.error('Payment config error:', err);
+      }
+    };
+
+    fetchPaymentConfig();
+  }, []);
+
+  // Entering checkout renews the stock holds on every cart item
+  useEffect(() => {
+    const reserveStock = async () => {
+      try {
+        const response = await axios.post('/api/cart/reserve');
+        setReservation(response.data);
+      } catch (err) {
+        console.error('Stock reservation error:', err);
+      }
+    };
+
+    if (cart.items && cart.items.length > 0) {
+      reserveStock();
+    }
+  }, [cart.items]);
+
+  // Tax and shipping depend on the state and country, so re-quote as they are typed
+  const { state, country } = formData.shippingAddress;
+  const promotionCode = cart.promotion?.valid ? cart.promotion.code : undefined;
+  useEffect(() => {
+    if (!cart.items || cart.items.length === 0) {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.post('/api/orders/quote', {
+          items: cart.items.map(item => ({
+            productId: item.productId,
+            ...(item.variantId && { variantId: item.variantId }),
+            quantity: item.quantity
+          })),
+          shippingAddress: { state, country },
+          promotionCode
+        });
+        setQuote(response.data);
+      } catch (err) {
+        console.error('Order quote error:', err);
+        setQuote(null);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [cart.items, state, country, promotionCode]);
+
+  // Fall back to the first method offered when the chosen one does not ship to the address
+  const { shippingMethod } = formData;
+  useEffect(() => {
+    const options = quote ? quote.shippingOptions : [];
+    if (options.length > 0 && !options.some(option => option.method === shippingMethod)) {
+      setFormData(prev => ({ ...prev, shippingMethod: options[0].method }));
+    }
+  }, [quote, shippingMethod]);
+
+  const shippingOptions = quote ? quote.shippingOptions : [];
+  const selectedShipping = shippingOptions.find(option => option.method === shippingMethod);
+
+  const discountAmount = quote ? quote.discountAmount : 0;
+  const orderTotal = quote
+    ? (quote.subtotal - quote.discountAmount + quote.taxAmount + (selectedShipping ? selectedShipping.cost : 0)).toFixed(2)
+    : cartTotal;
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -64,15 +157,20 @@ const Checkout = () => {
       const config = {
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          'Idempotency-Key': idempotencyKey.current
         }
       };
 
       const orderData = {
         shippingAddress: formData.shippingAddress,
+        shippingMethod: formData.shippingMethod,
+        ...(promotionCode && { promotionCode }),
         paymentMethod: formData.paymentMethod,
+        ...(paymentToken && formData.paymentMethod !== 'cash_on_delivery' && { paymentToken }),
         items: cart.items.map(item => ({
           productId: item.productId,
+          ...(item.variantId && { variantId: item.variantId }),
           quantity: item.quantity
         }))
       };
@@ -83,7 +181,7 @@ const Checkout = () => {
       if (response.data && response.data.order) {
         // Clear cart and redirect to order confirmation
         await clearCart();
-        alert(`Order ${response.data.order.orderNumber} placed successfully!`);
+        alert(`Order ${response.data.order.orderNumber}: ${response.data.message}`);
         navigate('/orders');
       } else {
         throw new Error('Invalid response from server');
@@ -91,6 +189,11 @@ const Checkout = () => {
       
     } catch (err) {
       console.error('Order placement error:', err);
+      // The attempt is settled - fixing the form and resubmitting is a new attempt.
+      // Without a response the order may still have gone through, so keep the key.
+      if (err.response && err.response.data?.code !== 'IDEMPOTENCY_KEY_IN_PROGRESS') {
+        idempotencyKey.current = newIdempotencyKey();
+      }
       setError(err.response?.data?.message || 'Failed to place order. Please try again.');
     } finally {
       setLoading(false);
@@ -193,6 +296,50 @@ const Checkout = () => {
               </div>
             </div>
 
+            {/* Shipping Method */}
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-semibold">Shipping Method</h3>
+              </div>
+              <div className="card-body">
+                {shippingOptions.length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    {quote ? 'We do not ship to this address yet.' : 'Calculating shipping options...'}
+                  </p>
+                ) : (
+                  <div className="space-y-3">
+                    {shippingOptions.map((option) => (
+                      <label key={option.method} className="flex items-start">
+                        <input
+                          type="radio"
+                          name="shippingMethod"
+                          value={option.method}
+                          checked={formData.shippingMethod === option.method}
+                          onChange={handleInputChange}
+                          className="mr-3 mt-1"
+                        />
+                        <div className="flex-1">
+                          <div className="flex justify-between">
+                            <span>{option.name}</span>
+                            <span className={option.cost === 0 ? 'text-green-600' : ''}>
+                              {option.cost === 0 ? 'Free' : `$${option.cost.toFixed(2)}`}
+                            </span>
+                          </div>
+                          <p className="text-xs text-gray-500">
+                            {option.description}
+                            {option.estimatedDays?.max !== undefined && ` - ${option.estimatedDays.min}-${option.estimatedDays.max} business days`}
+                          </p>
+                          {option.cost > 0 && option.freeOverSubtotal !== null && (
+                            <p className="text-xs text-green-600">Free on orders over ${option.freeOverSubtotal}</p>
+                          )}
+                        </div>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+
             {/* Payment Method */}
             <div className="card">
               <div className="card-header">
@@ -219,9 +366,45 @@ const Checkout = () => {
                     </label>
                   ))}
                 </div>
+
+                {paymentConfig?.testTokens.length > 0 && formData.paymentMethod !== 'cash_on_delivery' && (
+                  <div className="mt-4">
+                    <label className="form-label">Test payment outcome ({paymentConfig.provider} provider)</label>
+                    <select
+                      value={paymentToken}
+                      onChange={(e) => setPaymentToken(e.target.value)}
+                      className="form-input"
+                    >
+                      {paymentConfig.testTokens.map(token => (
+                        <option key={token} value={token}>{token.replace('mock_', '').replace(/_/g, ' ')}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
               </div>
             </div>
 
+            {reservation && reservation.allReserved && (
+              <div className="alert alert-info">
+                Your items are reserved until {new Date(reservation.reservedUntil).toLocaleTimeString()}
+              </div>
+            )}
+
+            {reservation && !reservation.allReserved && (
+              <div className="alert alert-error">
+                {reservation.reservations
+                  .filter(r => !r.reserved)
+                  .map(r => `${r.productName}: ${r.message}`)
+                  .join('. ')}
+              </div>
+            )}
+
+            {user && user.emailVerified === false && (
+              <div className="alert alert-warning">
+                Please verify your email address before placing an order. Check your inbox for the verification link.
+              </div>
+            )}
+
             {error && (
               <div className="alert alert-error">
                 {error}
@@ -230,10 +413,10 @@ const Checkout = () => {
 
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || user?.emailVerified === false || !selectedShipping}
               className="btn-primary w-full"
             >
-              {loading ? 'Placing Order...' : `Place Order - $${cartTotal}`}
+              {loading ? 'Placing Order...' : `Place Order - $${orderTotal}`}
             </button>
           </form>
         </div>
@@ -248,7 +431,7 @@ const Checkout = () => {
               <div className="space-y-4">
                 {/* Items */}
                 {cart.items.map((item) => (
-                  <div key={item.productId} className="flex justify-between items-center">
+                  <div key={`${item.productId}-${item.variantId || ''}`} className="flex justify-between items-center">
                     <div className="flex items-center space-x-3">
                       <img 
                         src={item.imageUrl || 'https://placehold.co/50x50/EEE/31343C?text=No+Image'} 
@@ -257,7 +440,9 @@ const Checkout = () => {
                       />
                       <div>
                         <p className="font-medium">{item.productName}</p>
-                        <p className="text-sm text-gray-500">Qty: {item.quantity}</p>
+                        <p className="text-sm text-gray-500">
+                          {item.variantLabel && `${item.variantLabel} · `}Qty: {item.quantity}
+                        </p>
                       </div>
                     </div>
                     <span className="font-medium">${item.total}</span>
@@ -271,21 +456,41 @@ const Checkout = () => {
                     <span>Subtotal</span>
                     <span>${cartTotal}</span>
                   </div>
+                  {discountAmount > 0 && (
+                    <div className="flex justify-between text-green-600">
+                      <span>Discount ({quote.promotion.code})</span>
+                      <span>-${discountAmount.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {quote?.promotion && !quote.promotion.valid && (
+                    <p className="text-xs text-red-600">{quote.promotion.message}</p>
+                  )}
                   <div className="flex justify-between">
                     <span>Shipping</span>
-                    <span className="text-green-600">Free</span>
+                    {selectedShipping ? (
+                      <span className={selectedShipping.cost === 0 ? 'text-green-600' : ''}>
+                        {selectedShipping.cost === 0 ? 'Free' : `$${selectedShipping.cost.toFixed(2)}`}
+                      </span>
+                    ) : (
+                      <span>—</span>
+                    )}
                   </div>
                   <div className="flex justify-between">
                     <span>Tax</span>
-                    <span>$0.00</span>
+                    <span>
+                      {quote ? `$${quote.taxAmount.toFixed(2)}` : '—'}
+                    </span>
                   </div>
+                  {!state && (
+                    <p className="text-xs text-gray-500">Enter your state to calculate tax</p>
+                  )}
                 </div>
                 
                 <hr />
                 
                 <div className="flex justify-between font-bold text-lg">
                   <span>Total</span>
-                  <span>${cartTotal}</span>
+                  <span>${orderTotal}</span>
                 </div>
               </div>
             </div>
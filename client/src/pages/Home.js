@@ -104,7 +104,7 @@ const Home = () => {
                 />
                 <div className="card-body">
                   <h3 className="font-semibold text-lg mb-2 truncate">{product.name}</h3>
-                  <p className="text-gray-600 text-sm mb-3 line-clamp-2">{product.category}</p>
+                  <p className="text-gray-600 text-sm mb-3 line-clamp-2">{product.category?.name}</p>
                   <div className="flex justify-between items-center mb-5">
                     <span className="text-xl font-bold text-primary-600">
                       ${product.price}
@@ -155,7 +155,7 @@ const Home = () => {
                       ${product.price}
                     </span>
                     <span className="bg-gray-100 text-gray-600 px-2 py-1 rounded text-sm">
-                      {product.category}
+                      {product.category?.name}
                     </span>
                   </div>
                   <Link 
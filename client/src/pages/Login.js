@@ -9,8 +9,12 @@ const Login = () => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -29,7 +33,9 @@ const Login = () => {
       const result = await login(formData.email, formData.password);
       
       if (result.success) {
-        navigate('/');
+        navigate(result.passwordResetRequired ? '/change-password' : '/');
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
       } else {
         setError(result.error || 'Login failed');
       }
@@ -41,6 +47,106 @@ const Login = () => {
     }
   };
 
+  const resetTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const code = twoFactorCode.trim();
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+
+    if (result.success) {
+      if (result.usedRecoveryCode) {
+        alert('You signed in with a recovery code. It cannot be used again.');
+      }
+      navigate(result.passwordResetRequired ? '/change-password' : '/');
+      return;
+    }
+
+    if (result.challengeExpired) {
+      resetTwoFactor();
+    }
+    setError(result.error);
+    setTwoFactorCode('');
+    setLoading(false);
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-center mb-2">Two-Factor Authentication</h2>
+        <p className="text-gray-600 text-center text-sm mb-6">
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleTwoFactorSubmit}>
+          <div className="mb-6">
+            <label className="block text-gray-700 text-sm font-bold mb-2">
+              {useRecoveryCode ? 'Recovery Code' : 'Verification Code'}
+            </label>
+            <input
+              type="text"
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-primary-500"
+              autoFocus
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-primary-600 text-white py-2 px-4 rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+
+        <div className="mt-6 flex justify-between text-sm">
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setTwoFactorCode('');
+              setError('');
+            }}
+            className="text-primary-600 hover:text-primary-700"
+          >
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+          <button
+            type="button"
+            onClick={resetTwoFactor}
+            className="text-gray-600 hover:text-gray-800"
+          >
+            Back to login
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6">
       <h2 className="text-2xl font-bold text-center mb-6">Login</h2>
@@ -78,6 +184,11 @@ const Login = () => {
             className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-primary-500"
             required
           />
+          <div className="text-right mt-1">
+            <Link to="/forgot-password" className="text-sm text-primary-600 hover:text-primary-700">
+              Forgot password?
+            </Link>
+          </div>
         </div>
 
         <button
@@ -12,6 +12,10 @@ const Orders = () => {
     totalPages: 1,
     totalOrders: 0
   });
+  const [returns, setReturns] = useState([]);
+  const [returnReasons, setReturnReasons] = useState([]);
+  const [returnForm, setReturnForm] = useState(null);
+  const [submittingReturn, setSubmittingReturn] = useState(false);
 
   const fetchOrders = useCallback(async (page) => {
     try {
@@ -29,18 +33,82 @@ const Orders = () => {
     }
   }, []);
 
+  const fetchReturns = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/returns/my-returns');
+      setReturns(response.data.returns || []);
+      setReturnReasons(response.data.reasons || []);
+    } catch (error) {
+      console.error('Error fetching returns:', error);
+    }
+  }, []);
+
   useEffect(() => {
     fetchOrders(currentPage);
   }, [currentPage, fetchOrders]);
 
+  useEffect(() => {
+    fetchReturns();
+  }, [fetchReturns]);
+
+  const openReturnForm = (order) => {
+    setReturnForm({
+      orderId: order._id,
+      quantities: {},
+      reason: returnReasons[0] || 'other',
+      comments: ''
+    });
+  };
+
+  // Return quantities are keyed by "productId" or "productId:variantId"
+  const setReturnQuantity = (lineKey, quantity) => {
+    setReturnForm({
+      ...returnForm,
+      quantities: { ...returnForm.quantities, [lineKey]: quantity }
+    });
+  };
+
+  const handleSubmitReturn = async (e) => {
+    e.preventDefault();
+
+    const items = Object.entries(returnForm.quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([lineKey, quantity]) => {
+        const [productId, variantId] = lineKey.split(':');
+        return { productId, ...(variantId && { variantId }), quantity };
+      });
+
+    if (items.length === 0) {
+      alert('Select at least one item to return');
+      return;
+    }
+
+    setSubmittingReturn(true);
+    try {
+      await axios.post('/api/returns', {
+        orderId: returnForm.orderId,
+        items,
+        reason: returnForm.reason,
+        ...(returnForm.comments.trim() && { comments: returnForm.comments.trim() })
+      });
+      alert('Return requested. We will let you know once it has been reviewed.');
+      setReturnForm(null);
+      fetchReturns();
+    } catch (error) {
+      alert('Failed to request return: ' + (error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Unknown error'));
+    } finally {
+      setSubmittingReturn(false);
+    }
+  };
+
   const handleCancelOrder = async (orderId) => {
     if (!window.confirm('Are you sure you want to cancel this order?')) {
       return;
     }
 
     try {
-      await axios.patch(`/api/orders/${orderId}/cancel`);
-      alert('Order cancelled successfully');
+      const response = await axios.patch(`/api/orders/${orderId}/cancel`);
+      alert(response.data.message);
       fetchOrders(currentPage); // Refresh current page
     } catch (error) {
       alert('Failed to cancel order: ' + (error.response?.data?.message || 'Unknown error'));
@@ -143,6 +211,9 @@ const Orders = () => {
                     />
                     <div className="flex-1">
                       <h4 className="font-medium">{item.productName}</h4>
+                      {item.variantLabel && (
+                        <p className="text-sm text-gray-500">{item.variantLabel}</p>
+                      )}
                       <p className="text-sm text-gray-500">
                         ${item.price} × {item.quantity} = ${item.total}
                       </p>
@@ -150,6 +221,31 @@ const Orders = () => {
                   </div>
                 ))}
               </div>
+
+              {(order.taxAmount > 0 || order.shipping) && (
+                <div className="text-sm text-gray-600 mb-4 space-y-1">
+                  <div className="flex justify-between">
+                    <span>Subtotal</span>
+                    <span>${order.subtotal.toFixed(2)}</span>
+                  </div>
+                  {order.discountAmount > 0 && (
+                    <div className="flex justify-between text-green-600">
+                      <span>Discount ({order.promotion.code})</span>
+                      <span>-${order.discountAmount.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {order.shipping && (
+                    <div className="flex justify-between">
+                      <span>Shipping ({order.shipping.name})</span>
+                      <span>{order.shipping.cost === 0 ? 'Free' : `$${order.shipping.cost.toFixed(2)}`}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <span>Tax</span>
+                    <span>${order.taxAmount.toFixed(2)}</span>
+                  </div>
+                </div>
+              )}
               
               {/* Shipping Address */}
               <div className="border-t pt-4">
@@ -167,8 +263,122 @@ const Orders = () => {
                 <p className="text-sm text-gray-600 capitalize">
                   {order.paymentMethod.replace('_', ' ')}
                 </p>
+                {order.paymentStatus === 'pending' && order.paymentMethod !== 'cash_on_delivery' && order.status !== 'cancelled' && (
+                  <p className="text-sm text-yellow-700 mt-1">Awaiting payment confirmation</p>
+                )}
+                {order.paymentStatus === 'failed' && (
+                  <p className="text-sm text-red-700 mt-1">Payment failed{order.payment?.failureReason ? `: ${order.payment.failureReason}` : ''}</p>
+                )}
+                {order.paymentStatus === 'pending_refund' && (
+                  <p className="text-sm text-yellow-700 mt-1">Refund in progress</p>
+                )}
+                {order.paymentStatus === 'partially_refunded' && (
+                  <p className="text-sm text-green-700 mt-1">Partially refunded (${order.refundedAmount.toFixed(2)})</p>
+                )}
+                {order.paymentStatus === 'refunded' && (
+                  <p className="text-sm text-green-700 mt-1">Refunded</p>
+                )}
               </div>
-              
+
+              {/* Status Timeline */}
+              {order.statusHistory?.length > 0 && (
+                <div className="border-t pt-4 mt-4">
+                  <h4 className="font-medium mb-2">Order Timeline</h4>
+                  <ol className="border-l-2 border-gray-200 ml-1 space-y-3">
+                    {order.statusHistory.map((entry, index) => (
+                      <li key={index} className="pl-4">
+                        <p className="text-sm font-medium capitalize">{entry.status}</p>
+                        <p className="text-xs text-gray-500">{formatDate(entry.changedAt)}</p>
+                        {entry.note && (
+                          <p className="text-sm text-gray-600">{entry.note}</p>
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+
+              {/* Returns */}
+              {returns.some(r => r.orderId?._id === order._id) && (
+                <div className="border-t pt-4 mt-4">
+                  <h4 className="font-medium mb-2">Returns</h4>
+                  <div className="space-y-2">
+                    {returns.filter(r => r.orderId?._id === order._id).map(returnRequest => (
+                      <div key={returnRequest._id} className="text-sm">
+                        <div className="flex justify-between">
+                          <span className="font-medium">{returnRequest.rmaNumber}</span>
+                          <span className="capitalize">{returnRequest.status}</span>
+                        </div>
+                        <p className="text-gray-600">
+                          {returnRequest.items.map(item => `${item.productName} × ${item.quantity}`).join(', ')}
+                        </p>
+                        {returnRequest.status === 'received' && (
+                          <p className="text-green-700">Refunded ${returnRequest.refundAmount.toFixed(2)}</p>
+                        )}
+                        {returnRequest.adminNote && (
+                          <p className="text-gray-500">{returnRequest.adminNote}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Return Request Form */}
+              {returnForm?.orderId === order._id && (
+                <form onSubmit={handleSubmitReturn} className="border-t pt-4 mt-4 space-y-3">
+                  <h4 className="font-medium">Request a Return</h4>
+                  {order.items.map(item => {
+                    const productId = item.productId?._id || item.productId;
+                    const lineKey = item.variantId ? `${productId}:${item.variantId}` : productId;
+                    return (
+                      <div key={lineKey} className="flex items-center justify-between text-sm">
+                        <span>{item.productName}{item.variantLabel && ` (${item.variantLabel})`}</span>
+                        <select
+                          value={returnForm.quantities[lineKey] || 0}
+                          onChange={(e) => setReturnQuantity(lineKey, parseInt(e.target.value))}
+                          className="form-input w-24"
+                        >
+                          {[...Array(item.quantity + 1)].map((_, quantity) => (
+                            <option key={quantity} value={quantity}>{quantity}</option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  })}
+                  <div>
+                    <label className="form-label">Reason</label>
+                    <select
+                      value={returnForm.reason}
+                      onChange={(e) => setReturnForm({ ...returnForm, reason: e.target.value })}
+                      className="form-input capitalize"
+                    >
+                      {returnReasons.map(reason => (
+                        <option key={reason} value={reason}>{reason.replace(/_/g, ' ')}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Comments (optional)</label>
+                    <textarea
+                      value={returnForm.comments}
+                      onChange={(e) => setReturnForm({ ...returnForm, comments: e.target.value })}
+                      maxLength={1000}
+                      rows={2}
+                      className="form-input"
+                    />
+                  </div>
+                  <div className="flex space-x-3">
+                    <button type="submit" disabled={submittingReturn} className="btn-primary">
+                      {submittingReturn ? 'Submitting...' : 'Submit Return'}
+                    </button>
+                    <button type="button" onClick={() => setReturnForm(null)} className="btn-secondary">
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+
               {/* Actions */}
               <div className="border-t pt-4 mt-4 flex space-x-4">
                 <Link 
@@ -187,6 +397,15 @@ const Orders = () => {
                   </button>
                 )}
                 
+                {order.status === 'delivered' && returnForm?.orderId !== order._id && (
+                  <button
+                    onClick={() => openReturnForm(order)}
+                    className="btn-secondary"
+                  >
+                    Request Return
+                  </button>
+                )}
+
                 {order.status === 'delivered' && (
                   <button className="btn-secondary" disabled>
                     Reorder
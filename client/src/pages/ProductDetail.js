@@ -10,6 +10,8 @@ const ProductDetail = () => {
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
   const [quantity, setQuantity] = useState(1);
+  const [variantId, setVariantId] = useState(null);
+  const [imageIndex, setImageIndex] = useState(0);
   const [error, setError] = useState('');
 
   const { addToCart } = useCart();
@@ -24,6 +26,9 @@ const ProductDetail = () => {
       setLoading(true);
       const response = await axios.get(`/api/products/${id}`);
       setProduct(response.data.product);
+      setVariantId(null);
+      setImageIndex(0);
+      setQuantity(1);
     } catch (error) {
       setError('Product not found');
       console.error('Error fetching product:', error);
@@ -33,18 +38,16 @@ const ProductDetail = () => {
   };
 
   const handleAddToCart = async () => {
-    if (!user) {
-      alert('Please login to add items to cart');
-      navigate('/login');
-      return;
-    }
-    
-    try {
-      await addToCart(product._id, quantity);
-      alert(`${quantity} ${product.name}(s) added to cart!`);
-    } catch (error) {
-      alert('Failed to add product to cart');
-    }
+    const result = await addToCart(product._id, quantity, variantId);
+    alert(result.success ? `${quantity} ${product.name}(s) added to cart!` : result.error);
+  };
+
+  // Readable name of a variant's attributes, e.g. "M / Red"
+  const variantLabel = (variant) => Object.values(variant.attributes || {}).join(' / ') || variant.sku;
+
+  const selectVariant = (variant) => {
+    setVariantId(variant._id);
+    setQuantity(1);
   };
 
   if (loading) {
@@ -70,16 +73,48 @@ const ProductDetail = () => {
     );
   }
 
+  // Products sold by variant take price and stock from the chosen one
+  const variants = (product.variants || []).filter(variant => variant.isActive);
+  const selectedVariant = variants.find(variant => variant._id === variantId) || null;
+  const price = selectedVariant && selectedVariant.price !== null ? selectedVariant.price : product.price;
+  const availableStock = selectedVariant ? selectedVariant.availableStock : product.availableStock;
+
+  // Uploaded images make a gallery; otherwise the product's image URL is shown
+  const images = product.images || [];
+  const selectedImage = images[imageIndex] || null;
+
   return (
     <div className="max-w-6xl mx-auto">
       <div className="grid md:grid-cols-2 gap-8">
-        {/* Product Image */}
-        <div>
+        {/* Product Images */}
+        <div className="space-y-3">
           <img 
-            src={product.imageUrl || 'https://via.placeholder.com/500x500?text=No+Image'} 
-            alt={product.name}
-            className="w-full h-96 object-cover rounded-lg shadow-md"
+            src={selectedImage
+              ? selectedImage.renditions.large.url
+              : product.imageUrl || 'https://via.placeholder.com/500x500?text=No+Image'} 
+            alt={selectedImage?.alt || product.name}
+            className="w-full h-96 object-contain bg-white rounded-lg shadow-md"
           />
+          {images.length > 1 && (
+            <div className="flex flex-wrap gap-2">
+              {images.map((image, index) => (
+                <button
+                  key={image._id}
+                  type="button"
+                  onClick={() => setImageIndex(index)}
+                  className={`rounded-md overflow-hidden border-2 ${
+                    index === imageIndex ? 'border-primary-600' : 'border-transparent hover:border-gray-300'
+                  }`}
+                >
+                  <img
+                    src={image.renditions.thumbnail.url}
+                    alt={image.alt || `${product.name} image ${index + 1}`}
+                    className="w-16 h-16 object-cover"
+                  />
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Product Details */}
@@ -88,10 +123,10 @@ const ProductDetail = () => {
             <h1 className="text-3xl font-bold text-gray-800 mb-2">{product.name}</h1>
             <div className="flex items-center space-x-4 mb-4">
               <span className="text-3xl font-bold text-primary-600">
-                ${product.price}
+                ${price}
               </span>
               <span className="bg-gray-100 text-gray-600 px-3 py-1 rounded-full">
-                {product.category}
+                {product.category?.name}
               </span>
             </div>
           </div>
@@ -101,10 +136,35 @@ const ProductDetail = () => {
             <p className="text-gray-600">{product.description}</p>
           </div>
 
+          {/* Variant Picker */}
+          {variants.length > 0 && (
+            <div>
+              <h3 className="text-lg font-semibold mb-2">Options</h3>
+              <div className="flex flex-wrap gap-2">
+                {variants.map(variant => (
+                  <button
+                    key={variant._id}
+                    type="button"
+                    onClick={() => selectVariant(variant)}
+                    disabled={variant.availableStock <= 0}
+                    className={`px-4 py-2 rounded-lg border text-sm ${
+                      variant._id === variantId
+                        ? 'border-primary-600 bg-primary-50 text-primary-700'
+                        : 'border-gray-300 text-gray-700 hover:border-primary-400'
+                    } disabled:opacity-50 disabled:line-through disabled:cursor-not-allowed`}
+                  >
+                    {variantLabel(variant)}
+                    {variant.price !== null && variant.price !== product.price && ` - $${variant.price}`}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="grid grid-cols-2 gap-4">
             <div>
               <span className="text-sm text-gray-500">Stock Available</span>
-              <p className="font-semibold">{product.stock} units</p>
+              <p className="font-semibold">{availableStock} units</p>
             </div>
             {product.totalSold > 0 && (
               <div>
@@ -114,7 +174,7 @@ const ProductDetail = () => {
             )}
           </div>
 
-          {product.stock > 0 ? (
+          {availableStock > 0 ? (
             <div className="space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -125,7 +185,7 @@ const ProductDetail = () => {
                   onChange={(e) => setQuantity(parseInt(e.target.value))}
                   className="form-input w-24"
                 >
-                  {[...Array(Math.min(10, product.stock))].map((_, i) => (
+                  {[...Array(Math.min(10, availableStock))].map((_, i) => (
                     <option key={i + 1} value={i + 1}>
                       {i + 1}
                     </option>
@@ -136,9 +196,10 @@ const ProductDetail = () => {
               <div className="flex space-x-4">
                 <button
                   onClick={handleAddToCart}
-                  className="btn-primary flex-1"
+                  className="btn-primary flex-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={variants.length > 0 && !selectedVariant}
                 >
-                  Add to Cart
+                  {variants.length > 0 && !selectedVariant ? 'Choose an Option' : 'Add to Cart'}
                 </button>
                 <button
                   onClick={() => navigate('/products')}
@@ -164,7 +225,7 @@ const ProductDetail = () => {
 
           {!user && (
             <div className="bg-yellow-50 border border-yellow-200 text-yellow-700 px-4 py-3 rounded">
-              <p>Please <button onClick={() => navigate('/login')} className="text-primary-600 underline">login</button> to add items to cart</p>
+              <p>Your cart is saved on this device. <button onClick={() => navigate('/login')} className="text-primary-600 underline">Login</button> to check out - we'll keep your items.</p>
             </div>
           )}
         </div>
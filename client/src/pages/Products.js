@@ -2,7 +2,6 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import axios from '../config/axios';
 import { useCart } from '../context/CartContext';
-import { useAuth } from '../context/AuthContext';
 
 const Products = () => {
   const [products, setProducts] = useState([]);
@@ -22,9 +21,14 @@ const Products = () => {
   });
 
   const { addToCart } = useCart();
-  const { user } = useAuth();
 
-  const categories = ['Electronics', 'Clothing', 'Books', 'Home', 'Sports', 'Other'];
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    axios.get('/api/categories')
+      .then(response => setCategories(response.data.categories))
+      .catch(error => console.error('Error fetching categories:', error));
+  }, []);
 
   // Debounced search function
   const debouncedSearch = useCallback(
@@ -89,17 +93,8 @@ const Products = () => {
   };
 
   const handleAddToCart = async (product) => {
-    if (!user) {
-      alert('Please login to add items to cart');
-      return;
-    }
-    
-    try {
-      await addToCart(product._id, 1);
-      alert('Product added to cart!');
-    } catch (error) {
-      alert('Failed to add product to cart');
-    }
+    const result = await addToCart(product._id, 1);
+    alert(result.success ? 'Product added to cart!' : result.error);
   };
 
   const handlePageChange = (page) => {
@@ -147,8 +142,11 @@ const Products = () => {
               className="form-input"
             >
               <option value="">All Categories</option>
+              {/* Subcategories are indented under their parent */}
               {categories.map(category => (
-                <option key={category} value={category}>{category}</option>
+                <option key={category._id} value={category.slug}>
+                  {'\u00A0\u00A0'.repeat(category.depth)}{category.name}
+                </option>
               ))}
             </select>
           </div>
@@ -225,13 +223,13 @@ const Products = () => {
                     ${product.price}
                   </span>
                   <span className="bg-gray-100 text-gray-600 px-2 py-1 rounded text-sm">
-                    {product.category}
+                    {product.category?.name}
                   </span>
                 </div>
 
                 <div className="flex justify-between items-center mb-4">
                   <span className="text-sm text-gray-500">
-                    Stock: {product.stock}
+                    Stock: {product.availableStock}
                   </span>
                   {product.totalSold > 0 && (
                     <span className="text-sm text-green-600">
@@ -248,7 +246,17 @@ const Products = () => {
                     View Details
                   </Link>
                   
-                  {user && product.stock > 0 && (
+                  {/* Products sold by variant are added from their page, once an option is chosen */}
+                  {product.availableStock > 0 && product.variants?.length > 0 && (
+                    <Link
+                      to={`/products/${product._id}`}
+                      className="btn-primary w-full text-center block"
+                    >
+                      Choose Options
+                    </Link>
+                  )}
+
+                  {product.availableStock > 0 && !product.variants?.length && (
                     <button
                       onClick={() => handleAddToCart(product)}
                       className="btn-primary w-full"
@@ -257,7 +265,7 @@ const Products = () => {
                     </button>
                   )}
 
-                  {product.stock === 0 && (
+                  {product.availableStock === 0 && (
                     <button disabled className="w-full bg-gray-300 text-gray-500 py-2 px-4 rounded-lg cursor-not-allowed">
                       Out of Stock
                     </button>
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from '../config/axios';
+import { useAuth } from '../context/AuthContext';
+
+const Profile = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const { user, enableTwoFactor, disableTwoFactor } = useAuth();
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('/api/auth/2fa/status');
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      setError('Failed to load two-factor settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+  };
+
+  const handleStartSetup = async () => {
+    setError('');
+    setSubmitting(true);
+
+    try {
+      const response = await axios.post('/api/auth/2fa/setup');
+      setSetup(response.data);
+      setCode('');
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to start two-factor setup'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+
+    const result = await enableTwoFactor(code.trim());
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      await fetchStatus();
+    } else {
+      setError(result.error);
+    }
+    setSubmitting(false);
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!window.confirm('Turn off two-factor authentication? Your recovery codes will stop working.')) {
+      return;
+    }
+
+    setSubmitting(true);
+
+    const result = await disableTwoFactor(password, code.trim());
+    if (result.success) {
+      setRecoveryCodes(null);
+      setPassword('');
+      setCode('');
+      await fetchStatus();
+    } else {
+      setError(result.error);
+    }
+    setSubmitting(false);
+  };
+
+  const handleRegenerateCodes = async () => {
+    setError('');
+
+    const currentCode = window.prompt('Enter the 6-digit code from your authenticator app to generate new recovery codes');
+    if (!currentCode) {
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      const response = await axios.post('/api/auth/2fa/recovery-codes', { code: currentCode.trim() });
+      setRecoveryCodes(response.data.recoveryCodes);
+      await fetchStatus();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to regenerate recovery codes'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold mb-4">My Profile</h2>
+        <dl className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          <div>
+            <dt className="text-gray-500">Name</dt>
+            <dd className="font-medium">{user.name}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Email</dt>
+            <dd className="font-medium">
+              {user.email}
+              {!user.emailVerified && (
+                <span className="ml-2 text-xs text-yellow-700">(not verified)</span>
+              )}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Role</dt>
+            <dd className="font-medium capitalize">{user.role}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Password</dt>
+            <dd>
+              <Link to="/change-password" className="text-primary-600 hover:text-primary-700">
+                Change password
+              </Link>
+            </dd>
+          </div>
+        </dl>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold">Two-Factor Authentication</h3>
+          {status && (
+            <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
+              status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+            }`}>
+              {status.enabled ? 'Enabled' : 'Disabled'}
+            </span>
+          )}
+        </div>
+
+        <p className="text-gray-600 mb-4">
+          Protect your account with a time-based code from an authenticator app such as
+          Google Authenticator, Authy or 1Password in addition to your password.
+        </p>
+
+        {status?.required && !status.enabled && (
+          <div className="alert alert-warning mb-4">
+            Two-factor authentication is required for admin accounts. Set it up to access the admin pages.
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {recoveryCodes && (
+          <div className="border border-yellow-300 bg-yellow-50 rounded-lg p-4 mb-4">
+            <h3 className="font-semibold mb-2">Your recovery codes</h3>
+            <p className="text-sm text-gray-700 mb-3">
+              Save these codes somewhere safe. Each one can be used once to sign in if you lose
+              access to your authenticator app. They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm mb-3">
+              {recoveryCodes.map((recoveryCode) => (
+                <span key={recoveryCode} className="bg-white border border-gray-200 rounded px-2 py-1">
+                  {recoveryCode}
+                </span>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setRecoveryCodes(null)}
+              className="btn-secondary"
+            >
+              I have saved these codes
+            </button>
+          </div>
+        )}
+
+        {status && !status.enabled && !setup && (
+          <button
+            type="button"
+            onClick={handleStartSetup}
+            disabled={submitting}
+            className="btn-primary disabled:opacity-50"
+          >
+            Set Up Two-Factor Authentication
+          </button>
+        )}
+
+        {setup && (
+          <form onSubmit={handleEnable}>
+            <ol className="list-decimal list-inside text-sm text-gray-700 space-y-2 mb-4">
+              <li>Open your authenticator app and add a new account.</li>
+              <li>
+                Enter this setup key manually:
+                <div className="font-mono bg-gray-100 rounded px-3 py-2 mt-1 break-all select-all">
+                  {setup.secret}
+                </div>
+              </li>
+              <li>
+                Or, if your app accepts links, use this setup URI:
+                <div className="font-mono text-xs bg-gray-100 rounded px-3 py-2 mt-1 break-all select-all">
+                  {setup.otpauthUri}
+                </div>
+              </li>
+              <li>Enter the 6-digit code the app shows to finish.</li>
+            </ol>
+
+            <div className="mb-4">
+              <label className="form-label">Verification Code</label>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                className="form-input"
+                required
+              />
+            </div>
+
+            <div className="flex space-x-3">
+              <button
+                type="submit"
+                disabled={submitting}
+                className="btn-primary disabled:opacity-50"
+              >
+                {submitting ? 'Verifying...' : 'Enable'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setSetup(null)}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {status?.enabled && (
+          <div className="space-y-6">
+            <div className="flex items-center justify-between border-t pt-4">
+              <div>
+                <h3 className="font-semibold">Recovery codes</h3>
+                <p className="text-sm text-gray-600">
+                  {status.recoveryCodesRemaining} of 10 remaining
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={handleRegenerateCodes}
+                disabled={submitting}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Generate New Codes
+              </button>
+            </div>
+
+            {!status.required && (
+              <form onSubmit={handleDisable} className="border-t pt-4">
+                <h3 className="font-semibold mb-3">Turn off two-factor authentication</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="form-label">Password</label>
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Verification Code</label>
+                    <input
+                      type="text"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      className="form-input"
+                      required
+                    />
+                  </div>
+                </div>
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  Disable Two-Factor Authentication
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
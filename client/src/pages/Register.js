@@ -40,8 +40,14 @@ const Register = () => {
     setLoading(true);
 
     try {
-      await register(formData.name, formData.email, formData.password);
-      navigate('/');
+      const result = await register(formData.name, formData.email, formData.password);
+
+      if (result.success) {
+        alert(`Welcome! We sent a verification link to ${formData.email}. Please verify your email before placing orders.`);
+        navigate('/');
+      } else {
+        setError(result.error || 'Registration failed');
+      }
     } catch (err) {
       setError(err.response?.data?.message || 'Registration failed');
     } finally {
@@ -0,0 +1,59 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const { verifyEmail } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+
+  // The token is single-use, so make sure it is only submitted once
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) {
+      return;
+    }
+    submitted.current = true;
+
+    verifyEmail(token).then((result) => {
+      setStatus(result.success ? 'success' : 'error');
+      setMessage(result.success ? result.message : result.error);
+    });
+  }, [token, verifyEmail]);
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6 text-center">
+      <h2 className="text-2xl font-bold mb-4">Email Verification</h2>
+
+      {status === 'verifying' && (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      )}
+
+      {status === 'success' && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded mb-4">
+          {message}
+        </div>
+      )}
+
+      {status === 'error' && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
+          {message} Log in to request a new verification email.
+        </div>
+      )}
+
+      {status !== 'verifying' && (
+        <Link to="/products" className="text-primary-600 hover:text-primary-700">
+          Continue Shopping
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmail;
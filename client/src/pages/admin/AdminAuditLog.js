@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../../config/axios';
+
+const AdminAuditLog = () => {
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    entityType: '',
+    action: '',
+    entityId: '',
+    startDate: '',
+    endDate: '',
+    page: 1
+  });
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalLogs: 0
+  });
+  const [expandedLog, setExpandedLog] = useState(null);
+
+  const entityTypes = ['product', 'order', 'return', 'user', 'role', 'invite', 'tax_rate', 'shipping_method', 'promotion', 'category'];
+
+  useEffect(() => {
+    fetchLogs();
+  }, [filters]);
+
+  const fetchLogs = async () => {
+    try {
+      setLoading(true);
+      const queryParams = new URLSearchParams({
+        page: filters.page,
+        limit: 50,
+        ...(filters.entityType && { entityType: filters.entityType }),
+        ...(filters.action && { action: filters.action.trim() }),
+        ...(filters.entityId && { entityId: filters.entityId.trim() }),
+        ...(filters.startDate && { startDate: filters.startDate }),
+        ...(filters.endDate && { endDate: `${filters.endDate}T23:59:59.999` })
+      });
+
+      const response = await axios.get(`/api/admin/audit-logs?${queryParams}`);
+      setLogs(response.data.logs);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      alert('Failed to fetch audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({ ...filters, [name]: value, page: 1 });
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  };
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+
+  const changedFields = (log) => {
+    const before = log.changes?.before || {};
+    const after = log.changes?.after || {};
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  };
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-gray-800">Audit Log</h1>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="card-body">
+          <div className="grid md:grid-cols-2 lg:grid-cols-6 gap-4">
+            <div>
+              <label className="form-label">Entity</label>
+              <select
+                name="entityType"
+                value={filters.entityType}
+                onChange={handleFilterChange}
+                className="form-input capitalize"
+              >
+                <option value="">All Entities</option>
+                {entityTypes.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Action</label>
+              <input
+                type="text"
+                name="action"
+                value={filters.action}
+                onChange={handleFilterChange}
+                placeholder="e.g. order.status_change"
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Entity ID</label>
+              <input
+                type="text"
+                name="entityId"
+                value={filters.entityId}
+                onChange={handleFilterChange}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Start Date</label>
+              <input
+                type="date"
+                name="startDate"
+                value={filters.startDate}
+                onChange={handleFilterChange}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">End Date</label>
+              <input
+                type="date"
+                name="endDate"
+                value={filters.endDate}
+                onChange={handleFilterChange}
+                className="form-input"
+              />
+            </div>
+            <div className="flex items-end">
+              <button
+                onClick={() => setFilters({ entityType: '', action: '', entityId: '', startDate: '', endDate: '', page: 1 })}
+                className="btn-secondary w-full"
+              >
+                Clear Filters
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Log Table */}
+      <div className="card">
+        <div className="card-body">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-2">Time</th>
+                    <th className="text-left py-3 px-2">Actor</th>
+                    <th className="text-left py-3 px-2">Action</th>
+                    <th className="text-left py-3 px-2">Entity</th>
+                    <th className="text-left py-3 px-2">Changes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {logs.map((log) => (
+                    <React.Fragment key={log._id}>
+                      <tr className="border-b hover:bg-gray-50">
+                        <td className="py-3 px-2 text-sm whitespace-nowrap">{formatDate(log.createdAt)}</td>
+                        <td className="py-3 px-2">
+                          <div className="text-sm font-medium">{log.actorId?.name || log.actorEmail || 'System'}</div>
+                          <div className="text-xs text-gray-500">
+                            {log.actorRole}{log.ip && ` · ${log.ip}`}
+                          </div>
+                        </td>
+                        <td className="py-3 px-2 font-mono text-sm">{log.action}</td>
+                        <td className="py-3 px-2">
+                          <div className="text-sm capitalize">{log.entityType}</div>
+                          <button
+                            onClick={() => setFilters({ ...filters, entityId: log.entityId, page: 1 })}
+                            className="text-xs text-blue-600 hover:text-blue-800"
+                            title="Show the history of this entity"
+                          >
+                            {log.entityLabel || log.entityId}
+                          </button>
+                        </td>
+                        <td className="py-3 px-2 text-sm">
+                          <button
+                            onClick={() => setExpandedLog(expandedLog === log._id ? null : log._id)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            {changedFields(log).length} field{changedFields(log).length !== 1 ? 's' : ''}
+                            {expandedLog === log._id ? ' ▲' : ' ▼'}
+                          </button>
+                        </td>
+                      </tr>
+                      {expandedLog === log._id && (
+                        <tr className="border-b bg-gray-50">
+                          <td colSpan="5" className="py-3 px-4">
+                            <table className="min-w-full text-sm">
+                              <thead>
+                                <tr className="text-gray-500">
+                                  <th className="text-left py-1 pr-4">Field</th>
+                                  <th className="text-left py-1 pr-4">Before</th>
+                                  <th className="text-left py-1">After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {changedFields(log).map(field => (
+                                  <tr key={field}>
+                                    <td className="py-1 pr-4 font-medium">{field}</td>
+                                    <td className="py-1 pr-4 text-red-700 break-all">{formatValue(log.changes.before?.[field])}</td>
+                                    <td className="py-1 text-green-700 break-all">{formatValue(log.changes.after?.[field])}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                            {log.details && (
+                              <p className="text-xs text-gray-500 mt-2">Details: {JSON.stringify(log.details)}</p>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+
+              {logs.length === 0 && (
+                <div className="text-center py-8">
+                  <p className="text-gray-500">No audit entries found</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex justify-center space-x-2 mt-6">
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.currentPage - 1 })}
+                disabled={pagination.currentPage === 1}
+                className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-300"
+              >
+                Previous
+              </button>
+              <span className="px-3 py-2 text-gray-600">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.currentPage + 1 })}
+                disabled={pagination.currentPage === pagination.totalPages}
+                className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-300"
+              >
+                Next
+              </button>
+            </div>
+          )}
+
+          <div className="text-center text-sm text-gray-500 mt-4">
+            {pagination.totalLogs} entr{pagination.totalLogs !== 1 ? 'ies' : 'y'} found
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminAuditLog;
@@ -0,0 +1,289 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../../config/axios';
+
+const emptyForm = { name: '', slug: '', description: '', parent: '', sortOrder: 0, isActive: true };
+
+const AdminCategories = () => {
+  const [categories, setCategories] = useState([]);
+  const [maxDepth, setMaxDepth] = useState(4);
+  const [loading, setLoading] = useState(true);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/categories');
+      setCategories(response.data.categories);
+      setMaxDepth(response.data.maxDepth);
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      alert('Failed to fetch categories');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = (parent = null) => {
+    setEditingCategory(null);
+    setFormData({ ...emptyForm, parent: parent ? parent._id : '' });
+    setShowForm(true);
+  };
+
+  const openEditForm = (category) => {
+    setEditingCategory(category);
+    setFormData({
+      name: category.name,
+      slug: category.slug,
+      description: category.description || '',
+      parent: category.parent || '',
+      sortOrder: category.sortOrder,
+      isActive: category.isActive
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingCategory(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const payload = {
+      ...formData,
+      parent: formData.parent || null,
+      sortOrder: parseInt(formData.sortOrder) || 0
+    };
+
+    try {
+      if (editingCategory) {
+        await axios.put(`/api/admin/categories/${editingCategory._id}`, payload);
+      } else {
+        await axios.post('/api/admin/categories', payload);
+      }
+      closeForm();
+      fetchCategories();
+    } catch (error) {
+      console.error('Error saving category:', error);
+      alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteCategory = async (category) => {
+    if (!window.confirm(`Delete the ${category.path} category?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/categories/${category._id}`);
+      fetchCategories();
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      alert(error.response?.data?.message || 'Failed to delete category');
+    }
+  };
+
+  // A category cannot be moved under itself or anything beneath it
+  const parentOptions = categories.filter(category =>
+    !editingCategory ||
+    (category._id !== editingCategory._id && !category.ancestors.includes(editingCategory._id))
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-gray-800">Categories</h1>
+        <button onClick={() => openCreateForm()} className="btn-primary">
+          Add New Category
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Categories can be nested up to {maxDepth} levels deep. Browsing a category also shows the products of its
+        subcategories. A category can only be deleted once no subcategory, product, tax rate or promotion uses it.
+      </p>
+
+      {/* Category Form */}
+      {showForm && (
+        <div className="card">
+          <div className="card-body">
+            <h2 className="text-xl font-semibold mb-4">
+              {editingCategory ? `Edit Category: ${editingCategory.path}` : 'Add New Category'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Name</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    placeholder="e.g. Shoes"
+                    className="form-input"
+                    maxLength={50}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Slug</label>
+                  <input
+                    type="text"
+                    value={formData.slug}
+                    onChange={(e) => setFormData({ ...formData, slug: e.target.value })}
+                    placeholder="Made from the name"
+                    className="form-input"
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Parent</label>
+                  <select
+                    value={formData.parent}
+                    onChange={(e) => setFormData({ ...formData, parent: e.target.value })}
+                    className="form-input"
+                  >
+                    <option value="">None (top level)</option>
+                    {parentOptions.map(category => (
+                      <option key={category._id} value={category._id}>{category.path}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="form-label">Description</label>
+                <textarea
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  rows="2"
+                  maxLength={500}
+                  className="form-input"
+                />
+              </div>
+
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Display Order</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="9999"
+                    value={formData.sortOrder}
+                    onChange={(e) => setFormData({ ...formData, sortOrder: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+                <div className="flex items-end">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                    />
+                    <span>Shown in the storefront</span>
+                  </label>
+                </div>
+              </div>
+
+              <div className="flex space-x-3">
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : editingCategory ? 'Update Category' : 'Create Category'}
+                </button>
+                <button type="button" onClick={closeForm} className="btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Category Tree */}
+      <div className="card">
+        <div className="card-body">
+          {categories.length === 0 ? (
+            <p className="text-gray-500">No categories yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-2">Name</th>
+                    <th className="text-left py-3 px-2">Slug</th>
+                    <th className="text-left py-3 px-2">Order</th>
+                    <th className="text-left py-3 px-2">Products</th>
+                    <th className="text-left py-3 px-2">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {categories.map((category) => (
+                    <tr key={category._id} className={`border-b hover:bg-gray-50 ${category.isActive ? '' : 'text-gray-400'}`}>
+                      <td className="py-3 px-2 font-medium" style={{ paddingLeft: `${0.5 + category.depth * 1.5}rem` }}>
+                        {category.depth > 0 && <span className="text-gray-400 mr-1">└</span>}
+                        {category.name}
+                        {!category.isActive && (
+                          <span className="ml-2 text-xs px-2 py-1 rounded bg-gray-100 text-gray-600">Hidden</span>
+                        )}
+                        {category.description && (
+                          <div className="text-xs text-gray-500 font-normal">{category.description}</div>
+                        )}
+                      </td>
+                      <td className="py-3 px-2 font-mono text-sm">{category.slug}</td>
+                      <td className="py-3 px-2">{category.sortOrder}</td>
+                      <td className="py-3 px-2">{category.productCount}</td>
+                      <td className="py-3 px-2">
+                        <div className="flex space-x-3 text-sm">
+                          {category.depth + 1 < maxDepth && (
+                            <button
+                              onClick={() => openCreateForm(category)}
+                              className="text-green-600 hover:text-green-800"
+                            >
+                              Add Subcategory
+                            </button>
+                          )}
+                          <button
+                            onClick={() => openEditForm(category)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => deleteCategory(category)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminCategories;
@@ -108,6 +108,10 @@ const AdminDashboard = () => {
                 <span>Avg Order Value</span>
                 <span className="font-semibold">${overview.averageOrderValue}</span>
               </div>
+              <div className="flex justify-between">
+                <span>Tax Collected</span>
+                <span className="font-semibold">${overview.currentMonthTax}</span>
+              </div>
             </div>
           </div>
         </div>
@@ -154,7 +158,7 @@ const AdminDashboard = () => {
                 {charts.bestSellingProducts.map((product) => (
                   <tr key={product._id} className="border-b">
                     <td className="py-2">{product.name}</td>
-                    <td className="py-2">{product.category}</td>
+                    <td className="py-2">{product.category?.name}</td>
                     <td className="py-2">${product.price}</td>
                     <td className="py-2">{product.totalSold}</td>
                     <td className="py-2">
@@ -174,6 +178,43 @@ const AdminDashboard = () => {
         </div>
       </div>
 
+      {/* Tax Collected by Region */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-semibold">Tax Collected This Year</h3>
+        </div>
+        <div className="card-body">
+          {tables.taxByRegion.length === 0 ? (
+            <p className="text-gray-500">No paid orders this year.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2">Country</th>
+                    <th className="text-left py-2">State</th>
+                    <th className="text-left py-2">Orders</th>
+                    <th className="text-left py-2">Sales</th>
+                    <th className="text-left py-2">Tax</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tables.taxByRegion.map((region) => (
+                    <tr key={`${region.country}-${region.state}`} className="border-b">
+                      <td className="py-2">{region.country}</td>
+                      <td className="py-2">{region.state}</td>
+                      <td className="py-2">{region.orderCount}</td>
+                      <td className="py-2">${region.sales}</td>
+                      <td className="py-2 font-semibold">${region.taxCollected}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Recent Orders and Low Stock */}
       <div className="grid lg:grid-cols-2 gap-6">
         {/* Recent Orders */}
@@ -217,7 +258,7 @@ const AdminDashboard = () => {
                 <div key={product._id} className="flex justify-between items-center border-b pb-2">
                   <div>
                     <div className="font-medium">{product.name}</div>
-                    <div className="text-sm text-gray-500">{product.category}</div>
+                    <div className="text-sm text-gray-500">{product.category?.name}</div>
                   </div>
                   <div className="text-right">
                     <div className="font-semibold">${product.price}</div>
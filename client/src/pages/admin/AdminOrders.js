@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import axios from '../../config/axios';
+import { useAuth } from '../../context/AuthContext';
 
 const AdminOrders = () => {
   const [orders, setOrders] = useState([]);
@@ -16,6 +17,11 @@ const AdminOrders = () => {
     totalPages: 1,
     totalOrders: 0
   });
+  const [statusTransitions, setStatusTransitions] = useState({});
+  const [expandedOrder, setExpandedOrder] = useState(null);
+
+  const { hasPermission } = useAuth();
+  const canUpdateStatus = hasPermission('orders:update-status');
 
   const statusOptions = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
 
@@ -38,6 +44,7 @@ const AdminOrders = () => {
       const response = await axios.get(`/api/orders?${queryParams}`);
       setOrders(response.data.orders);
       setPagination(response.data.pagination);
+      setStatusTransitions(response.data.statusTransitions || {});
     } catch (error) {
       console.error('Error fetching orders:', error);
       alert('Failed to fetch orders');
@@ -51,10 +58,19 @@ const AdminOrders = () => {
     setFilters({ ...filters, [name]: value, page: 1 });
   };
 
+  // Only the current status and the statuses it may move to are selectable
+  const getStatusChoices = (status) => [status, ...(statusTransitions[status] || [])];
+
   const updateOrderStatus = async (orderId, newStatus) => {
+    const note = window.prompt(`Optional note for the change to "${newStatus}":`, '');
+    if (note === null) {
+      return;
+    }
+
     try {
       await axios.patch(`/api/orders/${orderId}/status`, {
-        status: newStatus
+        status: newStatus,
+        ...(note.trim() && { note: note.trim() })
       });
       alert('Order status updated successfully!');
       fetchOrders();
@@ -178,75 +194,113 @@ const AdminOrders = () => {
               </thead>
               <tbody>
                 {orders.map((order) => (
-                  <tr key={order._id} className="border-b hover:bg-gray-50">
-                    <td className="py-3 px-2">
-                      <div className="font-medium">#{order.orderNumber}</div>
-                      <div className="text-xs text-gray-500">
-                        {order.transactionId}
-                      </div>
-                    </td>
-                    <td className="py-3 px-2">
-                      <div className="font-medium">{order.userId?.name || 'N/A'}</div>
-                      <div className="text-sm text-gray-500">{order.userId?.email || 'N/A'}</div>
-                    </td>
-                    <td className="py-3 px-2">
-                      <div className="text-sm">{formatDate(order.createdAt)}</div>
-                    </td>
-                    <td className="py-3 px-2">
-                      <div className="font-medium">${order.totalAmount}</div>
-                      <div className="text-xs text-gray-500 capitalize">
-                        {order.paymentMethod.replace('_', ' ')}
-                      </div>
-                    </td>
-                    <td className="py-3 px-2">
-                      <select
-                        value={order.status}
-                        onChange={(e) => updateOrderStatus(order._id, e.target.value)}
-                        className={`text-sm px-2 py-1 rounded border-0 ${getStatusColor(order.status)}`}
-                      >
-                        {statusOptions.map(status => (
-                          <option key={status} value={status}>
-                            {status.charAt(0).toUpperCase() + status.slice(1)}
-                          </option>
-                        ))}
-                      </select>
-                    </td>
-                    <td className="py-3 px-2">
-                      <div className="text-sm">
-                        {order.items.length} item{order.items.length !== 1 ? 's' : ''}
-                      </div>
-                      <div className="text-xs text-gray-500">
-                        {order.items.reduce((sum, item) => sum + item.quantity, 0)} units
-                      </div>
-                    </td>
-                    <td className="py-3 px-2">
-                      <button
-                        onClick={() => {
-                          // Show order details
-                          const details = `
-Order #${order.orderNumber}
-Customer: ${order.userId?.name} (${order.userId?.email})
-Date: ${formatDate(order.createdAt)}
-Total: $${order.totalAmount}
-Status: ${order.status}
-Payment: ${order.paymentMethod.replace('_', ' ')}
+                  <React.Fragment key={order._id}>
+                    <tr className="border-b hover:bg-gray-50">
+                      <td className="py-3 px-2">
+                        <div className="font-medium">#{order.orderNumber}</div>
+                        <div className="text-xs text-gray-500">
+                          {order.transactionId}
+                        </div>
+                      </td>
+                      <td className="py-3 px-2">
+                        <div className="font-medium">{order.userId?.name || 'N/A'}</div>
+                        <div className="text-sm text-gray-500">{order.userId?.email || 'N/A'}</div>
+                      </td>
+                      <td className="py-3 px-2">
+                        <div className="text-sm">{formatDate(order.createdAt)}</div>
+                      </td>
+                      <td className="py-3 px-2">
+                        <div className="font-medium">${order.totalAmount}</div>
+                        <div className="text-xs text-gray-500 capitalize">
+                          {order.paymentMethod.replace('_', ' ')} · {order.paymentStatus.replace('_', ' ')}
+                        </div>
+                      </td>
+                      <td className="py-3 px-2">
+                        <select
+                          value={order.status}
+                          onChange={(e) => updateOrderStatus(order._id, e.target.value)}
+                          disabled={!canUpdateStatus || getStatusChoices(order.status).length === 1}
+                          className={`text-sm px-2 py-1 rounded border-0 ${getStatusColor(order.status)}`}
+                        >
+                          {getStatusChoices(order.status).map(status => (
+                            <option key={status} value={status}>
+                              {status.charAt(0).toUpperCase() + status.slice(1)}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-3 px-2">
+                        <div className="text-sm">
+                          {order.items.length} item{order.items.length !== 1 ? 's' : ''}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {order.items.reduce((sum, item) => sum + item.quantity, 0)} units
+                        </div>
+                      </td>
+                      <td className="py-3 px-2">
+                        <button
+                          onClick={() => {
+                            // Show order details
+                            const details = `
+  Order #${order.orderNumber}
+  Customer: ${order.userId?.name} (${order.userId?.email})
+  Date: ${formatDate(order.createdAt)}
+  Total: $${order.totalAmount}${order.taxAmount ? ` (incl. $${order.taxAmount.toFixed(2)} tax)` : ''}
+  Discount: ${order.discountAmount > 0 ? `-$${order.discountAmount.toFixed(2)} (coupon ${order.promotion.code})` : 'none'}
+  Shipping: ${order.shipping ? `${order.shipping.name} ($${order.shipping.cost.toFixed(2)}, ${order.shipping.weight} kg)` : 'not recorded'}
+  Status: ${order.status}
+  Payment: ${order.paymentMethod.replace('_', ' ')} (${order.paymentStatus.replace('_', ' ')})
 
-Items:
-${order.items.map(item => `- ${item.productName} x${item.quantity} = $${item.total}`).join('\n')}
+  Items:
+  ${order.items.map(item => `- ${item.productName}${item.variantLabel ? ` (${item.variantLabel})` : ''} x${item.quantity} = $${item.total}`).join('\n')}
 
-Shipping Address:
-${order.shippingAddress.street}
-${order.shippingAddress.city}, ${order.shippingAddress.state} ${order.shippingAddress.zipCode}
-${order.shippingAddress.country}
-                          `.trim();
-                          alert(details);
-                        }}
-                        className="text-blue-600 hover:text-blue-800 text-sm"
-                      >
-                        View Details
-                      </button>
-                    </td>
-                  </tr>
+  Shipping Address:
+  ${order.shippingAddress.street}
+  ${order.shippingAddress.city}, ${order.shippingAddress.state} ${order.shippingAddress.zipCode}
+  ${order.shippingAddress.country}
+                            `.trim();
+                            alert(details);
+                          }}
+                          className="text-blue-600 hover:text-blue-800 text-sm"
+                        >
+                          View Details
+                        </button>
+                        <button
+                          onClick={() => setExpandedOrder(expandedOrder === order._id ? null : order._id)}
+                          className="block text-blue-600 hover:text-blue-800 text-sm mt-1"
+                        >
+                          History{expandedOrder === order._id ? ' ▲' : ' ▼'}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedOrder === order._id && (
+                      <tr className="border-b bg-gray-50">
+                        <td colSpan="7" className="py-3 px-4">
+                          <ol className="space-y-2">
+                            {(order.statusHistory || []).map((entry, index) => (
+                              <li key={index} className="text-sm">
+                                <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${getStatusColor(entry.status)}`}>
+                                  {entry.status}
+                                </span>
+                                {entry.from && (
+                                  <span className="text-gray-500 ml-2">from {entry.from}</span>
+                                )}
+                                <span className="text-gray-500 ml-2">
+                                  {formatDate(entry.changedAt)} · {entry.changedBy?.name || 'System'}
+                                </span>
+                                {entry.note && (
+                                  <div className="text-gray-700 ml-1 mt-1">{entry.note}</div>
+                                )}
+                              </li>
+                            ))}
+                            {(!order.statusHistory || order.statusHistory.length === 0) && (
+                              <li className="text-sm text-gray-500">No status history recorded</li>
+                            )}
+                          </ol>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
                 ))}
               </tbody>
             </table>
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import axios from '../../config/axios';
+import ProductImageManager from '../../components/ProductImageManager';
+import ProductImportPanel from '../../components/ProductImportPanel';
 
 const AdminProducts = () => {
   const [products, setProducts] = useState([]);
@@ -21,22 +23,38 @@ const AdminProducts = () => {
     name: '',
     description: '',
     price: '',
-    category: 'Electronics',
+    category: '',
     stock: '',
-    imageUrl: ''
+    weight: '',
+    imageUrl: '',
+    variants: []
   });
 
-  const categories = ['Electronics', 'Clothing', 'Books', 'Home', 'Sports', 'Other'];
+  const [categories, setCategories] = useState([]);
+  const [showImport, setShowImport] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
   const defaultImage = 'https://placehold.co/300x300/EEE/31343C?text=No+Image';
 
+  // One row of the variant editor - an empty price sells it at the product's price
+  const emptyVariant = { sku: '', size: '', color: '', price: '', stock: '', isActive: true };
+
   useEffect(() => {
     fetchProducts();
   }, [filters]);
 
-  const fetchProducts = async () => {
+  useEffect(() => {
+    axios.get('/api/categories')
+      .then(response => setCategories(response.data.categories))
+      .catch(error => console.error('Error fetching categories:', error));
+  }, []);
+
+  // A silent refresh keeps the page, and an open import report, on screen
+  const fetchProducts = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) {
+        setLoading(true);
+      }
       const queryParams = new URLSearchParams({
         page: filters.page,
         limit: 10,
@@ -60,6 +78,30 @@ const AdminProducts = () => {
     setFormData({ ...formData, [name]: value });
   };
 
+  // Download the products matching the filters as CSV - active and inactive alike
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const queryParams = new URLSearchParams({
+        ...(filters.search && { search: filters.search }),
+        ...(filters.category && { category: filters.category })
+      });
+
+      const response = await axios.get(`/api/products/export?${queryParams}`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `products-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting products:', error);
+      alert('Failed to export products');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
     setFilters({ ...filters, [name]: value, page: 1 });
@@ -70,9 +112,11 @@ const AdminProducts = () => {
       name: '',
       description: '',
       price: '',
-      category: 'Electronics',
+      category: '',
       stock: '',
-      imageUrl: defaultImage
+      weight: '',
+      imageUrl: defaultImage,
+      variants: []
     });
     setEditingProduct(null);
   };
@@ -84,9 +128,19 @@ const AdminProducts = () => {
         name: product.name,
         description: product.description,
         price: product.price.toString(),
-        category: product.category,
+        category: product.category?._id || '',
         stock: product.stock.toString(),
-        imageUrl: product.imageUrl || ''
+        weight: product.weight ? product.weight.toString() : '',
+        imageUrl: product.imageUrl || '',
+        variants: (product.variants || []).map(variant => ({
+          _id: variant._id,
+          sku: variant.sku,
+          size: variant.attributes?.size || '',
+          color: variant.attributes?.color || '',
+          price: variant.price === null || variant.price === undefined ? '' : variant.price.toString(),
+          stock: variant.stock.toString(),
+          isActive: variant.isActive
+        }))
       });
     } else {
       resetForm();
@@ -99,6 +153,21 @@ const AdminProducts = () => {
     resetForm();
   };
 
+  const addVariant = () => {
+    setFormData({ ...formData, variants: [...formData.variants, { ...emptyVariant }] });
+  };
+
+  const updateVariant = (index, changes) => {
+    setFormData({
+      ...formData,
+      variants: formData.variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant))
+    });
+  };
+
+  const removeVariant = (index) => {
+    setFormData({ ...formData, variants: formData.variants.filter((_, i) => i !== index) });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -109,12 +178,30 @@ const AdminProducts = () => {
         return;
       }
 
-      // Validate required fields
-      if (!formData.name || !formData.description || !formData.price || !formData.stock) {
+      // Validate required fields - products with variants take their stock from them
+      const hasVariants = formData.variants.length > 0;
+      if (!formData.name || !formData.description || !formData.price || (!hasVariants && !formData.stock)) {
         alert('Please fill in all required fields');
         return;
       }
 
+      if (formData.variants.some(variant => !variant.sku.trim() || variant.stock === '')) {
+        alert('Every variant needs a SKU and a stock quantity');
+        return;
+      }
+
+      const variants = formData.variants.map(variant => ({
+        ...(variant._id && { _id: variant._id }),
+        sku: variant.sku.trim(),
+        attributes: {
+          ...(variant.size.trim() && { size: variant.size.trim() }),
+          ...(variant.color.trim() && { color: variant.color.trim() })
+        },
+        price: variant.price === '' ? null : parseFloat(variant.price),
+        stock: parseInt(variant.stock),
+        isActive: variant.isActive
+      }));
+
       // Validate description length
       if (formData.description.length < 10) {
         alert('Description must be at least 10 characters long');
@@ -124,7 +211,11 @@ const AdminProducts = () => {
       const productData = {
         ...formData,
         price: parseFloat(formData.price),
-        stock: parseInt(formData.stock),
+        stock: hasVariants
+          ? variants.reduce((sum, variant) => sum + variant.stock, 0)
+          : parseInt(formData.stock),
+        variants,
+        weight: formData.weight === '' ? 0 : parseFloat(formData.weight),
         name: formData.name.trim(),
         description: formData.description.trim()
       };
@@ -181,6 +272,13 @@ const AdminProducts = () => {
     }
   };
 
+  // Image changes are saved straight away - keep the open form in step
+  const handleImagesChange = (product) => {
+    setEditingProduct(current => ({ ...product, category: current.category }));
+    setFormData(current => ({ ...current, imageUrl: product.imageUrl }));
+    fetchProducts();
+  };
+
   const handleDelete = async (product) => {
     if (!window.confirm(`Are you sure you want to delete "${product.name}"?`)) {
       return;
@@ -196,10 +294,11 @@ const AdminProducts = () => {
     }
   };
 
-  const handleStockUpdate = async (productId, change) => {
+  const handleStockUpdate = async (productId, change, variantId = null) => {
     try {
       await axios.patch(`/api/products/${productId}/stock`, {
-        quantityChange: change
+        quantityChange: change,
+        ...(variantId && { variantId })
       });
       fetchProducts();
     } catch (error) {
@@ -220,14 +319,31 @@ const AdminProducts = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-3xl font-bold text-gray-800">Product Management</h1>
-        <button
-          onClick={() => openModal()}
-          className="btn-primary"
-        >
-          Add New Product
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="btn-secondary disabled:opacity-50"
+          >
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+          <button
+            onClick={() => setShowImport(!showImport)}
+            className="btn-secondary"
+          >
+            {showImport ? 'Close Import' : 'Import CSV'}
+          </button>
+          <button
+            onClick={() => openModal()}
+            className="btn-primary"
+          >
+            Add New Product
+          </button>
+        </div>
       </div>
 
+      {showImport && <ProductImportPanel onImported={() => fetchProducts({ silent: true })} />}
+
       {/* Filters */}
       <div className="card">
         <div className="card-body">
@@ -252,8 +368,10 @@ const AdminProducts = () => {
                 className="form-input"
               >
                 <option value="">All Categories</option>
-                {categories.map(cat => (
-                  <option key={cat} value={cat}>{cat}</option>
+                {categories.map(category => (
+                  <option key={category._id} value={category._id}>
+                    {'\u00A0\u00A0'.repeat(category.depth)}{category.name}
+                  </option>
                 ))}
               </select>
             </div>
@@ -309,11 +427,35 @@ const AdminProducts = () => {
                     </td>
                     <td className="py-3 px-2">
                       <span className="bg-gray-100 text-gray-800 px-2 py-1 rounded text-sm">
-                        {product.category}
+                        {product.category?.name}
                       </span>
                     </td>
                     <td className="py-3 px-2 font-medium">${product.price}</td>
                     <td className="py-3 px-2">
+                      {product.variants?.length > 0 ? (
+                        <div className="space-y-1">
+                          {product.variants.map(variant => (
+                            <div key={variant._id} className="flex items-center space-x-2 text-sm">
+                              <button
+                                onClick={() => handleStockUpdate(product._id, -1, variant._id)}
+                                className="w-5 h-5 bg-red-100 text-red-600 rounded-full flex items-center justify-center hover:bg-red-200"
+                                disabled={variant.stock <= 0}
+                              >
+                                -
+                              </button>
+                              <span className={variant.isActive ? 'text-gray-700' : 'text-gray-400 line-through'}>
+                                {variant.sku}: {variant.stock}
+                              </span>
+                              <button
+                                onClick={() => handleStockUpdate(product._id, 1, variant._id)}
+                                className="w-5 h-5 bg-green-100 text-green-600 rounded-full flex items-center justify-center hover:bg-green-200"
+                              >
+                                +
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
                       <div className="flex items-center space-x-2">
                         <button
                           onClick={() => handleStockUpdate(product._id, -1)}
@@ -336,6 +478,7 @@ const AdminProducts = () => {
                           +
                         </button>
                       </div>
+                      )}
                     </td>
                     <td className="py-3 px-2">
                       <span className={`px-2 py-1 rounded text-sm ${
@@ -409,7 +552,7 @@ const AdminProducts = () => {
       {/* Product Form Modal */}
       {showModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4">
-          <div className="bg-white rounded-lg w-full max-w-2xl">
+          <div className="bg-white rounded-lg w-full max-w-3xl max-h-screen overflow-y-auto">
             <div className="p-6">
               <h2 className="text-2xl font-bold mb-4">
                 {editingProduct ? 'Edit Product' : 'Add New Product'}
@@ -476,12 +619,13 @@ const AdminProducts = () => {
                     required
                   >
                     <option value="">Select a category</option>
-                    <option value="Electronics">Electronics</option>
-                    <option value="Clothing">Clothing</option>
-                    <option value="Books">Books</option>
-                    <option value="Home">Home</option>
-                    <option value="Sports">Sports</option>
-                    <option value="Other">Other</option>
+                    {categories.map(category => (
+                      <option key={category._id} value={category._id}>{category.path}</option>
+                    ))}
+                    {/* Hidden categories are not listed, but a product can stay in one */}
+                    {editingProduct?.category && !categories.some(c => c._id === editingProduct.category._id) && (
+                      <option value={editingProduct.category._id}>{editingProduct.category.name} (hidden)</option>
+                    )}
                   </select>
                 </div>
 
@@ -490,29 +634,170 @@ const AdminProducts = () => {
                   <input
                     type="number"
                     name="stock"
-                    value={formData.stock}
+                    value={formData.variants.length > 0
+                      ? formData.variants.reduce((sum, variant) => sum + (parseInt(variant.stock) || 0), 0)
+                      : formData.stock}
                     onChange={handleInputChange}
-                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500"
-                    required
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 disabled:bg-gray-100"
+                    required={formData.variants.length === 0}
+                    disabled={formData.variants.length > 0}
                     min="0"
                     step="1"
                   />
-                  <p className="mt-1 text-sm text-gray-500">Must be a non-negative whole number</p>
+                  <p className="mt-1 text-sm text-gray-500">
+                    {formData.variants.length > 0
+                      ? 'The total of the variants below'
+                      : 'Must be a non-negative whole number'}
+                  </p>
                 </div>
 
+                {/* Variant Editor */}
                 <div>
-                  <label className="block text-sm font-medium text-gray-700">Image URL</label>
+                  <div className="flex justify-between items-center">
+                    <label className="block text-sm font-medium text-gray-700">Variants</label>
+                    <button
+                      type="button"
+                      onClick={addVariant}
+                      className="text-sm text-primary-600 hover:text-primary-800"
+                    >
+                      + Add Variant
+                    </button>
+                  </div>
+                  {formData.variants.length === 0 ? (
+                    <p className="mt-1 text-sm text-gray-500">
+                      Optional. Add variants to sell sizes or colors with their own SKU, stock and price
+                    </p>
+                  ) : (
+                    <table className="min-w-full mt-2 text-sm">
+                      <thead>
+                        <tr className="border-b">
+                          <th className="text-left py-1 px-1">SKU</th>
+                          <th className="text-left py-1 px-1">Size</th>
+                          <th className="text-left py-1 px-1">Color</th>
+                          <th className="text-left py-1 px-1">Price</th>
+                          <th className="text-left py-1 px-1">Stock</th>
+                          <th className="text-left py-1 px-1">Active</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {formData.variants.map((variant, index) => (
+                          <tr key={variant._id || `new-${index}`} className="border-b">
+                            <td className="py-1 px-1">
+                              <input
+                                type="text"
+                                value={variant.sku}
+                                onChange={(e) => updateVariant(index, { sku: e.target.value })}
+                                className="form-input w-28"
+                                required
+                                maxLength="40"
+                                pattern="[A-Za-z0-9_\-]+"
+                              />
+                            </td>
+                            <td className="py-1 px-1">
+                              <input
+                                type="text"
+                                value={variant.size}
+                                onChange={(e) => updateVariant(index, { size: e.target.value })}
+                                className="form-input w-16"
+                                maxLength="40"
+                              />
+                            </td>
+                            <td className="py-1 px-1">
+                              <input
+                                type="text"
+                                value={variant.color}
+                                onChange={(e) => updateVariant(index, { color: e.target.value })}
+                                className="form-input w-20"
+                                maxLength="40"
+                              />
+                            </td>
+                            <td className="py-1 px-1">
+                              <input
+                                type="number"
+                                value={variant.price}
+                                onChange={(e) => updateVariant(index, { price: e.target.value })}
+                                className="form-input w-20"
+                                placeholder={formData.price}
+                                min="0"
+                                step="0.01"
+                              />
+                            </td>
+                            <td className="py-1 px-1">
+                              <input
+                                type="number"
+                                value={variant.stock}
+                                onChange={(e) => updateVariant(index, { stock: e.target.value })}
+                                className="form-input w-16"
+                                required
+                                min="0"
+                                step="1"
+                              />
+                            </td>
+                            <td className="py-1 px-1">
+                              <input
+                                type="checkbox"
+                                checked={variant.isActive}
+                                onChange={(e) => updateVariant(index, { isActive: e.target.checked })}
+                              />
+                            </td>
+                            <td className="py-1 px-1">
+                              <button
+                                type="button"
+                                onClick={() => removeVariant(index)}
+                                className="text-red-600 hover:text-red-800"
+                              >
+                                Remove
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Weight (kg)</label>
                   <input
-                    type="url"
-                    name="imageUrl"
-                    value={formData.imageUrl}
+                    type="number"
+                    name="weight"
+                    value={formData.weight}
                     onChange={handleInputChange}
                     className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500"
-                    placeholder="https://example.com/image.jpg"
+                    min="0"
+                    step="0.01"
                   />
-                  <p className="mt-1 text-sm text-gray-500">Optional. Must be a valid URL</p>
+                  <p className="mt-1 text-sm text-gray-500">Optional. Used to work out shipping costs</p>
                 </div>
 
+                {editingProduct && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Images</label>
+                    <ProductImageManager product={editingProduct} onChange={handleImagesChange} />
+                  </div>
+                )}
+
+                {/* Uploaded images replace the external image URL */}
+                {!editingProduct?.images?.length && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Image URL</label>
+                    <input
+                      type="url"
+                      name="imageUrl"
+                      value={formData.imageUrl}
+                      onChange={handleInputChange}
+                      className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500"
+                      placeholder="https://example.com/image.jpg"
+                    />
+                    <p className="mt-1 text-sm text-gray-500">
+                      {editingProduct
+                        ? 'Optional. Must be a valid URL, used until images are uploaded'
+                        : 'Optional. Must be a valid URL. Images can be uploaded once the product is saved'}
+                    </p>
+                  </div>
+                )}
+
                 <div className="flex justify-end space-x-3 mt-6">
                   <button
                     type="button"
@@ -0,0 +1,512 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../../config/axios';
+
+const emptyForm = {
+  code: '',
+  name: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  buyQuantity: '',
+  getQuantity: '',
+  scope: 'order',
+  categories: [],
+  products: [],
+  minSubtotal: '',
+  usageLimit: '',
+  perUserLimit: '',
+  startsAt: '',
+  endsAt: '',
+  isActive: true
+};
+
+const typeLabels = {
+  percentage: 'Percentage off',
+  fixed: 'Fixed amount off',
+  buy_x_get_y: 'Buy X get Y free'
+};
+
+const scopeLabels = {
+  order: 'Whole cart',
+  category: 'Categories',
+  product: 'Products'
+};
+
+// Dates travel as ISO strings; the inputs want local yyyy-mm-ddThh:mm
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromDateInput = (value) => (value ? new Date(value).toISOString() : null);
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+
+const AdminPromotions = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, []);
+
+  const fetchPromotions = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/promotions');
+      setPromotions(response.data.promotions);
+      setCategories(response.data.categories);
+      setProducts(response.data.products);
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+      alert('Failed to fetch promotions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingPromotion(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (promotion) => {
+    setEditingPromotion(promotion);
+    setFormData({
+      code: promotion.code,
+      name: promotion.name,
+      description: promotion.description || '',
+      type: promotion.type,
+      value: promotion.type === 'buy_x_get_y' ? '' : promotion.value,
+      buyQuantity: promotion.buyQuantity || '',
+      getQuantity: promotion.getQuantity || '',
+      scope: promotion.scope,
+      categories: promotion.categories,
+      products: promotion.products,
+      minSubtotal: promotion.minSubtotal || '',
+      usageLimit: promotion.usageLimit || '',
+      perUserLimit: promotion.perUserLimit || '',
+      startsAt: toDateInput(promotion.startsAt),
+      endsAt: toDateInput(promotion.endsAt),
+      isActive: promotion.isActive
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingPromotion(null);
+    setFormData(emptyForm);
+  };
+
+  const toggleListValue = (field, value) => {
+    const values = formData[field];
+    setFormData({
+      ...formData,
+      [field]: values.includes(value) ? values.filter(v => v !== value) : [...values, value]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const payload = {
+      name: formData.name,
+      description: formData.description,
+      type: formData.type,
+      value: toNumber(formData.value),
+      buyQuantity: toNumber(formData.buyQuantity),
+      getQuantity: toNumber(formData.getQuantity),
+      scope: formData.scope,
+      categories: formData.categories,
+      products: formData.products,
+      minSubtotal: toNumber(formData.minSubtotal),
+      usageLimit: toNumber(formData.usageLimit),
+      perUserLimit: toNumber(formData.perUserLimit),
+      startsAt: fromDateInput(formData.startsAt),
+      endsAt: fromDateInput(formData.endsAt),
+      isActive: formData.isActive
+    };
+
+    try {
+      if (editingPromotion) {
+        // The code is stored on orders - it cannot change
+        await axios.put(`/api/admin/promotions/${editingPromotion._id}`, payload);
+      } else {
+        await axios.post('/api/admin/promotions', { ...payload, code: formData.code });
+      }
+      closeForm();
+      fetchPromotions();
+    } catch (error) {
+      console.error('Error saving promotion:', error);
+      alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save promotion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deletePromotion = async (promotion) => {
+    if (!window.confirm(`Delete the ${promotion.code} promotion?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/promotions/${promotion._id}`);
+      fetchPromotions();
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      alert(error.response?.data?.message || 'Failed to delete promotion');
+    }
+  };
+
+  const describeDiscount = (promotion) => {
+    if (promotion.type === 'percentage') return `${promotion.value}% off`;
+    if (promotion.type === 'fixed') return `$${promotion.value.toFixed(2)} off`;
+    return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} free`;
+  };
+
+  const describeScope = (promotion) => {
+    if (promotion.scope === 'category') {
+      return promotion.categories
+        .map(id => (categories.find(c => c._id === id) || {}).path || 'Deleted category')
+        .join(', ');
+    }
+    if (promotion.scope === 'product') {
+      return promotion.products
+        .map(id => (products.find(p => p._id === id) || {}).name || 'Unavailable product')
+        .join(', ');
+    }
+    return 'Whole cart';
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : null);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-gray-800">Promotions</h1>
+        <button onClick={openCreateForm} className="btn-primary">
+          Add New Promotion
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Shoppers enter a promotion's code in their cart. The code is checked again when the order is placed,
+        and cancelled orders give their use back.
+      </p>
+
+      {/* Promotion Form */}
+      {showForm && (
+        <div className="card">
+          <div className="card-body">
+            <h2 className="text-xl font-semibold mb-4">
+              {editingPromotion ? `Edit Promotion: ${editingPromotion.code}` : 'Add New Promotion'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Code</label>
+                  <input
+                    type="text"
+                    value={formData.code}
+                    onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                    placeholder="e.g. SUMMER10"
+                    className="form-input"
+                    disabled={!!editingPromotion}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Name</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div className="flex items-end">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                    />
+                    <span>Active</span>
+                  </label>
+                </div>
+              </div>
+
+              <div>
+                <label className="form-label">Description</label>
+                <input
+                  type="text"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Discount</label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                    className="form-input"
+                  >
+                    {Object.entries(typeLabels).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                {formData.type === 'buy_x_get_y' ? (
+                  <>
+                    <div>
+                      <label className="form-label">Buy</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.buyQuantity}
+                        onChange={(e) => setFormData({ ...formData, buyQuantity: e.target.value })}
+                        className="form-input"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="form-label">Get free</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.getQuantity}
+                        onChange={(e) => setFormData({ ...formData, getQuantity: e.target.value })}
+                        className="form-input"
+                        required
+                      />
+                    </div>
+                  </>
+                ) : (
+                  <div>
+                    <label className="form-label">{formData.type === 'percentage' ? 'Percent off' : 'Amount off ($)'}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max={formData.type === 'percentage' ? '100' : undefined}
+                      step="0.01"
+                      value={formData.value}
+                      onChange={(e) => setFormData({ ...formData, value: e.target.value })}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Applies to</label>
+                  <select
+                    value={formData.scope}
+                    onChange={(e) => setFormData({ ...formData, scope: e.target.value })}
+                    className="form-input"
+                  >
+                    {Object.entries(scopeLabels).map(([scope, label]) => (
+                      <option key={scope} value={scope}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="md:col-span-2">
+                  {formData.scope === 'category' && (
+                    <div className="flex flex-wrap gap-3 pt-6">
+                      {categories.map(category => (
+                        <label key={category._id} className="flex items-center space-x-1 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={formData.categories.includes(category._id)}
+                            onChange={() => toggleListValue('categories', category._id)}
+                          />
+                          <span>{category.path}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                  {formData.scope === 'product' && (
+                    <div className="max-h-40 overflow-y-auto border rounded p-2 space-y-1">
+                      {products.map(product => (
+                        <label key={product._id} className="flex items-center space-x-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={formData.products.includes(product._id)}
+                            onChange={() => toggleListValue('products', product._id)}
+                          />
+                          <span>{product.name}</span>
+                          <span className="text-gray-400">{product.category?.name}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Minimum subtotal ($)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={formData.minSubtotal}
+                    onChange={(e) => setFormData({ ...formData, minSubtotal: e.target.value })}
+                    placeholder="None"
+                    className="form-input"
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Total uses</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.usageLimit}
+                    onChange={(e) => setFormData({ ...formData, usageLimit: e.target.value })}
+                    placeholder="Unlimited"
+                    className="form-input"
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Uses per customer</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.perUserLimit}
+                    onChange={(e) => setFormData({ ...formData, perUserLimit: e.target.value })}
+                    placeholder="Unlimited"
+                    className="form-input"
+                  />
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="form-label">Starts</label>
+                  <input
+                    type="datetime-local"
+                    value={formData.startsAt}
+                    onChange={(e) => setFormData({ ...formData, startsAt: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Ends</label>
+                  <input
+                    type="datetime-local"
+                    value={formData.endsAt}
+                    onChange={(e) => setFormData({ ...formData, endsAt: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+
+              <div className="flex space-x-3">
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : editingPromotion ? 'Update Promotion' : 'Create Promotion'}
+                </button>
+                <button type="button" onClick={closeForm} className="btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Promotions Table */}
+      <div className="card">
+        <div className="card-body">
+          {promotions.length === 0 ? (
+            <p className="text-gray-500">No promotions yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-2">Code</th>
+                    <th className="text-left py-3 px-2">Discount</th>
+                    <th className="text-left py-3 px-2">Applies to</th>
+                    <th className="text-left py-3 px-2">Uses</th>
+                    <th className="text-left py-3 px-2">Valid</th>
+                    <th className="text-left py-3 px-2">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {promotions.map((promotion) => (
+                    <tr key={promotion._id} className={`border-b hover:bg-gray-50 ${promotion.isActive ? '' : 'text-gray-400'}`}>
+                      <td className="py-3 px-2">
+                        <div className="font-mono font-medium">{promotion.code}</div>
+                        <div className="text-sm text-gray-500">{promotion.name}</div>
+                        {!promotion.isActive && (
+                          <span className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-600">Inactive</span>
+                        )}
+                      </td>
+                      <td className="py-3 px-2 text-sm">
+                        {describeDiscount(promotion)}
+                        {promotion.minSubtotal > 0 && (
+                          <div className="text-gray-500">Min. ${promotion.minSubtotal.toFixed(2)}</div>
+                        )}
+                      </td>
+                      <td className="py-3 px-2 text-sm">{describeScope(promotion)}</td>
+                      <td className="py-3 px-2 text-sm">
+                        {promotion.usageCount}{promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}
+                        {promotion.perUserLimit && (
+                          <div className="text-gray-500">{promotion.perUserLimit} per customer</div>
+                        )}
+                      </td>
+                      <td className="py-3 px-2 text-sm">
+                        {promotion.startsAt || promotion.endsAt
+                          ? `${formatDate(promotion.startsAt) || 'Now'} - ${formatDate(promotion.endsAt) || 'No end'}`
+                          : 'Always'}
+                      </td>
+                      <td className="py-3 px-2">
+                        <div className="flex space-x-3 text-sm">
+                          <button
+                            onClick={() => openEditForm(promotion)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => deletePromotion(promotion)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPromotions;
@@ -0,0 +1,394 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../../config/axios';
+
+const AdminReturns = () => {
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    status: '',
+    search: '',
+    page: 1
+  });
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalReturns: 0
+  });
+  const [receiving, setReceiving] = useState(null);
+  const [receiveItems, setReceiveItems] = useState([]);
+  const [receiveNote, setReceiveNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const statusOptions = ['requested', 'approved', 'received', 'rejected'];
+
+  useEffect(() => {
+    fetchReturns();
+  }, [filters]);
+
+  const fetchReturns = async () => {
+    try {
+      setLoading(true);
+      const queryParams = new URLSearchParams({
+        page: filters.page,
+        limit: 20,
+        ...(filters.status && { status: filters.status }),
+        ...(filters.search && { search: filters.search })
+      });
+
+      const response = await axios.get(`/api/returns?${queryParams}`);
+      setReturns(response.data.returns);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching returns:', error);
+      alert('Failed to fetch returns');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({ ...filters, [name]: value, page: 1 });
+  };
+
+  const reviewReturn = async (returnRequest, action) => {
+    const note = window.prompt(
+      action === 'reject' ? 'Reason for rejecting (shown to the customer):' : 'Optional note for the customer:',
+      ''
+    );
+    if (note === null) {
+      return;
+    }
+
+    try {
+      await axios.patch(`/api/returns/${returnRequest._id}/${action}`, {
+        ...(note.trim() && { note: note.trim() })
+      });
+      fetchReturns();
+    } catch (error) {
+      console.error('Error reviewing return:', error);
+      alert(error.response?.data?.message || 'Failed to update return');
+    }
+  };
+
+  const openReceiveForm = (returnRequest) => {
+    setReceiving(returnRequest);
+    setReceiveItems(returnRequest.items.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      productName: item.productName,
+      variantLabel: item.variantLabel,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      receivedQuantity: item.quantity,
+      restock: true
+    })));
+    setReceiveNote('');
+  };
+
+  const updateReceiveItem = (index, changes) => {
+    setReceiveItems(receiveItems.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const refundTotal = receiveItems.reduce((sum, item) => sum + item.unitPrice * item.receivedQuantity, 0);
+
+  const submitReceive = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const response = await axios.patch(`/api/returns/${receiving._id}/receive`, {
+        items: receiveItems.map(({ productId, variantId, receivedQuantity, restock }) => ({
+          productId,
+          ...(variantId && { variantId }),
+          receivedQuantity,
+          restock
+        })),
+        ...(receiveNote.trim() && { note: receiveNote.trim() })
+      });
+      alert(response.data.message);
+      setReceiving(null);
+      fetchReturns();
+    } catch (error) {
+      console.error('Error receiving return:', error);
+      alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to receive return');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getStatusColor = (status) => {
+    const colors = {
+      requested: 'bg-yellow-100 text-yellow-800',
+      approved: 'bg-blue-100 text-blue-800',
+      received: 'bg-green-100 text-green-800',
+      rejected: 'bg-red-100 text-red-800'
+    };
+    return colors[status] || 'bg-gray-100 text-gray-800';
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-gray-800">Returns Management</h1>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="card-body">
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="form-label">Search Returns</label>
+              <input
+                type="text"
+                name="search"
+                value={filters.search}
+                onChange={handleFilterChange}
+                placeholder="Search by RMA number..."
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Status</label>
+              <select
+                name="status"
+                value={filters.status}
+                onChange={handleFilterChange}
+                className="form-input capitalize"
+              >
+                <option value="">All Statuses</option>
+                {statusOptions.map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-end">
+              <button
+                onClick={() => setFilters({ status: '', search: '', page: 1 })}
+                className="btn-secondary w-full"
+              >
+                Clear Filters
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Receive Form */}
+      {receiving && (
+        <div className="card">
+          <div className="card-body">
+            <h2 className="text-xl font-semibold mb-4">Receive Return {receiving.rmaNumber}</h2>
+            <form onSubmit={submitReceive} className="space-y-4">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2">Item</th>
+                    <th className="text-left py-2 px-2">Requested</th>
+                    <th className="text-left py-2 px-2">Received</th>
+                    <th className="text-left py-2 px-2">Restock</th>
+                    <th className="text-left py-2 px-2">Refund</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {receiveItems.map((item, index) => (
+                    <tr key={`${item.productId}-${item.variantId || ''}`} className="border-b">
+                      <td className="py-2 px-2">
+                        {item.productName}
+                        {item.variantLabel && <span className="text-gray-500"> ({item.variantLabel})</span>}
+                      </td>
+                      <td className="py-2 px-2">{item.quantity}</td>
+                      <td className="py-2 px-2">
+                        <input
+                          type="number"
+                          min="0"
+                          max={item.quantity}
+                          value={item.receivedQuantity}
+                          onChange={(e) => updateReceiveItem(index, {
+                            receivedQuantity: Math.min(item.quantity, Math.max(0, parseInt(e.target.value) || 0))
+                          })}
+                          className="form-input w-20"
+                        />
+                      </td>
+                      <td className="py-2 px-2">
+                        <input
+                          type="checkbox"
+                          checked={item.restock}
+                          onChange={(e) => updateReceiveItem(index, { restock: e.target.checked })}
+                        />
+                      </td>
+                      <td className="py-2 px-2">${(item.unitPrice * item.receivedQuantity).toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div>
+                <label className="form-label">Note</label>
+                <input
+                  type="text"
+                  value={receiveNote}
+                  onChange={(e) => setReceiveNote(e.target.value)}
+                  className="form-input"
+                />
+              </div>
+
+              <div className="flex items-center space-x-3">
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : `Receive & Refund $${refundTotal.toFixed(2)}`}
+                </button>
+                <button type="button" onClick={() => setReceiving(null)} className="btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Returns Table */}
+      <div className="card">
+        <div className="card-body">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-2">RMA #</th>
+                    <th className="text-left py-3 px-2">Customer</th>
+                    <th className="text-left py-3 px-2">Items</th>
+                    <th className="text-left py-3 px-2">Reason</th>
+                    <th className="text-left py-3 px-2">Status</th>
+                    <th className="text-left py-3 px-2">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {returns.map((returnRequest) => (
+                    <tr key={returnRequest._id} className="border-b hover:bg-gray-50 align-top">
+                      <td className="py-3 px-2">
+                        <div className="font-medium">{returnRequest.rmaNumber}</div>
+                        <div className="text-xs text-gray-500">
+                          Order #{returnRequest.orderId?.orderNumber} · {formatDate(returnRequest.createdAt)}
+                        </div>
+                      </td>
+                      <td className="py-3 px-2">
+                        <div className="font-medium">{returnRequest.userId?.name || 'N/A'}</div>
+                        <div className="text-sm text-gray-500">{returnRequest.userId?.email || 'N/A'}</div>
+                      </td>
+                      <td className="py-3 px-2 text-sm">
+                        {returnRequest.items.map(item => (
+                          <div key={`${item.productId}-${item.variantId || ''}`}>
+                            {item.productName}{item.variantLabel && ` (${item.variantLabel})`} × {item.quantity}
+                            {returnRequest.status === 'received' && (
+                              <span className="text-gray-500">
+                                {' '}({item.receivedQuantity} received{item.restocked ? ', restocked' : ''})
+                              </span>
+                            )}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="py-3 px-2 text-sm">
+                        <div className="capitalize">{returnRequest.reason.replace(/_/g, ' ')}</div>
+                        {returnRequest.comments && (
+                          <div className="text-xs text-gray-500">{returnRequest.comments}</div>
+                        )}
+                      </td>
+                      <td className="py-3 px-2">
+                        <span className={`px-2 py-1 rounded text-xs font-medium capitalize ${getStatusColor(returnRequest.status)}`}>
+                          {returnRequest.status}
+                        </span>
+                        {returnRequest.status === 'received' && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            Refunded ${returnRequest.refundAmount.toFixed(2)}
+                          </div>
+                        )}
+                        {returnRequest.adminNote && (
+                          <div className="text-xs text-gray-500 mt-1">{returnRequest.adminNote}</div>
+                        )}
+                      </td>
+                      <td className="py-3 px-2">
+                        <div className="flex flex-col space-y-1 text-sm">
+                          {returnRequest.status === 'requested' && (
+                            <button
+                              onClick={() => reviewReturn(returnRequest, 'approve')}
+                              className="text-left text-blue-600 hover:text-blue-800"
+                            >
+                              Approve
+                            </button>
+                          )}
+                          {returnRequest.status === 'approved' && (
+                            <button
+                              onClick={() => openReceiveForm(returnRequest)}
+                              className="text-left text-green-600 hover:text-green-800"
+                            >
+                              Receive Items
+                            </button>
+                          )}
+                          {['requested', 'approved'].includes(returnRequest.status) && (
+                            <button
+                              onClick={() => reviewReturn(returnRequest, 'reject')}
+                              className="text-left text-red-600 hover:text-red-800"
+                            >
+                              Reject
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {returns.length === 0 && (
+                <div className="text-center py-8">
+                  <p className="text-gray-500">No returns found</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex justify-center space-x-2 mt-6">
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.currentPage - 1 })}
+                disabled={pagination.currentPage === 1}
+                className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-300"
+              >
+                Previous
+              </button>
+              <span className="px-3 py-2 text-gray-600">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.currentPage + 1 })}
+                disabled={pagination.currentPage === pagination.totalPages}
+                className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-300"
+              >
+                Next
+              </button>
+            </div>
+          )}
+
+          <div className="text-center text-sm text-gray-500 mt-4">
+            {pagination.totalReturns} return{pagination.totalReturns !== 1 ? 's' : ''} found
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminReturns;
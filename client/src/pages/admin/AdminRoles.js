@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../../config/axios';
+
+const emptyForm = { name: '', description: '', permissions: [] };
+
+const AdminRoles = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [editingRole, setEditingRole] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/roles');
+      setRoles(response.data.roles);
+      setPermissions(response.data.permissions);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      alert('Failed to fetch roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingRole(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (role) => {
+    setEditingRole(role);
+    setFormData({
+      name: role.name,
+      description: role.description || '',
+      permissions: role.permissions
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingRole(null);
+    setFormData(emptyForm);
+  };
+
+  const togglePermission = (permission) => {
+    setFormData({
+      ...formData,
+      permissions: formData.permissions.includes(permission)
+        ? formData.permissions.filter(p => p !== permission)
+        : [...formData.permissions, permission]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      if (editingRole) {
+        await axios.put(`/api/admin/roles/${editingRole._id}`, {
+          description: formData.description,
+          permissions: formData.permissions
+        });
+      } else {
+        await axios.post('/api/admin/roles', formData);
+      }
+      closeForm();
+      fetchRoles();
+    } catch (error) {
+      console.error('Error saving role:', error);
+      alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteRole = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/roles/${role._id}`);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      alert(error.response?.data?.message || 'Failed to delete role');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-gray-800">Role Management</h1>
+        <button onClick={openCreateForm} className="btn-primary">
+          Add New Role
+        </button>
+      </div>
+
+      {/* Role Form */}
+      {showForm && (
+        <div className="card">
+          <div className="card-body">
+            <h2 className="text-xl font-semibold mb-4">
+              {editingRole ? `Edit Role: ${editingRole.name}` : 'Add New Role'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="form-label">Name</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value.toLowerCase() })}
+                    placeholder="e.g. support"
+                    className="form-input"
+                    disabled={!!editingRole}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Description</label>
+                  <input
+                    type="text"
+                    value={formData.description}
+                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="form-label">Permissions</label>
+                <div className="grid md:grid-cols-2 gap-2">
+                  {Object.entries(permissions).map(([permission, description]) => (
+                    <label key={permission} className="flex items-start space-x-2 p-2 rounded hover:bg-gray-50">
+                      <input
+                        type="checkbox"
+                        checked={formData.permissions.includes(permission)}
+                        onChange={() => togglePermission(permission)}
+                        className="mt-1"
+                      />
+                      <span>
+                        <span className="font-mono text-sm">{permission}</span>
+                        <span className="block text-xs text-gray-500">{description}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex space-x-3">
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : editingRole ? 'Update Role' : 'Create Role'}
+                </button>
+                <button type="button" onClick={closeForm} className="btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Roles Table */}
+      <div className="card">
+        <div className="card-body">
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left py-3 px-2">Role</th>
+                  <th className="text-left py-3 px-2">Permissions</th>
+                  <th className="text-left py-3 px-2">Users</th>
+                  <th className="text-left py-3 px-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {roles.map((role) => (
+                  <tr key={role._id} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-2">
+                      <div className="font-medium capitalize">
+                        {role.name}
+                        {role.isSystem && (
+                          <span className="ml-2 text-xs px-2 py-1 rounded bg-gray-100 text-gray-600 normal-case">Built-in</span>
+                        )}
+                      </div>
+                      <div className="text-sm text-gray-500">{role.description}</div>
+                    </td>
+                    <td className="py-3 px-2">
+                      <div className="flex flex-wrap gap-1">
+                        {role.permissions.length === 0 ? (
+                          <span className="text-sm text-gray-500">None</span>
+                        ) : role.permissions.map((permission) => (
+                          <span key={permission} className="text-xs font-mono px-2 py-1 rounded bg-blue-50 text-blue-800">
+                            {permission}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="py-3 px-2 text-sm">{role.userCount}</td>
+                    <td className="py-3 px-2">
+                      {!role.isSystem && (
+                        <div className="flex space-x-3 text-sm">
+                          <button
+                            onClick={() => openEditForm(role)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => deleteRole(role)}
+                            disabled={role.userCount > 0}
+                            title={role.userCount > 0 ? 'Reassign its users first' : undefined}
+                            className="text-red-600 hover:text-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminRoles;
@@ -0,0 +1,426 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../../config/axios';
+
+const emptyRate = {
+  country: '',
+  state: '',
+  minWeight: '',
+  maxWeight: '',
+  minSubtotal: '',
+  baseCost: '',
+  perKgCost: '',
+  freeOverSubtotal: ''
+};
+
+const emptyForm = {
+  code: '',
+  name: '',
+  description: '',
+  minDays: '',
+  maxDays: '',
+  sortOrder: 0,
+  isActive: true,
+  rates: [emptyRate]
+};
+
+// Blank number inputs mean "no limit" or zero, depending on the field
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+const toInput = (value) => (value === null || value === undefined ? '' : value);
+
+const AdminShippingMethods = () => {
+  const [shippingMethods, setShippingMethods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingMethod, setEditingMethod] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchShippingMethods();
+  }, []);
+
+  const fetchShippingMethods = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/shipping-methods');
+      setShippingMethods(response.data.shippingMethods);
+    } catch (error) {
+      console.error('Error fetching shipping methods:', error);
+      alert('Failed to fetch shipping methods');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingMethod(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (method) => {
+    setEditingMethod(method);
+    setFormData({
+      code: method.code,
+      name: method.name,
+      description: method.description || '',
+      minDays: toInput(method.estimatedDays?.min),
+      maxDays: toInput(method.estimatedDays?.max),
+      sortOrder: method.sortOrder,
+      isActive: method.isActive,
+      rates: method.rates.map(rate => ({
+        country: rate.country || '',
+        state: rate.state || '',
+        minWeight: toInput(rate.minWeight),
+        maxWeight: toInput(rate.maxWeight),
+        minSubtotal: toInput(rate.minSubtotal),
+        baseCost: toInput(rate.baseCost),
+        perKgCost: toInput(rate.perKgCost),
+        freeOverSubtotal: toInput(rate.freeOverSubtotal)
+      }))
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingMethod(null);
+    setFormData(emptyForm);
+  };
+
+  const updateRate = (index, field, value) => {
+    setFormData({
+      ...formData,
+      rates: formData.rates.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate))
+    });
+  };
+
+  const addRate = () => {
+    setFormData({ ...formData, rates: [...formData.rates, emptyRate] });
+  };
+
+  const removeRate = (index) => {
+    setFormData({ ...formData, rates: formData.rates.filter((rate, i) => i !== index) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const payload = {
+      name: formData.name,
+      description: formData.description,
+      estimatedDays: formData.minDays === '' && formData.maxDays === ''
+        ? undefined
+        : { min: toNumber(formData.minDays), max: toNumber(formData.maxDays) },
+      sortOrder: parseInt(formData.sortOrder, 10) || 0,
+      isActive: formData.isActive,
+      rates: formData.rates.map(rate => ({
+        country: rate.country || null,
+        state: rate.state || null,
+        minWeight: toNumber(rate.minWeight),
+        maxWeight: toNumber(rate.maxWeight),
+        minSubtotal: toNumber(rate.minSubtotal),
+        baseCost: toNumber(rate.baseCost),
+        perKgCost: toNumber(rate.perKgCost),
+        freeOverSubtotal: toNumber(rate.freeOverSubtotal)
+      }))
+    };
+
+    try {
+      if (editingMethod) {
+        // The code is stored on orders - it cannot change
+        await axios.put(`/api/admin/shipping-methods/${editingMethod._id}`, payload);
+      } else {
+        await axios.post('/api/admin/shipping-methods', { ...payload, code: formData.code });
+      }
+      closeForm();
+      fetchShippingMethods();
+    } catch (error) {
+      console.error('Error saving shipping method:', error);
+      alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save shipping method');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteShippingMethod = async (method) => {
+    if (!window.confirm(`Delete the ${method.name} shipping method?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/shipping-methods/${method._id}`);
+      fetchShippingMethods();
+    } catch (error) {
+      console.error('Error deleting shipping method:', error);
+      alert(error.response?.data?.message || 'Failed to delete shipping method');
+    }
+  };
+
+  const describeRate = (rate) => {
+    const place = [rate.country || 'Anywhere', rate.state].filter(Boolean).join(' / ');
+    const weight = rate.maxWeight !== null ? `${rate.minWeight}-${rate.maxWeight} kg` : `${rate.minWeight}+ kg`;
+    const cost = `$${rate.baseCost.toFixed(2)}${rate.perKgCost ? ` + $${rate.perKgCost}/kg` : ''}`;
+    const free = rate.freeOverSubtotal !== null ? `, free over $${rate.freeOverSubtotal}` : '';
+    return `${place}, ${weight}: ${cost}${free}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-gray-800">Shipping Methods</h1>
+        <button onClick={openCreateForm} className="btn-primary">
+          Add New Shipping Method
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        A method is offered at checkout when one of its rates matches the address, cart weight and subtotal.
+        The most specific matching rate sets the cost: base cost plus the per-kg cost for the cart weight.
+      </p>
+
+      {/* Shipping Method Form */}
+      {showForm && (
+        <div className="card">
+          <div className="card-body">
+            <h2 className="text-xl font-semibold mb-4">
+              {editingMethod ? `Edit Shipping Method: ${editingMethod.name}` : 'Add New Shipping Method'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Code</label>
+                  <input
+                    type="text"
+                    value={formData.code}
+                    onChange={(e) => setFormData({ ...formData, code: e.target.value.toLowerCase() })}
+                    placeholder="e.g. overnight"
+                    className="form-input"
+                    disabled={!!editingMethod}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Name</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div className="flex items-end">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                    />
+                    <span>Active</span>
+                  </label>
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-4 gap-4">
+                <div className="md:col-span-2">
+                  <label className="form-label">Description</label>
+                  <input
+                    type="text"
+                    value={formData.description}
+                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Delivery (business days)</label>
+                  <div className="flex space-x-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={formData.minDays}
+                      onChange={(e) => setFormData({ ...formData, minDays: e.target.value })}
+                      placeholder="Min"
+                      className="form-input"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      value={formData.maxDays}
+                      onChange={(e) => setFormData({ ...formData, maxDays: e.target.value })}
+                      placeholder="Max"
+                      className="form-input"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="form-label">Sort Order</label>
+                  <input
+                    type="number"
+                    value={formData.sortOrder}
+                    onChange={(e) => setFormData({ ...formData, sortOrder: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <h3 className="font-medium mb-2">Rates</h3>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="border-b text-left">
+                        <th className="py-2 px-1">Country</th>
+                        <th className="py-2 px-1">State</th>
+                        <th className="py-2 px-1">Min kg</th>
+                        <th className="py-2 px-1">Max kg</th>
+                        <th className="py-2 px-1">Min subtotal</th>
+                        <th className="py-2 px-1">Base cost</th>
+                        <th className="py-2 px-1">Per kg</th>
+                        <th className="py-2 px-1">Free over</th>
+                        <th className="py-2 px-1"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {formData.rates.map((rate, index) => (
+                        <tr key={index} className="border-b">
+                          <td className="py-2 px-1">
+                            <input
+                              type="text"
+                              value={rate.country}
+                              onChange={(e) => updateRate(index, 'country', e.target.value)}
+                              placeholder="Any"
+                              className="form-input"
+                            />
+                          </td>
+                          <td className="py-2 px-1">
+                            <input
+                              type="text"
+                              value={rate.state}
+                              onChange={(e) => updateRate(index, 'state', e.target.value)}
+                              placeholder="Any"
+                              className="form-input"
+                            />
+                          </td>
+                          {['minWeight', 'maxWeight', 'minSubtotal', 'baseCost', 'perKgCost', 'freeOverSubtotal'].map(field => (
+                            <td key={field} className="py-2 px-1">
+                              <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={rate[field]}
+                                onChange={(e) => updateRate(index, field, e.target.value)}
+                                placeholder={field === 'maxWeight' || field === 'freeOverSubtotal' ? 'None' : '0'}
+                                className="form-input"
+                                required={field === 'baseCost'}
+                              />
+                            </td>
+                          ))}
+                          <td className="py-2 px-1">
+                            <button
+                              type="button"
+                              onClick={() => removeRate(index)}
+                              disabled={formData.rates.length === 1}
+                              className="text-red-600 hover:text-red-800 disabled:text-gray-300"
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <button type="button" onClick={addRate} className="mt-2 text-sm text-blue-600 hover:text-blue-800">
+                  + Add Rate
+                </button>
+              </div>
+
+              <div className="flex space-x-3">
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : editingMethod ? 'Update Shipping Method' : 'Create Shipping Method'}
+                </button>
+                <button type="button" onClick={closeForm} className="btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Shipping Methods Table */}
+      <div className="card">
+        <div className="card-body">
+          {shippingMethods.length === 0 ? (
+            <p className="text-gray-500">No shipping methods configured - customers cannot check out.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-2">Name</th>
+                    <th className="text-left py-3 px-2">Code</th>
+                    <th className="text-left py-3 px-2">Delivery</th>
+                    <th className="text-left py-3 px-2">Rates</th>
+                    <th className="text-left py-3 px-2">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shippingMethods.map((method) => (
+                    <tr key={method._id} className={`border-b hover:bg-gray-50 ${method.isActive ? '' : 'text-gray-400'}`}>
+                      <td className="py-3 px-2 font-medium">
+                        {method.name}
+                        {!method.isActive && (
+                          <span className="ml-2 text-xs px-2 py-1 rounded bg-gray-100 text-gray-600">Inactive</span>
+                        )}
+                      </td>
+                      <td className="py-3 px-2 font-mono text-sm">{method.code}</td>
+                      <td className="py-3 px-2 text-sm">
+                        {method.estimatedDays?.max !== undefined
+                          ? `${method.estimatedDays.min}-${method.estimatedDays.max} days`
+                          : '—'}
+                      </td>
+                      <td className="py-3 px-2 text-sm">
+                        {method.rates.map((rate, index) => (
+                          <div key={index}>{describeRate(rate)}</div>
+                        ))}
+                      </td>
+                      <td className="py-3 px-2">
+                        <div className="flex space-x-3 text-sm">
+                          <button
+                            onClick={() => openEditForm(method)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => deleteShippingMethod(method)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminShippingMethods;
@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../../config/axios';
+
+const emptyForm = { name: '', country: 'USA', state: '', category: '', rate: '', isActive: true };
+
+const AdminTaxRates = () => {
+  const [taxRates, setTaxRates] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingRate, setEditingRate] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchTaxRates();
+  }, []);
+
+  const fetchTaxRates = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/tax-rates');
+      setTaxRates(response.data.taxRates);
+      setCategories(response.data.categories);
+    } catch (error) {
+      console.error('Error fetching tax rates:', error);
+      alert('Failed to fetch tax rates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingRate(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (taxRate) => {
+    setEditingRate(taxRate);
+    setFormData({
+      name: taxRate.name,
+      country: taxRate.country,
+      state: taxRate.state || '',
+      category: taxRate.category?._id || '',
+      rate: taxRate.rate,
+      isActive: taxRate.isActive
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingRate(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      if (editingRate) {
+        // The place and category identify a rule - only these can change
+        await axios.put(`/api/admin/tax-rates/${editingRate._id}`, {
+          name: formData.name,
+          rate: parseFloat(formData.rate),
+          isActive: formData.isActive
+        });
+      } else {
+        await axios.post('/api/admin/tax-rates', {
+          ...formData,
+          rate: parseFloat(formData.rate)
+        });
+      }
+      closeForm();
+      fetchTaxRates();
+    } catch (error) {
+      console.error('Error saving tax rate:', error);
+      alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save tax rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteTaxRate = async (taxRate) => {
+    if (!window.confirm(`Delete the ${taxRate.name} tax rate?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/tax-rates/${taxRate._id}`);
+      fetchTaxRates();
+    } catch (error) {
+      console.error('Error deleting tax rate:', error);
+      alert(error.response?.data?.message || 'Failed to delete tax rate');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-gray-800">Tax Rates</h1>
+        <button onClick={openCreateForm} className="btn-primary">
+          Add New Tax Rate
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Each order line is taxed at the most specific active rate for its shipping address and product category.
+        A category rate beats a state rate and covers its subcategories, and a rate of 0% makes the match tax exempt.
+      </p>
+
+      {/* Tax Rate Form */}
+      {showForm && (
+        <div className="card">
+          <div className="card-body">
+            <h2 className="text-xl font-semibold mb-4">
+              {editingRate ? `Edit Tax Rate: ${editingRate.name}` : 'Add New Tax Rate'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Name</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    placeholder="e.g. California sales tax"
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Rate (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.001"
+                    value={formData.rate}
+                    onChange={(e) => setFormData({ ...formData, rate: e.target.value })}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div className="flex items-end">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={formData.isActive}
+                      onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                    />
+                    <span>Active</span>
+                  </label>
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="form-label">Country</label>
+                  <input
+                    type="text"
+                    value={formData.country}
+                    onChange={(e) => setFormData({ ...formData, country: e.target.value })}
+                    className="form-input"
+                    disabled={!!editingRate}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="form-label">State</label>
+                  <input
+                    type="text"
+                    value={formData.state}
+                    onChange={(e) => setFormData({ ...formData, state: e.target.value })}
+                    placeholder="All states"
+                    className="form-input"
+                    disabled={!!editingRate}
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Category</label>
+                  <select
+                    value={formData.category}
+                    onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                    className="form-input"
+                    disabled={!!editingRate}
+                  >
+                    <option value="">All categories</option>
+                    {categories.map(category => (
+                      <option key={category._id} value={category._id}>{category.path}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="flex space-x-3">
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : editingRate ? 'Update Tax Rate' : 'Create Tax Rate'}
+                </button>
+                <button type="button" onClick={closeForm} className="btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Tax Rates Table */}
+      <div className="card">
+        <div className="card-body">
+          {taxRates.length === 0 ? (
+            <p className="text-gray-500">No tax rates configured - orders are not taxed.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-2">Name</th>
+                    <th className="text-left py-3 px-2">Country</th>
+                    <th className="text-left py-3 px-2">State</th>
+                    <th className="text-left py-3 px-2">Category</th>
+                    <th className="text-left py-3 px-2">Rate</th>
+                    <th className="text-left py-3 px-2">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {taxRates.map((taxRate) => (
+                    <tr key={taxRate._id} className={`border-b hover:bg-gray-50 ${taxRate.isActive ? '' : 'text-gray-400'}`}>
+                      <td className="py-3 px-2 font-medium">
+                        {taxRate.name}
+                        {!taxRate.isActive && (
+                          <span className="ml-2 text-xs px-2 py-1 rounded bg-gray-100 text-gray-600">Inactive</span>
+                        )}
+                      </td>
+                      <td className="py-3 px-2">{taxRate.country}</td>
+                      <td className="py-3 px-2">{taxRate.state || 'All'}</td>
+                      <td className="py-3 px-2">{taxRate.category?.name || 'All'}</td>
+                      <td className="py-3 px-2">{taxRate.rate}%</td>
+                      <td className="py-3 px-2">
+                        <div className="flex space-x-3 text-sm">
+                          <button
+                            onClick={() => openEditForm(taxRate)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => deleteTaxRate(taxRate)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminTaxRates;
@@ -1,17 +1,620 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import axios from '../../config/axios';
+import { useAuth } from '../../context/AuthContext';
 
 const AdminUsers = () => {
+  const { user: currentUser, hasPermission } = useAuth();
+  const canManageRoles = hasPermission('roles:manage');
+  const canWriteUsers = hasPermission('users:write');
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    search: '',
+    role: '',
+    status: '',
+    page: 1
+  });
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalUsers: 0
+  });
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [roles, setRoles] = useState([]);
+
+  const [invites, setInvites] = useState([]);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [filters]);
+
+  useEffect(() => {
+    fetchRoles();
+    fetchInvites();
+  }, []);
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true);
+      const queryParams = new URLSearchParams({
+        page: filters.page,
+        limit: 20,
+        ...(filters.search && { search: filters.search }),
+        ...(filters.role && { role: filters.role }),
+        ...(filters.status && { status: filters.status })
+      });
+
+      const response = await axios.get(`/api/admin/users?${queryParams}`);
+      setUsers(response.data.users);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      alert('Failed to fetch users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchRoles = async () => {
+    try {
+      const response = await axios.get('/api/admin/roles');
+      setRoles(response.data.roles);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+    }
+  };
+
+  const fetchUserDetails = async (userId) => {
+    try {
+      const [response, eventsResponse] = await Promise.all([
+        axios.get(`/api/admin/users/${userId}`),
+        axios.get(`/api/admin/security-events?userId=${userId}&limit=10`)
+      ]);
+      setSelectedUser({ ...response.data, securityEvents: eventsResponse.data.events });
+    } catch (error) {
+      console.error('Error fetching user details:', error);
+      alert(error.response?.data?.message || 'Failed to fetch user details');
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({ ...filters, [name]: value, page: 1 });
+  };
+
+  // Runs a management action, then refreshes the list and any open profile
+  const runUserAction = async (userId, request, successMessage) => {
+    try {
+      const response = await request();
+      alert(successMessage(response.data));
+      fetchUsers();
+      if (selectedUser?.user._id === userId) {
+        fetchUserDetails(userId);
+      }
+    } catch (error) {
+      console.error('User action error:', error);
+      alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Action failed');
+    }
+  };
+
+  const changeRole = (user, role) => {
+    if (!window.confirm(`Change ${user.name}'s role to ${role}?`)) {
+      return;
+    }
+    runUserAction(user._id, () => axios.patch(`/api/admin/users/${user._id}/role`, { role }), (data) => data.message);
+  };
+
+  const toggleSuspension = (user) => {
+    if (user.status === 'suspended') {
+      runUserAction(user._id, () => axios.patch(`/api/admin/users/${user._id}/status`, { status: 'active' }), (data) => data.message);
+      return;
+    }
+
+    const reason = window.prompt(`Suspend ${user.name}? Optionally enter a reason:`);
+    if (reason === null) {
+      return;
+    }
+    runUserAction(
+      user._id,
+      () => axios.patch(`/api/admin/users/${user._id}/status`, { status: 'suspended', ...(reason && { reason }) }),
+      (data) => data.message
+    );
+  };
+
+  const forcePasswordReset = (user) => {
+    if (!window.confirm(`Force a password reset for ${user.name}? They will be signed out everywhere.`)) {
+      return;
+    }
+    runUserAction(
+      user._id,
+      () => axios.post(`/api/admin/users/${user._id}/force-password-reset`),
+      (data) => `${data.message}\n\nTemporary password: ${data.temporaryPassword}\nShare it with the user securely - they must change it on next login.`
+    );
+  };
+
+  const unlockUser = (user) => {
+    runUserAction(user._id, () => axios.post(`/api/admin/users/${user._id}/unlock`), (data) => data.message);
+  };
+
+  const deleteUser = (user) => {
+    if (!window.confirm(`Delete ${user.name}'s account? Their order history is kept.`)) {
+      return;
+    }
+    runUserAction(user._id, () => axios.delete(`/api/admin/users/${user._id}`), (data) => data.message);
+  };
+
+  const fetchInvites = async () => {
+    if (!canManageRoles) {
+      return;
+    }
+
+    try {
+      const response = await axios.get('/api/admin/invites');
+      setInvites(response.data.invites);
+    } catch (error) {
+      console.error('Error fetching invites:', error);
+    }
+  };
+
+  const createInvite = async (e) => {
+    e.preventDefault();
+    setSending(true);
+
+    try {
+      const response = await axios.post('/api/admin/invites', { email: inviteEmail });
+      setInviteUrl(response.data.inviteUrl);
+      setInviteEmail('');
+      fetchInvites();
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to create invitation');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const revokeInvite = async (inviteId) => {
+    if (!window.confirm('Revoke this invitation?')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/invites/${inviteId}`);
+      fetchInvites();
+    } catch (error) {
+      console.error('Error revoking invite:', error);
+      alert(error.response?.data?.message || 'Failed to revoke invitation');
+    }
+  };
+
+  const getStatusColor = (status) => {
+    const colors = {
+      active: 'bg-green-100 text-green-800',
+      suspended: 'bg-yellow-100 text-yellow-800',
+      deleted: 'bg-red-100 text-red-800',
+      pending: 'bg-yellow-100 text-yellow-800',
+      used: 'bg-green-100 text-green-800',
+      revoked: 'bg-red-100 text-red-800',
+      expired: 'bg-gray-100 text-gray-800'
+    };
+    return colors[status] || 'bg-gray-100 text-gray-800';
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const isLocked = (user) => user.lockUntil && new Date(user.lockUntil) > new Date();
+
+  const isCurrentUser = (user) => (currentUser?.id || currentUser?._id) === user._id;
+
+  // Staff accounts can only be managed by users who may also change roles
+  const canManageUser = (user) => canWriteUsers && !isCurrentUser(user) &&
+    (user.role === 'customer' || canManageRoles);
+
   return (
     <div className="space-y-6">
       <h1 className="text-3xl font-bold text-gray-800">User Management</h1>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="card-body">
+          <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div>
+              <label className="form-label">Search Users</label>
+              <input
+                type="text"
+                name="search"
+                value={filters.search}
+                onChange={handleFilterChange}
+                placeholder="Search by name or email..."
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Role</label>
+              <select
+                name="role"
+                value={filters.role}
+                onChange={handleFilterChange}
+                className="form-input capitalize"
+              >
+                <option value="">All Roles</option>
+                {roles.map((role) => (
+                  <option key={role._id} value={role.name}>{role.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Status</label>
+              <select
+                name="status"
+                value={filters.status}
+                onChange={handleFilterChange}
+                className="form-input"
+              >
+                <option value="">Active & Suspended</option>
+                <option value="active">Active</option>
+                <option value="suspended">Suspended</option>
+                <option value="deleted">Deleted</option>
+              </select>
+            </div>
+            <div className="flex items-end">
+              <button
+                onClick={() => setFilters({ search: '', role: '', status: '', page: 1 })}
+                className="btn-secondary w-full"
+              >
+                Clear Filters
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Users Table */}
       <div className="card">
-        <div className="card-body text-center py-20">
-          <h2 className="text-xl font-semibold text-gray-600 mb-4">Admin Users Page</h2>
-          <p className="text-gray-500">User management functionality coming soon...</p>
+        <div className="card-body">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-2">User</th>
+                    <th className="text-left py-3 px-2">Role</th>
+                    <th className="text-left py-3 px-2">Status</th>
+                    <th className="text-left py-3 px-2">Orders</th>
+                    <th className="text-left py-3 px-2">Lifetime Spend</th>
+                    <th className="text-left py-3 px-2">Joined</th>
+                    <th className="text-left py-3 px-2">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map((user) => (
+                    <tr key={user._id} className="border-b hover:bg-gray-50">
+                      <td className="py-3 px-2">
+                        <div className="font-medium">{user.name}</div>
+                        <div className="text-sm text-gray-500">{user.email}</div>
+                      </td>
+                      <td className="py-3 px-2">
+                        <select
+                          value={user.role}
+                          onChange={(e) => changeRole(user, e.target.value)}
+                          disabled={!canManageRoles || isCurrentUser(user) || user.status === 'deleted'}
+                          className="text-sm px-2 py-1 rounded border border-gray-300 capitalize"
+                        >
+                          {/* Keep the current value selectable while the role list loads */}
+                          {!roles.some((role) => role.name === user.role) && (
+                            <option value={user.role}>{user.role}</option>
+                          )}
+                          {roles.map((role) => (
+                            <option key={role._id} value={role.name}>{role.name}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-3 px-2">
+                        <span className={`text-sm px-2 py-1 rounded capitalize ${getStatusColor(user.status)}`}>
+                          {user.status}
+                        </span>
+                        {isLocked(user) && (
+                          <div className="text-xs text-red-600 mt-1">Locked until {formatDate(user.lockUntil)}</div>
+                        )}
+                        {user.passwordResetRequired && (
+                          <div className="text-xs text-gray-500 mt-1">Password reset pending</div>
+                        )}
+                      </td>
+                      <td className="py-3 px-2 text-sm">{user.orderCount}</td>
+                      <td className="py-3 px-2 font-medium">${user.lifetimeSpend.toFixed(2)}</td>
+                      <td className="py-3 px-2 text-sm">{formatDate(user.createdAt)}</td>
+                      <td className="py-3 px-2">
+                        <div className="flex flex-col space-y-1 text-sm">
+                          <button
+                            onClick={() => fetchUserDetails(user._id)}
+                            className="text-left text-blue-600 hover:text-blue-800"
+                          >
+                            View Profile
+                          </button>
+                          {canManageUser(user) && (isLocked(user) || user.failedLoginAttempts > 0) && (
+                            <button
+                              onClick={() => unlockUser(user)}
+                              className="text-left text-green-600 hover:text-green-800"
+                            >
+                              Unlock
+                            </button>
+                          )}
+                          {canManageUser(user) && user.status !== 'deleted' && (
+                            <>
+                              <button
+                                onClick={() => toggleSuspension(user)}
+                                className="text-left text-yellow-600 hover:text-yellow-800"
+                              >
+                                {user.status === 'suspended' ? 'Reactivate' : 'Suspend'}
+                              </button>
+                              <button
+                                onClick={() => forcePasswordReset(user)}
+                                className="text-left text-purple-600 hover:text-purple-800"
+                              >
+                                Force Password Reset
+                              </button>
+                              <button
+                                onClick={() => deleteUser(user)}
+                                className="text-left text-red-600 hover:text-red-800"
+                              >
+                                Delete
+                              </button>
+                            </>
+                          )}
+                          {canManageUser(user) && user.status === 'deleted' && (
+                            <button
+                              onClick={() => runUserAction(
+                                user._id,
+                                () => axios.patch(`/api/admin/users/${user._id}/status`, { status: 'active' }),
+                                () => 'User restored successfully'
+                              )}
+                              className="text-left text-green-600 hover:text-green-800"
+                            >
+                              Restore
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {users.length === 0 && (
+                <div className="text-center py-8">
+                  <p className="text-gray-500">No users found</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex justify-center space-x-2 mt-6">
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.currentPage - 1 })}
+                disabled={pagination.currentPage === 1}
+                className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-300"
+              >
+                Previous
+              </button>
+
+              {[...Array(Math.min(5, pagination.totalPages))].map((_, index) => {
+                const page = pagination.currentPage - 2 + index;
+                if (page < 1 || page > pagination.totalPages) return null;
+
+                return (
+                  <button
+                    key={page}
+                    onClick={() => setFilters({ ...filters, page })}
+                    className={`px-3 py-2 rounded-lg ${
+                      page === pagination.currentPage
+                        ? 'bg-primary-600 text-white'
+                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                  >
+                    {page}
+                  </button>
+                );
+              })}
+
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.currentPage + 1 })}
+                disabled={pagination.currentPage === pagination.totalPages}
+                className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-300"
+              >
+                Next
+              </button>
+            </div>
+          )}
+
+          <div className="text-center text-sm text-gray-500 mt-4">
+            {pagination.totalUsers} user{pagination.totalUsers !== 1 ? 's' : ''} found
+          </div>
         </div>
       </div>
+
+      {/* User Profile */}
+      {selectedUser && (
+        <div className="card">
+          <div className="card-body">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl font-semibold">{selectedUser.user.name}</h2>
+                <p className="text-gray-500">{selectedUser.user.email}</p>
+                <p className="text-sm text-gray-500 capitalize">
+                  {selectedUser.user.role} · {selectedUser.user.status}
+                  {selectedUser.user.statusReason && ` (${selectedUser.user.statusReason})`}
+                </p>
+              </div>
+              <button
+                onClick={() => setSelectedUser(null)}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                Close
+              </button>
+            </div>
+
+            <div className="grid md:grid-cols-3 gap-4 mb-6">
+              <div className="bg-gray-50 rounded-lg p-4 text-center">
+                <div className="text-2xl font-bold text-primary-600">{selectedUser.stats.orderCount}</div>
+                <div className="text-sm text-gray-600">Orders</div>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-4 text-center">
+                <div className="text-2xl font-bold text-green-600">${selectedUser.stats.lifetimeSpend.toFixed(2)}</div>
+                <div className="text-sm text-gray-600">Lifetime Spend</div>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-4 text-center">
+                <div className="text-lg font-bold text-gray-800">
+                  {selectedUser.stats.lastOrderAt ? formatDate(selectedUser.stats.lastOrderAt) : 'Never'}
+                </div>
+                <div className="text-sm text-gray-600">Last Order</div>
+              </div>
+            </div>
+
+            <h3 className="font-semibold mb-2">Order History</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2">Order #</th>
+                    <th className="text-left py-2 px-2">Date</th>
+                    <th className="text-left py-2 px-2">Items</th>
+                    <th className="text-left py-2 px-2">Amount</th>
+                    <th className="text-left py-2 px-2">Status</th>
+                    <th className="text-left py-2 px-2">Payment</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedUser.orders.map((order) => (
+                    <tr key={order._id} className="border-b">
+                      <td className="py-2 px-2 font-medium">#{order.orderNumber}</td>
+                      <td className="py-2 px-2 text-sm">{formatDate(order.createdAt)}</td>
+                      <td className="py-2 px-2 text-sm">{order.items.length}</td>
+                      <td className="py-2 px-2">${order.totalAmount}</td>
+                      <td className="py-2 px-2 text-sm capitalize">{order.status}</td>
+                      <td className="py-2 px-2 text-sm capitalize">{order.paymentStatus.replace('_', ' ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {selectedUser.orders.length === 0 && (
+                <p className="text-center text-gray-500 py-4">No orders yet</p>
+              )}
+            </div>
+
+            <h3 className="font-semibold mt-6 mb-2">Security Events</h3>
+            {selectedUser.securityEvents.length === 0 ? (
+              <p className="text-gray-500 text-sm">No lockouts recorded</p>
+            ) : (
+              <ul className="space-y-1 text-sm">
+                {selectedUser.securityEvents.map((event) => (
+                  <li key={event._id} className="flex justify-between border-b py-1">
+                    <span className="capitalize">
+                      {event.type.replace('_', ' ')}
+                      {event.actorId && ` by ${event.actorId.name}`}
+                      {event.details?.reason === 'password_reset' && ' (password reset)'}
+                    </span>
+                    <span className="text-gray-500">
+                      {formatDate(event.createdAt)}{event.ip && ` · ${event.ip}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Admin Invitations */}
+      {canManageRoles && (
+        <div className="card">
+          <div className="card-body">
+            <h2 className="text-xl font-semibold mb-4">Invite an Admin</h2>
+            <form onSubmit={createInvite} className="flex flex-col md:flex-row gap-4">
+              <input
+                type="email"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                placeholder="new.admin@example.com"
+                className="form-input flex-1"
+                required
+              />
+              <button type="submit" disabled={sending} className="btn-primary">
+                {sending ? 'Creating...' : 'Create Invitation'}
+              </button>
+            </form>
+
+            {inviteUrl && (
+              <div className="alert alert-info mt-4">
+                <p className="font-medium mb-1">Share this single-use link with the new admin:</p>
+                <p className="text-sm break-all">{inviteUrl}</p>
+              </div>
+            )}
+
+            <div className="overflow-x-auto mt-6">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-2">Email</th>
+                    <th className="text-left py-3 px-2">Invited By</th>
+                    <th className="text-left py-3 px-2">Expires</th>
+                    <th className="text-left py-3 px-2">Status</th>
+                    <th className="text-left py-3 px-2">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invites.map((invite) => (
+                    <tr key={invite._id} className="border-b hover:bg-gray-50">
+                      <td className="py-3 px-2">{invite.email}</td>
+                      <td className="py-3 px-2 text-sm">{invite.invitedBy?.name || 'N/A'}</td>
+                      <td className="py-3 px-2 text-sm">{formatDate(invite.expiresAt)}</td>
+                      <td className="py-3 px-2">
+                        <span className={`text-sm px-2 py-1 rounded capitalize ${getStatusColor(invite.status)}`}>
+                          {invite.status}
+                        </span>
+                      </td>
+                      <td className="py-3 px-2">
+                        {invite.status === 'pending' && (
+                          <button
+                            onClick={() => revokeInvite(invite._id)}
+                            className="text-red-600 hover:text-red-800 text-sm"
+                          >
+                            Revoke
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {invites.length === 0 && (
+              <div className="text-center py-8">
+                <p className="text-gray-500">No invitations yet</p>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
-export default AdminUsers; 
\ No newline at end of file
+export default AdminUsers;
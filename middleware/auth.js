@@ -1,5 +1,24 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models/User');
+const { RefreshToken } = require('../models/RefreshToken');
+const { Role } = require('../models/Role');
+
+// Load the user behind a verified access token, or null if the token was revoked
+const getUserForToken = async (decoded) => {
+  const user = await User.findById(decoded.id).select('-password -__v +tokenVersion');
+
+  // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens
+  if (decoded.purpose) {
+    return null;
+  }
+
+  if (!user || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return null;
+  }
+
+  user.tokenVersion = undefined;
+  return user;
+};
 
 // JWT Authentication Middleware - DB Security Feature
 const authenticate = async (req, res, next) => {
@@ -22,16 +41,24 @@ const authenticate = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
       // Get user from database (exclude password)
-      const user = await User.getSanitizedUser(decoded.id);
+      const user = await getUserForToken(decoded);
       
       if (!user) {
         return res.status(401).json({ 
-          message: 'Token is valid but user not found' 
+          message: 'Token has been revoked or user not found' 
         });
       }
 
-      // Attach user to request object
+      // Suspended and deleted accounts are rejected even with a valid token
+      if (user.status !== 'active') {
+        return res.status(403).json({ 
+          message: user.status === 'suspended' ? 'Account is suspended' : 'Account has been deleted'
+        });
+      }
+
+      // Attach user and session details to request object
       req.user = user;
+      req.auth = { mfa: Boolean(decoded.mfa) };
       next();
 
     } catch (jwtError) {
@@ -76,11 +103,81 @@ const authorize = (...roles) => {
   };
 };
 
-// Admin Only Middleware
-const adminOnly = authorize('admin');
+// Whether this user's sessions must have passed two-factor authentication
+// Applies to every staff role, i.e. anything but a plain customer account
+const isTwoFactorRequired = (user) => {
+  return user.role !== 'customer' && process.env.REQUIRE_ADMIN_2FA === 'true';
+};
+
+// Two-Factor Session Middleware - use after authenticate
+const requireTwoFactor = (req, res, next) => {
+  if (!req.auth || !req.auth.mfa) {
+    return res.status(403).json({ 
+      message: req.user.twoFactorEnabled
+        ? 'This action requires a session verified with two-factor authentication. Please log in again.'
+        : 'Two-factor authentication must be enabled on your account for this action',
+      code: req.user.twoFactorEnabled ? 'TWO_FACTOR_REQUIRED' : 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+    });
+  }
 
-// Customer or Admin Middleware
-const customerOrAdmin = authorize('customer', 'admin');
+  next();
+};
+
+// Load the permissions of the current user's role once per request
+const getPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await Role.getPermissions(req.user.role);
+  }
+  return req.permissions;
+};
+
+// Permission-based Authorization Middleware - use after authenticate
+// Requires every listed permission, plus a 2FA-verified session when REQUIRE_ADMIN_2FA=true
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ 
+          message: 'Access denied. Authentication required.' 
+        });
+      }
+
+      const granted = await getPermissions(req);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({ 
+          message: `Access denied. Missing permission: ${missing.join(', ')}`,
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      if (isTwoFactorRequired(req.user)) {
+        return requireTwoFactor(req, res, next);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({ 
+        message: 'Authorization failed',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+// Verified Email Middleware - use after authenticate
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ 
+      message: 'Please verify your email address before continuing',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
 
 // Optional Authentication (for public endpoints that benefit from user context)
 const optionalAuth = async (req, res, next) => {
@@ -94,8 +191,8 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.getSanitizedUser(decoded.id);
-        if (user) {
+        const user = await getUserForToken(decoded);
+        if (user && user.status === 'active') {
           req.user = user;
         }
       } catch (error) {
@@ -111,13 +208,45 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
+// Generate JWT Token - short-lived access token, renewed with a refresh token
+const generateToken = (userId, tokenVersion = 0, { mfa = false } = {}) => {
+  return jwt.sign({ id: userId, tv: tokenVersion, ...(mfa && { mfa: true }) }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
+// Start a session - access token plus a new server-side refresh token
+const createSession = async (user, req, { mfa = false } = {}) => {
+  const { tokenVersion } = await User.findById(user._id).select('+tokenVersion');
+
+  const refreshToken = await RefreshToken.issue(user._id, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    mfa
+  });
+
+  return {
+    token: generateToken(user._id, tokenVersion, { mfa }),
+    refreshToken
+  };
+};
+
+// Generate the short-lived token that links a password check to the 2FA step
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+  });
+};
+
+// Verify a 2FA login challenge and return its payload
+const verifyTwoFactorChallenge = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== '2fa_challenge') {
+    throw new Error('Invalid or expired token');
+  }
+  return decoded;
+};
+
 // Verify Token (utility function)
 const verifyToken = (token) => {
   try {
@@ -130,9 +259,15 @@ const verifyToken = (token) => {
 module.exports = {
   authenticate,
   authorize,
-  adminOnly,
-  customerOrAdmin,
+  requirePermission,
+  getPermissions,
   optionalAuth,
+  requireVerifiedEmail,
+  requireTwoFactor,
+  isTwoFactorRequired,
   generateToken,
+  createSession,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
   verifyToken
 }; 
\ No newline at end of file
@@ -0,0 +1,74 @@
+const { IdempotencyKey } = require('../models/IdempotencyKey');
+
+// Responses a retry could change - the key is released instead of stored
+const isRetryableStatus = (status) => status >= 500 || status === 409 || status === 429;
+
+// Idempotency Middleware - honors an Idempotency-Key header on a write endpoint.
+// The first request with a key runs; repeats with the same body get its stored
+// response, repeats with a different body are rejected. Requests without the
+// header are unaffected. Must run after authenticate.
+const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      message: 'Idempotency-Key cannot exceed 255 characters'
+    });
+  }
+
+  try {
+    const requestHash = IdempotencyKey.hashRequest(req.body);
+    const { record, claimed } = await IdempotencyKey.claim({
+      key,
+      userId: req.user._id,
+      scope,
+      requestHash
+    });
+
+    if (!claimed) {
+      if (record && record.requestHash !== requestHash) {
+        return res.status(422).json({
+          message: 'Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        });
+      }
+
+      if (!record || record.status === 'processing') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Store the response before it is sent, so a retry never sees a gap
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const settle = isRetryableStatus(res.statusCode)
+        ? IdempotencyKey.release(record._id)
+        : IdempotencyKey.complete(record._id, res.statusCode, body);
+
+      settle
+        .catch(error => console.error('Idempotency key update error:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      message: 'Failed to process Idempotency-Key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { body } = require('express-validator');
+
+const ADMIN_INVITE_TTL_MS = (parseInt(process.env.ADMIN_INVITE_EXPIRE_HOURS) || 72) * 60 * 60 * 1000;
+
+// MongoDB Schema for Admin Invitations - single-use, expiring tokens that are
+// the only way to create an admin account. Only a SHA-256 hash of the token is stored.
+const adminInviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+adminInviteSchema.index({ email: 1, createdAt: -1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Virtual Field for the invite state shown to admins
+adminInviteSchema.virtual('status').get(function() {
+  if (this.usedAt) return 'used';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+adminInviteSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+// Static Method to issue an invite - any pending invite for the same email is revoked
+adminInviteSchema.statics.issue = async function(email, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.updateMany(
+    { email: email.toLowerCase(), usedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const invite = await this.create({
+    email,
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + ADMIN_INVITE_TTL_MS)
+  });
+
+  return { invite, token };
+};
+
+// Static Method to redeem an invite - atomic, so a token can only ever be used once
+adminInviteSchema.statics.consume = async function(token, email, userId, session = null) {
+  const options = session ? { session, new: true } : { new: true };
+
+  const invite = await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      email: email.toLowerCase(),
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date(), usedBy: userId } },
+    options
+  );
+
+  if (!invite) {
+    throw new Error('Invalid or expired invitation');
+  }
+
+  return invite;
+};
+
+// Express Validator Rules for Input Sanitization
+const adminInviteValidation = {
+  create: [
+    body('email')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail()
+  ],
+
+  accept: [
+    body('inviteToken')
+      .isString()
+      .withMessage('Invitation token is required')
+      .matches(/^[a-f0-9]{64}$/)
+      .withMessage('Invalid invitation token')
+  ]
+};
+
+const AdminInvite = mongoose.model('AdminInvite', adminInviteSchema);
+
+module.exports = { AdminInvite, adminInviteValidation };
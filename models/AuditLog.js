@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Bookkeeping fields that change on every write and say nothing about the change itself
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'version'];
+
+// MongoDB Schema for the Audit Log - who changed what, on which entity, and how
+const auditLogSchema = new mongoose.Schema({
+  // Dotted action name, e.g. product.update or order.status_change
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  entityType: {
+    type: String,
+    enum: ['product', 'order', 'return', 'user', 'role', 'invite', 'tax_rate', 'shipping_method', 'promotion', 'category'],
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Human-readable name of the entity at the time (product name, order number, email...)
+  entityLabel: String,
+  // Only the fields that changed, before and after
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: {} },
+    after: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Snapshot of the actor, kept even if the account changes later
+  actorEmail: String,
+  actorRole: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const toPlain = (value) => {
+  if (!value) return {};
+  return typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+};
+
+// Static Method to reduce two snapshots to the fields that differ
+auditLogSchema.statics.diff = function(before, after) {
+  const previous = toPlain(before);
+  const current = toPlain(after);
+  const changes = { before: {}, after: {} };
+
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(previous[field]) === JSON.stringify(current[field])) continue;
+
+    if (previous[field] !== undefined) changes.before[field] = previous[field];
+    if (current[field] !== undefined) changes.after[field] = current[field];
+  }
+
+  return changes;
+};
+
+// Static Method to record a mutation. Inside a transaction the entry is part of it,
+// so a failed write aborts the change; outside one, auditing never breaks the request.
+auditLogSchema.statics.record = async function({ before, after, ...entry }, req = null, session = null) {
+  const doc = {
+    ...entry,
+    changes: this.diff(before, after),
+    actorId: req && req.user ? req.user._id : null,
+    actorEmail: req && req.user ? req.user.email : undefined,
+    actorRole: req && req.user ? req.user.role : undefined,
+    ip: req ? req.ip : undefined,
+    userAgent: req ? req.headers['user-agent'] : undefined
+  };
+
+  if (session) {
+    const [log] = await this.create([doc], { session });
+    return log;
+  }
+
+  try {
+    return await this.create(doc);
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = { AuditLog };
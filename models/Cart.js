@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+
+// Abandoned carts are removed by MongoDB after this many days of inactivity
+const CART_TTL_SECONDS = (parseInt(process.env.CART_TTL_DAYS) || 30) * 24 * 60 * 60;
+
+// Upper bound for a single cart line, matches the cart route validation
+const MAX_ITEM_QUANTITY = 50;
+
+// Cart Item Schema for embedded documents (price is a snapshot taken when added)
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // The chosen variant, for products sold by variant
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  variantLabel: {
+    type: String
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  imageUrl: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+// MongoDB Schema for Carts - one document per user or per anonymous guest token
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestToken: {
+    type: String
+  },
+  items: [cartItemSchema],
+  // Coupon the shopper applied - re-checked whenever the cart is priced
+  promotionCode: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A cart belongs to exactly one owner
+cartSchema.pre('validate', function(next) {
+  if (!this.userId === !this.guestToken) {
+    return next(new Error('Cart must belong to either a user or a guest'));
+  }
+  next();
+});
+
+// Indexes - sparse so guest carts and user carts can share the collection
+cartSchema.index({ userId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ guestToken: 1 }, { unique: true, sparse: true });
+
+// TTL Index - MongoDB expires carts that have not been touched within the window
+cartSchema.index({ updatedAt: 1 }, { expireAfterSeconds: CART_TTL_SECONDS });
+
+// Instance Method to add or increment an item - throws when the product is
+// sold by variant and variantId does not name one that is on sale
+cartSchema.methods.upsertItem = function(product, quantity, variantId = null) {
+  const { price, sku, variantLabel } = product.resolveVariant(variantId);
+  const item = this.findItem(product._id, variantId);
+
+  if (item) {
+    item.quantity = quantity;
+    item.price = price;
+    item.total = quantity * price;
+  } else {
+    this.items.push({
+      productId: product._id,
+      variantId: variantId || null,
+      sku,
+      variantLabel,
+      productName: product.name,
+      price,
+      quantity,
+      total: quantity * price,
+      imageUrl: product.imageUrl
+    });
+  }
+
+  return this.findItem(product._id, variantId);
+};
+
+// Instance Method to find a cart item by product and variant
+cartSchema.methods.findItem = function(productId, variantId = null) {
+  return this.items.find(i =>
+    i.productId.toString() === productId.toString() &&
+    String(i.variantId || '') === String(variantId || ''));
+};
+
+// Instance Method to remove an item by product and variant
+cartSchema.methods.removeItem = function(productId, variantId = null) {
+  const item = this.findItem(productId, variantId);
+  if (item) {
+    this.items = this.items.filter(i => i !== item);
+  }
+  return item;
+};
+
+// Instance Method to compute cart totals
+cartSchema.methods.getSummary = function() {
+  const cartTotal = this.items.reduce((sum, item) => sum + item.total, 0);
+  const itemCount = this.items.reduce((sum, item) => sum + item.quantity, 0);
+
+  return {
+    itemCount,
+    cartTotal: Math.round(cartTotal * 100) / 100
+  };
+};
+
+// Instance Method to price the applied coupon against the current items.
+// Returns null without a coupon, otherwise { code, valid, name, discountAmount }
+// or { code, valid: false, message } when the coupon does not fit the cart.
+cartSchema.methods.evaluatePromotion = async function(userId = null) {
+  if (!this.promotionCode) {
+    return null;
+  }
+
+  const { Product } = require('./Product');
+  const { Promotion } = require('./Promotion');
+
+  const products = await Product.find({ _id: { $in: this.items.map(item => item.productId) } }).select('category');
+  const lines = this.items.map(item => ({
+    productId: item.productId,
+    category: (products.find(p => p._id.equals(item.productId)) || {}).category,
+    price: item.price,
+    quantity: item.quantity,
+    total: item.total
+  }));
+
+  try {
+    const { promotion, discount } = await Promotion.evaluate(this.promotionCode, lines, { userId });
+    return { code: promotion.code, valid: true, name: promotion.name, discountAmount: discount.amount };
+  } catch (error) {
+    if (!error.message.startsWith('Coupon ')) {
+      throw error;
+    }
+    return { code: this.promotionCode, valid: false, message: error.message };
+  }
+};
+
+// Static Method to load a cart by owner ({ userId } or { guestToken }), creating it on first use
+cartSchema.statics.findOrCreateForOwner = async function(owner) {
+  return await this.findOneAndUpdate(
+    owner,
+    { $setOnInsert: { ...owner, items: [] } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static Method to load a user's cart, creating it on first use
+cartSchema.statics.findOrCreateForUser = function(userId) {
+  return this.findOrCreateForOwner({ userId });
+};
+
+// Static Method to empty a user's cart
+cartSchema.statics.clearForUser = async function(userId, session = null) {
+  const options = session ? { session } : {};
+
+  return await this.findOneAndUpdate(
+    { userId },
+    { $set: { items: [], promotionCode: null } },
+    { new: true, ...options }
+  );
+};
+
+// Static Method to merge a guest cart into a user's cart on login/registration
+// Quantity conflicts are resolved against the current product stock, less
+// whatever other shoppers are holding
+cartSchema.statics.mergeGuestCart = async function(guestToken, userId) {
+  const { Product, stockKey } = require('./Product');
+  const { Reservation } = require('./Reservation');
+  const result = { mergedItems: 0, adjustedItems: [] };
+
+  const guestCart = await this.findOne({ guestToken });
+  if (!guestCart) {
+    return result;
+  }
+
+  // The guest's holds are re-placed under the user below
+  const userOwner = Reservation.ownerKey({ userId });
+  await Reservation.releaseAll(Reservation.ownerKey({ guestToken }));
+
+  if (guestCart.items.length > 0) {
+    const userCart = await this.findOrCreateForUser(userId);
+    const productIds = guestCart.items.map(item => item.productId);
+    const [products, heldByOthers] = await Promise.all([
+      Product.find({ _id: { $in: productIds }, isActive: true }).select('name price stock imageUrl variants'),
+      Reservation.getHeldQuantities(productIds, { excludeOwner: userOwner })
+    ]);
+
+    for (const guestItem of guestCart.items) {
+      const { productId, variantId } = guestItem;
+      const product = products.find(p => p._id.equals(productId));
+      const existingItem = userCart.findItem(productId, variantId);
+      const requested = guestItem.quantity + (existingItem ? existingItem.quantity : 0);
+
+      let stock = 0;
+      try {
+        stock = product ? product.resolveVariant(variantId).stock : 0;
+      } catch (variantError) {
+        // The variant is no longer sold
+      }
+      const available = Math.min(stock - (heldByOthers[stockKey(productId, variantId)] || 0), MAX_ITEM_QUANTITY);
+
+      if (available < requested) {
+        result.adjustedItems.push({
+          productId,
+          variantId,
+          productName: guestItem.productName,
+          variantLabel: guestItem.variantLabel,
+          requested,
+          quantity: Math.max(0, available)
+        });
+      }
+
+      if (available <= 0) {
+        if (existingItem) {
+          userCart.removeItem(productId, variantId);
+          await Reservation.release(userOwner, productId, variantId);
+        }
+        continue;
+      }
+
+      const quantity = Math.min(requested, available);
+      try {
+        await Reservation.hold(userOwner, product._id, quantity, variantId);
+      } catch (holdError) {
+        // Lost a race for the stock - the cart view will flag the item
+        console.error('Guest cart merge hold error:', holdError.message);
+      }
+
+      userCart.upsertItem(product, quantity, variantId);
+      result.mergedItems += 1;
+    }
+
+    // Keep the guest's coupon unless the account already had one
+    if (guestCart.promotionCode && !userCart.promotionCode) {
+      userCart.promotionCode = guestCart.promotionCode;
+    }
+
+    await userCart.save();
+  }
+
+  await this.deleteOne({ _id: guestCart._id });
+  return result;
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = { Cart, MAX_ITEM_QUANTITY };
@@ -0,0 +1,307 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+
+// The fixed list products used before categories could be managed - the
+// startup migration turns each name still in use into a Category document
+const LEGACY_CATEGORIES = ['Electronics', 'Clothing', 'Books', 'Home', 'Sports', 'Other'];
+
+// Root categories count as level 1
+const MAX_CATEGORY_DEPTH = 4;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// URL-safe form of a name, e.g. "Men's Shoes" becomes "mens-shoes"
+const slugify = (value) => String(value)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f']/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+// MongoDB Schema for Categories - an admin-managed tree products are filed under
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // Used in storefront URLs and filters, e.g. ?category=mens-shoes
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  // null for a top-level category
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Every category above this one, top-level first - a whole subtree is
+  // found with a single query on this field
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Display order among siblings, lowest first
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive categories are hidden from the storefront's category list
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Sibling names are unique; subtrees are looked up by ancestor
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+categorySchema.index({ ancestors: 1 });
+
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Instance Method to file the category under a parent (null for top level),
+// refusing cycles and trees deeper than MAX_CATEGORY_DEPTH. Call
+// Category.updateDescendantPaths after saving a category that moved.
+categorySchema.methods.placeUnder = async function(parentId, session = null) {
+  if (!parentId) {
+    this.parent = null;
+    this.ancestors = [];
+    return this;
+  }
+
+  const parent = await this.constructor.findById(parentId).session(session);
+  if (!parent) {
+    throw new Error('Parent category not found');
+  }
+
+  if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+    throw new Error('A category cannot be moved under itself or one of its subcategories');
+  }
+
+  // Subcategories move along with this one
+  const descendants = this.isNew
+    ? []
+    : await this.constructor.find({ ancestors: this._id }).select('ancestors').session(session);
+  const subtreeDepth = Math.max(0, ...descendants.map(d => d.ancestors.length - this.ancestors.length));
+  if (parent.ancestors.length + 2 + subtreeDepth > MAX_CATEGORY_DEPTH) {
+    throw new Error(`Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`);
+  }
+
+  this.parent = parent._id;
+  this.ancestors = [...parent.ancestors, parent._id];
+  return this;
+};
+
+// Static Method to rewrite the ancestors of every subcategory after a category moved
+categorySchema.statics.updateDescendantPaths = async function(category, session = null) {
+  const descendants = await this.find({ ancestors: category._id }).select('ancestors').session(session);
+  if (descendants.length === 0) {
+    return;
+  }
+
+  await this.bulkWrite(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(category._id)) + 1);
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: [...category.ancestors, category._id, ...below] } }
+      }
+    };
+  }), { session });
+};
+
+// Static Method to look a category up by id or slug - names work too, via their slug
+categorySchema.statics.findByRef = function(ref) {
+  const value = String(ref || '');
+  return value.match(/^[0-9a-fA-F]{24}$/)
+    ? this.findById(value)
+    : this.findOne({ slug: slugify(value) });
+};
+
+// Static Method to get a category's id followed by the ids of all its subcategories
+categorySchema.statics.getSubtreeIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('_id').lean();
+  return [new mongoose.Types.ObjectId(categoryId), ...descendants.map(d => d._id)];
+};
+
+// Static Method to get, per category id, the ids of the category and the ones
+// above it, nearest first - tax rates and promotions set on a category also
+// cover its subcategories
+categorySchema.statics.getPaths = async function(categoryIds, session = null) {
+  const ids = [...new Set(categoryIds.filter(Boolean).map(String))];
+  const categories = await this.find({ _id: { $in: ids } }).select('ancestors').session(session).lean();
+
+  return categories.reduce((map, category) => {
+    map[category._id.toString()] = [category._id, ...[...category.ancestors].reverse()].map(String);
+    return map;
+  }, {});
+};
+
+// Static Method to list categories depth first, siblings in display order.
+// Each entry carries its depth (0 for top level) and path, e.g. "Clothing › Shoes".
+categorySchema.statics.listTree = async function({ activeOnly = false } = {}) {
+  const categories = await this.find(activeOnly ? { isActive: true } : {})
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  const byParent = categories.reduce((map, category) => {
+    const key = category.parent ? category.parent.toString() : 'root';
+    (map[key] = map[key] || []).push(category);
+    return map;
+  }, {});
+
+  const list = [];
+  const visit = (parentKey, depth, parentPath) => {
+    for (const category of byParent[parentKey] || []) {
+      const path = parentPath ? `${parentPath} › ${category.name}` : category.name;
+      list.push({ ...category, depth, path });
+      visit(category._id.toString(), depth + 1, path);
+    }
+  };
+  // An inactive parent hides its whole subtree from the storefront
+  visit('root', 0, '');
+
+  return list;
+};
+
+// Static Method to count what still points at a category - it can only be deleted when nothing does
+categorySchema.statics.getUsage = async function(categoryId, session = null) {
+  const { Product } = require('./Product');
+  const { TaxRate } = require('./TaxRate');
+  const { Promotion } = require('./Promotion');
+
+  // One at a time - a transaction's session cannot run operations in parallel
+  return {
+    subcategories: await this.countDocuments({ parent: categoryId }).session(session),
+    products: await Product.countDocuments({ category: categoryId }).session(session),
+    taxRates: await TaxRate.countDocuments({ category: categoryId }).session(session),
+    promotions: await Promotion.countDocuments({ categories: categoryId }).session(session)
+  };
+};
+
+// Static Method for aggregation stages that replace a category id field with
+// { _id, name, slug } - the pipeline equivalent of populate('category', 'name slug')
+categorySchema.statics.lookupStages = function(field = 'category') {
+  return [
+    { $lookup: { from: 'categories', localField: field, foreignField: '_id', as: '_category' } },
+    {
+      $set: {
+        [field]: {
+          $let: {
+            vars: { category: { $arrayElemAt: ['$_category', 0] } },
+            in: { _id: '$$category._id', name: '$$category.name', slug: '$$category.slug' }
+          }
+        }
+      }
+    },
+    { $unset: '_category' }
+  ];
+};
+
+// Data migration - products, tax rates and promotions used to name their
+// category with a string. Each name still in use becomes a top-level category
+// and the documents are pointed at it; a store without any categories gets
+// the old list to start with.
+categorySchema.statics.migrateLegacyCategories = async function() {
+  const db = mongoose.connection.db;
+  const isString = { $type: 'string' };
+
+  const [productNames, taxRateNames, promotionNames, existing] = await Promise.all([
+    db.collection('products').distinct('category', { category: isString }),
+    db.collection('taxrates').distinct('category', { category: isString }),
+    db.collection('promotions').distinct('categories', { categories: isString }),
+    this.estimatedDocumentCount()
+  ]);
+
+  const names = [...new Set([
+    ...(existing === 0 ? LEGACY_CATEGORIES : []),
+    ...productNames,
+    ...taxRateNames,
+    ...promotionNames
+  ].filter(name => typeof name === 'string' && name.trim()))];
+
+  for (const name of names) {
+    const category = await this.findOne({ parent: null, name: name.trim() }) ||
+      await this.create({
+        name: name.trim(),
+        sortOrder: LEGACY_CATEGORIES.includes(name) ? LEGACY_CATEGORIES.indexOf(name) : LEGACY_CATEGORIES.length
+      });
+
+    await db.collection('products').updateMany({ category: name }, { $set: { category: category._id } });
+    await db.collection('taxrates').updateMany({ category: name }, { $set: { category: category._id } });
+    await db.collection('promotions').updateMany(
+      { categories: name },
+      { $set: { 'categories.$[legacy]': category._id } },
+      { arrayFilters: [{ legacy: name }] }
+    );
+  }
+
+  if (names.length > 0) {
+    console.log(`Migrated ${names.length} product categories to the category collection`);
+  }
+};
+
+// Express Validator Rules for Category Input - updates replace every field
+const categoryFieldValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name is required and cannot exceed 50 characters'),
+
+  body('slug')
+    .optional({ checkFalsy: true })
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage('Slug may only contain lowercase letters, numbers and dashes'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('parent')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid parent category'),
+
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0, max: 9999 })
+    .withMessage('Display order must be between 0 and 9999'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+const categoryValidation = {
+  create: categoryFieldValidation,
+  update: categoryFieldValidation
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = { Category, categoryValidation, slugify, MAX_CATEGORY_DEPTH };
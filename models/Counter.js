@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// MongoDB Schema for named sequences - each document is one counter, and
+// $inc on it is atomic, so concurrent callers never get the same value
+const counterSchema = new mongoose.Schema({
+  // The sequence name, e.g. orderNumber:IB-2026-#
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Static Method to take the next value of a sequence, starting at 1. Inside a
+// transaction the increment commits or rolls back with the rest of the work,
+// and concurrent transactions on the same counter conflict and are retried.
+counterSchema.statics.next = async function(name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+// Static Method to make sure a sequence continues after a value already in use
+counterSchema.statics.raiseTo = function(name, seq) {
+  return this.updateOne(
+    { _id: name },
+    { $max: { seq } },
+    { upsert: true }
+  );
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = { Counter };
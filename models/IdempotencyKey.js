@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a key is remembered after its first use
+const IDEMPOTENCY_KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// A request that has been processing this long is assumed to have died with its
+// server, and a retry with the same key may take it over
+const PROCESSING_LOCK_MS = 2 * 60 * 1000;
+
+// MongoDB Schema for Idempotency Keys - the first response to a client-chosen
+// key is stored and replayed to retries of the same request
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The endpoint the key was used on, e.g. order.create
+  scope: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the canonical request body - a reused key must carry the same request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are per user and endpoint, so clients only need unique keys of their own
+idempotencyKeySchema.index({ userId: 1, scope: 1, key: 1 }, { unique: true });
+
+// TTL Index - keys are forgotten after the retention window
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Serialize with sorted object keys so equal payloads hash equally
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Static Method to hash a request body
+idempotencyKeySchema.statics.hashRequest = function(body) {
+  return crypto.createHash('sha256').update(canonicalize(body || {})).digest('hex');
+};
+
+// Static Method to claim a key for a request. Returns { record, claimed }:
+// claimed is true when this request should run, false when the key is already
+// in use and record holds the earlier request.
+idempotencyKeySchema.statics.claim = async function({ key, userId, scope, requestHash }) {
+  const now = new Date();
+
+  // Lapsed keys may still be waiting for the TTL monitor
+  await this.deleteOne({ userId, scope, key, expiresAt: { $lte: now } });
+
+  try {
+    const record = await this.create({
+      key,
+      userId,
+      scope,
+      requestHash,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_MS)
+    });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Take over an abandoned request with the same payload
+  const takenOver = await this.findOneAndUpdate(
+    {
+      userId,
+      scope,
+      key,
+      requestHash,
+      status: 'processing',
+      lockedAt: { $lt: new Date(now.getTime() - PROCESSING_LOCK_MS) }
+    },
+    { $set: { lockedAt: now } },
+    { new: true }
+  );
+  if (takenOver) {
+    return { record: takenOver, claimed: true };
+  }
+
+  const record = await this.findOne({ userId, scope, key });
+  return { record, claimed: false };
+};
+
+// Static Method to store the response that later retries will receive
+idempotencyKeySchema.statics.complete = function(id, responseStatus, responseBody) {
+  return this.updateOne(
+    { _id: id },
+    { $set: { status: 'completed', responseStatus, responseBody } }
+  );
+};
+
+// Static Method to forget a key whose request may succeed if retried
+idempotencyKeySchema.statics.release = function(id) {
+  return this.deleteOne({ _id: id, status: 'processing' });
+};
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = { IdempotencyKey, IDEMPOTENCY_KEY_TTL_MS };
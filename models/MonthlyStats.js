@@ -22,6 +22,11 @@ const monthlyStatsSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Tax collected on the month's orders - not part of totalRevenue
+  totalTax: {
+    type: Number,
+    default: 0
+  },
   totalOrders: {
     type: Number,
     default: 0
@@ -77,34 +82,42 @@ const monthlyStatsSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Order line figures net of units returned and refunded
+const NET_ITEM_QUANTITY = { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] };
+const NET_ITEM_AMOUNT = { $subtract: ['$items.total', { $ifNull: ['$items.refundedAmount', 0] }] };
+
 // Compound Index for efficient querying
 monthlyStatsSchema.index({ year: 1, month: 1 }, { unique: true });
 monthlyStatsSchema.index({ computedAt: -1 });
 
 // Static method to refresh materialized view data
 monthlyStatsSchema.statics.refreshMonthlyStats = async function(year, month) {
-  const { Order } = require('./Order');
+  const { Order, NET_ORDER_AMOUNT, NET_ORDER_TAX, PAID_PAYMENT_STATUSES } = require('./Order');
   const { Product } = require('./Product');
   const { User } = require('./User');
+  const { Category } = require('./Category');
   
   const startDate = new Date(year, month - 1, 1);
   const endDate = new Date(year, month, 1);
   
   try {
-    // Aggregate order data for the month
+    // Aggregate order data for the month - paid orders only, like live revenue,
+    // net of refunded returns and tax
     const orderStats = await Order.aggregate([
       {
         $match: {
           createdAt: { $gte: startDate, $lt: endDate },
-          status: { $ne: 'cancelled' }
+          status: { $ne: 'cancelled' },
+          paymentStatus: { $in: PAID_PAYMENT_STATUSES }
         }
       },
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: '$totalAmount' },
+          totalRevenue: { $sum: NET_ORDER_AMOUNT },
+          totalTax: { $sum: NET_ORDER_TAX },
           totalOrders: { $sum: 1 },
-          averageOrderValue: { $avg: '$totalAmount' }
+          averageOrderValue: { $avg: NET_ORDER_AMOUNT }
         }
       }
     ]);
@@ -129,7 +142,8 @@ monthlyStatsSchema.statics.refreshMonthlyStats = async function(year, month) {
       {
         $match: {
           createdAt: { $gte: startDate, $lt: endDate },
-          status: { $ne: 'cancelled' }
+          status: { $ne: 'cancelled' },
+          paymentStatus: { $in: PAID_PAYMENT_STATUSES }
         }
       },
       { $unwind: '$items' },
@@ -137,8 +151,8 @@ monthlyStatsSchema.statics.refreshMonthlyStats = async function(year, month) {
         $group: {
           _id: '$items.productId',
           productName: { $first: '$items.productName' },
-          quantitySold: { $sum: '$items.quantity' },
-          revenue: { $sum: '$items.total' }
+          quantitySold: { $sum: NET_ITEM_QUANTITY },
+          revenue: { $sum: NET_ITEM_AMOUNT }
         }
       },
       { $sort: { quantitySold: -1 } },
@@ -159,7 +173,8 @@ monthlyStatsSchema.statics.refreshMonthlyStats = async function(year, month) {
       {
         $match: {
           createdAt: { $gte: startDate, $lt: endDate },
-          status: { $ne: 'cancelled' }
+          status: { $ne: 'cancelled' },
+          paymentStatus: { $in: PAID_PAYMENT_STATUSES }
         }
       },
       { $unwind: '$items' },
@@ -175,14 +190,16 @@ monthlyStatsSchema.statics.refreshMonthlyStats = async function(year, month) {
       {
         $group: {
           _id: '$product.category',
-          revenue: { $sum: '$items.total' },
+          revenue: { $sum: NET_ITEM_AMOUNT },
           orderCount: { $sum: 1 },
-          productsSold: { $sum: '$items.quantity' }
+          productsSold: { $sum: NET_ITEM_QUANTITY }
         }
       },
+      // Stats keep the category's name as it was that month
+      ...Category.lookupStages('_id'),
       {
         $project: {
-          category: '$_id',
+          category: '$_id.name',
           revenue: 1,
           orderCount: 1,
           productsSold: 1,
@@ -205,7 +222,7 @@ monthlyStatsSchema.statics.refreshMonthlyStats = async function(year, month) {
     ]);
 
     // Process the aggregated data
-    const orderData = orderStats[0] || { totalRevenue: 0, totalOrders: 0, averageOrderValue: 0 };
+    const orderData = orderStats[0] || { totalRevenue: 0, totalTax: 0, totalOrders: 0, averageOrderValue: 0 };
     
     const ordersByStatus = {
       pending: 0,
@@ -230,6 +247,7 @@ monthlyStatsSchema.statics.refreshMonthlyStats = async function(year, month) {
       month,
       monthName: monthNames[month - 1],
       totalRevenue: Math.round(orderData.totalRevenue * 100) / 100,
+      totalTax: Math.round(orderData.totalTax * 100) / 100,
       totalOrders: orderData.totalOrders,
       averageOrderValue: Math.round(orderData.averageOrderValue * 100) / 100,
       totalProductsSold: topProducts.reduce((sum, p) => sum + p.quantitySold, 0),
@@ -276,7 +294,7 @@ monthlyStatsSchema.statics.refreshYearlyStats = async function(year = new Date()
 monthlyStatsSchema.statics.getYearlyTrends = function(year = new Date().getFullYear()) {
   return this.find({ year })
     .sort({ month: 1 })
-    .select('month monthName totalRevenue totalOrders averageOrderValue newCustomers');
+    .select('month monthName totalRevenue totalTax totalOrders averageOrderValue newCustomers');
 };
 
 const MonthlyStats = mongoose.model('MonthlyStats', monthlyStatsSchema);
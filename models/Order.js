@@ -8,6 +8,17 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // The variant sold, with its SKU and attributes as they were at the time
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  variantLabel: {
+    type: String
+  },
   productName: {
     type: String,
     required: true
@@ -25,9 +36,139 @@ const orderItemSchema = new mongoose.Schema({
   total: {
     type: Number,
     required: true
+  },
+  // Share of the order's promotion discount taken off this line
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // Tax charged on the line, after its discount - taxRate is the percentage that applied
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Units sent back through returns and the amount refunded for them,
+  // with the tax refunded on top kept apart
+  returnedQuantity: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedTax: {
+    type: Number,
+    default: 0
   }
 });
 
+// Refund Schema for embedded documents - one refund requested from the payment provider
+const refundSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Order Status State Machine - the statuses each status may move to.
+// delivered and cancelled are final.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Tax kept from an order once tax refunded through returns is taken off
+const NET_ORDER_TAX = { $subtract: [{ $ifNull: ['$taxAmount', 0] }, { $ifNull: ['$refundedTax', 0] }] };
+
+// Revenue kept from an order once refunds issued through returns are taken
+// off - tax is collected for the authorities and is not revenue
+const NET_ORDER_AMOUNT = {
+  $subtract: [
+    { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] },
+    NET_ORDER_TAX
+  ]
+};
+
+// Country of a shipping address that names none - validation fills it in, so
+// tax and shipping are quoted for the country the order is saved with
+const DEFAULT_SHIPPING_COUNTRY = 'USA';
+
+// Payment statuses that count as revenue - fully refunded orders do not. Revenue
+// queries leave out cancelled orders, so pending_refund here is a return whose
+// refund the provider has yet to confirm, already taken off via refundedAmount.
+const PAID_PAYMENT_STATUSES = ['completed', 'pending_refund', 'partially_refunded'];
+
+// Order Number Format - {YYYY}, {YY} and {MM} are the UTC order date and
+// {SEQ:n} the sequence zero-padded to n digits. Each rendered prefix has its
+// own sequence, so IB-{YYYY}-{SEQ:6} starts again from IB-2027-000001.
+const ORDER_NUMBER_FORMAT = process.env.ORDER_NUMBER_FORMAT || 'IB-{YYYY}-{SEQ:6}';
+const ORDER_NUMBER_SEQ = /\{SEQ(?::(\d+))?\}/;
+
+if ((ORDER_NUMBER_FORMAT.match(new RegExp(ORDER_NUMBER_SEQ.source, 'g')) || []).length !== 1) {
+  throw new Error('ORDER_NUMBER_FORMAT must contain exactly one {SEQ} or {SEQ:n} token');
+}
+
+// Fill in the date tokens of the order number format
+const formatOrderNumberDate = (date) => {
+  const year = String(date.getUTCFullYear());
+  return ORDER_NUMBER_FORMAT
+    .replace(/\{YYYY\}/g, year)
+    .replace(/\{YY\}/g, year.slice(-2))
+    .replace(/\{MM\}/g, String(date.getUTCMonth() + 1).padStart(2, '0'));
+};
+
+// Counter that numbers the orders sharing a prefix, e.g. orderNumber:IB-2026-#
+const orderNumberCounter = (prefix) => `orderNumber:${prefix.replace(ORDER_NUMBER_SEQ, '#')}`;
+
+// Status History Schema for embedded documents - one entry per transition
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.keys(ORDER_STATUS_TRANSITIONS),
+    required: true
+  },
+  from: {
+    type: String,
+    enum: [...Object.keys(ORDER_STATUS_TRANSITIONS), null],
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 // MongoDB Schema for Orders with Sharding Preparation
 const orderSchema = new mongoose.Schema({
   // Shard Key for Horizontal Scaling - orders can be sharded by userId
@@ -49,6 +190,34 @@ const orderSchema = new mongoose.Schema({
     unique: true
   },
   items: [orderItemSchema],
+  // Sum of the line totals before discount and tax
+  subtotal: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  // The coupon applied at checkout - items carry the per-line breakdown
+  promotion: {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    code: String,
+    name: String,
+    type: { type: String }
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // The shipping method chosen at checkout and what it cost - weight in kg
+  shipping: {
+    method: String,
+    name: String,
+    cost: { type: Number, default: 0 },
+    weight: { type: Number, default: 0 }
+  },
+  // What the customer pays - subtotal less discount, plus tax and shipping
   totalAmount: {
     type: Number,
     required: true,
@@ -56,16 +225,17 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: Object.keys(ORDER_STATUS_TRANSITIONS),
     default: 'pending',
     index: true
   },
+  statusHistory: [statusHistorySchema],
   shippingAddress: {
     street: { type: String, required: true },
     city: { type: String, required: true },
     state: { type: String, required: true },
     zipCode: { type: String, required: true },
-    country: { type: String, default: 'USA' }
+    country: { type: String, default: DEFAULT_SHIPPING_COUNTRY }
   },
   paymentMethod: {
     type: String,
@@ -74,10 +244,28 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'pending_refund', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
-  // For transaction logging and audit trail
+  // Sum of all refunds issued through returns, and the tax part of it
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedTax: {
+    type: Number,
+    default: 0
+  },
+  // The provider's view of a prepaid payment - cash on delivery has none
+  payment: {
+    provider: String,
+    reference: String,
+    authorizedAt: Date,
+    capturedAt: Date,
+    failureReason: String,
+    refunds: [refundSchema]
+  },
+  // For transaction logging and audit trail - the provider's payment reference
   transactionId: {
     type: String,
     unique: true,
@@ -92,6 +280,8 @@ orderSchema.index({ userId: 1, createdAt: -1 }); // User's order history
 orderSchema.index({ status: 1, createdAt: -1 }); // Admin order management
 orderSchema.index({ createdAt: -1 }); // General sorting
 orderSchema.index({ orderNumber: 1 }, { unique: true }); // Order lookup
+orderSchema.index({ 'payment.reference': 1 }, { sparse: true }); // Payment webhooks
+orderSchema.index({ 'promotion.promotionId': 1, userId: 1 }, { sparse: true }); // Per-customer coupon limits
 
 // Sharding Strategy Documentation
 /*
@@ -140,21 +330,248 @@ sh.addTagRange("mern_ecommerce.orders",
   { "region": "East" }, { "region": "East" }, "US_EAST")
 */
 
-// Pre-save middleware to generate order number
+// Pre-save middleware to generate order number - inside the order's
+// transaction when it has one, so a rolled back order gives its number back
 orderSchema.pre('save', async function(next) {
   if (this.isNew) {
-    const count = await this.constructor.countDocuments();
-    this.orderNumber = `ORD-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+    if (!this.orderNumber) {
+      this.orderNumber = await this.constructor.nextOrderNumber(this.createdAt || new Date(), this.$session());
+    }
+
+    // The history starts with the order being placed by its customer
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ status: this.status, changedBy: this.userId, note: 'Order placed' });
+    }
   }
   next();
 });
 
+// Instance Method to check a transition against the state machine
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Side effects that run inside the transition's transaction, before the order is saved
+const ORDER_TRANSITION_EFFECTS = {
+  // Cancelled goods go back on sale and no longer count as sold
+  cancelled: async (order, session) => {
+    const { Product } = require('./Product');
+
+    for (const item of order.items) {
+      await Product.restoreStock(item.productId, item.quantity, session, item.variantId);
+      await Product.updateOne(
+        { _id: item.productId },
+        { $inc: { totalSold: -item.quantity } },
+        { session }
+      );
+    }
+
+    // The coupon can be used again
+    if (order.promotion && order.promotion.promotionId) {
+      const { Promotion } = require('./Promotion');
+      await Promotion.release(order.promotion.promotionId, session);
+    }
+
+    // A captured prepaid payment is owed back to the customer; unpaid
+    // cash-on-delivery orders have nothing to refund
+    if (order.paymentMethod !== 'cash_on_delivery' && order.paymentStatus === 'completed') {
+      order.paymentStatus = 'pending_refund';
+    }
+  }
+};
+
+// Instance Method to get the payment status once every refund has gone through.
+// A cancelled order is refunded in full; otherwise it depends on what returns
+// refunded, and shipping is not refunded, so returning every item refunds it all.
+orderSchema.methods.settledRefundStatus = function() {
+  if (this.status === 'cancelled') {
+    return 'refunded';
+  }
+  const refundable = this.totalAmount - (this.shipping?.cost || 0);
+  return this.refundedAmount >= refundable ? 'refunded' : 'partially_refunded';
+};
+
+// Static Method to move an order to a new status - validates the transition,
+// records it in statusHistory and runs its side effects in the same session
+orderSchema.statics.transitionStatus = async function(orderId, status, { actorId = null, note, session = null } = {}) {
+  const order = await this.findById(orderId).session(session);
+  if (!order) {
+    throw new Error('Order not found');
+  }
+
+  if (!order.canTransitionTo(status)) {
+    throw new Error(`Invalid status transition from ${order.status} to ${status}`);
+  }
+
+  const previousStatus = order.status;
+  const previousPaymentStatus = order.paymentStatus;
+  order.status = status;
+  order.statusHistory.push({ status, from: previousStatus, changedBy: actorId, note });
+
+  if (ORDER_TRANSITION_EFFECTS[status]) {
+    await ORDER_TRANSITION_EFFECTS[status](order, session);
+  }
+
+  await order.save({ session });
+
+  return { order, previousStatus, previousPaymentStatus };
+};
+
+// Static Method to ask the order's payment provider for a refund - it stays
+// pending until the provider's webhook confirms it
+orderSchema.statics.requestRefund = async function(order, amount) {
+  if (!order.payment || !order.payment.reference) {
+    return null; // Nothing was taken through a provider
+  }
+
+  const { getProvider } = require('../services/payments');
+  const refund = await getProvider(order.payment.provider).refund({
+    reference: order.payment.reference,
+    amount
+  });
+
+  await this.updateOne(
+    { _id: order._id },
+    { $push: { 'payment.refunds': { reference: refund.reference, amount, status: 'pending' } } }
+  );
+
+  // Providers that settle at once report the outcome right away
+  if (['succeeded', 'failed'].includes(refund.status)) {
+    await this.applyPaymentEvent({
+      type: `refund.${refund.status}`,
+      data: { reference: order.payment.reference, refundReference: refund.reference, amount, reason: refund.reason }
+    });
+  }
+
+  return refund;
+};
+
+// Static Method to apply a verified provider event to its order. Returns the
+// order, its state before the event and any refund now owed, or null when the
+// event is for a payment we do not know.
+orderSchema.statics.applyPaymentEvent = async function(event, session = null) {
+  let order = await this.findOne({ 'payment.reference': event.data.reference }).session(session);
+  if (!order) {
+    return null;
+  }
+
+  const before = { status: order.status, paymentStatus: order.paymentStatus };
+  let refundDue = 0;
+
+  switch (event.type) {
+    case 'payment.captured':
+      if (order.paymentStatus !== 'pending') break;
+      order.payment.capturedAt = new Date();
+      // The customer cancelled while the capture was in flight - give the money back
+      if (order.status === 'cancelled') {
+        order.paymentStatus = 'pending_refund';
+        refundDue = order.totalAmount;
+      } else {
+        order.paymentStatus = 'completed';
+      }
+      await order.save({ session });
+      break;
+
+    case 'payment.failed':
+      if (order.paymentStatus !== 'pending') break;
+      order.paymentStatus = 'failed';
+      order.payment.failureReason = event.data.reason;
+      await order.save({ session });
+
+      // Unpaid orders are not fulfilled - release their stock
+      if (order.canTransitionTo('cancelled')) {
+        ({ order } = await this.transitionStatus(order._id, 'cancelled', { note: 'Payment failed', session }));
+      }
+      break;
+
+    case 'refund.succeeded': {
+      const refund = order.payment.refunds.find(r => r.reference === event.data.refundReference);
+      if (refund) {
+        refund.status = 'succeeded';
+      } else {
+        order.payment.refunds.push({ reference: event.data.refundReference, amount: event.data.amount, status: 'succeeded' });
+      }
+
+      if (order.paymentStatus === 'pending_refund' && order.payment.refunds.every(r => r.status === 'succeeded')) {
+        order.paymentStatus = order.settledRefundStatus();
+      }
+      await order.save({ session });
+      break;
+    }
+
+    // The money is still owed - the order stays at pending_refund, and the
+    // audit entry of the event tells staff to refund it another way
+    case 'refund.failed': {
+      const refund = order.payment.refunds.find(r => r.reference === event.data.refundReference);
+      if (refund) {
+        refund.status = 'failed';
+      } else {
+        order.payment.refunds.push({ reference: event.data.refundReference, amount: event.data.amount, status: 'failed' });
+      }
+      await order.save({ session });
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return { order, before, refundDue };
+};
+
 // Static method for transaction-safe order creation
 orderSchema.statics.createOrderWithTransaction = async function(orderData, session) {
   const order = new this(orderData);
   return await order.save({ session });
 };
 
+// Static Method to take the next order number for a date from its counter
+orderSchema.statics.nextOrderNumber = async function(date = new Date(), session = null) {
+  const { Counter } = require('./Counter');
+
+  const prefix = formatOrderNumberDate(date);
+  const seq = await Counter.next(orderNumberCounter(prefix), session);
+
+  return prefix.replace(ORDER_NUMBER_SEQ, (token, width) =>
+    String(seq).padStart(parseInt(width) || 1, '0'));
+};
+
+// Static Method (migration) to start each order number counter after the
+// highest number already issued in the current format. Existing numbers,
+// including those in older formats, are left as they are.
+orderSchema.statics.syncOrderNumberCounters = async function() {
+  const { Counter } = require('./Counter');
+
+  // Upserts inside a transaction need the collection to exist
+  await Counter.createCollection();
+
+  // Capture the text before the sequence, the sequence and the text after it
+  const escape = (text) => text.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+  const toPattern = (part) => escape(part)
+    .replace(/\{YYYY\}/g, '\\d{4}')
+    .replace(/\{(YY|MM)\}/g, '\\d{2}');
+  const [before, after] = ORDER_NUMBER_FORMAT.split(ORDER_NUMBER_SEQ.exec(ORDER_NUMBER_FORMAT)[0]);
+  const pattern = `^(${toPattern(before)})(\\d+)(${toPattern(after)})$`;
+
+  const capture = (index) => ({ $arrayElemAt: ['$match.captures', index] });
+  const sequences = await this.aggregate([
+    { $match: { orderNumber: { $regex: pattern } } },
+    { $project: { match: { $regexFind: { input: '$orderNumber', regex: pattern } } } },
+    {
+      $group: {
+        _id: { $concat: [capture(0), '#', capture(2)] },
+        seq: { $max: { $toLong: capture(1) } }
+      }
+    }
+  ]);
+
+  await Promise.all(sequences.map(({ _id, seq }) =>
+    Counter.raiseTo(`orderNumber:${_id}`, Number(seq))
+  ));
+
+  return sequences.length;
+};
+
 // Aggregation Pipeline for Monthly Revenue - MongoDB Aggregation Feature
 orderSchema.statics.getMonthlyRevenue = function(year = new Date().getFullYear()) {
   return this.aggregate([
@@ -165,7 +582,7 @@ orderSchema.statics.getMonthlyRevenue = function(year = new Date().getFullYear()
           $lt: new Date(`${year + 1}-01-01`)
         },
         status: { $ne: 'cancelled' },
-        paymentStatus: 'completed'
+        paymentStatus: { $in: PAID_PAYMENT_STATUSES }
       }
     },
     {
@@ -174,9 +591,10 @@ orderSchema.statics.getMonthlyRevenue = function(year = new Date().getFullYear()
           year: { $year: '$createdAt' },
           month: { $month: '$createdAt' }
         },
-        totalRevenue: { $sum: '$totalAmount' },
+        totalRevenue: { $sum: NET_ORDER_AMOUNT },
+        totalTax: { $sum: NET_ORDER_TAX },
         orderCount: { $sum: 1 },
-        averageOrderValue: { $avg: '$totalAmount' }
+        averageOrderValue: { $avg: NET_ORDER_AMOUNT }
       }
     },
     {
@@ -195,6 +613,7 @@ orderSchema.statics.getMonthlyRevenue = function(year = new Date().getFullYear()
           ]
         },
         totalRevenue: { $round: ['$totalRevenue', 2] },
+        totalTax: { $round: ['$totalTax', 2] },
         orderCount: 1,
         averageOrderValue: { $round: ['$averageOrderValue', 2] }
       }
@@ -202,6 +621,46 @@ orderSchema.statics.getMonthlyRevenue = function(year = new Date().getFullYear()
   ]);
 };
 
+// Aggregation - tax collected per shipping country and state, net of refunds
+orderSchema.statics.getTaxReport = function(year = new Date().getFullYear()) {
+  return this.aggregate([
+    {
+      $match: {
+        createdAt: {
+          $gte: new Date(`${year}-01-01`),
+          $lt: new Date(`${year + 1}-01-01`)
+        },
+        status: { $ne: 'cancelled' },
+        paymentStatus: { $in: PAID_PAYMENT_STATUSES }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          country: { $toUpper: '$shippingAddress.country' },
+          state: { $toUpper: '$shippingAddress.state' }
+        },
+        sales: { $sum: NET_ORDER_AMOUNT },
+        taxCollected: { $sum: NET_ORDER_TAX },
+        orderCount: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        country: '$_id.country',
+        state: '$_id.state',
+        sales: { $round: ['$sales', 2] },
+        taxCollected: { $round: ['$taxCollected', 2] },
+        orderCount: 1
+      }
+    },
+    {
+      $sort: { taxCollected: -1 }
+    }
+  ]);
+};
+
 // Aggregation for Order Status Distribution
 orderSchema.statics.getOrderStatusStats = function() {
   return this.aggregate([
@@ -242,6 +701,43 @@ orderSchema.statics.findUserOrders = function(userId, options = {}) {
   return query;
 };
 
+// Aggregation - order count and lifetime spend per customer
+// Lifetime spend only counts paid orders that were not cancelled, net of refunds
+orderSchema.statics.getCustomerStats = async function(userIds) {
+  const results = await this.aggregate([
+    {
+      $match: {
+        userId: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) }
+      }
+    },
+    {
+      $group: {
+        _id: '$userId',
+        orderCount: { $sum: 1 },
+        lifetimeSpend: {
+          $sum: {
+            $cond: [
+              { $and: [{ $ne: ['$status', 'cancelled'] }, { $in: ['$paymentStatus', PAID_PAYMENT_STATUSES] }] },
+              NET_ORDER_AMOUNT,
+              0
+            ]
+          }
+        },
+        lastOrderAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  return results.reduce((map, r) => {
+    map[r._id.toString()] = {
+      orderCount: r.orderCount,
+      lifetimeSpend: Math.round(r.lifetimeSpend * 100) / 100,
+      lastOrderAt: r.lastOrderAt
+    };
+    return map;
+  }, {});
+};
+
 // Express Validator Rules for Order Input
 const orderValidation = {
   create: [
@@ -252,6 +748,11 @@ const orderValidation = {
     body('items.*.productId')
       .isMongoId()
       .withMessage('Invalid product ID'),
+
+    body('items.*.variantId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid variant ID'),
     
     body('items.*.quantity')
       .isInt({ min: 1, max: 100 })
@@ -267,22 +768,108 @@ const orderValidation = {
       .isLength({ min: 2, max: 50 })
       .withMessage('City must be between 2 and 50 characters'),
     
+    body('shippingAddress.state')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('State must be between 2 and 50 characters'),
+
     body('shippingAddress.zipCode')
       .matches(/^\d{5}(-\d{4})?$/)
       .withMessage('Invalid ZIP code format'),
+
+    body('shippingAddress.country')
+      .default(DEFAULT_SHIPPING_COUNTRY)
+      .trim()
+      .isLength({ min: 2, max: 56 })
+      .withMessage('Country must be between 2 and 56 characters'),
+
+    body('shippingMethod')
+      .trim()
+      .matches(/^[a-z][a-z0-9-]{1,29}$/)
+      .withMessage('Choose a shipping method'),
+
+    body('promotionCode')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Invalid coupon code'),
     
     body('paymentMethod')
       .isIn(['credit_card', 'debit_card', 'paypal', 'cash_on_delivery'])
-      .withMessage('Invalid payment method')
+      .withMessage('Invalid payment method'),
+
+    // Tokenized payment details from the provider's client-side form
+    body('paymentToken')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Invalid payment token')
+  ],
+
+  // Price, discount, tax and shipping preview for the cart and checkout - the address may be partial
+  quote: [
+    body('items')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Quote must contain between 1 and 100 items'),
+
+    body('items.*.productId')
+      .isMongoId()
+      .withMessage('Invalid product ID'),
+
+    body('items.*.variantId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid variant ID'),
+
+    body('items.*.quantity')
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Quantity must be between 1 and 100'),
+
+    body('shippingAddress.state')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('State cannot exceed 50 characters'),
+
+    body('shippingAddress.country')
+      .default(DEFAULT_SHIPPING_COUNTRY)
+      .trim()
+      .isLength({ min: 2, max: 56 })
+      .withMessage('Country must be between 2 and 56 characters'),
+
+    body('shippingMethod')
+      .optional()
+      .trim()
+      .matches(/^[a-z][a-z0-9-]{1,29}$/)
+      .withMessage('Invalid shipping method'),
+
+    body('promotionCode')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Invalid coupon code')
   ],
   
   updateStatus: [
     body('status')
-      .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled'])
-      .withMessage('Invalid order status')
+      .isIn(Object.keys(ORDER_STATUS_TRANSITIONS))
+      .withMessage('Invalid order status'),
+
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
   ]
 };
 
 const Order = mongoose.model('Order', orderSchema);
 
-module.exports = { Order, orderValidation }; 
\ No newline at end of file
+module.exports = {
+  Order,
+  orderValidation,
+  ORDER_STATUS_TRANSITIONS,
+  NET_ORDER_AMOUNT,
+  NET_ORDER_TAX,
+  PAID_PAYMENT_STATUSES
+}; 
\ No newline at end of file
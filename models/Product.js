@@ -2,6 +2,102 @@ const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
 const { body } = require('express-validator');
 
+// Key of a sellable stock line - the product, or one of its variants
+const stockKey = (productId, variantId = null) => (variantId ? `${productId}:${variantId}` : productId.toString());
+
+// Readable name of a variant's attributes, e.g. "M / Red"
+const variantLabel = (variant) => (variant && variant.attributes
+  ? Array.from(variant.attributes instanceof Map ? variant.attributes.values() : Object.values(variant.attributes)).join(' / ')
+  : '');
+
+// Variant Schema for embedded documents - one SKU of a product, e.g. a size
+// and color, with its own stock and an optional price
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [40, 'SKU cannot exceed 40 characters']
+  },
+  // e.g. { size: 'M', color: 'Red' }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // null sells the variant at the product's price
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    max: [999999, 'Price is too high'],
+    default: null
+  },
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  // Optimistic Concurrency Control (OCC) for the variant's stock
+  version: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Build variant documents from admin input (the form or a CSV import) - variants
+// that are kept retain their id, and their version moves on when the stock is changed
+const buildVariants = (input, existing = []) => input.map(variant => {
+  const current = variant._id && existing.find(v => v._id.toString() === variant._id);
+  const stock = parseInt(variant.stock);
+
+  return {
+    ...(current && { _id: current._id }),
+    sku: variant.sku.trim().toUpperCase(),
+    attributes: variant.attributes || {},
+    price: variant.price === undefined || variant.price === null ? null : parseFloat(variant.price),
+    stock,
+    version: current ? current.version + (current.stock === stock ? 0 : 1) : 0,
+    isActive: variant.isActive !== undefined ? Boolean(variant.isActive) : true
+  };
+});
+
+// Shown for products without an image of their own
+const DEFAULT_IMAGE_URL = 'https://dummyimage.com/300x300/e0e0e0/ffffff&text=No+Image';
+
+const MAX_PRODUCT_IMAGES = 10;
+
+// One stored size of an uploaded image - key is its path in storage
+const imageRenditionSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  key: { type: String, required: true },
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// Image Schema for embedded documents - an uploaded image, resized by
+// services/images.js into a thumbnail, medium and large rendition
+const imageSchema = new mongoose.Schema({
+  // Empty means the product name is used
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters'],
+    default: ''
+  },
+  renditions: {
+    thumbnail: imageRenditionSchema,
+    medium: imageRenditionSchema,
+    large: imageRenditionSchema
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
 // MongoDB Schema with Concurrency Control - Product Model
 const productSchema = new mongoose.Schema({
   name: {
@@ -29,18 +125,29 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Price cannot be negative'],
     max: [999999, 'Price is too high']
   },
+  // Managed by admins - tax rates and promotions can also be set per category
   category: {
-    type: String,
-    required: [true, 'Product category is required'],
-    enum: ['Electronics', 'Clothing', 'Books', 'Home', 'Sports', 'Other'],
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Product category is required']
   },
+  // With variants this is the sum of their stock, kept in step by updateStockSafe
   stock: {
     type: Number,
     required: [true, 'Stock quantity is required'],
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+  variants: {
+    type: [variantSchema],
+    default: []
+  },
+  // Shipping weight in kg - shipping rates can depend on the cart's weight
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: 0
+  },
   // Optimistic Concurrency Control (OCC) for Stock Management
   version: {
     type: Number,
@@ -60,9 +167,20 @@ const productSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
-      imageUrl: {
+  // Main image for listings, carts and orders - an external URL, or the
+  // medium rendition of the first uploaded image while there are any
+  imageUrl: {
     type: String,
-    default: 'https://dummyimage.com/300x300/e0e0e0/ffffff&text=No+Image'
+    default: DEFAULT_IMAGE_URL
+  },
+  // Uploaded images in display order
+  images: {
+    type: [imageSchema],
+    default: [],
+    validate: {
+      validator: images => images.length <= MAX_PRODUCT_IMAGES,
+      message: `A product can have at most ${MAX_PRODUCT_IMAGES} images`
+    }
   },
   isActive: {
     type: Boolean,
@@ -83,56 +201,223 @@ productSchema.index({ category: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ isActive: 1, stock: 1 });
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 // Add pagination plugin
 productSchema.plugin(mongoosePaginate);
 
 // Pre-save middleware to increment version for OCC
 productSchema.pre('save', function(next) {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  }
   if (this.isModified('stock')) {
     this.version += 1;
   }
+  if (this.isModified('images')) {
+    this.imageUrl = this.images.length > 0 ? this.images[0].renditions.medium.url : DEFAULT_IMAGE_URL;
+  }
   next();
 });
 
+// Instance Method to find a variant that can be sold, or null
+productSchema.methods.getVariant = function(variantId) {
+  const variant = variantId ? this.variants.id(variantId) : null;
+  return variant && variant.isActive ? variant : null;
+};
+
+// Instance Method to resolve what a cart or order line sells - the variant
+// when the product has variants (one must be chosen), else the product itself.
+// Returns { variant, price, stock, sku, variantLabel }.
+productSchema.methods.resolveVariant = function(variantId) {
+  if (this.variants.length === 0) {
+    if (variantId) {
+      throw new Error(`${this.name} has no variants`);
+    }
+    return { variant: null, price: this.price, stock: this.stock, sku: null, variantLabel: null };
+  }
+
+  const variant = this.getVariant(variantId);
+  if (!variant) {
+    throw new Error(variantId
+      ? `The selected option of ${this.name} is no longer available`
+      : `Choose an option of ${this.name}`);
+  }
+
+  return {
+    variant,
+    price: variant.price === null || variant.price === undefined ? this.price : variant.price,
+    stock: variant.stock,
+    sku: variant.sku,
+    variantLabel: variantLabel(variant)
+  };
+};
+
 // Static Method for Stock Update with Concurrency Control
-productSchema.statics.updateStockSafe = async function(productId, quantityChange, session = null) {
+// Decrements never eat into stock held by other shoppers' reservations; pass
+// options.reservationOwner to sell against (and consume) that owner's hold.
+// Products with variants are updated per variant (options.variantId), each
+// with its own version, and the product's total stock moves with it.
+productSchema.statics.updateStockSafe = async function(productId, quantityChange, session = null, stockOptions = {}) {
+  const { Reservation } = require('./Reservation');
   const options = session ? { session } : {};
+  const variantId = stockOptions.variantId || null;
   
   // Optimistic Concurrency Control (OCC) approach
   const product = await this.findById(productId, null, options);
   if (!product) {
     throw new Error('Product not found');
   }
+
+  if (product.variants.length > 0 && !variantId) {
+    throw new Error(`Choose an option of ${product.name} to change its stock`);
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  if (variantId && !variant) {
+    throw new Error('Product variant not found');
+  }
   
-  const currentVersion = product.version;
-  const newStock = product.stock + quantityChange;
+  const currentVersion = (variant || product).version;
+  const newStock = (variant || product).stock + quantityChange;
   
   if (newStock < 0) {
     throw new Error('Insufficient stock');
   }
+
+  if (quantityChange < 0) {
+    const heldByOthers = await Reservation.getHeldQuantity(productId, {
+      variantId,
+      excludeOwner: stockOptions.reservationOwner,
+      session
+    });
+
+    if (newStock < heldByOthers) {
+      throw new Error(`Insufficient stock. Available: ${Math.max(0, newStock - quantityChange - heldByOthers)} (rest is reserved)`);
+    }
+  }
   
   // Update with version check - prevents concurrent modifications
-  const result = await this.findOneAndUpdate(
-    { 
-      _id: productId, 
-      version: currentVersion,
-      isLocked: false 
-    },
-    { 
-      $inc: { stock: quantityChange, version: 1 },
-      $set: { updatedAt: new Date() }
-    },
-    { new: true, ...options }
-  );
+  const result = variant
+    ? await this.findOneAndUpdate(
+      {
+        _id: productId,
+        variants: { $elemMatch: { _id: variantId, version: currentVersion } },
+        isLocked: false
+      },
+      {
+        $inc: { 'variants.$.stock': quantityChange, 'variants.$.version': 1, stock: quantityChange },
+        $set: { updatedAt: new Date() }
+      },
+      { new: true, ...options }
+    )
+    : await this.findOneAndUpdate(
+      { 
+        _id: productId, 
+        version: currentVersion,
+        isLocked: false 
+      },
+      { 
+        $inc: { stock: quantityChange, version: 1 },
+        $set: { updatedAt: new Date() }
+      },
+      { new: true, ...options }
+    );
   
   if (!result) {
     throw new Error('Product stock update failed due to concurrent modification or product is locked');
   }
+
+  // The reserved units have now been sold
+  if (stockOptions.reservationOwner && quantityChange < 0) {
+    await Reservation.consume(stockOptions.reservationOwner, productId, session, variantId);
+  }
   
   return result;
 };
 
+// Static Method to put sold stock back, for cancellations and returns. A product
+// or variant removed since the sale, or a product that has since moved to
+// variants, has nothing to restock and is skipped instead of failing the caller.
+productSchema.statics.restoreStock = async function(productId, quantity, session = null, variantId = null) {
+  const query = this.findById(productId).select('name variants._id');
+  if (session) {
+    query.session(session);
+  }
+
+  const product = await query;
+  const missing = !product ||
+    (variantId ? !product.variants.id(variantId) : product.variants.length > 0);
+  if (missing) {
+    console.warn(`Skipped restocking ${quantity} of product ${productId}${variantId ? ` variant ${variantId}` : ''}: no longer sold`);
+    return null;
+  }
+
+  return await this.updateStockSafe(productId, quantity, session, { variantId });
+};
+
+// Static Method to find which of the given variants orders, return requests,
+// carts or active reservations still point at - those cannot be removed
+productSchema.statics.getReferencedVariantIds = async function(productId, variantIds, session = null) {
+  const { Order } = require('./Order');
+  const { ReturnRequest } = require('./ReturnRequest');
+  const { Cart } = require('./Cart');
+  const { Reservation } = require('./Reservation');
+
+  const match = { productId, variantId: { $in: variantIds } };
+  const referenced = [
+    ...await Order.distinct('items.variantId', { items: { $elemMatch: match } }).session(session),
+    ...await ReturnRequest.distinct('items.variantId', { items: { $elemMatch: match } }).session(session),
+    ...await Cart.distinct('items.variantId', { items: { $elemMatch: match } }).session(session),
+    ...await Reservation.distinct('variantId', { ...match, expiresAt: { $gt: new Date() } }).session(session)
+  ].filter(Boolean).map(id => id.toString());
+
+  return variantIds.filter(id => referenced.includes(id.toString()));
+};
+
+// Static Method for stock that can still be sold - stock minus active holds.
+// options.variantId narrows it to one variant.
+productSchema.statics.getAvailableStock = async function(productId, options = {}) {
+  const { Reservation } = require('./Reservation');
+
+  const query = this.findById(productId).select('stock variants');
+  if (options.session) {
+    query.session(options.session);
+  }
+
+  const product = await query;
+  if (!product) {
+    return 0;
+  }
+
+  const variant = options.variantId ? product.variants.id(options.variantId) : null;
+  if (options.variantId && !variant) {
+    return 0;
+  }
+
+  const held = await Reservation.getHeldQuantity(productId, options);
+  return Math.max(0, (variant || product).stock - held);
+};
+
+// Static Method to expose available stock on storefront results (plain objects),
+// for the product and each of its variants
+productSchema.statics.attachAvailableStock = async function(products) {
+  const { Reservation } = require('./Reservation');
+
+  const held = await Reservation.getHeldQuantities(products.map(p => p._id));
+  products.forEach(product => {
+    product.availableStock = Math.max(0, product.stock - (held[stockKey(product._id)] || 0));
+    (product.variants || []).forEach(variant => {
+      variant.availableStock = Math.max(0, variant.stock - (held[stockKey(product._id, variant._id)] || 0));
+    });
+  });
+
+  return products;
+};
+
 // Static Method for Pessimistic Concurrency Control (PCC)
 productSchema.statics.lockProduct = async function(productId, userId, session = null) {
   const options = session ? { session } : {};
@@ -182,8 +467,11 @@ productSchema.statics.unlockProduct = async function(productId, userId, session
 };
 
 // Query Optimization Method with .explain() example
-productSchema.statics.findByCategory = function(category, options = {}) {
-  const query = this.find({ category, isActive: true }).sort({ createdAt: -1 });
+// categoryIds: a category and its subcategories, see Category.getSubtreeIds
+productSchema.statics.findByCategory = function(categoryIds, options = {}) {
+  const query = this.find({ category: { $in: categoryIds }, isActive: true })
+    .populate('category', 'name slug')
+    .sort({ createdAt: -1 });
   
   // For query optimization analysis in development:
   // return query.explain('executionStats');
@@ -197,6 +485,8 @@ productSchema.statics.findByCategory = function(category, options = {}) {
 
 // Aggregation Pipeline for Best Selling Products
 productSchema.statics.getBestSelling = function(limit = 5) {
+  const { Category } = require('./Category');
+
   return this.aggregate([
     { $match: { isActive: true } },
     { $sort: { totalSold: -1 } },
@@ -210,10 +500,61 @@ productSchema.statics.getBestSelling = function(limit = 5) {
         stock: 1,
         imageUrl: 1
       }
-    }
+    },
+    ...Category.lookupStages('category')
   ]);
 };
 
+// Express Validator Rules for Product Variants - an empty list sells the product itself
+const variantValidation = [
+  body('variants')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Variants must be a list of at most 100')
+    .custom(variants => new Set(variants.map(v => String(v.sku || '').trim().toUpperCase())).size === variants.length)
+    .withMessage('Each variant needs its own SKU'),
+
+  body('variants.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
+  body('variants.*.sku')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,40}$/)
+    .withMessage('SKU must be 1-40 letters, numbers, dashes or underscores'),
+
+  body('variants.*.attributes')
+    .optional()
+    .isObject()
+    .withMessage('Variant attributes must be an object')
+    .custom(attributes => Object.entries(attributes).every(([name, value]) =>
+      /^[a-z][a-zA-Z]{0,19}$/.test(name) && typeof value === 'string' && value.length <= 40))
+    .withMessage('Variant attributes must be short names with text values'),
+
+  body('variants.*.price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 999999 })
+    .withMessage('Variant price must be a positive number'),
+
+  body('variants.*.stock')
+    .isInt({ min: 0 })
+    .withMessage('Variant stock must be a non-negative integer'),
+
+  body('variants.*.isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+// The category must exist - isMongoId runs first so bad input never reaches the query
+const categoryExists = async (categoryId) => {
+  const { Category } = require('./Category');
+  if (!await Category.exists({ _id: categoryId })) {
+    throw new Error('Invalid category');
+  }
+};
+
 // Express Validator Rules for Product Input
 const productValidation = {
   create: [
@@ -234,12 +575,21 @@ const productValidation = {
       .withMessage('Price must be a positive number less than 999999'),
     
     body('category')
-      .isIn(['Electronics', 'Clothing', 'Books', 'Home', 'Sports', 'Other'])
-      .withMessage('Invalid category'),
+      .isMongoId()
+      .withMessage('Invalid category')
+      .bail()
+      .custom(categoryExists),
     
     body('stock')
       .isInt({ min: 0 })
       .withMessage('Stock must be a non-negative integer'),
+
+    body('weight')
+      .optional()
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('Weight must be between 0 and 1000 kg'),
+
+    ...variantValidation,
     
     body('imageUrl')
       .optional()
@@ -258,14 +608,48 @@ const productValidation = {
       .optional()
       .isFloat({ min: 0, max: 999999 })
       .withMessage('Price must be a positive number'),
+
+    body('category')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid category')
+      .bail()
+      .custom(categoryExists),
     
     body('stock')
       .optional()
       .isInt({ min: 0 })
-      .withMessage('Stock must be a non-negative integer')
+      .withMessage('Stock must be a non-negative integer'),
+
+    body('weight')
+      .optional()
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('Weight must be between 0 and 1000 kg'),
+
+    ...variantValidation
+  ],
+
+  // Alt text sent with an upload applies to every uploaded file
+  imageAlt: [
+    body('alt')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Alt text cannot exceed 200 characters')
+  ],
+
+  // The full list of image ids in their new order
+  imageOrder: [
+    body('imageIds')
+      .isArray({ min: 1 })
+      .withMessage('imageIds must list the product\'s images'),
+
+    body('imageIds.*')
+      .isMongoId()
+      .withMessage('Invalid image ID')
   ]
 };
 
 const Product = mongoose.model('Product', productSchema);
 
-module.exports = { Product, productValidation }; 
\ No newline at end of file
+module.exports = { Product, productValidation, stockKey, variantLabel, buildVariants, MAX_PRODUCT_IMAGES }; 
\ No newline at end of file
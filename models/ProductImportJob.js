@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// How long finished imports and their row reports are kept
+const IMPORT_JOB_TTL_DAYS = parseInt(process.env.IMPORT_JOB_TTL_DAYS) || 30;
+
+const IMPORT_JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// What an import did, or would do in a dry run, with one CSV row
+const IMPORT_ROW_ACTIONS = ['create', 'update', 'error'];
+
+// Outcome of one CSV row - `messages` explains an error
+const importRowSchema = new mongoose.Schema({
+  // Line in the file, the header being line 1
+  line: Number,
+  name: String,
+  sku: String,
+  action: {
+    type: String,
+    enum: IMPORT_ROW_ACTIONS
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  messages: [String]
+}, { _id: false });
+
+// MongoDB Schema for Product Import Jobs - a CSV import runs in the background
+// and records its progress and a report per row here
+const productImportJobSchema = new mongoose.Schema({
+  fileName: String,
+  // A dry run checks every row and reports what would change, without writing
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: IMPORT_JOB_STATUSES,
+    default: 'queued'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  // Rows per action
+  summary: {
+    create: { type: Number, default: 0 },
+    update: { type: Number, default: 0 },
+    error: { type: Number, default: 0 }
+  },
+  rows: {
+    type: [importRowSchema],
+    default: []
+  },
+  // Why the whole job failed, e.g. the server restarted while it ran
+  failureReason: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// TTL Index - import reports are dropped after the retention window; it also
+// serves the newest-first job list
+productImportJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: IMPORT_JOB_TTL_DAYS * 24 * 60 * 60 });
+
+// Instance Method to record the outcome of a batch of rows
+productImportJobSchema.methods.addRows = function(rows) {
+  for (const row of rows) {
+    this.rows.push(row);
+    this.summary[row.action] += 1;
+  }
+  this.processedRows += rows.length;
+};
+
+// Data migration - jobs run inside the server process, so any still queued or
+// running at startup died with the previous process
+productImportJobSchema.statics.failInterrupted = async function() {
+  const result = await this.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', failureReason: 'Interrupted by a server restart', finishedAt: new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} interrupted product imports as failed`);
+  }
+};
+
+const ProductImportJob = mongoose.model('ProductImportJob', productImportJobSchema);
+
+module.exports = { ProductImportJob, IMPORT_JOB_STATUSES, IMPORT_ROW_ACTIONS };
@@ -0,0 +1,370 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const { Category } = require('./Category');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y'];
+const PROMOTION_SCOPES = ['order', 'category', 'product'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// MongoDB Schema for Promotions - coupon codes shoppers apply to their cart
+const promotionSchema = new mongoose.Schema({
+  // What shoppers type in, stored upper case, e.g. SUMMER10
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code may only contain letters, numbers, dashes and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  // percentage: value% off the eligible lines
+  // fixed: value off the eligible lines, never more than they cost
+  // buy_x_get_y: for every buyQuantity + getQuantity eligible units, the cheapest getQuantity are free
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true
+  },
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    default: 0
+  },
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  // Which cart lines the discount applies to
+  scope: {
+    type: String,
+    enum: PROMOTION_SCOPES,
+    default: 'order'
+  },
+  // A category also covers its subcategories
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Smallest cart subtotal, before discounts, the code can be used on
+  minSubtotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Redemptions allowed in total and per customer - null means unlimited.
+  // Cancelled orders give their redemption back.
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Validity window - either end may be open
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// A promotion's type decides which fields it needs
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+    return next(new Error('A percentage promotion needs a value between 0 and 100'));
+  }
+  if (this.type === 'fixed' && !(this.value > 0)) {
+    return next(new Error('A fixed promotion needs an amount above 0'));
+  }
+  if (this.type === 'buy_x_get_y' && !(this.buyQuantity && this.getQuantity)) {
+    return next(new Error('A buy X get Y promotion needs both quantities'));
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    return next(new Error('A promotion must end after it starts'));
+  }
+  next();
+});
+
+// Instance Method to check whether a cart line is covered by the promotion.
+// line.categoryPath lists the line's category and the ones above it.
+promotionSchema.methods.appliesTo = function(line) {
+  if (this.scope === 'category') {
+    const categoryPath = (line.categoryPath || [line.category]).map(String);
+    return this.categories.some(id => categoryPath.includes(id.toString()));
+  }
+  if (this.scope === 'product') {
+    return this.products.some(id => id.equals(line.productId));
+  }
+  return true;
+};
+
+// Instance Method to work out the discount on a cart, or throw why the code
+// does not apply. lines: [{ productId, category, categoryPath?, price, quantity, total }]
+// Returns { amount, lines: [discountAmount per line] }.
+promotionSchema.methods.calculateDiscount = function(lines) {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.total, 0));
+  if (subtotal < this.minSubtotal) {
+    throw new Error(`Coupon ${this.code} needs a subtotal of at least $${this.minSubtotal.toFixed(2)}`);
+  }
+
+  const eligible = lines.map(line => this.appliesTo(line));
+  const eligibleTotal = lines.reduce((sum, line, index) => sum + (eligible[index] ? line.total : 0), 0);
+  if (eligibleTotal === 0) {
+    throw new Error(`Coupon ${this.code} does not apply to any item in your cart`);
+  }
+
+  let discounts = lines.map(() => 0);
+
+  if (this.type === 'percentage') {
+    discounts = lines.map((line, index) => (eligible[index] ? roundMoney(line.total * this.value / 100) : 0));
+  } else if (this.type === 'fixed') {
+    // Spread the amount over the eligible lines by value - the last takes the rounding
+    const amount = Math.min(this.value, eligibleTotal);
+    const lastIndex = eligible.lastIndexOf(true);
+    let allocated = 0;
+    discounts = lines.map((line, index) => {
+      if (!eligible[index]) return 0;
+      const share = index === lastIndex
+        ? roundMoney(amount - allocated)
+        : roundMoney(amount * line.total / eligibleTotal);
+      allocated += share;
+      return share;
+    });
+  } else if (this.type === 'buy_x_get_y') {
+    // The cheapest eligible units are the free ones
+    const units = lines
+      .flatMap((line, index) => (eligible[index] ? Array(line.quantity).fill(index) : []))
+      .sort((a, b) => lines[a].price - lines[b].price);
+    const freeUnits = Math.floor(units.length / (this.buyQuantity + this.getQuantity)) * this.getQuantity;
+    if (freeUnits === 0) {
+      throw new Error(`Coupon ${this.code} needs ${this.buyQuantity + this.getQuantity} eligible items in your cart`);
+    }
+    units.slice(0, freeUnits).forEach(index => {
+      discounts[index] = roundMoney(discounts[index] + lines[index].price);
+    });
+  }
+
+  return {
+    amount: roundMoney(discounts.reduce((sum, discount) => sum + discount, 0)),
+    lines: discounts
+  };
+};
+
+// Instance Method to check the code can be used now, and by this customer
+// when one is known. Guests are only checked against the global limit.
+promotionSchema.methods.checkAvailability = async function(userId = null, session = null) {
+  const now = new Date();
+
+  if (!this.isActive || (this.startsAt && this.startsAt > now)) {
+    throw new Error(`Coupon ${this.code} is not valid`);
+  }
+  if (this.endsAt && this.endsAt <= now) {
+    throw new Error(`Coupon ${this.code} has expired`);
+  }
+  if (this.usageLimit !== null && this.usageCount >= this.usageLimit) {
+    throw new Error(`Coupon ${this.code} has reached its usage limit`);
+  }
+
+  if (userId && this.perUserLimit !== null) {
+    const { Order } = require('./Order');
+    const used = await Order.countDocuments({
+      userId,
+      'promotion.promotionId': this._id,
+      status: { $ne: 'cancelled' }
+    }).session(session);
+
+    if (used >= this.perUserLimit) {
+      throw new Error(`Coupon ${this.code} has already been used the maximum number of times on your account`);
+    }
+  }
+};
+
+// Static Method to look up a code and price it for a cart - throws when the
+// code is unknown, unavailable or does not fit the cart
+promotionSchema.statics.evaluate = async function(code, lines, { userId = null, session = null } = {}) {
+  const promotion = await this.findOne({ code: String(code).trim().toUpperCase() }).session(session);
+  if (!promotion) {
+    throw new Error(`Coupon ${String(code).trim().toUpperCase()} is not valid`);
+  }
+
+  await promotion.checkAvailability(userId, session);
+
+  if (promotion.scope === 'category') {
+    const paths = await Category.getPaths(lines.map(line => line.category), session);
+    lines = lines.map(line => ({ ...line, categoryPath: paths[String(line.category)] || [] }));
+  }
+
+  return { promotion, discount: promotion.calculateDiscount(lines) };
+};
+
+// Static Method to count a redemption inside the order's transaction. The
+// conditional update fails when the last use was taken in the meantime, and
+// concurrent orders for the same code conflict on it, so the per-customer
+// count read in the same transaction cannot go stale either.
+promotionSchema.statics.redeem = async function(promotion, session) {
+  const redeemed = await this.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!redeemed) {
+    throw new Error(`Coupon ${promotion.code} has reached its usage limit`);
+  }
+  return redeemed;
+};
+
+// Static Method to give back the redemption of a cancelled order
+promotionSchema.statics.release = async function(promotionId, session = null) {
+  await this.updateOne(
+    { _id: promotionId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session }
+  );
+};
+
+// Express Validator Rules for Promotion Input
+const promotionFieldValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Description cannot exceed 300 characters'),
+
+  body('type')
+    .isIn(PROMOTION_TYPES)
+    .withMessage('Invalid promotion type'),
+
+  body('value')
+    .if(body('type').isIn(['percentage', 'fixed']))
+    .isFloat({ gt: 0 })
+    .withMessage('Discount value must be above 0')
+    .custom((value, { req }) => req.body.type !== 'percentage' || value <= 100)
+    .withMessage('A percentage discount cannot exceed 100'),
+
+  body(['buyQuantity', 'getQuantity'])
+    .if(body('type').equals('buy_x_get_y'))
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Buy and get quantities must be between 1 and 100'),
+
+  body('scope')
+    .optional()
+    .isIn(PROMOTION_SCOPES)
+    .withMessage('Invalid promotion scope'),
+
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be a list'),
+
+  body('categories.*')
+    .isMongoId()
+    .withMessage('Invalid category'),
+
+  body('products')
+    .optional()
+    .isArray()
+    .withMessage('Products must be a list'),
+
+  body('products.*')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  body('minSubtotal')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum subtotal cannot be negative'),
+
+  body(['usageLimit', 'perUserLimit'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limits must be at least 1'),
+
+  body(['startsAt', 'endsAt'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Dates must be valid'),
+
+  body('endsAt')
+    .custom((endsAt, { req }) => !endsAt || !req.body.startsAt || new Date(endsAt) > new Date(req.body.startsAt))
+    .withMessage('A promotion must end after it starts'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+const promotionValidation = {
+  // The code is fixed once created - it is stored on orders
+  create: [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+
+    ...promotionFieldValidation
+  ],
+
+  update: promotionFieldValidation,
+
+  // A shopper applying a code to their cart
+  apply: [
+    body('code')
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('Enter a coupon code')
+  ]
+};
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = { Promotion, promotionValidation, PROMOTION_TYPES, PROMOTION_SCOPES };
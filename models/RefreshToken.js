@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// MongoDB Schema for Refresh Tokens - server-side sessions with rotation
+// Only a SHA-256 hash of each token is stored; every rotation of one login
+// shares a family so a replayed token can revoke the whole chain
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', null],
+    default: null
+  },
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  // Session passed two-factor authentication - carried through every rotation
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// TTL Index - expired sessions are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Static Method to issue a new refresh token (starts a new family unless one is given)
+refreshTokenSchema.statics.issue = async function(userId, meta = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await this.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    family: meta.family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    mfa: Boolean(meta.mfa),
+    createdByIp: meta.ip,
+    userAgent: meta.userAgent
+  });
+
+  return refreshToken;
+};
+
+// Static Method to rotate a refresh token - the old token is revoked and a new
+// one in the same family is returned. Presenting an already revoked token is
+// treated as theft and kills the whole family.
+refreshTokenSchema.statics.rotate = async function(refreshToken, meta = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const newToken = crypto.randomBytes(48).toString('hex');
+
+  // Atomic claim - only one request can rotate a given token
+  const current = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokedReason: 'rotated',
+        replacedByHash: hashToken(newToken)
+      }
+    },
+    { new: true }
+  );
+
+  if (!current) {
+    const existing = await this.findOne({ tokenHash });
+
+    if (existing && existing.revokedAt) {
+      await this.revokeFamily(existing.family, 'reuse_detected');
+      console.warn(`Refresh token reuse detected for user ${existing.userId}, family ${existing.family} revoked`);
+      throw new Error('Refresh token reuse detected');
+    }
+
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  await this.create({
+    userId: current.userId,
+    tokenHash: hashToken(newToken),
+    family: current.family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    mfa: current.mfa,
+    createdByIp: meta.ip,
+    userAgent: meta.userAgent
+  });
+
+  return { userId: current.userId, family: current.family, mfa: current.mfa, refreshToken: newToken };
+};
+
+// Static Method to revoke every token of one login session
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'logout') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static Method to end the session a refresh token belongs to
+refreshTokenSchema.statics.revokeToken = async function(refreshToken, reason = 'logout') {
+  const token = await this.findOne({ tokenHash: hashToken(refreshToken) });
+  if (token) {
+    await this.revokeFamily(token.family, reason);
+  }
+  return token;
+};
+
+// Static Method to revoke all of a user's sessions (log out all devices)
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all') {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = { RefreshToken };
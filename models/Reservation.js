@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const { stockKey } = require('./Product');
+
+// How long a hold on stock lasts before it lapses back to the storefront
+const RESERVATION_WINDOW_MS = (parseInt(process.env.RESERVATION_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// MongoDB Schema for Stock Reservations - time-boxed holds against Product.stock
+const reservationSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  // Set when the product is sold by variant
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Cart owner key: "user:<userId>" or "guest:<guestToken>"
+  owner: {
+    type: String,
+    required: [true, 'Reservation owner is required']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One hold per owner and product variant
+reservationSchema.index({ productId: 1, variantId: 1, owner: 1 }, { unique: true });
+reservationSchema.index({ owner: 1 });
+
+// TTL Index - MongoDB removes lapsed holds (queries also filter on expiresAt,
+// since the TTL monitor only runs about once a minute)
+reservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static Method to build the owner key from a cart owner ({ userId } or { guestToken })
+reservationSchema.statics.ownerKey = function(cartOwner) {
+  return cartOwner.userId ? `user:${cartOwner.userId}` : `guest:${cartOwner.guestToken}`;
+};
+
+// Aggregation - total quantity currently held per product, and per variant
+// under stockKey(productId, variantId)
+reservationSchema.statics.getHeldQuantities = async function(productIds, options = {}) {
+  const match = {
+    productId: { $in: productIds.map(id => new mongoose.Types.ObjectId(id)) },
+    expiresAt: { $gt: new Date() }
+  };
+  if (options.excludeOwner) {
+    match.owner = { $ne: options.excludeOwner };
+  }
+
+  const aggregate = this.aggregate([
+    { $match: match },
+    { $group: { _id: { productId: '$productId', variantId: '$variantId' }, held: { $sum: '$quantity' } } }
+  ]);
+  if (options.session) {
+    aggregate.session(options.session);
+  }
+
+  const results = await aggregate;
+  return results.reduce((map, r) => {
+    const productKey = stockKey(r._id.productId);
+    map[productKey] = (map[productKey] || 0) + r.held;
+    if (r._id.variantId) {
+      map[stockKey(r._id.productId, r._id.variantId)] = r.held;
+    }
+    return map;
+  }, {});
+};
+
+// options.variantId narrows the count to one variant
+reservationSchema.statics.getHeldQuantity = async function(productId, options = {}) {
+  const held = await this.getHeldQuantities([productId], options);
+  return held[stockKey(productId, options.variantId)] || 0;
+};
+
+// Static Method to place (or resize and extend) a hold
+// Written first and verified afterwards, so two shoppers racing for the last
+// unit can never both keep their hold
+reservationSchema.statics.hold = async function(owner, productId, quantity, variantId = null) {
+  const { Product } = require('./Product');
+
+  const product = await Product.findById(productId).select('stock variants');
+  if (!product) {
+    throw new Error('Product not found');
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  if (variantId && !variant) {
+    throw new Error('Product variant not found');
+  }
+  const stock = (variant || product).stock;
+
+  const filter = { productId, variantId: variantId || null, owner };
+  const previous = await this.findOne({ ...filter, expiresAt: { $gt: new Date() } });
+  const expiresAt = new Date(Date.now() + RESERVATION_WINDOW_MS);
+
+  await this.updateOne(
+    filter,
+    { $set: { quantity, expiresAt } },
+    { upsert: true }
+  );
+
+  const held = await this.getHeldQuantity(productId, { variantId });
+  if (held > stock) {
+    // Roll our hold back to what it was before
+    if (previous) {
+      await this.updateOne(
+        filter,
+        { $set: { quantity: previous.quantity, expiresAt: previous.expiresAt } }
+      );
+    } else {
+      await this.deleteOne(filter);
+    }
+
+    const available = Math.max(0, stock - (held - quantity));
+    throw new Error(`Insufficient stock. Available: ${available}`);
+  }
+
+  return { productId, variantId: variantId || null, quantity, expiresAt };
+};
+
+// Static Method to release a single hold
+reservationSchema.statics.release = function(owner, productId, variantId = null) {
+  return this.deleteOne({ productId, variantId: variantId || null, owner });
+};
+
+// Static Method to release every hold of an owner
+reservationSchema.statics.releaseAll = function(owner, session = null) {
+  const options = session ? { session } : {};
+  return this.deleteMany({ owner }, options);
+};
+
+// Static Method to consume a hold when the reserved stock is actually sold
+reservationSchema.statics.consume = function(owner, productId, session = null, variantId = null) {
+  const options = session ? { session } : {};
+  return this.deleteOne({ productId, variantId: variantId || null, owner }, options);
+};
+
+// Static Method to list an owner's active holds keyed by stockKey(productId, variantId)
+reservationSchema.statics.findActiveForOwner = async function(owner) {
+  const reservations = await this.find({ owner, expiresAt: { $gt: new Date() } });
+  return reservations.reduce((map, r) => {
+    map[stockKey(r.productId, r.variantId)] = r;
+    return map;
+  }, {});
+};
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+module.exports = { Reservation, RESERVATION_WINDOW_MS };
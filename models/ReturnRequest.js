@@ -0,0 +1,441 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const { stockKey } = require('./Product');
+
+// How long after delivery a customer may still ask to return goods
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Return Status State Machine - received and rejected are final
+const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: [],
+  rejected: []
+};
+
+// Return Item Schema for embedded documents - one line of the original order
+const returnItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  variantLabel: {
+    type: String
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Price paid per unit on the original order, after any discount
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  // Filled in when the goods arrive back at the warehouse
+  receivedQuantity: {
+    type: Number,
+    default: 0
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  // Refund for the received units, including taxRefundAmount
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  taxRefundAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// MongoDB Schema for Return Requests (RMA) against delivered orders
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required'],
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'A return must contain at least one item']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Return reason is required']
+  },
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comments cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: Object.keys(RETURN_STATUS_TRANSITIONS),
+    default: 'requested'
+  },
+  // Note from staff shown to the customer, e.g. why a return was rejected
+  adminNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ status: 1, createdAt: -1 }); // Admin return queue
+returnRequestSchema.index({ userId: 1, createdAt: -1 }); // Customer's returns
+
+// Pre-save Middleware to generate the RMA number from its counter - inside the
+// return's transaction when it has one, so a rolled back return gives its number back.
+// Numbers issued before the counter (RMA-<timestamp>-NNNN) cannot collide with these.
+returnRequestSchema.pre('save', async function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    const { Counter } = require('./Counter');
+    const seq = await Counter.next('rmaNumber', this.$session());
+    this.rmaNumber = `RMA-${String(seq).padStart(6, '0')}`;
+  }
+  next();
+});
+
+// Instance Method to check a transition against the state machine
+returnRequestSchema.methods.canTransitionTo = function(status) {
+  return (RETURN_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Static Method to get how many units of each product (variant) on an order can
+// still be returned - everything not already claimed by an open or completed
+// return - keyed by stockKey(productId, variantId)
+returnRequestSchema.statics.getReturnableQuantities = async function(order, session = null) {
+  const aggregate = this.aggregate([
+    { $match: { orderId: order._id, status: { $ne: 'rejected' } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { productId: '$items.productId', variantId: '$items.variantId' },
+        quantity: {
+          // Received returns only claim what actually came back
+          $sum: { $cond: [{ $eq: ['$status', 'received'] }, '$items.receivedQuantity', '$items.quantity'] }
+        }
+      }
+    }
+  ]);
+  if (session) {
+    aggregate.session(session);
+  }
+  const claimed = await aggregate;
+
+  const returnable = {};
+  for (const item of order.items) {
+    const key = stockKey(item.productId, item.variantId);
+    returnable[key] = (returnable[key] || 0) + item.quantity;
+  }
+  for (const c of claimed) {
+    const key = stockKey(c._id.productId, c._id.variantId);
+    returnable[key] = (returnable[key] || 0) - c.quantity;
+  }
+
+  return returnable;
+};
+
+// Static Method to open a return for part of a delivered order
+// items: [{ productId, variantId, quantity }]
+returnRequestSchema.statics.createForOrder = async function(order, { items, reason, comments }, session = null) {
+  if (order.status !== 'delivered') {
+    throw new Error('Only delivered orders can be returned');
+  }
+
+  const delivery = [...order.statusHistory].reverse().find(entry => entry.status === 'delivered');
+  const deliveredAt = delivery ? delivery.changedAt : order.updatedAt;
+  if (Date.now() > deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(`Return window closed. Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`);
+  }
+
+  const returnable = await this.getReturnableQuantities(order, session);
+  const returnItems = [];
+
+  for (const item of items) {
+    const key = stockKey(item.productId, item.variantId);
+    const orderItem = order.items.find(i => stockKey(i.productId, i.variantId) === key);
+    if (!orderItem) {
+      throw new Error('Product is not part of this order');
+    }
+
+    const available = Math.max(0, returnable[key] || 0);
+    if (item.quantity > available) {
+      throw new Error(`Cannot return ${item.quantity} of ${orderItem.productName}. Returnable: ${available}`);
+    }
+    returnable[key] = available - item.quantity;
+
+    returnItems.push({
+      productId: orderItem.productId,
+      variantId: orderItem.variantId,
+      variantLabel: orderItem.variantLabel,
+      productName: orderItem.productName,
+      quantity: item.quantity,
+      unitPrice: Math.round((orderItem.total - (orderItem.discountAmount || 0)) / orderItem.quantity * 100) / 100
+    });
+  }
+
+  const [returnRequest] = await this.create([{
+    orderId: order._id,
+    userId: order.userId,
+    items: returnItems,
+    reason,
+    comments
+  }], session ? { session } : {});
+
+  return returnRequest;
+};
+
+// Static Method to approve or reject a return
+returnRequestSchema.statics.review = async function(returnId, status, { actorId, note, session = null } = {}) {
+  const returnRequest = await this.findById(returnId).session(session);
+  if (!returnRequest) {
+    throw new Error('Return not found');
+  }
+
+  if (!returnRequest.canTransitionTo(status)) {
+    throw new Error(`Invalid return transition from ${returnRequest.status} to ${status}`);
+  }
+
+  const previousStatus = returnRequest.status;
+  returnRequest.status = status;
+  returnRequest.reviewedBy = actorId;
+  returnRequest.reviewedAt = new Date();
+  if (note !== undefined) {
+    returnRequest.adminNote = note;
+  }
+  await returnRequest.save({ session });
+
+  return { returnRequest, previousStatus };
+};
+
+// Static Method to book returned goods in - refunds each received unit at the
+// price paid after discounts plus its tax, optionally puts it back on sale and records the refund on the order
+// received: [{ productId, variantId, receivedQuantity, restock }]
+returnRequestSchema.statics.receive = async function(returnId, received, { actorId, note, session }) {
+  const { Order } = require('./Order');
+  const { Product } = require('./Product');
+
+  const returnRequest = await this.findById(returnId).session(session);
+  if (!returnRequest) {
+    throw new Error('Return not found');
+  }
+
+  if (!returnRequest.canTransitionTo('received')) {
+    throw new Error(`Invalid return transition from ${returnRequest.status} to received`);
+  }
+
+  const order = await Order.findById(returnRequest.orderId).session(session);
+  if (!order) {
+    throw new Error('Order not found');
+  }
+
+  for (const item of returnRequest.items) {
+    const key = stockKey(item.productId, item.variantId);
+    const input = received.find(r => stockKey(r.productId, r.variantId) === key) || {};
+    const receivedQuantity = input.receivedQuantity === undefined ? item.quantity : input.receivedQuantity;
+
+    if (receivedQuantity > item.quantity) {
+      throw new Error(`Cannot receive more than ${item.quantity} of ${item.productName}`);
+    }
+
+    const orderItem = order.items.find(i => stockKey(i.productId, i.variantId) === key);
+    if (orderItem.returnedQuantity + receivedQuantity > orderItem.quantity) {
+      throw new Error(`Cannot receive more ${item.productName} than were ordered`);
+    }
+
+    // The units are refunded at what was paid for them after the line's
+    // discount, with their tax - the last units of a line take whatever is
+    // left, so rounding never strands a cent
+    const lastUnits = orderItem.returnedQuantity + receivedQuantity === orderItem.quantity;
+    const linePaid = orderItem.total - (orderItem.discountAmount || 0);
+    const priceRefund = lastUnits
+      ? Math.round((linePaid - orderItem.refundedAmount) * 100) / 100
+      : Math.round(linePaid * receivedQuantity / orderItem.quantity * 100) / 100;
+    const lineTax = orderItem.taxAmount || 0;
+    const taxRefund = lastUnits
+      ? Math.round((lineTax - (orderItem.refundedTax || 0)) * 100) / 100
+      : Math.round(lineTax * receivedQuantity / orderItem.quantity * 100) / 100;
+
+    item.receivedQuantity = receivedQuantity;
+    item.restocked = Boolean(input.restock) && receivedQuantity > 0;
+    item.taxRefundAmount = taxRefund;
+    item.refundAmount = Math.round((priceRefund + taxRefund) * 100) / 100;
+
+    if (receivedQuantity > 0) {
+      // An item whose product or variant is gone is not restocked after all
+      if (item.restocked) {
+        item.restocked = Boolean(await Product.restoreStock(item.productId, receivedQuantity, session, item.variantId));
+      }
+
+      // Returned units no longer count as sold
+      await Product.updateOne(
+        { _id: item.productId },
+        { $inc: { totalSold: -receivedQuantity } },
+        { session }
+      );
+
+      orderItem.returnedQuantity += receivedQuantity;
+      orderItem.refundedAmount = Math.round((orderItem.refundedAmount + priceRefund) * 100) / 100;
+      orderItem.refundedTax = Math.round(((orderItem.refundedTax || 0) + taxRefund) * 100) / 100;
+    }
+  }
+
+  returnRequest.refundAmount = Math.round(returnRequest.items.reduce((sum, item) => sum + item.refundAmount, 0) * 100) / 100;
+  returnRequest.status = 'received';
+  returnRequest.receivedBy = actorId;
+  returnRequest.receivedAt = new Date();
+  if (note !== undefined) {
+    returnRequest.adminNote = note;
+  }
+
+  const previousPaymentStatus = order.paymentStatus;
+  if (returnRequest.refundAmount > 0) {
+    const taxRefunded = returnRequest.items.reduce((sum, item) => sum + item.taxRefundAmount, 0);
+    order.refundedAmount = Math.round((order.refundedAmount + returnRequest.refundAmount) * 100) / 100;
+    order.refundedTax = Math.round(((order.refundedTax || 0) + taxRefunded) * 100) / 100;
+    // A refund through the payment provider is only final once its webhook
+    // confirms it; money handed back outside a provider is settled right away
+    order.paymentStatus = order.payment && order.payment.reference
+      ? 'pending_refund'
+      : order.settledRefundStatus();
+  }
+
+  await returnRequest.save({ session });
+  await order.save({ session });
+
+  return { returnRequest, order, previousPaymentStatus };
+};
+
+// Express Validator Rules for Return Input
+const returnValidation = {
+  create: [
+    body('orderId')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+
+    body('items')
+      .isArray({ min: 1 })
+      .withMessage('Select at least one item to return'),
+
+    body('items.*.productId')
+      .isMongoId()
+      .withMessage('Invalid product ID'),
+
+    body('items.*.variantId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid variant ID'),
+
+    body('items.*.quantity')
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Quantity must be between 1 and 100')
+      .toInt(),
+
+    body('reason')
+      .isIn(RETURN_REASONS)
+      .withMessage('Invalid return reason'),
+
+    body('comments')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Comments cannot exceed 1000 characters')
+  ],
+
+  review: [
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  ],
+
+  receive: [
+    body('items')
+      .optional()
+      .isArray()
+      .withMessage('Items must be an array'),
+
+    body('items.*.productId')
+      .isMongoId()
+      .withMessage('Invalid product ID'),
+
+    body('items.*.variantId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid variant ID'),
+
+    body('items.*.receivedQuantity')
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Received quantity must be between 0 and 100')
+      .toInt(),
+
+    body('items.*.restock')
+      .optional()
+      .isBoolean()
+      .withMessage('Restock must be true or false')
+      .toBoolean(),
+
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  ]
+};
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = {
+  ReturnRequest,
+  returnValidation,
+  RETURN_REASONS,
+  RETURN_STATUS_TRANSITIONS,
+  RETURN_WINDOW_DAYS
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+
+// Every permission a role can grant - route guards check these, never role names
+const PERMISSIONS = {
+  'products:write': 'Create, edit and delete products and adjust stock',
+  'categories:manage': 'Create, rename, move and delete product categories',
+  'orders:read': 'View all orders, including shipping addresses',
+  'orders:update-status': 'Change the status of orders',
+  'returns:manage': 'Approve, reject and receive returns and issue refunds',
+  'tax:manage': 'Configure tax rates by country, state and product category',
+  'shipping:manage': 'Configure shipping methods and their cost rules',
+  'promotions:manage': 'Create and edit coupon codes and promotions',
+  'users:read': 'View customer accounts, order history and security events',
+  'users:write': 'Suspend, delete, unlock and force password resets on accounts',
+  'analytics:read': 'View the dashboard, sales analytics and system health',
+  'analytics:manage': 'Rebuild the pre-computed monthly statistics',
+  'audit:read': 'Search the audit log of product, order and account changes',
+  'roles:manage': 'Edit roles, assign roles to users and invite admins'
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Built-in roles - `admin` always holds every permission, `customer` none.
+// The other defaults are only created once and can be edited afterwards.
+const SYSTEM_ROLES = {
+  customer: {
+    description: 'Shoppers - no access to the admin area',
+    permissions: []
+  },
+  admin: {
+    description: 'Super-admins - every permission, including role management',
+    permissions: PERMISSION_NAMES
+  }
+};
+
+const DEFAULT_ROLES = {
+  warehouse: {
+    description: 'Warehouse staff - fulfil orders without access to pricing',
+    permissions: ['orders:read', 'orders:update-status']
+  },
+  merchandiser: {
+    description: 'Merchandisers - manage the catalogue without access to customer data',
+    permissions: ['products:write', 'categories:manage']
+  }
+};
+
+// MongoDB Schema for Roles - a named set of permissions assigned via User.role
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [{ type: String, enum: PERMISSION_NAMES }],
+    default: []
+  },
+  // System roles cannot be renamed, edited or deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Static Method to create the built-in roles - run on every start so the
+// admin role picks up permissions added in later releases
+roleSchema.statics.ensureSystemRoles = async function() {
+  await Promise.all(Object.entries(SYSTEM_ROLES).map(([name, role]) =>
+    this.updateOne(
+      { name },
+      { $set: { ...role, isSystem: true } },
+      { upsert: true }
+    )
+  ));
+
+  await Promise.all(Object.entries(DEFAULT_ROLES).map(([name, role]) =>
+    this.updateOne(
+      { name },
+      { $setOnInsert: { ...role, isSystem: false } },
+      { upsert: true }
+    )
+  ));
+};
+
+// Static Method to get the permissions granted by a role name
+roleSchema.statics.getPermissions = async function(name) {
+  const role = await this.findOne({ name }).select('permissions').lean();
+  return role ? role.permissions : [];
+};
+
+// Express Validator Rules for Input Sanitization
+const roleValidation = {
+  create: [
+    body('name')
+      .trim()
+      .matches(/^[a-z][a-z0-9-]{1,29}$/)
+      .withMessage('Role name must be 2-30 lowercase letters, numbers or dashes'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+
+    body('permissions')
+      .isArray()
+      .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+      .isIn(PERMISSION_NAMES)
+      .withMessage('Unknown permission')
+  ],
+
+  update: [
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+
+    body('permissions')
+      .optional()
+      .isArray()
+      .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+      .isIn(PERMISSION_NAMES)
+      .withMessage('Unknown permission')
+  ]
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = { Role, roleValidation, PERMISSIONS };
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// MongoDB Schema for Security Events - audit trail of account lockouts and unlocks
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account_locked', 'account_unlocked'],
+    required: [true, 'Event type is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Admin who triggered the event, if any
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: String,
+  userAgent: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+// Static Method to record an event - auditing must never break the request itself
+securityEventSchema.statics.record = async function(event, req = null) {
+  try {
+    return await this.create({
+      ...event,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.headers['user-agent'] : undefined
+    });
+  } catch (error) {
+    console.error('Security event error:', error);
+    return null;
+  }
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = { SecurityEvent };
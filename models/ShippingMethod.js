@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+
+// Shipping Rate Schema for embedded documents - what a method costs for one
+// region and cart size. Empty country or state fields match any address.
+const shippingRateSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  // Cart weight band in kg - maxWeight is exclusive, null means no limit
+  minWeight: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxWeight: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Smallest cart subtotal the rate applies to
+  minSubtotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  baseCost: {
+    type: Number,
+    required: true,
+    min: [0, 'Cost cannot be negative']
+  },
+  perKgCost: {
+    type: Number,
+    min: [0, 'Cost cannot be negative'],
+    default: 0
+  },
+  // Subtotal from which shipping is free - null never makes it free
+  freeOverSubtotal: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+// MongoDB Schema for Shipping Methods offered at checkout
+const shippingMethodSchema = new mongoose.Schema({
+  // Stored on orders, e.g. standard
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Code may only contain lowercase letters, numbers and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Delivery estimate in business days - pickup has none
+  estimatedDays: {
+    min: { type: Number, min: 0 },
+    max: { type: Number, min: 0 }
+  },
+  // The method is offered where one of its rates matches
+  rates: {
+    type: [shippingRateSchema],
+    default: []
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Built-in methods - only created once and can be edited afterwards
+const DEFAULT_SHIPPING_METHODS = {
+  standard: {
+    name: 'Standard Shipping',
+    description: 'Delivered by ground courier',
+    estimatedDays: { min: 3, max: 7 },
+    rates: [{ baseCost: 5.99, perKgCost: 0.5, freeOverSubtotal: 50 }],
+    sortOrder: 1
+  },
+  express: {
+    name: 'Express Shipping',
+    description: 'Priority delivery',
+    estimatedDays: { min: 1, max: 2 },
+    rates: [{ baseCost: 14.99, perKgCost: 1.5 }],
+    sortOrder: 2
+  },
+  pickup: {
+    name: 'Store Pickup',
+    description: 'Collect the order from our store',
+    rates: [{ baseCost: 0 }],
+    sortOrder: 3
+  }
+};
+
+// How closely a rate fits an address - a state beats a country, both beat any
+const specificity = (rate) => (rate.state ? 2 : 0) + (rate.country ? 1 : 0);
+
+const normalize = (value) => (value ? String(value).trim().toUpperCase() : null);
+
+// Static Method to create the default methods on a fresh database
+shippingMethodSchema.statics.ensureDefaultMethods = async function() {
+  await Promise.all(Object.entries(DEFAULT_SHIPPING_METHODS).map(([code, method]) =>
+    this.updateOne(
+      { code },
+      { $setOnInsert: { ...method, isActive: true } },
+      { upsert: true }
+    )
+  ));
+};
+
+// Instance Method to price the method for an address and cart, or null when
+// none of its rates covers them. Among matching rates the most specific
+// region wins, then the first in the list.
+shippingMethodSchema.methods.quote = function(shippingAddress = {}, { weight = 0, subtotal = 0 } = {}) {
+  const country = normalize(shippingAddress.country);
+  const state = normalize(shippingAddress.state);
+
+  const rate = this.rates
+    .filter(r =>
+      (!r.country || r.country === country) &&
+      (!r.state || r.state === state) &&
+      weight >= (r.minWeight || 0) &&
+      (r.maxWeight === null || r.maxWeight === undefined || weight < r.maxWeight) &&
+      subtotal >= (r.minSubtotal || 0)
+    )
+    .reduce((best, r) => (!best || specificity(r) > specificity(best) ? r : best), null);
+
+  if (!rate) {
+    return null;
+  }
+
+  const free = rate.freeOverSubtotal !== null && rate.freeOverSubtotal !== undefined && subtotal >= rate.freeOverSubtotal;
+
+  return {
+    method: this.code,
+    name: this.name,
+    description: this.description,
+    estimatedDays: this.estimatedDays,
+    cost: free ? 0 : Math.round((rate.baseCost + rate.perKgCost * weight) * 100) / 100,
+    freeOverSubtotal: rate.freeOverSubtotal
+  };
+};
+
+// Static Method to list the active methods available for an address and cart,
+// each with its cost
+shippingMethodSchema.statics.getOptions = async function(shippingAddress, cart, session = null) {
+  const methods = await this.find({ isActive: true })
+    .sort({ sortOrder: 1, name: 1 })
+    .session(session);
+
+  return methods
+    .map(method => method.quote(shippingAddress, cart))
+    .filter(Boolean);
+};
+
+// Express Validator Rules for Shipping Method Input
+const rateValidation = [
+  body('rates')
+    .isArray({ min: 1 })
+    .withMessage('Add at least one rate'),
+
+  body('rates.*.country')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 56 })
+    .withMessage('Country cannot exceed 56 characters'),
+
+  body('rates.*.state')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 56 })
+    .withMessage('State cannot exceed 56 characters'),
+
+  body(['rates.*.minWeight', 'rates.*.minSubtotal', 'rates.*.perKgCost'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Weights, subtotals and costs cannot be negative'),
+
+  body(['rates.*.maxWeight', 'rates.*.freeOverSubtotal'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Weights and subtotals cannot be negative'),
+
+  body('rates.*.baseCost')
+    .isFloat({ min: 0 })
+    .withMessage('Base cost is required and cannot be negative')
+];
+
+// Everything but the code, which identifies the method on orders and is fixed
+const methodValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body(['estimatedDays.min', 'estimatedDays.max'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Delivery estimate must be between 0 and 365 days'),
+
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be a whole number'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+
+  ...rateValidation
+];
+
+const shippingMethodValidation = {
+  create: [
+    body('code')
+      .trim()
+      .matches(/^[a-z][a-z0-9-]{1,29}$/)
+      .withMessage('Code must be 2-30 lowercase letters, numbers or dashes'),
+
+    ...methodValidation
+  ],
+
+  update: methodValidation
+};
+
+const ShippingMethod = mongoose.model('ShippingMethod', shippingMethodSchema);
+
+module.exports = { ShippingMethod, shippingMethodValidation };
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const { Category } = require('./Category');
+
+// MongoDB Schema for Tax Rates - one rule per country, optionally narrowed to
+// a state and/or a product category. A rate of 0 makes the match tax exempt.
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rate name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Matched against the shipping address, ignoring case
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true
+  },
+  // null applies the rule to every state of the country
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  // null applies the rule to every category; a category also covers its subcategories
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Percentage of the line total, e.g. 7.25
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100%']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One rule per place and category
+taxRateSchema.index({ country: 1, state: 1, category: 1 }, { unique: true });
+
+// How closely a rule fits a line - a category beats a state, so a country-wide
+// exemption such as Books at 0% holds in every state unless a state overrides it,
+// and a line's own category beats the categories above it.
+// categoryPath: the line's category ids, nearest first (Category.getPaths)
+const specificity = (rule, categoryPath) => {
+  const categoryRank = rule.category ? 2 * (categoryPath.length - categoryPath.indexOf(rule.category.toString())) : 0;
+  return categoryRank + (rule.state ? 1 : 0);
+};
+
+const normalize = (value) => (value ? String(value).trim().toUpperCase() : null);
+
+// Static Method to work out the tax on order lines shipped to an address.
+// lines: [{ category, amount }] - each line is taxed at the most specific
+// active rule for its category and the address; lines with no rule are untaxed.
+// Returns { lines: [{ taxRate, taxAmount }], taxAmount }.
+taxRateSchema.statics.calculate = async function(lines, shippingAddress = {}, session = null) {
+  const country = normalize(shippingAddress.country);
+  const state = normalize(shippingAddress.state);
+
+  const rules = country
+    ? await this.find({ country, state: { $in: [state, null] }, isActive: true }).session(session).lean()
+    : [];
+
+  const paths = rules.some(r => r.category)
+    ? await Category.getPaths(lines.map(line => line.category), session)
+    : {};
+
+  const taxedLines = lines.map(line => {
+    const categoryPath = paths[String(line.category)] || [];
+    const rule = rules
+      .filter(r => r.category === null || categoryPath.includes(r.category.toString()))
+      .sort((a, b) => specificity(b, categoryPath) - specificity(a, categoryPath))[0];
+
+    const taxRate = rule ? rule.rate : 0;
+    return {
+      taxRate,
+      taxAmount: Math.round(line.amount * taxRate) / 100
+    };
+  });
+
+  return {
+    lines: taxedLines,
+    taxAmount: Math.round(taxedLines.reduce((sum, line) => sum + line.taxAmount, 0) * 100) / 100
+  };
+};
+
+// Express Validator Rules for Tax Rate Input
+const taxRateValidation = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required and cannot exceed 100 characters'),
+
+    body('country')
+      .trim()
+      .isLength({ min: 2, max: 56 })
+      .withMessage('Country is required'),
+
+    body('state')
+      .optional({ nullable: true, checkFalsy: true })
+      .trim()
+      .isLength({ max: 56 })
+      .withMessage('State cannot exceed 56 characters'),
+
+    body('category')
+      .optional({ nullable: true, checkFalsy: true })
+      .isMongoId()
+      .withMessage('Invalid category')
+      .bail()
+      .custom(async (categoryId) => {
+        if (!await Category.exists({ _id: categoryId })) {
+          throw new Error('Invalid category');
+        }
+      }),
+
+    body('rate')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Rate must be a percentage between 0 and 100'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+  ],
+
+  update: [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name cannot be empty or exceed 100 characters'),
+
+    body('rate')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Rate must be a percentage between 0 and 100'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+  ]
+};
+
+const TaxRate = mongoose.model('TaxRate', taxRateSchema);
+
+module.exports = { TaxRate, taxRateValidation };
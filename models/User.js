@@ -1,7 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../services/totp');
 const { body } = require('express-validator');
 
+// Login Throttling - failures beyond LOGIN_DELAY_AFTER add a growing delay,
+// LOGIN_MAX_ATTEMPTS failures lock the account for LOGIN_LOCK_MINUTES
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCK_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+const LOGIN_DELAY_AFTER = 2;
+const LOGIN_MAX_DELAY_MS = 30 * 1000;
+
 // MongoDB Schema with Validation - NoSQL Injection Prevention
 const userSchema = new mongoose.Schema({
   name: {
@@ -37,11 +46,81 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // Name of a Role document - permissions come from the role, not the name
   role: {
     type: String,
-    enum: ['customer', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'customer'
   },
+  // Email Verification - new accounts must confirm their address before ordering
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Account Status - suspended and deleted accounts cannot sign in
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'deleted'],
+    default: 'active'
+  },
+  statusReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  statusChangedAt: Date,
+  // Soft delete - the document is kept so order history stays intact
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by an admin-forced reset, cleared once the user picks a new password
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Per-account brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // TOTP Two-Factor Authentication - secrets and recovery code hashes never leave the server
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated by setup, promoted to twoFactorSecret once a code confirms it
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step - a code can only be used once
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // Bumped to invalidate every access token issued so far (log out all devices)
+  tokenVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
   // Optimistic Concurrency Control (OCC) - Versioning
   __v: {
     type: Number,
@@ -56,6 +135,7 @@ const userSchema = new mongoose.Schema({
 // Index for Performance - MongoDB Indexing Feature
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ role: 1 });
+userSchema.index({ status: 1 });
 
 // Pre-save Middleware for Password Hashing
 userSchema.pre('save', async function(next) {
@@ -76,6 +156,21 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Instance Method to check for a temporary lockout
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Instance Method for the remaining progressive delay before the next login attempt
+userSchema.methods.getLoginDelayMs = function() {
+  if (this.failedLoginAttempts < LOGIN_DELAY_AFTER || !this.lastFailedLoginAt) {
+    return 0;
+  }
+
+  const delay = Math.min(1000 * 2 ** (this.failedLoginAttempts - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY_MS);
+  return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now());
+};
+
 // Static Method for Safe User Query - Query Optimization
 userSchema.statics.findByEmailSafe = function(email) {
   // Example of using .explain() for query optimization
@@ -92,6 +187,145 @@ userSchema.statics.getSanitizedUser = function(userId) {
   return this.findById(userId).select('-password -__v');
 };
 
+// Static Method to invalidate all outstanding access tokens of a user
+userSchema.statics.revokeAccessTokens = function(userId) {
+  return this.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+// Static Method to create the first admin from ADMIN_EMAIL/ADMIN_PASSWORD
+// Does nothing once any admin exists - further admins must be invited
+userSchema.statics.bootstrapAdmin = async function() {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (await this.exists({ role: 'admin' })) {
+    return null;
+  }
+
+  if (!email || !password) {
+    console.warn('No admin account exists - set ADMIN_EMAIL and ADMIN_PASSWORD to create one');
+    return null;
+  }
+
+  if (await this.exists({ email: email.toLowerCase() })) {
+    console.warn(`Cannot bootstrap admin: ${email} is already registered as a customer`);
+    return null;
+  }
+
+  const admin = new this({
+    name: process.env.ADMIN_NAME || 'Admin User',
+    email,
+    password,
+    role: 'admin',
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  await admin.save();
+
+  console.log(`Bootstrapped admin account ${admin.email}`);
+  return admin;
+};
+
+// Migration - accounts created before email verification existed count as verified
+userSchema.statics.grandfatherEmailVerification = async function() {
+  const result = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} existing users as email-verified`);
+  }
+  return result;
+};
+
+// Static Method to count a failed login - atomic, so parallel guesses all count
+// Returns { locked, lockUntil } once the account hits LOGIN_MAX_ATTEMPTS
+userSchema.statics.recordFailedLogin = async function(userId) {
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+
+  if (!user || user.failedLoginAttempts < LOGIN_MAX_ATTEMPTS) {
+    return { locked: false, attempts: user ? user.failedLoginAttempts : 0 };
+  }
+
+  const lockUntil = new Date(Date.now() + LOGIN_LOCK_MS);
+  const result = await this.updateOne(
+    { _id: userId, failedLoginAttempts: { $gte: LOGIN_MAX_ATTEMPTS } },
+    { $set: { lockUntil, failedLoginAttempts: 0 } }
+  );
+
+  // Only the request that actually applied the lock reports it
+  return { locked: result.modifiedCount > 0, lockUntil, attempts: user.failedLoginAttempts };
+};
+
+// Static Method to clear failed logins and any lockout
+userSchema.statics.resetLoginFailures = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Static Method to replace a user's recovery codes - returns the plain codes, shown only once
+userSchema.statics.generateRecoveryCodes = async function(userId) {
+  const codes = Array.from({ length: 10 }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await this.updateOne(
+    { _id: userId },
+    { $set: { twoFactorRecoveryCodes: codes.map(hashRecoveryCode) } }
+  );
+
+  return codes;
+};
+
+// Static Method to check a second factor - a TOTP code or a single-use recovery code
+// Both are consumed atomically so a code cannot be replayed
+userSchema.statics.verifyTwoFactor = async function(userId, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const result = await this.updateOne(
+      { _id: userId, twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) },
+      { $pull: { twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) } }
+    );
+    return result.modifiedCount > 0 ? 'recovery_code' : null;
+  }
+
+  const user = await this.findById(userId).select('+twoFactorSecret');
+  if (!user || !user.twoFactorSecret) {
+    return null;
+  }
+
+  const step = totp.verifyCode(user.twoFactorSecret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: null }]
+    },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return result.modifiedCount > 0 ? 'totp' : null;
+};
+
+// Static Method to count active admins (guards against locking everyone out)
+userSchema.statics.countActiveAdmins = function() {
+  return this.countDocuments({ role: 'admin', status: { $nin: ['suspended', 'deleted'] } });
+};
+
 // Express Validator Rules for Input Sanitization - NoSQL Injection Prevention
 const userValidation = {
   register: [
@@ -129,6 +363,91 @@ const userValidation = {
     body('password')
       .notEmpty()
       .withMessage('Password is required')
+  ],
+
+  changePassword: [
+    body('currentPassword')
+      .notEmpty()
+      .withMessage('Current password is required'),
+
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+  ],
+
+  forgotPassword: [
+    body('email')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail()
+  ],
+
+  resetPassword: [
+    body('token')
+      .isString()
+      .matches(/^[a-f0-9]{64}$/)
+      .withMessage('Invalid or expired token'),
+
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+  ],
+
+  verifyEmail: [
+    body('token')
+      .isString()
+      .matches(/^[a-f0-9]{64}$/)
+      .withMessage('Invalid or expired token')
+  ],
+
+  twoFactorCode: [
+    body('code')
+      .isString()
+      .matches(/^\d{6}$/)
+      .withMessage('Enter the 6-digit code from your authenticator app')
+  ],
+
+  twoFactorLogin: [
+    body('challengeToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Login challenge is required'),
+
+    body('code')
+      .optional()
+      .isString()
+      .matches(/^\d{6}$/)
+      .withMessage('Enter the 6-digit code from your authenticator app'),
+
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .isLength({ min: 10, max: 20 })
+      .withMessage('Invalid recovery code')
+  ],
+
+  updateRole: [
+    body('role')
+      .isString()
+      .trim()
+      .matches(/^[a-z][a-z0-9-]{1,29}$/)
+      .withMessage('Invalid role')
+  ],
+
+  updateStatus: [
+    body('status')
+      .isIn(['active', 'suspended'])
+      .withMessage('Status must be active or suspended'),
+
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters')
   ]
 };
 
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// MongoDB Schema for single-use User Tokens (password reset and email verification links)
+// Only a SHA-256 hash is stored, so a leaked database cannot be used to take over accounts
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+
+// TTL Index - expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Static Method to issue a token - earlier unused tokens for the same purpose stop working
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ userId, purpose, usedAt: null });
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Static Method to find when a user was last sent a token (for throttling)
+userTokenSchema.statics.lastIssuedAt = async function(userId, purpose) {
+  const latest = await this.findOne({ userId, purpose }).sort({ createdAt: -1 }).select('createdAt');
+  return latest ? latest.createdAt : null;
+};
+
+// Static Method to redeem a token - atomic, so it can only be used once
+userTokenSchema.statics.consume = async function(token, purpose) {
+  const userToken = await this.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!userToken) {
+    throw new Error('Invalid or expired token');
+  }
+
+  return userToken;
+};
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+module.exports = { UserToken };
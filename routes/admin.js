@@ -1,14 +1,82 @@
 const express = require('express');
-const { User } = require('../models/User');
+const { validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { User, userValidation } = require('../models/User');
 const { Product } = require('../models/Product');
-const { Order } = require('../models/Order');
+const { Category, categoryValidation, MAX_CATEGORY_DEPTH } = require('../models/Category');
+const { Order, NET_ORDER_AMOUNT, NET_ORDER_TAX, PAID_PAYMENT_STATUSES } = require('../models/Order');
 const MonthlyStats = require('../models/MonthlyStats');
-const { authenticate, adminOnly } = require('../middleware/auth');
+const { AdminInvite, adminInviteValidation } = require('../models/AdminInvite');
+const { RefreshToken } = require('../models/RefreshToken');
+const { SecurityEvent } = require('../models/SecurityEvent');
+const { Role, roleValidation, PERMISSIONS } = require('../models/Role');
+const { AuditLog } = require('../models/AuditLog');
+const { TaxRate, taxRateValidation } = require('../models/TaxRate');
+const { ShippingMethod, shippingMethodValidation } = require('../models/ShippingMethod');
+const { Promotion, promotionValidation, PROMOTION_TYPES, PROMOTION_SCOPES } = require('../models/Promotion');
+const { authenticate, requirePermission, getPermissions } = require('../middleware/auth');
+const { buildClientUrl } = require('../services/emails');
 
 const router = express.Router();
 
+// Sign a user out everywhere - refresh tokens and outstanding access tokens
+const endUserSessions = (userId) => Promise.all([
+  RefreshToken.revokeAllForUser(userId, 'logout_all'),
+  User.revokeAccessTokens(userId)
+]);
+
+// Load the target user of a management action, rejecting self-actions
+// Responds and returns null when the action cannot go ahead
+const loadManagedUser = async (req, res) => {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid user ID' });
+    return null;
+  }
+
+  if (req.user._id.equals(id)) {
+    res.status(400).json({ message: 'You cannot perform this action on your own account' });
+    return null;
+  }
+
+  const user = await User.findById(id).select('-password -__v');
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  // Staff accounts can only be managed by someone who may also change roles
+  const permissions = await getPermissions(req);
+  if (user.role !== 'customer' && !permissions.includes('roles:manage')) {
+    res.status(403).json({ 
+      message: 'Managing staff accounts requires the roles:manage permission',
+      code: 'PERMISSION_DENIED'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Record an account management action in the audit log
+const auditUser = (req, action, user, before, after, details) => AuditLog.record({
+  action,
+  entityType: 'user',
+  entityId: user._id,
+  entityLabel: user.email,
+  before,
+  after,
+  details
+}, req);
+
+// Whether taking this user out of the active admin pool would leave no admins
+const isLastActiveAdmin = async (user) => {
+  return user.role === 'admin' && user.status === 'active' && await User.countActiveAdmins() <= 1;
+};
+
 // Admin Dashboard Overview - Aggregation Pipelines and Materialized Views
-router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
+router.get('/dashboard', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     // Get current month and year
     const now = new Date();
@@ -24,7 +92,8 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
       bestSellingProducts,
       orderStatusStats,
       recentOrders,
-      lowStockProducts
+      lowStockProducts,
+      taxByRegion
     ] = await Promise.all([
       // Total Users Count
       User.countDocuments({ role: 'customer' }),
@@ -44,15 +113,16 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
               $lt: new Date(currentYear, currentMonth, 0).setHours(23, 59, 59, 999)
             },
             status: { $ne: 'cancelled' },
-            paymentStatus: 'completed'
+            paymentStatus: { $in: PAID_PAYMENT_STATUSES }
           }
         },
         {
           $group: {
             _id: null,
-            totalRevenue: { $sum: '$totalAmount' },
+            totalRevenue: { $sum: NET_ORDER_AMOUNT },
+            totalTax: { $sum: NET_ORDER_TAX },
             orderCount: { $sum: 1 },
-            averageOrderValue: { $avg: '$totalAmount' }
+            averageOrderValue: { $avg: NET_ORDER_AMOUNT }
           }
         }
       ]),
@@ -78,11 +148,16 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
         .sort({ stock: 1 })
         .limit(10)
         .select('name stock category price')
+        .populate('category', 'name'),
+
+      // Tax Collected This Year by Region
+      Order.getTaxReport(currentYear)
     ]);
 
     // Process monthly revenue data
     const currentMonthData = monthlyRevenue[0] || {
       totalRevenue: 0,
+      totalTax: 0,
       orderCount: 0,
       averageOrderValue: 0
     };
@@ -94,6 +169,7 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
         totalProducts,
         totalOrders,
         currentMonthRevenue: Math.round(currentMonthData.totalRevenue * 100) / 100,
+        currentMonthTax: Math.round(currentMonthData.totalTax * 100) / 100,
         currentMonthOrders: currentMonthData.orderCount,
         averageOrderValue: Math.round(currentMonthData.averageOrderValue * 100) / 100
       },
@@ -103,7 +179,8 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
       },
       tables: {
         recentOrders,
-        lowStockProducts
+        lowStockProducts,
+        taxByRegion
       },
       generatedAt: new Date()
     });
@@ -118,7 +195,7 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
 });
 
 // Get Sales Analytics - Materialized Views Feature
-router.get('/analytics/sales', authenticate, adminOnly, async (req, res) => {
+router.get('/analytics/sales', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { year = new Date().getFullYear() } = req.query;
 
@@ -128,6 +205,9 @@ router.get('/analytics/sales', authenticate, adminOnly, async (req, res) => {
     // Get real-time data for comparison
     const realTimeData = await Order.getMonthlyRevenue(parseInt(year));
 
+    // Tax collected per shipping region
+    const taxByRegion = await Order.getTaxReport(parseInt(year));
+
     // Calculate year-over-year growth if previous year data exists
     const previousYearTrends = await MonthlyStats.getYearlyTrends(parseInt(year) - 1);
     
@@ -146,8 +226,10 @@ router.get('/analytics/sales', authenticate, adminOnly, async (req, res) => {
       year: parseInt(year),
       materializedViewData: yearlyTrends,
       realTimeData,
+      taxByRegion,
       insights: {
         totalAnnualRevenue: yearlyTrends.reduce((sum, month) => sum + month.totalRevenue, 0),
+        totalAnnualTax: Math.round(taxByRegion.reduce((sum, region) => sum + region.taxCollected, 0) * 100) / 100,
         totalAnnualOrders: yearlyTrends.reduce((sum, month) => sum + month.totalOrders, 0),
         yearOverYearGrowth: yearOverYearGrowth ? `${yearOverYearGrowth}%` : 'N/A'
       }
@@ -163,7 +245,7 @@ router.get('/analytics/sales', authenticate, adminOnly, async (req, res) => {
 });
 
 // Refresh Materialized Views - Materialized Views Feature
-router.post('/analytics/refresh-stats', authenticate, adminOnly, async (req, res) => {
+router.post('/analytics/refresh-stats', authenticate, requirePermission('analytics:manage'), async (req, res) => {
   try {
     const { year, month } = req.body;
 
@@ -203,7 +285,7 @@ router.post('/analytics/refresh-stats', authenticate, adminOnly, async (req, res
 });
 
 // Get User Analytics
-router.get('/analytics/users', authenticate, adminOnly, async (req, res) => {
+router.get('/analytics/users', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     // User registration trends
     const userTrends = await User.aggregate([
@@ -249,15 +331,15 @@ router.get('/analytics/users', authenticate, adminOnly, async (req, res) => {
       {
         $match: {
           status: { $ne: 'cancelled' },
-          paymentStatus: 'completed'
+          paymentStatus: { $in: PAID_PAYMENT_STATUSES }
         }
       },
       {
         $group: {
           _id: '$userId',
-          totalSpent: { $sum: '$totalAmount' },
+          totalSpent: { $sum: NET_ORDER_AMOUNT },
           orderCount: { $sum: 1 },
-          averageOrderValue: { $avg: '$totalAmount' }
+          averageOrderValue: { $avg: NET_ORDER_AMOUNT }
         }
       },
       {
@@ -304,7 +386,7 @@ router.get('/analytics/users', authenticate, adminOnly, async (req, res) => {
 });
 
 // Get Product Analytics
-router.get('/analytics/products', authenticate, adminOnly, async (req, res) => {
+router.get('/analytics/products', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     // Category performance
     const categoryPerformance = await Order.aggregate([
@@ -335,9 +417,10 @@ router.get('/analytics/products', authenticate, adminOnly, async (req, res) => {
           uniqueProducts: { $addToSet: '$items.productId' }
         }
       },
+      ...Category.lookupStages('_id'),
       {
         $project: {
-          category: '$_id',
+          category: '$_id.name',
           revenue: { $round: ['$revenue', 2] },
           quantitySold: 1,
           orderCount: 1,
@@ -357,6 +440,7 @@ router.get('/analytics/products', authenticate, adminOnly, async (req, res) => {
     })
     .sort({ stock: 1 })
     .select('name category stock price')
+    .populate('category', 'name')
     .limit(20);
 
     // Product performance
@@ -380,7 +464,8 @@ router.get('/analytics/products', authenticate, adminOnly, async (req, res) => {
       },
       {
         $limit: 20
-      }
+      },
+      ...Category.lookupStages('category')
     ]);
 
     res.json({
@@ -400,11 +485,11 @@ router.get('/analytics/products', authenticate, adminOnly, async (req, res) => {
 });
 
 // Get All Users for Admin Management
-router.get('/users', authenticate, adminOnly, async (req, res) => {
+router.get('/users', authenticate, requirePermission('users:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 20, search, role } = req.query;
+    const { page = 1, limit = 20, search, role, status } = req.query;
 
-    // Build query
+    // Build query - deleted accounts are only listed when asked for
     const query = {};
     if (search) {
       query.$or = [
@@ -412,9 +497,15 @@ router.get('/users', authenticate, adminOnly, async (req, res) => {
         { email: { $regex: search, $options: 'i' } }
       ];
     }
-    if (role && ['customer', 'admin'].includes(role)) {
+    if (typeof role === 'string' && /^[a-z][a-z0-9-]{1,29}$/.test(role)) {
       query.role = role;
     }
+    if (status && ['active', 'suspended', 'deleted'].includes(status)) {
+      // Accounts created before statuses existed have no status field
+      query.status = status === 'active' ? { $in: ['active', null] } : status;
+    } else {
+      query.status = { $ne: 'deleted' };
+    }
 
     const users = await User.find(query)
       .select('-password -__v')
@@ -422,11 +513,18 @@ router.get('/users', authenticate, adminOnly, async (req, res) => {
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit));
 
-    const totalUsers = await User.countDocuments(query);
+    const [totalUsers, customerStats] = await Promise.all([
+      User.countDocuments(query),
+      Order.getCustomerStats(users.map(u => u._id))
+    ]);
 
     res.json({
       message: 'Users retrieved successfully',
-      users,
+      users: users.map(user => ({
+        ...user.toObject(),
+        orderCount: customerStats[user._id.toString()]?.orderCount || 0,
+        lifetimeSpend: customerStats[user._id.toString()]?.lifetimeSpend || 0
+      })),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalUsers / parseInt(limit)),
@@ -445,8 +543,1427 @@ router.get('/users', authenticate, adminOnly, async (req, res) => {
   }
 });
 
+// Get a User Profile with Order History and Lifetime Spend
+router.get('/users/:id', authenticate, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(id).select('-password -__v');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [orders, customerStats] = await Promise.all([
+      Order.find({ userId: id })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .select('orderNumber totalAmount status paymentStatus paymentMethod createdAt items'),
+      Order.getCustomerStats([id])
+    ]);
+
+    res.json({
+      message: 'User retrieved successfully',
+      user,
+      orders,
+      stats: customerStats[id] || { orderCount: 0, lifetimeSpend: 0, lastOrderAt: null }
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ 
+      message: 'Failed to retrieve user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Change a User's Role
+router.patch('/users/:id/role', authenticate, requirePermission('roles:manage'), userValidation.updateRole, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const { role } = req.body;
+
+    if (user.status === 'deleted') {
+      return res.status(400).json({ message: 'Cannot change the role of a deleted account' });
+    }
+
+    if (!await Role.exists({ name: role })) {
+      return res.status(400).json({ message: `Role ${role} does not exist` });
+    }
+
+    if (role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot demote the last active admin' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await auditUser(req, 'user.role_change', user, { role: previousRole }, { role });
+
+    res.json({
+      message: `User role changed to ${role}`,
+      user
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update user role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Suspend or Reactivate a User
+router.patch('/users/:id/status', authenticate, requirePermission('users:write'), userValidation.updateStatus, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const { status, reason } = req.body;
+
+    if (status === 'suspended' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot suspend the last active admin' });
+    }
+
+    const before = { status: user.status, statusReason: user.statusReason };
+    user.status = status;
+    user.statusReason = reason;
+    user.statusChangedAt = new Date();
+    user.deletedAt = null;
+    await user.save();
+    await auditUser(req, 'user.status_change', user, before, { status, statusReason: reason });
+
+    // A suspended user is signed out everywhere immediately
+    if (status === 'suspended') {
+      await endUserSessions(user._id);
+    }
+
+    res.json({
+      message: status === 'suspended' ? 'User suspended successfully' : 'User reactivated successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update user status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Force a Password Reset - the current password stops working and every
+// session ends; the user signs in with a temporary password and must change it
+router.post('/users/:id/force-password-reset', authenticate, requirePermission('users:write'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    if (user.status === 'deleted') {
+      return res.status(400).json({ message: 'Cannot reset the password of a deleted account' });
+    }
+
+    const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+
+    user.password = temporaryPassword;
+    user.passwordResetRequired = true;
+    await user.save();
+    await endUserSessions(user._id);
+    await auditUser(req, 'user.force_password_reset', user, { passwordResetRequired: false }, { passwordResetRequired: true });
+
+    res.json({
+      message: 'Password reset forced successfully',
+      temporaryPassword
+    });
+
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({ 
+      message: 'Failed to force password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Soft-delete a User - the account is disabled but its orders are kept
+router.delete('/users/:id', authenticate, requirePermission('users:write'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    if (user.status === 'deleted') {
+      return res.status(400).json({ message: 'User is already deleted' });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot delete the last active admin' });
+    }
+
+    const previousStatus = user.status;
+    user.status = 'deleted';
+    user.statusChangedAt = new Date();
+    user.deletedAt = new Date();
+    await user.save();
+    await endUserSessions(user._id);
+    await auditUser(req, 'user.delete', user, { status: previousStatus }, { status: 'deleted' });
+
+    res.json({
+      message: 'User deleted successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ 
+      message: 'Failed to delete user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Unlock a User locked out by failed logins
+router.post('/users/:id/unlock', authenticate, requirePermission('users:write'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    if (!user.isLocked() && user.failedLoginAttempts === 0) {
+      return res.status(400).json({ message: 'User is not locked' });
+    }
+
+    await User.resetLoginFailures(user._id);
+    await SecurityEvent.record({
+      type: 'account_unlocked',
+      userId: user._id,
+      email: user.email,
+      actorId: req.user._id,
+      details: { reason: 'admin', wasLocked: user.isLocked() }
+    }, req);
+    await auditUser(
+      req,
+      'user.unlock',
+      user,
+      { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil },
+      { failedLoginAttempts: 0, lockUntil: null }
+    );
+
+    res.json({ message: 'User unlocked successfully' });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ 
+      message: 'Failed to unlock user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get Security Events (account lockouts and unlocks)
+router.get('/security-events', authenticate, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, userId, type } = req.query;
+
+    const query = {};
+    if (userId && String(userId).match(/^[0-9a-fA-F]{24}$/)) {
+      query.userId = userId;
+    }
+    if (type && ['account_locked', 'account_unlocked'].includes(type)) {
+      query.type = type;
+    }
+
+    const [events, totalEvents] = await Promise.all([
+      SecurityEvent.find(query)
+        .populate('userId', 'name email')
+        .populate('actorId', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      SecurityEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      message: 'Security events retrieved successfully',
+      events,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEvents / parseInt(limit)),
+        totalEvents,
+        hasNext: parseInt(page) * parseInt(limit) < totalEvents,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({ 
+      message: 'Failed to retrieve security events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Invite an Admin - issues a single-use, expiring invitation token for an email
+router.post('/invites', authenticate, requirePermission('roles:manage'), adminInviteValidation.create, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ 
+        message: 'A user with this email already exists' 
+      });
+    }
+
+    const { invite, token } = await AdminInvite.issue(email, req.user._id);
+    await AuditLog.record({
+      action: 'invite.create',
+      entityType: 'invite',
+      entityId: invite._id,
+      entityLabel: invite.email,
+      after: { email: invite.email, expiresAt: invite.expiresAt }
+    }, req);
+
+    // The token is only ever returned here - it is stored hashed
+    const inviteUrl = buildClientUrl('/admin-invite', { token, email: invite.email });
+
+    res.status(201).json({
+      message: 'Admin invitation created successfully',
+      invite,
+      inviteToken: token,
+      inviteUrl
+    });
+
+  } catch (error) {
+    console.error('Create admin invite error:', error);
+    res.status(500).json({ 
+      message: 'Failed to create admin invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// List Admin Invitations
+router.get('/invites', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const invites = await AdminInvite.find()
+      .populate('invitedBy', 'name email')
+      .populate('usedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      message: 'Admin invitations retrieved successfully',
+      invites
+    });
+
+  } catch (error) {
+    console.error('Get admin invites error:', error);
+    res.status(500).json({ 
+      message: 'Failed to retrieve admin invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Revoke a pending Admin Invitation
+router.delete('/invites/:id', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid invitation ID' });
+    }
+
+    const invite = await AdminInvite.findOneAndUpdate(
+      { _id: id, usedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Pending invitation not found' });
+    }
+
+    await AuditLog.record({
+      action: 'invite.revoke',
+      entityType: 'invite',
+      entityId: invite._id,
+      entityLabel: invite.email,
+      before: { revokedAt: null },
+      after: { revokedAt: invite.revokedAt }
+    }, req);
+
+    res.json({
+      message: 'Admin invitation revoked successfully',
+      invite
+    });
+
+  } catch (error) {
+    console.error('Revoke admin invite error:', error);
+    res.status(500).json({ 
+      message: 'Failed to revoke admin invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// List Roles with their permissions and how many users hold each
+router.get('/roles', authenticate, requirePermission('users:read'), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }),
+      User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const userCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      message: 'Roles retrieved successfully',
+      roles: roles.map(role => ({ ...role.toObject(), userCount: userCounts[role.name] || 0 })),
+      permissions: PERMISSIONS
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ 
+      message: 'Failed to retrieve roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create a Role
+router.post('/roles', authenticate, requirePermission('roles:manage'), roleValidation.create, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)]
+    });
+    await AuditLog.record({
+      action: 'role.create',
+      entityType: 'role',
+      entityId: role._id,
+      entityLabel: role.name,
+      after: { description: role.description, permissions: role.permissions }
+    }, req);
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        message: 'A role with this name already exists' 
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to create role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a Role's description or permissions - takes effect on the next request of its users
+router.put('/roles/:id', authenticate, requirePermission('roles:manage'), roleValidation.update, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid role ID' });
+    }
+
+    const role = await Role.findById(id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be changed' });
+    }
+
+    const before = { description: role.description, permissions: [...role.permissions] };
+    const { description, permissions } = req.body;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+    await role.save();
+    await AuditLog.record({
+      action: 'role.update',
+      entityType: 'role',
+      entityId: role._id,
+      entityLabel: role.name,
+      before,
+      after: { description: role.description, permissions: [...role.permissions] }
+    }, req);
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete a Role - only once no account uses it
+router.delete('/roles/:id', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid role ID' });
+    }
+
+    const role = await Role.findById(id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({ 
+        message: `Role is assigned to ${userCount} account${userCount !== 1 ? 's' : ''}. Reassign them first.` 
+      });
+    }
+
+    await role.deleteOne();
+    await AuditLog.record({
+      action: 'role.delete',
+      entityType: 'role',
+      entityId: role._id,
+      entityLabel: role.name,
+      before: { description: role.description, permissions: [...role.permissions] }
+    }, req);
+
+    res.json({
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ 
+      message: 'Failed to delete role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Snapshot of a tax rate for the audit log
+const taxRateSnapshot = (taxRate) => ({
+  name: taxRate.name,
+  country: taxRate.country,
+  state: taxRate.state,
+  category: taxRate.category ? taxRate.category.name : null,
+  rate: taxRate.rate,
+  isActive: taxRate.isActive
+});
+
+// Label of a tax rate's place and category, e.g. USA/CA/Books - expects the category populated
+const taxRateLabel = (taxRate) =>
+  [taxRate.country, taxRate.state || '*', taxRate.category ? taxRate.category.name : '*'].join('/');
+
+// Get Tax Rates - requires tax:manage
+router.get('/tax-rates', authenticate, requirePermission('tax:manage'), async (req, res) => {
+  try {
+    const [taxRates, categories] = await Promise.all([
+      TaxRate.find().sort({ country: 1, state: 1, category: 1 }).populate('category', 'name slug'),
+      Category.listTree()
+    ]);
+
+    res.json({
+      message: 'Tax rates retrieved successfully',
+      taxRates,
+      categories
+    });
+
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve tax rates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create a Tax Rate - applies to orders placed from now on
+router.post('/tax-rates', authenticate, requirePermission('tax:manage'), taxRateValidation.create, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, country, state, category, rate, isActive } = req.body;
+
+    const taxRate = await TaxRate.create({
+      name,
+      country,
+      state: state || null,
+      category: category || null,
+      rate,
+      isActive
+    });
+    await taxRate.populate('category', 'name slug');
+    await AuditLog.record({
+      action: 'tax_rate.create',
+      entityType: 'tax_rate',
+      entityId: taxRate._id,
+      entityLabel: taxRateLabel(taxRate),
+      after: taxRateSnapshot(taxRate)
+    }, req);
+
+    res.status(201).json({
+      message: 'Tax rate created successfully',
+      taxRate
+    });
+
+  } catch (error) {
+    console.error('Create tax rate error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'A tax rate for this country, state and category already exists'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create tax rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a Tax Rate's name, rate or active flag - orders already placed keep their tax
+router.put('/tax-rates/:id', authenticate, requirePermission('tax:manage'), taxRateValidation.update, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid tax rate ID' });
+    }
+
+    const taxRate = await TaxRate.findById(id).populate('category', 'name slug');
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    const before = taxRateSnapshot(taxRate);
+    const { name, rate, isActive } = req.body;
+    if (name !== undefined) taxRate.name = name;
+    if (rate !== undefined) taxRate.rate = rate;
+    if (isActive !== undefined) taxRate.isActive = isActive;
+    await taxRate.save();
+    await AuditLog.record({
+      action: 'tax_rate.update',
+      entityType: 'tax_rate',
+      entityId: taxRate._id,
+      entityLabel: taxRateLabel(taxRate),
+      before,
+      after: taxRateSnapshot(taxRate)
+    }, req);
+
+    res.json({
+      message: 'Tax rate updated successfully',
+      taxRate
+    });
+
+  } catch (error) {
+    console.error('Update tax rate error:', error);
+    res.status(500).json({
+      message: 'Failed to update tax rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete a Tax Rate
+router.delete('/tax-rates/:id', authenticate, requirePermission('tax:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid tax rate ID' });
+    }
+
+    const taxRate = await TaxRate.findByIdAndDelete(id).populate('category', 'name slug');
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    await AuditLog.record({
+      action: 'tax_rate.delete',
+      entityType: 'tax_rate',
+      entityId: taxRate._id,
+      entityLabel: taxRateLabel(taxRate),
+      before: taxRateSnapshot(taxRate)
+    }, req);
+
+    res.json({
+      message: 'Tax rate deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete tax rate error:', error);
+    res.status(500).json({
+      message: 'Failed to delete tax rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Snapshot of a shipping method for the audit log
+const shippingMethodSnapshot = (method) => ({
+  name: method.name,
+  description: method.description,
+  estimatedDays: method.estimatedDays && { min: method.estimatedDays.min, max: method.estimatedDays.max },
+  rates: method.rates.map(rate => rate.toObject()),
+  sortOrder: method.sortOrder,
+  isActive: method.isActive
+});
+
+// Shipping method fields from a request body - rates are replaced as a whole
+const shippingMethodFields = (body) => ({
+  name: body.name,
+  description: body.description,
+  estimatedDays: body.estimatedDays,
+  rates: body.rates.map(rate => ({
+    country: rate.country || null,
+    state: rate.state || null,
+    minWeight: rate.minWeight || 0,
+    maxWeight: rate.maxWeight ?? null,
+    minSubtotal: rate.minSubtotal || 0,
+    baseCost: rate.baseCost,
+    perKgCost: rate.perKgCost || 0,
+    freeOverSubtotal: rate.freeOverSubtotal ?? null
+  })),
+  sortOrder: body.sortOrder,
+  isActive: body.isActive
+});
+
+// Get Shipping Methods - requires shipping:manage
+router.get('/shipping-methods', authenticate, requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const shippingMethods = await ShippingMethod.find().sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      message: 'Shipping methods retrieved successfully',
+      shippingMethods
+    });
+
+  } catch (error) {
+    console.error('Get shipping methods error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve shipping methods',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create a Shipping Method - offered at checkout from now on
+router.post('/shipping-methods', authenticate, requirePermission('shipping:manage'), shippingMethodValidation.create, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const shippingMethod = await ShippingMethod.create({
+      code: req.body.code,
+      ...shippingMethodFields(req.body)
+    });
+    await AuditLog.record({
+      action: 'shipping_method.create',
+      entityType: 'shipping_method',
+      entityId: shippingMethod._id,
+      entityLabel: shippingMethod.code,
+      after: shippingMethodSnapshot(shippingMethod)
+    }, req);
+
+    res.status(201).json({
+      message: 'Shipping method created successfully',
+      shippingMethod
+    });
+
+  } catch (error) {
+    console.error('Create shipping method error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'A shipping method with this code already exists'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create shipping method',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a Shipping Method - the code is fixed and orders already placed keep their cost
+router.put('/shipping-methods/:id', authenticate, requirePermission('shipping:manage'), shippingMethodValidation.update, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid shipping method ID' });
+    }
+
+    const shippingMethod = await ShippingMethod.findById(id);
+    if (!shippingMethod) {
+      return res.status(404).json({ message: 'Shipping method not found' });
+    }
+
+    const before = shippingMethodSnapshot(shippingMethod);
+    shippingMethod.set(shippingMethodFields(req.body));
+    await shippingMethod.save();
+    await AuditLog.record({
+      action: 'shipping_method.update',
+      entityType: 'shipping_method',
+      entityId: shippingMethod._id,
+      entityLabel: shippingMethod.code,
+      before,
+      after: shippingMethodSnapshot(shippingMethod)
+    }, req);
+
+    res.json({
+      message: 'Shipping method updated successfully',
+      shippingMethod
+    });
+
+  } catch (error) {
+    console.error('Update shipping method error:', error);
+    res.status(500).json({
+      message: 'Failed to update shipping method',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete a Shipping Method - orders keep the method's name and cost
+router.delete('/shipping-methods/:id', authenticate, requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid shipping method ID' });
+    }
+
+    const shippingMethod = await ShippingMethod.findByIdAndDelete(id);
+    if (!shippingMethod) {
+      return res.status(404).json({ message: 'Shipping method not found' });
+    }
+
+    await AuditLog.record({
+      action: 'shipping_method.delete',
+      entityType: 'shipping_method',
+      entityId: shippingMethod._id,
+      entityLabel: shippingMethod.code,
+      before: shippingMethodSnapshot(shippingMethod)
+    }, req);
+
+    res.json({
+      message: 'Shipping method deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete shipping method error:', error);
+    res.status(500).json({
+      message: 'Failed to delete shipping method',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Snapshot of a promotion for the audit log
+const promotionSnapshot = (promotion) => ({
+  name: promotion.name,
+  type: promotion.type,
+  value: promotion.value,
+  buyQuantity: promotion.buyQuantity,
+  getQuantity: promotion.getQuantity,
+  scope: promotion.scope,
+  categories: promotion.categories.map(id => id.toString()),
+  products: promotion.products.map(id => id.toString()),
+  minSubtotal: promotion.minSubtotal,
+  usageLimit: promotion.usageLimit,
+  perUserLimit: promotion.perUserLimit,
+  startsAt: promotion.startsAt,
+  endsAt: promotion.endsAt,
+  isActive: promotion.isActive
+});
+
+// Promotion fields from a request body - the scope decides which targets are kept
+const promotionFields = (body) => {
+  const scope = body.scope || 'order';
+
+  return {
+    name: body.name,
+    description: body.description,
+    type: body.type,
+    value: body.type === 'buy_x_get_y' ? 0 : body.value,
+    buyQuantity: body.type === 'buy_x_get_y' ? body.buyQuantity : undefined,
+    getQuantity: body.type === 'buy_x_get_y' ? body.getQuantity : undefined,
+    scope,
+    categories: scope === 'category' ? body.categories || [] : [],
+    products: scope === 'product' ? body.products || [] : [],
+    minSubtotal: body.minSubtotal || 0,
+    usageLimit: body.usageLimit || null,
+    perUserLimit: body.perUserLimit || null,
+    startsAt: body.startsAt || null,
+    endsAt: body.endsAt || null,
+    isActive: body.isActive
+  };
+};
+
+// Get Promotions - requires promotions:manage
+router.get('/promotions', authenticate, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const [promotions, products, categories] = await Promise.all([
+      Promotion.find().sort({ createdAt: -1 }),
+      Product.find({ isActive: true }).select('name category').populate('category', 'name').sort({ name: 1 }),
+      Category.listTree()
+    ]);
+
+    res.json({
+      message: 'Promotions retrieved successfully',
+      promotions,
+      types: PROMOTION_TYPES,
+      scopes: PROMOTION_SCOPES,
+      categories,
+      products
+    });
+
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve promotions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create a Promotion
+router.post('/promotions', authenticate, requirePermission('promotions:manage'), promotionValidation.create, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promotion = await Promotion.create({
+      code: req.body.code,
+      ...promotionFields(req.body)
+    });
+    await AuditLog.record({
+      action: 'promotion.create',
+      entityType: 'promotion',
+      entityId: promotion._id,
+      entityLabel: promotion.code,
+      after: promotionSnapshot(promotion)
+    }, req);
+
+    res.status(201).json({
+      message: 'Promotion created successfully',
+      promotion
+    });
+
+  } catch (error) {
+    console.error('Create promotion error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a Promotion - the code and usage count are fixed, orders already placed keep their discount
+router.put('/promotions/:id', authenticate, requirePermission('promotions:manage'), promotionValidation.update, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid promotion ID' });
+    }
+
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const before = promotionSnapshot(promotion);
+    promotion.set(promotionFields(req.body));
+    await promotion.save();
+    await AuditLog.record({
+      action: 'promotion.update',
+      entityType: 'promotion',
+      entityId: promotion._id,
+      entityLabel: promotion.code,
+      before,
+      after: promotionSnapshot(promotion)
+    }, req);
+
+    res.json({
+      message: 'Promotion updated successfully',
+      promotion
+    });
+
+  } catch (error) {
+    console.error('Update promotion error:', error);
+
+    res.status(500).json({
+      message: 'Failed to update promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete a Promotion - orders keep the code and discount they were placed with
+router.delete('/promotions/:id', authenticate, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid promotion ID' });
+    }
+
+    const promotion = await Promotion.findByIdAndDelete(id);
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    await AuditLog.record({
+      action: 'promotion.delete',
+      entityType: 'promotion',
+      entityId: promotion._id,
+      entityLabel: promotion.code,
+      before: promotionSnapshot(promotion)
+    }, req);
+
+    res.json({
+      message: 'Promotion deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      message: 'Failed to delete promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Snapshot of a category for the audit log
+const categorySnapshot = (category) => ({
+  name: category.name,
+  slug: category.slug,
+  description: category.description,
+  parent: category.parent ? category.parent.toString() : null,
+  sortOrder: category.sortOrder,
+  isActive: category.isActive
+});
+
+// Category fields from a request body - an empty slug is made from the name again
+const categoryFields = (body) => ({
+  name: body.name,
+  slug: body.slug || undefined,
+  description: body.description || '',
+  sortOrder: body.sortOrder || 0,
+  isActive: body.isActive !== undefined ? body.isActive : true
+});
+
+// Errors from placing a category in the tree that the admin can fix
+const CATEGORY_PLACEMENT_ERRORS = ['Parent category not found', 'cannot be moved under', 'can be nested at most'];
+const isCategoryPlacementError = (error) =>
+  CATEGORY_PLACEMENT_ERRORS.some(message => error.message.includes(message));
+
+// Respond to a failed category create or update
+const sendCategoryError = (res, error, action) => {
+  if (isCategoryPlacementError(error)) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      message: 'A category with this name or slug already exists'
+    });
+  }
+
+  res.status(500).json({
+    message: `Failed to ${action} category`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Get Categories - the whole tree, inactive ones included, with product counts - requires categories:manage
+router.get('/categories', authenticate, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const [categories, productCounts] = await Promise.all([
+      Category.listTree(),
+      Product.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+
+    const countByCategory = productCounts.reduce((map, entry) => {
+      map[String(entry._id)] = entry.count;
+      return map;
+    }, {});
+
+    res.json({
+      message: 'Categories retrieved successfully',
+      categories: categories.map(category => ({
+        ...category,
+        productCount: countByCategory[category._id.toString()] || 0
+      })),
+      maxDepth: MAX_CATEGORY_DEPTH
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve categories',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create a Category - top level, or under the given parent
+router.post('/categories', authenticate, requirePermission('categories:manage'), categoryValidation.create, async (req, res) => {
+  const session = await Category.startSession();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = new Category(categoryFields(req.body));
+
+    await session.withTransaction(async () => {
+      await category.placeUnder(req.body.parent || null, session);
+      await category.save({ session });
+      await AuditLog.record({
+        action: 'category.create',
+        entityType: 'category',
+        entityId: category._id,
+        entityLabel: category.name,
+        after: categorySnapshot(category)
+      }, req, session);
+    });
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    sendCategoryError(res, error, 'create');
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Update a Category - moving it under another parent takes its subcategories along.
+// Products keep pointing at the same category, so a rename shows everywhere at once.
+router.put('/categories/:id', authenticate, requirePermission('categories:manage'), categoryValidation.update, async (req, res) => {
+  const session = await Category.startSession();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+
+    let category = null;
+
+    await session.withTransaction(async () => {
+      category = await Category.findById(id).session(session);
+      if (!category) {
+        return;
+      }
+
+      const before = categorySnapshot(category);
+      const parent = req.body.parent || null;
+      const moved = String(category.parent || '') !== String(parent || '');
+
+      category.set(categoryFields(req.body));
+      if (moved) {
+        await category.placeUnder(parent, session);
+      }
+      await category.save({ session });
+      if (moved) {
+        await Category.updateDescendantPaths(category, session);
+      }
+
+      await AuditLog.record({
+        action: moved ? 'category.move' : 'category.update',
+        entityType: 'category',
+        entityId: category._id,
+        entityLabel: category.name,
+        before,
+        after: categorySnapshot(category)
+      }, req, session);
+    });
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    sendCategoryError(res, error, 'update');
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Delete a Category - only once no subcategory, product, tax rate or promotion uses it
+router.delete('/categories/:id', authenticate, requirePermission('categories:manage'), async (req, res) => {
+  const session = await Category.startSession();
+
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+
+    let category = null;
+    let inUse = [];
+
+    await session.withTransaction(async () => {
+      category = await Category.findById(id).session(session);
+      if (!category) {
+        return;
+      }
+
+      const usage = await Category.getUsage(category._id, session);
+      inUse = [
+        [usage.subcategories, 'subcategory', 'subcategories'],
+        [usage.products, 'product', 'products'],
+        [usage.taxRates, 'tax rate', 'tax rates'],
+        [usage.promotions, 'promotion', 'promotions']
+      ]
+        .filter(([count]) => count > 0)
+        .map(([count, singular, plural]) => `${count} ${count !== 1 ? plural : singular}`);
+      if (inUse.length > 0) {
+        return;
+      }
+
+      await category.deleteOne({ session });
+      await AuditLog.record({
+        action: 'category.delete',
+        entityType: 'category',
+        entityId: category._id,
+        entityLabel: category.name,
+        before: categorySnapshot(category)
+      }, req, session);
+    });
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    if (inUse.length > 0) {
+      return res.status(400).json({
+        message: `Category is still used by ${inUse.join(', ')}. Move or delete them first.`
+      });
+    }
+
+    res.json({
+      message: 'Category deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      message: 'Failed to delete category',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Search the Audit Log - filter by action, entity, actor and date range
+router.get('/audit-logs', authenticate, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, action, entityType, entityId, actorId, startDate, endDate } = req.query;
+
+    const query = {};
+    if (typeof action === 'string' && /^[a-z_.]+$/.test(action)) {
+      // A bare prefix such as "product" matches every product action
+      query.action = action.includes('.') ? action : { $regex: `^${action}\\.` };
+    }
+    if (entityType && AuditLog.schema.path('entityType').enumValues.includes(entityType)) {
+      query.entityType = entityType;
+    }
+    if (entityId && String(entityId).match(/^[0-9a-fA-F]{24}$/)) {
+      query.entityId = entityId;
+    }
+    if (actorId && String(actorId).match(/^[0-9a-fA-F]{24}$/)) {
+      query.actorId = actorId;
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [logs, totalLogs] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actorId', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      message: 'Audit log retrieved successfully',
+      logs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalLogs / parseInt(limit)),
+        totalLogs,
+        hasNext: parseInt(page) * parseInt(limit) < totalLogs,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ 
+      message: 'Failed to retrieve audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Database Health Check - MongoDB Features Overview
-router.get('/system/health', authenticate, adminOnly, async (req, res) => {
+router.get('/system/health', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     const mongoose = require('mongoose');
     const db = mongoose.connection.db;
@@ -1,10 +1,59 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const { User, userValidation } = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const { RefreshToken } = require('../models/RefreshToken');
+const { AdminInvite, adminInviteValidation } = require('../models/AdminInvite');
+const { UserToken } = require('../models/UserToken');
+const { SecurityEvent } = require('../models/SecurityEvent');
+const { Role } = require('../models/Role');
+const {
+  authenticate,
+  createSession,
+  generateToken,
+  generateTwoFactorChallenge,
+  getPermissions,
+  isTwoFactorRequired
+} = require('../middleware/auth');
+const { mergeGuestCartForUser } = require('./cart');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/emails');
 
 const router = express.Router();
 
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+// Minimum gap between two reset emails for the same account
+const PASSWORD_RESET_RESEND_MS = 60 * 1000;
+
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+// Minimum gap between two verification emails for the same account
+const VERIFICATION_RESEND_MS = 60 * 1000;
+
+// Email a fresh verification link - a mail failure must not fail the request,
+// the user can always ask for another link
+const sendVerificationLink = async (user) => {
+  try {
+    const token = await UserToken.issue(
+      user._id,
+      'email_verification',
+      EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000
+    );
+    await sendVerificationEmail(user, token, EMAIL_VERIFICATION_EXPIRE_HOURS);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
+
+// 423 response for a temporarily locked account
+const sendAccountLocked = (res, lockUntil) => {
+  const minutes = Math.ceil((lockUntil.getTime() - Date.now()) / 60000);
+  return res.status(423).json({ 
+    message: `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute${minutes !== 1 ? 's' : ''} or reset your password.`,
+    lockUntil
+  });
+};
+
 // Register Route - CRUD Operation (Create)
 router.post('/register', userValidation.register, async (req, res) => {
   try {
@@ -37,18 +86,28 @@ router.post('/register', userValidation.register, async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // New accounts start unverified
+    await sendVerificationLink(user);
+
+    // Generate JWT access token and refresh token
+    const { token, refreshToken } = await createSession(user, req);
+
+    // Carry over anything the shopper added to the cart before registering
+    const cartMerge = await mergeGuestCartForUser(req, user._id);
 
     // Return user data without password
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      cartMerge,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: await Role.getPermissions(user.role),
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt
       }
     });
@@ -93,27 +152,85 @@ router.post('/login', userValidation.login, async (req, res) => {
       });
     }
 
+    // Per-account lockout - checked before the password so guesses stop counting
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
+    // Progressive delay between consecutive failed attempts
+    const delayMs = user.getLoginDelayMs();
+    if (delayMs > 0) {
+      const retryAfter = Math.ceil(delayMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        message: `Too many failed login attempts. Please wait ${retryAfter} seconds and try again.`,
+        retryAfter
+      });
+    }
+
     // Check password
     const isPasswordValid = await user.matchPassword(password);
     
-    if (!isPasswordValid) {
+    // Soft-deleted accounts look like unknown accounts
+    if (!isPasswordValid || user.status === 'deleted') {
+      const { locked, lockUntil, attempts } = await User.recordFailedLogin(user._id);
+
+      if (locked) {
+        await SecurityEvent.record({
+          type: 'account_locked',
+          userId: user._id,
+          email: user.email,
+          details: { failedAttempts: attempts, lockUntil }
+        }, req);
+        return sendAccountLocked(res, lockUntil);
+      }
+
       return res.status(401).json({ 
         message: 'Invalid email or password' 
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await User.resetLoginFailures(user._id);
+    }
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({ 
+        message: 'Account is suspended' 
+      });
+    }
+
+    // Second factor - no session until POST /api/auth/2fa/verify checks the code
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      });
+    }
+
+    // Generate JWT access token and refresh token
+    const { token, refreshToken } = await createSession(user, req);
+
+    // Merge the anonymous cart into the user's cart
+    const cartMerge = await mergeGuestCartForUser(req, user._id);
 
     // Return user data without password
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      cartMerge,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: await Role.getPermissions(user.role),
+        emailVerified: user.emailVerified,
+        passwordResetRequired: user.passwordResetRequired,
+        twoFactorEnabled: user.twoFactorEnabled,
+        twoFactorRequired: isTwoFactorRequired(user),
         createdAt: user.createdAt
       }
     });
@@ -127,8 +244,10 @@ router.post('/login', userValidation.login, async (req, res) => {
   }
 });
 
-// Register Admin Route (for demo purposes - in production, this should be more restricted)
-router.post('/register-admin', userValidation.register, async (req, res) => {
+// Register Admin Route - requires a single-use invitation issued by an existing admin
+router.post('/register-admin', [...userValidation.register, ...adminInviteValidation.accept], async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -139,7 +258,7 @@ router.post('/register-admin', userValidation.register, async (req, res) => {
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, inviteToken } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -154,22 +273,32 @@ router.post('/register-admin', userValidation.register, async (req, res) => {
       name: name.trim(),
       email: email.toLowerCase(),
       password,
-      role: 'admin'
+      role: 'admin',
+      // The invitation was delivered to this address
+      emailVerified: true,
+      emailVerifiedAt: new Date()
     });
 
-    await user.save();
+    // Transaction - the invite is only spent if the account is created
+    await session.withTransaction(async () => {
+      await AdminInvite.consume(inviteToken, user.email, user._id, session);
+      await user.save({ session });
+    });
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Generate JWT access token and refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'Admin registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: await Role.getPermissions(user.role),
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt
       }
     });
@@ -177,6 +306,10 @@ router.post('/register-admin', userValidation.register, async (req, res) => {
   } catch (error) {
     console.error('Admin registration error:', error);
     
+    if (error.message.includes('Invalid or expired invitation')) {
+      return res.status(403).json({ message: error.message });
+    }
+
     if (error.code === 11000) {
       return res.status(400).json({ 
         message: 'Email already registered' 
@@ -187,15 +320,106 @@ router.post('/register-admin', userValidation.register, async (req, res) => {
       message: 'Admin registration failed',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Refresh Route - rotates the refresh token and issues a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotated = await RefreshToken.rotate(refreshToken, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    const user = await User.findById(rotated.userId).select('+tokenVersion');
+    if (!user) {
+      await RefreshToken.revokeFamily(rotated.family);
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    if (user.status !== 'active') {
+      await RefreshToken.revokeFamily(rotated.family);
+      return res.status(403).json({ 
+        message: user.status === 'suspended' ? 'Account is suspended' : 'Account has been deleted'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: generateToken(user._id, user.tokenVersion, { mfa: rotated.mfa }),
+      refreshToken: rotated.refreshToken
+    });
+
+  } catch (error) {
+    if (error.message.includes('refresh token') || error.message.includes('reuse detected')) {
+      return res.status(401).json({ message: error.message });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({ 
+      message: 'Token refresh failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Logout Route - revokes the session behind the given refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      await RefreshToken.revokeToken(refreshToken, 'logout');
+    }
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Logout All Devices Route - revokes every refresh token and access token of the user
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    await Promise.all([
+      RefreshToken.revokeAllForUser(req.user._id),
+      User.revokeAccessTokens(req.user._id)
+    ]);
+
+    res.json({ message: 'Logged out from all devices' });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      message: 'Failed to log out from all devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
 });
 
 // Get Current User Profile Route
-router.get('/me', require('../middleware/auth').authenticate, async (req, res) => {
+router.get('/me', authenticate, async (req, res) => {
   try {
     // User is already attached to req by auth middleware
     res.json({
-      user: req.user
+      user: {
+        ...req.user.toObject(),
+        permissions: await getPermissions(req),
+        twoFactorRequired: isTwoFactorRequired(req.user)
+      }
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -206,9 +430,230 @@ router.get('/me', require('../middleware/auth').authenticate, async (req, res) =
   }
 });
 
+// Change Password Route - also completes an admin-forced password reset
+router.put('/password', authenticate, userValidation.changePassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isPasswordValid = await user.matchPassword(currentPassword);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({ 
+        message: 'Current password is incorrect' 
+      });
+    }
+
+    user.password = newPassword;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Sign out every other session, then start a fresh one for this client
+    await Promise.all([
+      RefreshToken.revokeAllForUser(user._id),
+      User.revokeAccessTokens(user._id)
+    ]);
+    const { token, refreshToken } = await createSession(user, req, { mfa: req.auth.mfa });
+
+    res.json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      message: 'Failed to change password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Forgot Password Route - emails a single-use reset link
+// Always answers the same way so it cannot be used to discover accounts
+router.post('/forgot-password', userValidation.forgotPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    if (user && user.status === 'active') {
+      const lastSentAt = await UserToken.lastIssuedAt(user._id, 'password_reset');
+
+      if (!lastSentAt || Date.now() - lastSentAt.getTime() > PASSWORD_RESET_RESEND_MS) {
+        const token = await UserToken.issue(
+          user._id,
+          'password_reset',
+          PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000
+        );
+        await sendPasswordResetEmail(user, token, PASSWORD_RESET_EXPIRE_MINUTES);
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      message: 'Failed to process password reset request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Reset Password Route - redeems the emailed token and ends every existing session
+router.post('/reset-password', userValidation.resetPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const resetToken = await UserToken.consume(token, 'password_reset');
+
+    const user = await User.findById(resetToken.userId);
+    if (!user || user.status !== 'active') {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    const wasLocked = user.isLocked();
+
+    user.password = password;
+    user.passwordResetRequired = false;
+    // Proving control of the mailbox also lifts a brute-force lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    await Promise.all([
+      RefreshToken.revokeAllForUser(user._id),
+      User.revokeAccessTokens(user._id)
+    ]);
+
+    if (wasLocked) {
+      await SecurityEvent.record({
+        type: 'account_unlocked',
+        userId: user._id,
+        email: user.email,
+        details: { reason: 'password_reset' }
+      }, req);
+    }
+
+    res.json({
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    if (error.message.includes('Invalid or expired token')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Verify Email Route - redeems the emailed verification token
+router.post('/verify-email', userValidation.verifyEmail, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const verificationToken = await UserToken.consume(req.body.token, 'email_verification');
+
+    const user = await User.findByIdAndUpdate(
+      verificationToken.userId,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      email: user.email
+    });
+
+  } catch (error) {
+    if (error.message.includes('Invalid or expired token')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      message: 'Failed to verify email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Resend Verification Route - throttled per account
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const lastSentAt = await UserToken.lastIssuedAt(req.user._id, 'email_verification');
+    const waitMs = lastSentAt ? VERIFICATION_RESEND_MS - (Date.now() - lastSentAt.getTime()) : 0;
+
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter
+      });
+    }
+
+    await sendVerificationLink(req.user);
+
+    res.json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      message: 'Failed to send verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Update User Profile Route - CRUD Operation (Update)
 router.put('/profile', 
-  require('../middleware/auth').authenticate,
+  authenticate,
   [
     require('express-validator').body('name')
       .optional()
@@ -234,7 +679,12 @@ router.put('/profile',
 
       const updates = {};
       if (req.body.name) updates.name = req.body.name.trim();
-      if (req.body.email) updates.email = req.body.email.toLowerCase();
+      if (req.body.email && req.body.email.toLowerCase() !== req.user.email) {
+        updates.email = req.body.email.toLowerCase();
+        // A changed address has to be verified again
+        updates.emailVerified = false;
+        updates.emailVerifiedAt = null;
+      }
 
       // Check if email is already taken by another user
       if (updates.email) {
@@ -256,6 +706,10 @@ router.put('/profile',
         { new: true, runValidators: true }
       ).select('-password -__v');
 
+      if (updates.email) {
+        await sendVerificationLink(updatedUser);
+      }
+
       res.json({
         message: 'Profile updated successfully',
         user: updatedUser
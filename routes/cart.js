@@ -1,21 +1,49 @@
 const express = require('express');
+const crypto = require('crypto');
 const { validationResult, body } = require('express-validator');
-const { Product } = require('../models/Product');
-const { authenticate } = require('../middleware/auth');
+const { Product, stockKey } = require('../models/Product');
+const { Cart } = require('../models/Cart');
+const { Reservation } = require('../models/Reservation');
+const { promotionValidation } = require('../models/Promotion');
+const { optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
-// In-memory cart storage (in production, you might use Redis or store in database)
-// For simplicity, we'll store cart in memory with user session
-const userCarts = new Map();
+const GUEST_TOKEN_HEADER = 'x-guest-token';
+
+// Read the guest cart token sent by anonymous shoppers
+const getGuestToken = (req) => {
+  const token = req.headers[GUEST_TOKEN_HEADER] || req.body?.guestToken;
+  return typeof token === 'string' && /^[a-f0-9]{48}$/.test(token) ? token : null;
+};
+
+// Resolve Cart Owner Middleware - logged in user or anonymous guest token
+const resolveCartOwner = (req, res, next) => {
+  if (req.user) {
+    req.cartOwner = { userId: req.user._id };
+  } else {
+    const guestToken = getGuestToken(req);
+    req.cartOwner = guestToken ? { guestToken } : null;
+  }
+  next();
+};
+
+const emptyCart = { items: [], itemCount: 0, cartTotal: 0, promotion: null };
+
+const isVariantError = (error) => /^Choose an option|no longer available|has no variants/.test(error.message);
 
 // Add Item to Cart
 router.post('/add', 
-  authenticate,
+  optionalAuth,
+  resolveCartOwner,
   [
     body('productId')
       .isMongoId()
       .withMessage('Invalid product ID'),
+    body('variantId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid variant ID'),
     body('quantity')
       .isInt({ min: 1, max: 50 })
       .withMessage('Quantity must be between 1 and 50')
@@ -32,13 +60,13 @@ router.post('/add',
       }
 
       const { productId, quantity } = req.body;
-      const userId = req.user._id.toString();
+      const variantId = req.body.variantId || null;
 
       // Verify product exists and is available
       const product = await Product.findOne({ 
         _id: productId, 
         isActive: true 
-      }).select('name price stock imageUrl');
+      }).select('name price stock imageUrl variants');
 
       if (!product) {
         return res.status(404).json({ 
@@ -46,63 +74,47 @@ router.post('/add',
         });
       }
 
-      // Check stock availability
-      if (product.stock < quantity) {
-        return res.status(400).json({ 
-          message: `Insufficient stock. Available: ${product.stock}` 
-        });
-      }
+      // Products sold by variant need one that is on sale
+      product.resolveVariant(variantId);
 
-      // Get or create user cart
-      let cart = userCarts.get(userId) || { items: [], updatedAt: new Date() };
+      const cart = req.cartOwner && await Cart.findOne(req.cartOwner);
 
       // Check if item already exists in cart
-      const existingItemIndex = cart.items.findIndex(
-        item => item.productId === productId
-      );
+      const existingItem = cart && cart.findItem(productId, variantId);
+      const newQuantity = existingItem ? existingItem.quantity + quantity : quantity;
 
-      if (existingItemIndex > -1) {
-        // Update quantity if item exists
-        const newQuantity = cart.items[existingItemIndex].quantity + quantity;
-        
-        if (product.stock < newQuantity) {
-          return res.status(400).json({ 
-            message: `Insufficient stock. Available: ${product.stock}, In cart: ${cart.items[existingItemIndex].quantity}` 
-          });
-        }
-
-        cart.items[existingItemIndex].quantity = newQuantity;
-        cart.items[existingItemIndex].total = newQuantity * product.price;
-      } else {
-        // Add new item to cart
-        cart.items.push({
-          productId,
-          productName: product.name,
-          price: product.price,
-          quantity,
-          total: quantity * product.price,
-          imageUrl: product.imageUrl
-        });
+      // Issue a guest token to anonymous shoppers on their first add
+      if (!req.cartOwner) {
+        req.cartOwner = { guestToken: crypto.randomBytes(24).toString('hex') };
       }
 
-      cart.updatedAt = new Date();
-      userCarts.set(userId, cart);
+      // Hold the stock for this shopper - fails when other holds leave too little
+      const reservation = await Reservation.hold(
+        Reservation.ownerKey(req.cartOwner),
+        product._id,
+        newQuantity,
+        variantId
+      );
 
-      // Calculate cart totals
-      const cartTotal = cart.items.reduce((sum, item) => sum + item.total, 0);
-      const itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+      // Get or create the owner's cart
+      const ownerCart = cart || await Cart.findOrCreateForOwner(req.cartOwner);
+      const cartItem = ownerCart.upsertItem(product, newQuantity, variantId);
+      await ownerCart.save();
 
       res.json({
         message: 'Item added to cart successfully',
-        cartItem: cart.items.find(item => item.productId === productId),
-        cartSummary: {
-          itemCount,
-          cartTotal: Math.round(cartTotal * 100) / 100
-        }
+        cartItem: { ...cartItem.toObject(), reservedUntil: reservation.expiresAt },
+        cartSummary: ownerCart.getSummary(),
+        ...(ownerCart.guestToken && { guestToken: ownerCart.guestToken })
       });
 
     } catch (error) {
       console.error('Add to cart error:', error);
+
+      if (error.message.includes('Insufficient stock') || isVariantError(error)) {
+        return res.status(400).json({ message: error.message });
+      }
+
       res.status(500).json({ 
         message: 'Failed to add item to cart',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -112,47 +124,75 @@ router.post('/add',
 );
 
 // Get User's Cart
-router.get('/', authenticate, async (req, res) => {
+router.get('/', optionalAuth, resolveCartOwner, async (req, res) => {
   try {
-    const userId = req.user._id.toString();
-    const cart = userCarts.get(userId) || { items: [], updatedAt: new Date() };
+    const cart = req.cartOwner && await Cart.findOne(req.cartOwner);
+
+    if (!cart) {
+      return res.json({
+        message: 'Cart retrieved successfully',
+        cart: { ...emptyCart, updatedAt: new Date() }
+      });
+    }
 
     // Validate cart items against current product data
+    const productIds = cart.items.map(item => item.productId);
+    const owner = Reservation.ownerKey(req.cartOwner);
+    const [products, heldByOthers, reservations] = await Promise.all([
+      Product.find({ _id: { $in: productIds }, isActive: true }).select('name price stock imageUrl variants'),
+      Reservation.getHeldQuantities(productIds, { excludeOwner: owner }),
+      Reservation.findActiveForOwner(owner)
+    ]);
+
     const validatedItems = [];
+    const stockByItem = {};
     for (const item of cart.items) {
-      const product = await Product.findOne({ 
-        _id: item.productId, 
-        isActive: true 
-      }).select('name price stock imageUrl');
+      const product = products.find(p => p._id.equals(item.productId));
+      let resolved = null;
+      try {
+        resolved = product && product.resolveVariant(item.variantId);
+      } catch (variantError) {
+        // The variant is no longer sold - drop the line like a removed product
+      }
 
-      if (product) {
+      if (resolved) {
+        const key = stockKey(item.productId, item.variantId);
         // Update price if it has changed
-        const updatedItem = {
-          ...item,
-          productName: product.name,
-          price: product.price,
-          total: item.quantity * product.price,
-          imageUrl: product.imageUrl,
-          availableStock: product.stock,
-          inStock: product.stock >= item.quantity
-        };
-        validatedItems.push(updatedItem);
+        item.productName = product.name;
+        item.price = resolved.price;
+        item.total = item.quantity * resolved.price;
+        item.sku = resolved.sku;
+        item.variantLabel = resolved.variantLabel;
+        item.imageUrl = product.imageUrl;
+        stockByItem[key] = Math.max(0, resolved.stock - (heldByOthers[key] || 0));
+        validatedItems.push(item);
       }
     }
 
     // Update cart with validated items
-    cart.items = validatedItems;
-    userCarts.set(userId, cart);
-
-    const cartTotal = cart.items.reduce((sum, item) => sum + item.total, 0);
-    const itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+    if (validatedItems.length !== cart.items.length) {
+      cart.items = validatedItems;
+    }
+    if (cart.isModified()) {
+      await cart.save();
+    }
 
     res.json({
       message: 'Cart retrieved successfully',
       cart: {
-        items: cart.items,
-        itemCount,
-        cartTotal: Math.round(cartTotal * 100) / 100,
+        items: cart.items.map(item => {
+          const key = stockKey(item.productId, item.variantId);
+          const availableStock = stockByItem[key];
+          const reservation = reservations[key];
+          return {
+            ...item.toObject(),
+            availableStock,
+            inStock: availableStock >= item.quantity,
+            reservedUntil: reservation ? reservation.expiresAt : null
+          };
+        }),
+        ...cart.getSummary(),
+        promotion: await cart.evaluatePromotion(req.user && req.user._id),
         updatedAt: cart.updatedAt
       }
     });
@@ -166,9 +206,10 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
-// Update Cart Item Quantity
-router.put('/item/:productId',
-  authenticate,
+// Update Cart Item Quantity - variant lines are addressed by /item/:productId/:variantId
+router.put('/item/:productId/:variantId?',
+  optionalAuth,
+  resolveCartOwner,
   [
     body('quantity')
       .isInt({ min: 0, max: 50 })
@@ -186,63 +227,65 @@ router.put('/item/:productId',
       }
 
       const { productId } = req.params;
+      const variantId = req.params.variantId || null;
       const { quantity } = req.body;
-      const userId = req.user._id.toString();
 
-      // Validate product ID
-      if (!productId.match(/^[0-9a-fA-F]{24}$/)) {
+      // Validate product and variant IDs
+      if (!productId.match(/^[0-9a-fA-F]{24}$/) || (variantId && !variantId.match(/^[0-9a-fA-F]{24}$/))) {
         return res.status(400).json({ message: 'Invalid product ID format' });
       }
 
-      const cart = userCarts.get(userId) || { items: [], updatedAt: new Date() };
-      const itemIndex = cart.items.findIndex(item => item.productId === productId);
+      const cart = req.cartOwner && await Cart.findOne(req.cartOwner);
+      const item = cart && cart.findItem(productId, variantId);
 
-      if (itemIndex === -1) {
+      if (!item) {
         return res.status(404).json({ message: 'Item not found in cart' });
       }
 
+      const owner = Reservation.ownerKey(req.cartOwner);
+
       if (quantity === 0) {
-        // Remove item from cart
-        cart.items.splice(itemIndex, 1);
+        // Remove item from cart and give the stock back
+        cart.removeItem(productId, variantId);
+        await Reservation.release(owner, productId, variantId);
       } else {
         // Check stock availability
         const product = await Product.findOne({ 
           _id: productId, 
           isActive: true 
-        }).select('stock price');
+        }).select('name stock price imageUrl variants');
 
         if (!product) {
           return res.status(404).json({ message: 'Product not found or unavailable' });
         }
 
-        if (product.stock < quantity) {
-          return res.status(400).json({ 
-            message: `Insufficient stock. Available: ${product.stock}` 
-          });
-        }
+        product.resolveVariant(variantId);
+
+        // Resize the hold - fails when other holds leave too little
+        await Reservation.hold(owner, product._id, quantity, variantId);
 
         // Update item quantity
-        cart.items[itemIndex].quantity = quantity;
-        cart.items[itemIndex].total = quantity * cart.items[itemIndex].price;
+        cart.upsertItem(product, quantity, variantId);
       }
 
-      cart.updatedAt = new Date();
-      userCarts.set(userId, cart);
-
-      const cartTotal = cart.items.reduce((sum, item) => sum + item.total, 0);
-      const itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+      await cart.save();
 
       res.json({
         message: quantity === 0 ? 'Item removed from cart' : 'Cart updated successfully',
         cart: {
           items: cart.items,
-          itemCount,
-          cartTotal: Math.round(cartTotal * 100) / 100
+          ...cart.getSummary(),
+          promotion: await cart.evaluatePromotion(req.user && req.user._id)
         }
       });
 
     } catch (error) {
       console.error('Update cart error:', error);
+
+      if (error.message.includes('Insufficient stock') || isVariantError(error)) {
+        return res.status(400).json({ message: error.message });
+      }
+
       res.status(500).json({ 
         message: 'Failed to update cart',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -252,38 +295,35 @@ router.put('/item/:productId',
 );
 
 // Remove Item from Cart
-router.delete('/item/:productId', authenticate, async (req, res) => {
+router.delete('/item/:productId/:variantId?', optionalAuth, resolveCartOwner, async (req, res) => {
   try {
     const { productId } = req.params;
-    const userId = req.user._id.toString();
+    const variantId = req.params.variantId || null;
 
-    // Validate product ID
-    if (!productId.match(/^[0-9a-fA-F]{24}$/)) {
+    // Validate product and variant IDs
+    if (!productId.match(/^[0-9a-fA-F]{24}$/) || (variantId && !variantId.match(/^[0-9a-fA-F]{24}$/))) {
       return res.status(400).json({ message: 'Invalid product ID format' });
     }
 
-    const cart = userCarts.get(userId) || { items: [], updatedAt: new Date() };
-    const itemIndex = cart.items.findIndex(item => item.productId === productId);
+    const cart = req.cartOwner && await Cart.findOne(req.cartOwner);
 
-    if (itemIndex === -1) {
+    // Remove item
+    const removedItem = cart && cart.removeItem(productId, variantId);
+
+    if (!removedItem) {
       return res.status(404).json({ message: 'Item not found in cart' });
     }
 
-    // Remove item
-    const removedItem = cart.items.splice(itemIndex, 1)[0];
-    cart.updatedAt = new Date();
-    userCarts.set(userId, cart);
-
-    const cartTotal = cart.items.reduce((sum, item) => sum + item.total, 0);
-    const itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+    await cart.save();
+    await Reservation.release(Reservation.ownerKey(req.cartOwner), productId, variantId);
 
     res.json({
       message: 'Item removed from cart successfully',
       removedItem,
       cart: {
         items: cart.items,
-        itemCount,
-        cartTotal: Math.round(cartTotal * 100) / 100
+        ...cart.getSummary(),
+        promotion: await cart.evaluatePromotion(req.user && req.user._id)
       }
     });
 
@@ -297,19 +337,16 @@ router.delete('/item/:productId', authenticate, async (req, res) => {
 });
 
 // Clear Cart
-router.delete('/', authenticate, async (req, res) => {
+router.delete('/', optionalAuth, resolveCartOwner, async (req, res) => {
   try {
-    const userId = req.user._id.toString();
-    
-    userCarts.set(userId, { items: [], updatedAt: new Date() });
+    if (req.cartOwner) {
+      await Cart.updateOne(req.cartOwner, { $set: { items: [], promotionCode: null } });
+      await Reservation.releaseAll(Reservation.ownerKey(req.cartOwner));
+    }
 
     res.json({
       message: 'Cart cleared successfully',
-      cart: {
-        items: [],
-        itemCount: 0,
-        cartTotal: 0
-      }
+      cart: emptyCart
     });
 
   } catch (error) {
@@ -321,20 +358,141 @@ router.delete('/', authenticate, async (req, res) => {
   }
 });
 
-// Get Cart Summary (for header display)
-router.get('/summary', authenticate, async (req, res) => {
+// Apply a Coupon to the Cart - checked against the current items now, and
+// again when the cart is priced and when the order is placed
+router.post('/promotion', optionalAuth, resolveCartOwner, promotionValidation.apply, async (req, res) => {
   try {
-    const userId = req.user._id.toString();
-    const cart = userCarts.get(userId) || { items: [], updatedAt: new Date() };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-    const cartTotal = cart.items.reduce((sum, item) => sum + item.total, 0);
+    const cart = req.cartOwner && await Cart.findOne(req.cartOwner);
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    cart.promotionCode = req.body.code.toUpperCase();
+    const promotion = await cart.evaluatePromotion(req.user && req.user._id);
+
+    if (!promotion.valid) {
+      return res.status(400).json({ message: promotion.message });
+    }
+
+    await cart.save();
 
     res.json({
-      itemCount,
-      cartTotal: Math.round(cartTotal * 100) / 100
+      message: `Coupon ${promotion.code} applied`,
+      cart: {
+        items: cart.items,
+        ...cart.getSummary(),
+        promotion
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      message: 'Failed to apply coupon',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Remove the Coupon from the Cart
+router.delete('/promotion', optionalAuth, resolveCartOwner, async (req, res) => {
+  try {
+    const cart = req.cartOwner && await Cart.findOne(req.cartOwner);
+
+    if (cart && cart.promotionCode) {
+      cart.promotionCode = null;
+      await cart.save();
+    }
+
+    res.json({
+      message: 'Coupon removed',
+      cart: cart
+        ? { items: cart.items, ...cart.getSummary(), promotion: null }
+        : emptyCart
+    });
+
+  } catch (error) {
+    console.error('Remove coupon error:', error);
+    res.status(500).json({
+      message: 'Failed to remove coupon',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Reserve Cart Stock - called when the shopper enters checkout to renew every hold
+router.post('/reserve', optionalAuth, resolveCartOwner, async (req, res) => {
+  try {
+    const cart = req.cartOwner && await Cart.findOne(req.cartOwner);
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    const owner = Reservation.ownerKey(req.cartOwner);
+    const reservations = [];
+
+    for (const item of cart.items) {
+      try {
+        const reservation = await Reservation.hold(owner, item.productId, item.quantity, item.variantId);
+        reservations.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          productName: item.productName,
+          variantLabel: item.variantLabel,
+          quantity: item.quantity,
+          reserved: true,
+          reservedUntil: reservation.expiresAt
+        });
+      } catch (holdError) {
+        reservations.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          productName: item.productName,
+          variantLabel: item.variantLabel,
+          quantity: item.quantity,
+          reserved: false,
+          message: holdError.message
+        });
+      }
+    }
+
+    const allReserved = reservations.every(r => r.reserved);
+
+    res.json({
+      message: allReserved ? 'Cart stock reserved' : 'Some items could not be reserved',
+      allReserved,
+      reservations,
+      reservedUntil: allReserved
+        ? new Date(Math.min(...reservations.map(r => r.reservedUntil.getTime())))
+        : null
     });
 
+  } catch (error) {
+    console.error('Reserve cart error:', error);
+    res.status(500).json({ 
+      message: 'Failed to reserve cart stock',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get Cart Summary (for header display)
+router.get('/summary', optionalAuth, resolveCartOwner, async (req, res) => {
+  try {
+    const cart = req.cartOwner && await Cart.findOne(req.cartOwner);
+
+    res.json(cart ? cart.getSummary() : { itemCount: 0, cartTotal: 0 });
+
   } catch (error) {
     console.error('Get cart summary error:', error);
     res.status(500).json({ 
@@ -345,16 +503,35 @@ router.get('/summary', authenticate, async (req, res) => {
 });
 
 // Export cart utility functions for order processing
-const getCartForUser = (userId) => {
-  return userCarts.get(userId) || { items: [], updatedAt: new Date() };
+const getCartForUser = async (userId) => {
+  const cart = await Cart.findOne({ userId });
+  return cart || { items: [], updatedAt: new Date() };
 };
 
-const clearCartForUser = (userId) => {
-  userCarts.set(userId, { items: [], updatedAt: new Date() });
+const clearCartForUser = async (userId, session = null) => {
+  await Cart.clearForUser(userId, session);
+  await Reservation.releaseAll(Reservation.ownerKey({ userId }), session);
+};
+
+// Merge the requesting guest's cart into the user's cart (used on login/registration)
+const mergeGuestCartForUser = async (req, userId) => {
+  const guestToken = getGuestToken(req);
+  if (!guestToken) {
+    return null;
+  }
+
+  try {
+    return await Cart.mergeGuestCart(guestToken, userId);
+  } catch (error) {
+    // Never block authentication because of a cart problem
+    console.error('Guest cart merge error:', error);
+    return null;
+  }
 };
 
 module.exports = { 
   router, 
   getCartForUser, 
-  clearCartForUser 
+  clearCartForUser,
+  mergeGuestCartForUser
 }; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const { Category } = require('../models/Category');
+
+const router = express.Router();
+
+// Get Categories - the active tree for storefront navigation and filters
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.listTree({ activeOnly: true });
+
+    res.json({
+      message: 'Categories retrieved successfully',
+      categories: categories.map(({ _id, name, slug, description, parent, depth, path }) => ({
+        _id, name, slug, description, parent, depth, path
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve categories',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,237 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
-const { Order, orderValidation } = require('../models/Order');
+const { Order, orderValidation, ORDER_STATUS_TRANSITIONS } = require('../models/Order');
 const { Product } = require('../models/Product');
-const { authenticate, adminOnly } = require('../middleware/auth');
-const { getCartForUser, clearCartForUser } = require('./cart');
+const { Reservation } = require('../models/Reservation');
+const { TaxRate } = require('../models/TaxRate');
+const { ShippingMethod } = require('../models/ShippingMethod');
+const { Promotion } = require('../models/Promotion');
+const { AuditLog } = require('../models/AuditLog');
+const { authenticate, optionalAuth, requirePermission, getPermissions, requireVerifiedEmail } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { clearCartForUser } = require('./cart');
+const { getProvider, getProviderName, isPrepaidMethod } = require('../services/payments');
 
 const router = express.Router();
 
+const STOCK_CONFLICT_RETRIES = 3;
+
+// Run a transaction, retrying it when a stock update loses an optimistic concurrency
+// race - withTransaction itself only retries MongoDB's transient errors
+const withStockConflictRetry = async (session, work) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await session.withTransaction(work);
+    } catch (error) {
+      if (attempt >= STOCK_CONFLICT_RETRIES || !error.message.includes('concurrent modification')) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50 * attempt));
+    }
+  }
+};
+
+// Ask the provider for a refund once the transaction has committed. A refund that
+// cannot be requested or is declined leaves the order at pending_refund instead of
+// failing the request, and goes to the audit log so staff can pay it back another way.
+const issueRefund = async (order, amount, req = null) => {
+  let failureReason = null;
+  try {
+    const refund = await Order.requestRefund(order, amount);
+    if (refund && refund.status === 'failed') {
+      failureReason = refund.reason || 'Declined by the payment provider';
+    }
+  } catch (error) {
+    console.error(`Refund request error for order ${order.orderNumber}:`, error);
+    failureReason = error.message;
+  }
+
+  if (failureReason) {
+    await AuditLog.record({
+      action: 'order.refund_failed',
+      entityType: 'order',
+      entityId: order._id,
+      entityLabel: order.orderNumber,
+      details: { amount, reason: failureReason }
+    }, req);
+  }
+};
+
+// Authorize a prepaid order with the configured provider and start the capture.
+// The order stays at paymentStatus pending until the provider's webhook confirms it.
+const authorizeOrderPayment = async (order, paymentToken) => {
+  const providerName = getProviderName();
+  const provider = getProvider(providerName);
+
+  let authorization;
+  try {
+    authorization = await provider.authorize({
+      orderId: order._id.toString(),
+      amount: order.totalAmount,
+      currency: 'USD',
+      method: order.paymentMethod,
+      paymentToken
+    });
+  } catch (error) {
+    console.error('Payment authorization error:', error);
+    return { authorized: false, reason: 'Payment provider unavailable' };
+  }
+
+  if (authorization.status !== 'authorized') {
+    return { authorized: false, reason: authorization.reason || 'Payment declined' };
+  }
+
+  order.payment = {
+    provider: providerName,
+    reference: authorization.reference,
+    authorizedAt: new Date()
+  };
+  order.transactionId = authorization.reference;
+  await order.save();
+
+  try {
+    await provider.capture({ reference: authorization.reference, amount: order.totalAmount });
+  } catch (error) {
+    // The authorization stands; the order waits at pending for a provider callback
+    console.error(`Payment capture error for order ${order.orderNumber}:`, error);
+  }
+
+  return { authorized: true };
+};
+
+// Cancel an order whose payment was declined - its stock goes back on sale
+const cancelUnpaidOrder = async (order, reason, req) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await withStockConflictRetry(session, async () => {
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { paymentStatus: 'failed', 'payment.failureReason': reason } },
+        { session }
+      );
+
+      await Order.transitionStatus(order._id, 'cancelled', {
+        note: `Payment declined: ${reason}`,
+        session
+      });
+
+      await AuditLog.record({
+        action: 'order.payment_failed',
+        entityType: 'order',
+        entityId: order._id,
+        entityLabel: order.orderNumber,
+        before: { status: 'pending', paymentStatus: 'pending' },
+        after: { status: 'cancelled', paymentStatus: 'failed' },
+        details: { reason }
+      }, req, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Quote an Order - current prices, the coupon discount, the tax and the shipping
+// options for an address, so the cart and checkout show what the order will cost
+// before it is placed. A coupon that does not fit is reported, not rejected.
+router.post('/quote', optionalAuth, orderValidation.quote, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items, shippingAddress = {}, shippingMethod, promotionCode } = req.body;
+
+    const products = await Product.find({
+      _id: { $in: items.map(item => item.productId) },
+      isActive: true
+    }).select('name price category weight variants');
+
+    const lines = [];
+    for (const item of items) {
+      const product = products.find(p => p._id.toString() === item.productId);
+      if (!product) {
+        return res.status(409).json({ message: `Product ${item.productId} is no longer available` });
+      }
+
+      let variant;
+      try {
+        variant = product.resolveVariant(item.variantId);
+      } catch (variantError) {
+        return res.status(409).json({ message: variantError.message });
+      }
+
+      lines.push({
+        productId: product._id,
+        variantId: variant.variant ? variant.variant._id : null,
+        sku: variant.sku,
+        variantLabel: variant.variantLabel,
+        productName: product.name,
+        quantity: item.quantity,
+        price: variant.price,
+        total: item.quantity * variant.price,
+        discountAmount: 0,
+        category: product.category,
+        weight: item.quantity * (product.weight || 0)
+      });
+    }
+
+    const subtotal = Math.round(lines.reduce((sum, line) => sum + line.total, 0) * 100) / 100;
+    const weight = lines.reduce((sum, line) => sum + line.weight, 0);
+
+    let promotion = null;
+    let discountAmount = 0;
+    if (promotionCode) {
+      try {
+        const result = await Promotion.evaluate(promotionCode, lines, { userId: req.user && req.user._id });
+        result.discount.lines.forEach((amount, index) => { lines[index].discountAmount = amount; });
+        discountAmount = result.discount.amount;
+        promotion = { code: result.promotion.code, valid: true, name: result.promotion.name, discountAmount };
+      } catch (promotionError) {
+        if (!promotionError.message.startsWith('Coupon ')) {
+          throw promotionError;
+        }
+        promotion = { code: promotionCode.toUpperCase(), valid: false, message: promotionError.message };
+      }
+    }
+
+    const tax = await TaxRate.calculate(
+      lines.map(({ category, total, discountAmount: lineDiscount }) => ({ category, amount: total - lineDiscount })),
+      shippingAddress
+    );
+    const shippingOptions = await ShippingMethod.getOptions(shippingAddress, { weight, subtotal: subtotal - discountAmount });
+    const shipping = shippingOptions.find(option => option.method === shippingMethod) || null;
+    const shippingCost = shipping ? shipping.cost : 0;
+
+    res.json({
+      message: 'Quote calculated successfully',
+      items: lines.map(({ category, weight: lineWeight, ...line }, index) => ({ ...line, ...tax.lines[index] })),
+      subtotal,
+      promotion,
+      discountAmount,
+      taxAmount: tax.taxAmount,
+      shippingOptions,
+      shipping,
+      totalAmount: Math.round((subtotal - discountAmount + tax.taxAmount + shippingCost) * 100) / 100
+    });
+
+  } catch (error) {
+    console.error('Order quote error:', error);
+    res.status(500).json({
+      message: 'Failed to calculate quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Create Order with MongoDB Transaction - Transactions Feature
-router.post('/', authenticate, orderValidation.create, async (req, res) => {
+// Retries carrying the same Idempotency-Key get the first response instead of a second order
+router.post('/', authenticate, requireVerifiedEmail, idempotent('order.create'), orderValidation.create, async (req, res) => {
   // Start MongoDB session for transaction
   const session = await mongoose.startSession();
   let order;
@@ -25,21 +247,26 @@ router.post('/', authenticate, orderValidation.create, async (req, res) => {
     }
 
     const userId = req.user._id;
-    const { shippingAddress, paymentMethod, items } = req.body;
+    const { shippingAddress, shippingMethod, promotionCode, paymentMethod, paymentToken, items } = req.body;
 
     // Validate items array
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ message: 'No items provided in the order' });
     }
 
+    // The shopper's own cart holds count towards what they can buy
+    const reservationOwner = Reservation.ownerKey({ userId });
+
     // Start transaction
     await session.withTransaction(async () => {
       console.log('Starting order transaction...');
-      console.log('Order data:', { userId, shippingAddress, paymentMethod, items });
+      console.log('Order data:', { userId, shippingAddress, shippingMethod, promotionCode, paymentMethod, items });
 
       // Step 1: Validate all products and check stock availability
       const orderItems = [];
-      let totalAmount = 0;
+      const categories = [];
+      let subtotal = 0;
+      let weight = 0;
 
       for (const item of items) {
         console.log('Processing item:', item);
@@ -49,42 +276,111 @@ router.post('/', authenticate, orderValidation.create, async (req, res) => {
           throw new Error(`Product ${item.productId} is no longer available`);
         }
 
-        if (product.stock < item.quantity) {
-          throw new Error(`Insufficient stock for ${product.name}. Available: ${product.stock}, Requested: ${item.quantity}`);
+        // The variant decides price and stock for products sold by variant
+        const variant = product.resolveVariant(item.variantId);
+        const variantId = variant.variant ? variant.variant._id : null;
+        const name = variant.variantLabel ? `${product.name} (${variant.variantLabel})` : product.name;
+
+        // Stock held by other shoppers is not for sale
+        const heldByOthers = await Reservation.getHeldQuantity(product._id, {
+          variantId,
+          excludeOwner: reservationOwner,
+          session
+        });
+        const availableStock = variant.stock - heldByOthers;
+
+        if (availableStock < item.quantity) {
+          throw new Error(`Insufficient stock for ${name}. Available: ${Math.max(0, availableStock)}, Requested: ${item.quantity}`);
         }
 
         // Prepare order item
         const orderItem = {
           productId: product._id,
+          ...(variantId && { variantId, sku: variant.sku, variantLabel: variant.variantLabel }),
           productName: product.name,
           quantity: item.quantity,
-          price: product.price,
-          total: item.quantity * product.price
+          price: variant.price,
+          total: item.quantity * variant.price
         };
 
         orderItems.push(orderItem);
-        totalAmount += orderItem.total;
+        categories.push(product.category);
+        subtotal += orderItem.total;
+        weight += item.quantity * (product.weight || 0);
+      }
+
+      subtotal = Math.round(subtotal * 100) / 100;
+
+      // Step 2: Re-check the coupon against the order and count its use - a
+      // coupon that no longer fits or has run out fails the whole order
+      let promotion = null;
+      let discountAmount = 0;
+      if (promotionCode) {
+        const result = await Promotion.evaluate(
+          promotionCode,
+          orderItems.map((item, index) => ({ ...item, category: categories[index] })),
+          { userId, session }
+        );
+        await Promotion.redeem(result.promotion, session);
+
+        orderItems.forEach((item, index) => { item.discountAmount = result.discount.lines[index]; });
+        discountAmount = result.discount.amount;
+        promotion = {
+          promotionId: result.promotion._id,
+          code: result.promotion.code,
+          name: result.promotion.name,
+          type: result.promotion.type
+        };
+      }
+
+      // Step 3: Tax each line, after its discount, at the rate for its category and the shipping address
+      const tax = await TaxRate.calculate(
+        orderItems.map((item, index) => ({ category: categories[index], amount: item.total - (item.discountAmount || 0) })),
+        shippingAddress,
+        session
+      );
+      orderItems.forEach((item, index) => Object.assign(item, tax.lines[index]));
+
+      // Step 4: Price the chosen shipping method for the address and cart
+      const method = await ShippingMethod.findOne({ code: shippingMethod, isActive: true }).session(session);
+      const shipping = method && method.quote(shippingAddress, { weight, subtotal: subtotal - discountAmount });
+      if (!shipping) {
+        throw new Error(`Shipping method ${shippingMethod} is not available for this address`);
       }
 
-      // Step 2: Create the order
+      const totalAmount = Math.round((subtotal - discountAmount + tax.taxAmount + shipping.cost) * 100) / 100;
+
+      // Step 5: Create the order
       const orderData = {
         userId,
         items: orderItems,
-        totalAmount: Math.round(totalAmount * 100) / 100,
+        subtotal,
+        ...(promotion && { promotion }),
+        discountAmount,
+        taxAmount: tax.taxAmount,
+        shipping: {
+          method: shipping.method,
+          name: shipping.name,
+          cost: shipping.cost,
+          weight: Math.round(weight * 1000) / 1000
+        },
+        totalAmount,
         shippingAddress,
         paymentMethod,
         status: 'pending',
-        paymentStatus: paymentMethod === 'cash_on_delivery' ? 'pending' : 'completed',
-        transactionId: `TXN-${Date.now()}-${userId.toString().slice(-6)}`
+        paymentStatus: 'pending'
       };
 
       order = await Order.createOrderWithTransaction(orderData, session);
       console.log('Order created:', order.orderNumber);
 
-      // Step 3: Update product stock and sales count
+      // Step 6: Update product stock and sales count
       for (const item of orderItems) {
-        // Use concurrency-safe stock update
-        await Product.updateStockSafe(item.productId, -item.quantity, session);
+        // Use concurrency-safe stock update, consuming the shopper's reservation
+        await Product.updateStockSafe(item.productId, -item.quantity, session, {
+          reservationOwner,
+          variantId: item.variantId
+        });
         
         // Update total sold count
         await Product.findByIdAndUpdate(
@@ -95,20 +391,63 @@ router.post('/', authenticate, orderValidation.create, async (req, res) => {
         console.log(`Updated stock for product ${item.productId}: -${item.quantity}`);
       }
 
-      // Step 4: Log order activity (audit trail)
+      // Step 7: Log order activity (audit trail)
+      await AuditLog.record({
+        action: 'order.create',
+        entityType: 'order',
+        entityId: order._id,
+        entityLabel: order.orderNumber,
+        after: {
+          status: order.status,
+          subtotal: order.subtotal,
+          ...(promotion && { promotion: { code: promotion.code, discountAmount } }),
+          taxAmount: order.taxAmount,
+          shipping: { method: order.shipping.method, cost: order.shipping.cost },
+          totalAmount: order.totalAmount,
+          paymentMethod: order.paymentMethod,
+          items: orderItems.map(item => ({
+            productId: item.productId,
+            ...(item.variantId && { variantId: item.variantId, sku: item.sku }),
+            quantity: item.quantity,
+            price: item.price
+          }))
+        }
+      }, req, session);
       console.log(`Order ${order.orderNumber} processed successfully. Total: $${totalAmount}`);
     });
 
-    // Step 5: Clear user's cart (outside transaction)
-    clearCartForUser(userId.toString());
+    // Step 8: Take payment for prepaid orders (outside transaction - the
+    // provider is an external call). A declined order is cancelled again.
+    if (isPrepaidMethod(paymentMethod)) {
+      const payment = await authorizeOrderPayment(order, paymentToken);
+
+      if (!payment.authorized) {
+        await cancelUnpaidOrder(order, payment.reason, req);
+        return res.status(402).json({
+          message: `Payment declined: ${payment.reason}`,
+          code: 'PAYMENT_DECLINED'
+        });
+      }
+    }
+
+    // Step 9: Clear user's cart (outside transaction)
+    await clearCartForUser(userId);
 
     res.status(201).json({
-      message: 'Order placed successfully',
+      message: isPrepaidMethod(paymentMethod)
+        ? 'Order placed successfully. Payment is being confirmed.'
+        : 'Order placed successfully',
       order: {
         id: order._id,
         orderNumber: order.orderNumber,
+        subtotal: order.subtotal,
+        promotion: order.promotion,
+        discountAmount: order.discountAmount,
+        taxAmount: order.taxAmount,
+        shipping: order.shipping,
         totalAmount: order.totalAmount,
         status: order.status,
+        paymentStatus: order.paymentStatus,
         items: order.items,
         createdAt: order.createdAt,
         transactionId: order.transactionId
@@ -120,6 +459,13 @@ router.post('/', authenticate, orderValidation.create, async (req, res) => {
     console.error('Stack trace:', error.stack);
     
     // Transaction will auto-rollback on error
+    if (error.message.includes('is not available for this address') ||
+        error.message.startsWith('Coupon ') ||
+        error.message.startsWith('Choose an option') ||
+        error.message.includes('has no variants')) {
+      return res.status(400).json({ message: error.message });
+    }
+
     if (error.message.includes('Insufficient stock') || 
         error.message.includes('no longer available') ||
         error.message.includes('concurrent modification')) {
@@ -179,10 +525,11 @@ router.get('/:id', authenticate, async (req, res) => {
       return res.status(400).json({ message: 'Invalid order ID format' });
     }
 
-    // Build query based on user role
+    // Build query based on user permissions
     const query = { _id: id };
-    if (req.user.role !== 'admin') {
-      query.userId = userId; // Non-admin users can only see their own orders
+    const permissions = await getPermissions(req);
+    if (!permissions.includes('orders:read')) {
+      query.userId = userId; // Other users can only see their own orders
     }
 
     const order = await Order.findOne(query)
@@ -207,8 +554,10 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
-// Update Order Status - CRUD Operation (Update) - Admin Only
-router.patch('/:id/status', authenticate, adminOnly, orderValidation.updateStatus, async (req, res) => {
+// Update Order Status - CRUD Operation (Update) - requires orders:update-status
+router.patch('/:id/status', authenticate, requirePermission('orders:update-status'), orderValidation.updateStatus, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { id } = req.params;
     
@@ -226,30 +575,38 @@ router.patch('/:id/status', authenticate, adminOnly, orderValidation.updateStatu
       });
     }
 
-    const { status } = req.body;
+    const { status, note } = req.body;
 
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { status, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    ).populate('userId', 'name email');
+    // The transition, its side effects (e.g. stock restore on cancel) and the
+    // audit entry commit or roll back together
+    let order;
+    await withStockConflictRetry(session, async () => {
+      const result = await Order.transitionStatus(id, status, {
+        actorId: req.user._id,
+        note,
+        session
+      });
+      order = result.order;
+
+      await AuditLog.record({
+        action: 'order.status_change',
+        entityType: 'order',
+        entityId: order._id,
+        entityLabel: order.orderNumber,
+        before: { status: result.previousStatus, paymentStatus: result.previousPaymentStatus },
+        after: { status, paymentStatus: order.paymentStatus },
+        details: note ? { note } : undefined
+      }, req, session);
+    });
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+    if (order.paymentStatus === 'pending_refund') {
+      await issueRefund(order, order.totalAmount, req);
     }
 
-    // If order is cancelled, restore product stock
-    if (status === 'cancelled' && order.status !== 'cancelled') {
-      try {
-        for (const item of order.items) {
-          await Product.updateStockSafe(item.productId, item.quantity);
-          console.log(`Restored stock for product ${item.productId}: +${item.quantity}`);
-        }
-      } catch (stockError) {
-        console.error('Error restoring stock after cancellation:', stockError);
-        // Don't fail the status update if stock restoration fails
-      }
-    }
+    await order.populate([
+      { path: 'userId', select: 'name email' },
+      { path: 'statusHistory.changedBy', select: 'name email' }
+    ]);
 
     res.json({
       message: 'Order status updated successfully',
@@ -258,15 +615,31 @@ router.patch('/:id/status', authenticate, adminOnly, orderValidation.updateStatu
 
   } catch (error) {
     console.error('Update order status error:', error);
+
+    if (error.message.includes('Order not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message.includes('Invalid status transition')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.message.includes('concurrent modification') || 
+        error.message.includes('locked')) {
+      return res.status(409).json({ message: error.message });
+    }
+
     res.status(500).json({ 
       message: 'Failed to update order status',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    await session.endSession();
   }
 });
 
 // Get Monthly Revenue - Aggregation Pipeline Feature
-router.get('/analytics/monthly-revenue', authenticate, adminOnly, async (req, res) => {
+router.get('/analytics/monthly-revenue', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { year = new Date().getFullYear() } = req.query;
 
@@ -288,7 +661,7 @@ router.get('/analytics/monthly-revenue', authenticate, adminOnly, async (req, re
 });
 
 // Get Order Status Statistics - Aggregation Pipeline Feature
-router.get('/analytics/status-stats', authenticate, adminOnly, async (req, res) => {
+router.get('/analytics/status-stats', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
     const statusStats = await Order.getOrderStatusStats();
 
@@ -306,8 +679,8 @@ router.get('/analytics/status-stats', authenticate, adminOnly, async (req, res)
   }
 });
 
-// Get Orders for Admin Dashboard - CRUD Operation (Read) - Admin Only
-router.get('/', authenticate, adminOnly, async (req, res) => {
+// Get Orders for Admin Dashboard - CRUD Operation (Read) - requires orders:read
+router.get('/', authenticate, requirePermission('orders:read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -321,7 +694,7 @@ router.get('/', authenticate, adminOnly, async (req, res) => {
     // Build query with filters
     const query = {};
     
-    if (status && ['pending', 'processing', 'shipped', 'delivered', 'cancelled'].includes(status)) {
+    if (status && Object.keys(ORDER_STATUS_TRANSITIONS).includes(status)) {
       query.status = status;
     }
 
@@ -337,6 +710,7 @@ router.get('/', authenticate, adminOnly, async (req, res) => {
 
     const orders = await Order.find(query)
       .populate('userId', 'name email')
+      .populate('statusHistory.changedBy', 'name email')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit));
@@ -346,6 +720,7 @@ router.get('/', authenticate, adminOnly, async (req, res) => {
     res.json({
       message: 'Orders retrieved successfully',
       orders,
+      statusTransitions: ORDER_STATUS_TRANSITIONS,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalOrders / parseInt(limit)),
@@ -367,6 +742,8 @@ router.get('/', authenticate, adminOnly, async (req, res) => {
 
 // Cancel Order - Customer can cancel pending orders
 router.patch('/:id/cancel', authenticate, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { id } = req.params;
     const userId = req.user._id;
@@ -389,32 +766,62 @@ router.patch('/:id/cancel', authenticate, async (req, res) => {
       });
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    await order.save();
+    // The status change, stock restore, sales count and refund marker commit
+    // or roll back together, so a failed restock never loses stock
+    let cancelledOrder;
+    await withStockConflictRetry(session, async () => {
+      const result = await Order.transitionStatus(order._id, 'cancelled', {
+        actorId: userId,
+        note: 'Cancelled by customer',
+        session
+      });
+      cancelledOrder = result.order;
+
+      await AuditLog.record({
+        action: 'order.cancel',
+        entityType: 'order',
+        entityId: order._id,
+        entityLabel: order.orderNumber,
+        before: { status: result.previousStatus, paymentStatus: result.previousPaymentStatus },
+        after: { status: 'cancelled', paymentStatus: cancelledOrder.paymentStatus }
+      }, req, session);
+    });
 
-    // Restore product stock
-    try {
-      for (const item of order.items) {
-        await Product.updateStockSafe(item.productId, item.quantity);
-        console.log(`Restored stock for product ${item.productId}: +${item.quantity}`);
-      }
-    } catch (stockError) {
-      console.error('Error restoring stock after cancellation:', stockError);
+    if (cancelledOrder.paymentStatus === 'pending_refund') {
+      await issueRefund(cancelledOrder, cancelledOrder.totalAmount, req);
     }
 
     res.json({
-      message: 'Order cancelled successfully',
-      order
+      message: cancelledOrder.paymentStatus === 'pending_refund'
+        ? 'Order cancelled successfully. Your refund is being processed.'
+        : 'Order cancelled successfully',
+      order: cancelledOrder
     });
 
   } catch (error) {
     console.error('Cancel order error:', error);
+
+    // Another request moved the order on while we were cancelling it
+    if (error.message.includes('Invalid status transition')) {
+      return res.status(400).json({ message: 'Cannot cancel order. It is no longer pending' });
+    }
+
+    if (error.message.includes('concurrent modification') || 
+        error.message.includes('locked')) {
+      return res.status(409).json({ message: 'Order could not be cancelled right now. Please try again.' });
+    }
+
     res.status(500).json({ 
       message: 'Failed to cancel order',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    await session.endSession();
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = {
+  router,
+  withStockConflictRetry,
+  issueRefund
+}; 
\ No newline at end of file
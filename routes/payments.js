@@ -0,0 +1,121 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Order } = require('../models/Order');
+const { PaymentEvent } = require('../models/PaymentEvent');
+const { AuditLog } = require('../models/AuditLog');
+const { getProvider, getProviderName } = require('../services/payments');
+const { withStockConflictRetry, issueRefund } = require('./orders');
+
+const router = express.Router();
+
+// Audit actions for the provider events that change an order
+const PAYMENT_EVENT_ACTIONS = {
+  'payment.captured': 'order.payment_captured',
+  'payment.failed': 'order.payment_failed',
+  'refund.succeeded': 'order.refund_succeeded',
+  'refund.failed': 'order.refund_failed'
+};
+
+// Payment Configuration Route - tells the checkout which provider is active
+router.get('/config', (req, res) => {
+  try {
+    const providerName = getProviderName();
+    const provider = getProvider(providerName);
+
+    res.json({
+      provider: providerName,
+      // Only the mock provider has test tokens that choose the outcome
+      testTokens: provider.testTokens || []
+    });
+  } catch (error) {
+    console.error('Get payment config error:', error);
+    res.status(500).json({
+      message: 'Failed to get payment configuration',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Payment Webhook Route - the provider reports captures, failures and refunds.
+// Only verified events change orders, and each event is applied once.
+router.post('/webhooks/:provider', async (req, res) => {
+  let provider;
+  try {
+    provider = getProvider(req.params.provider);
+  } catch (error) {
+    return res.status(404).json({ message: 'Unknown payment provider' });
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req);
+  } catch (error) {
+    console.warn(`Rejected ${req.params.provider} webhook: ${error.message}`);
+    return res.status(400).json({ message: error.message });
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let result = null;
+    let duplicate = false;
+
+    await withStockConflictRetry(session, async () => {
+      result = null;
+      duplicate = false;
+
+      const processed = await PaymentEvent.findOne({
+        provider: req.params.provider,
+        eventId: event.id
+      }).session(session);
+      if (processed) {
+        duplicate = true;
+        return;
+      }
+
+      result = await Order.applyPaymentEvent(event, session);
+
+      await PaymentEvent.create([{
+        provider: req.params.provider,
+        eventId: event.id,
+        type: event.type,
+        reference: event.data.reference,
+        orderId: result ? result.order._id : null
+      }], { session });
+
+      if (result && PAYMENT_EVENT_ACTIONS[event.type]) {
+        await AuditLog.record({
+          action: PAYMENT_EVENT_ACTIONS[event.type],
+          entityType: 'order',
+          entityId: result.order._id,
+          entityLabel: result.order.orderNumber,
+          before: result.before,
+          after: { status: result.order.status, paymentStatus: result.order.paymentStatus },
+          details: { provider: req.params.provider, eventId: event.id, ...event.data }
+        }, req, session);
+      }
+    });
+
+    if (result && result.refundDue > 0) {
+      await issueRefund(result.order, result.refundDue, req);
+    }
+
+    res.json({ received: true, duplicate });
+
+  } catch (error) {
+    // A concurrent delivery of the same event got there first
+    if (error.code === 11000) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to process payment webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,48 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const { validationResult } = require('express-validator');
-const { Product, productValidation } = require('../models/Product');
-const { authenticate, adminOnly, optionalAuth } = require('../middleware/auth');
+const { Product, productValidation, buildVariants, MAX_PRODUCT_IMAGES } = require('../models/Product');
+const { Category } = require('../models/Category');
+const { ProductImportJob } = require('../models/ProductImportJob');
+const { AuditLog } = require('../models/AuditLog');
+const { authenticate, requirePermission, optionalAuth } = require('../middleware/auth');
+const { storeProductImage, removeProductImage, ACCEPTED_IMAGE_TYPES } = require('../services/images');
+const { parseProductCsv, runProductImport, streamProductCsv } = require('../services/productCsv');
 
 const router = express.Router();
 
+// Build a product query from the catalog filters - category, search,
+// minPrice and maxPrice - on top of `query`, with input sanitization
+// against NoSQL injection. Shared by the catalog and the CSV export.
+const buildProductQuery = async ({ category, search, minPrice, maxPrice }, query = {}) => {
+  // A category (id or slug) matches its subcategories too; an unknown one matches nothing
+  if (category && typeof category === 'string') {
+    const match = await Category.findByRef(category);
+    query.category = { $in: match ? await Category.getSubtreeIds(match._id) : [] };
+  }
+
+  if (search) {
+    // Use regex for partial and case-insensitive match
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  if (minPrice || maxPrice) {
+    query.price = {};
+    if (minPrice && !isNaN(parseFloat(minPrice))) {
+      query.price.$gte = parseFloat(minPrice);
+    }
+    if (maxPrice && !isNaN(parseFloat(maxPrice))) {
+      query.price.$lte = parseFloat(maxPrice);
+    }
+  }
+
+  return query;
+};
+
 // Get All Products with Pagination and Search - CRUD Operation (Read)
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -18,43 +56,23 @@ router.get('/', optionalAuth, async (req, res) => {
       sort = '-createdAt'
     } = req.query;
 
-    // Build query with input sanitization - NoSQL Injection Prevention
-    const query = { isActive: true };
-    
-    if (category && ['Electronics', 'Clothing', 'Books', 'Home', 'Sports', 'Other'].includes(category)) {
-      query.category = category;
-    }
-    
-    if (search) {
-      // Use regex for partial and case-insensitive match
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice && !isNaN(parseFloat(minPrice))) {
-        query.price.$gte = parseFloat(minPrice);
-      }
-      if (maxPrice && !isNaN(parseFloat(maxPrice))) {
-        query.price.$lte = parseFloat(maxPrice);
-      }
-    }
+    const query = await buildProductQuery(req.query, { isActive: true });
 
     // Pagination options
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
       sort: sort,
-      populate: [],
+      populate: [{ path: 'category', select: 'name slug' }],
       lean: true
     };
 
     // Use pagination plugin
     const products = await Product.paginate(query, options);
 
+    // Storefront stock excludes units held in shoppers' carts
+    await Product.attachAvailableStock(products.docs);
+
     res.json({
       message: 'Products retrieved successfully',
       products: products.docs,
@@ -84,24 +102,25 @@ router.get('/', optionalAuth, async (req, res) => {
 });
 
 // Get Products by Category with Query Optimization - Query Optimization Feature
+// The category is given by id or slug and includes its subcategories
 router.get('/category/:category', optionalAuth, async (req, res) => {
   try {
-    const { category } = req.params;
     const { limit = 10 } = req.query;
 
     // Validate category
-    const validCategories = ['Electronics', 'Clothing', 'Books', 'Home', 'Sports', 'Other'];
-    if (!validCategories.includes(category)) {
+    const category = await Category.findByRef(req.params.category);
+    if (!category) {
       return res.status(400).json({ message: 'Invalid category' });
     }
 
     // Use optimized query method
-    const products = await Product.findByCategory(category, { limit: parseInt(limit) });
+    const categoryIds = await Category.getSubtreeIds(category._id);
+    const products = await Product.findByCategory(categoryIds, { limit: parseInt(limit) });
 
     res.json({
-      message: `${category} products retrieved successfully`,
+      message: `${category.name} products retrieved successfully`,
       products,
-      category
+      category: { _id: category._id, name: category.name, slug: category.slug, description: category.description }
     });
 
   } catch (error) {
@@ -134,6 +153,181 @@ router.get('/best-selling', async (req, res) => {
   }
 });
 
+// CSV files are parsed in memory; the row limit keeps them small
+const IMPORT_MAX_FILE_MB = 5;
+const CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+// Imports of up to this many rows are answered when they finish; larger
+// ones run in the background and are followed through GET /import/:jobId
+const IMPORT_SYNC_ROWS = 200;
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_MAX_FILE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!CSV_TYPES.includes(file.mimetype) && !file.originalname.toLowerCase().endsWith('.csv')) {
+      return cb(new Error(`${file.originalname} is not a CSV file`));
+    }
+    cb(null, true);
+  }
+});
+
+// Parse the multipart `file` field, answering upload problems with a 400
+const uploadCsv = (req, res, next) => {
+  csvUpload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `CSV files cannot be larger than ${IMPORT_MAX_FILE_MB} MB`
+      : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? 'Upload one CSV file in the file field'
+        : error.message;
+    res.status(400).json({ message });
+  });
+};
+
+// Import Products from CSV - multipart field `file`. Every row is checked with
+// the same rules as creating a product, then products are created, or updated
+// when one already has a row's SKU or name. With ?dryRun=true nothing is
+// written and the job reports what would happen to each row.
+router.post('/import', authenticate, requirePermission('products:write'), uploadCsv, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a CSV file in the file field' });
+    }
+
+    let rows;
+    try {
+      rows = parseProductCsv(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const job = await ProductImportJob.create({
+      fileName: req.file.originalname,
+      dryRun: req.query.dryRun === 'true',
+      totalRows: rows.length,
+      createdBy: req.user._id
+    });
+
+    if (rows.length <= IMPORT_SYNC_ROWS) {
+      await runProductImport(job, rows, req);
+      return res.json({
+        message: job.dryRun ? 'Import preview ready' : 'Import finished',
+        job
+      });
+    }
+
+    // runProductImport records its own failures on the job
+    runProductImport(job, rows, req);
+
+    res.status(202).json({
+      message: 'Import started',
+      job
+    });
+
+  } catch (error) {
+    console.error('Import products error:', error);
+    res.status(500).json({
+      message: 'Failed to import products',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get Recent Product Imports - without their row reports
+router.get('/import', authenticate, requirePermission('products:write'), async (req, res) => {
+  try {
+    const jobs = await ProductImportJob.find()
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .select('-rows')
+      .populate('createdBy', 'name email');
+
+    res.json({
+      message: 'Product imports retrieved successfully',
+      jobs
+    });
+
+  } catch (error) {
+    console.error('Get product imports error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve product imports',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get Product Import - progress, summary and the report of every row
+router.get('/import/:jobId', authenticate, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid import ID format' });
+    }
+
+    const job = await ProductImportJob.findById(jobId).populate('createdBy', 'name email');
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    res.json({
+      message: 'Product import retrieved successfully',
+      job
+    });
+
+  } catch (error) {
+    console.error('Get product import error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve product import',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Export Products to CSV - streams the catalog in the import's format. Takes
+// the catalog filters (category, search, minPrice, maxPrice) and
+// status=active|inactive|all (default all).
+router.get('/export', authenticate, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { status = 'all' } = req.query;
+    const base = status === 'active'
+      ? { isActive: true }
+      : status === 'inactive' ? { isActive: false } : {};
+    const query = await buildProductQuery(req.query, base);
+
+    const cursor = Product.find(query)
+      .sort({ name: 1 })
+      .populate('category', 'slug')
+      .lean()
+      .cursor();
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    await streamProductCsv(cursor, res);
+
+  } catch (error) {
+    console.error('Export products error:', error);
+    // Part of the file is already sent - cut it off rather than end it cleanly
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      message: 'Failed to export products',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Get Single Product - CRUD Operation (Read)
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
@@ -144,12 +338,16 @@ router.get('/:id', optionalAuth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid product ID format' });
     }
 
-    const product = await Product.findOne({ _id: id, isActive: true });
+    const product = await Product.findOne({ _id: id, isActive: true })
+      .populate('category', 'name slug')
+      .lean();
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    await Product.attachAvailableStock([product]);
+
     res.json({
       message: 'Product retrieved successfully',
       product
@@ -164,8 +362,10 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-// Create New Product - CRUD Operation (Create) - Admin Only
-router.post('/', authenticate, adminOnly, productValidation.create, async (req, res) => {
+// Create New Product - CRUD Operation (Create) - requires products:write
+router.post('/', authenticate, requirePermission('products:write'), productValidation.create, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -182,11 +382,24 @@ router.post('/', authenticate, adminOnly, productValidation.create, async (req,
       price: parseFloat(req.body.price),
       category: req.body.category,
       stock: parseInt(req.body.stock),
+      weight: req.body.weight !== undefined ? parseFloat(req.body.weight) : undefined,
+      variants: buildVariants(req.body.variants || []),
       imageUrl: req.body.imageUrl || undefined
     };
 
-    const product = new Product(productData);
-    await product.save();
+    let product;
+    await session.withTransaction(async () => {
+      product = new Product(productData);
+      await product.save({ session });
+
+      await AuditLog.record({
+        action: 'product.create',
+        entityType: 'product',
+        entityId: product._id,
+        entityLabel: product.name,
+        after: product
+      }, req, session);
+    });
 
     res.status(201).json({
       message: 'Product created successfully',
@@ -195,15 +408,24 @@ router.post('/', authenticate, adminOnly, productValidation.create, async (req,
 
   } catch (error) {
     console.error('Create product error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A variant SKU is already used by another product' });
+    }
+
     res.status(500).json({ 
       message: 'Failed to create product',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    await session.endSession();
   }
 });
 
-// Update Product - CRUD Operation (Update) - Admin Only
-router.put('/:id', authenticate, adminOnly, productValidation.update, async (req, res) => {
+// Update Product - CRUD Operation (Update) - requires products:write
+router.put('/:id', authenticate, requirePermission('products:write'), productValidation.update, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { id } = req.params;
 
@@ -228,14 +450,70 @@ router.put('/:id', authenticate, adminOnly, productValidation.update, async (req
     if (req.body.price !== undefined) updates.price = parseFloat(req.body.price);
     if (req.body.category) updates.category = req.body.category;
     if (req.body.stock !== undefined) updates.stock = parseInt(req.body.stock);
+    if (req.body.weight !== undefined) updates.weight = parseFloat(req.body.weight);
     if (req.body.imageUrl) updates.imageUrl = req.body.imageUrl;
     if (req.body.isActive !== undefined) updates.isActive = req.body.isActive;
 
-    const product = await Product.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true, runValidators: true }
-    );
+    let product;
+    let blockedVariants = [];
+    await session.withTransaction(async () => {
+      const before = await Product.findById(id).session(session);
+      if (!before) {
+        product = null;
+        return;
+      }
+
+      // A product sold by variant takes its stock from them
+      if (req.body.variants !== undefined) {
+        updates.variants = buildVariants(req.body.variants, before.variants);
+
+        // Orders, returns and carts may still point at a variant left out of the list
+        const removedIds = before.variants
+          .filter(variant => !updates.variants.some(v => v._id && v._id.equals(variant._id)))
+          .map(variant => variant._id);
+        const referencedIds = removedIds.length > 0
+          ? await Product.getReferencedVariantIds(before._id, removedIds, session)
+          : [];
+        if (referencedIds.length > 0) {
+          blockedVariants = referencedIds.map(variantId => before.variants.id(variantId).sku);
+          return;
+        }
+
+        if (updates.variants.length > 0) {
+          updates.stock = updates.variants.reduce((sum, variant) => sum + variant.stock, 0);
+        }
+      } else if (before.variants.length > 0) {
+        delete updates.stock;
+      }
+      // Uploaded images decide the main image
+      if (before.images.length > 0) {
+        delete updates.imageUrl;
+      }
+      if (updates.stock !== undefined && updates.stock !== before.stock) {
+        updates.$inc = { version: 1 };
+      }
+
+      product = await Product.findByIdAndUpdate(
+        id,
+        updates,
+        { new: true, runValidators: true, session }
+      );
+
+      await AuditLog.record({
+        action: 'product.update',
+        entityType: 'product',
+        entityId: product._id,
+        entityLabel: product.name,
+        before,
+        after: product
+      }, req, session);
+    });
+
+    if (blockedVariants.length > 0) {
+      return res.status(400).json({
+        message: `Variants ${blockedVariants.join(', ')} are still used by orders, returns or carts and cannot be removed. Set isActive: false to stop selling them instead.`
+      });
+    }
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
@@ -248,15 +526,24 @@ router.put('/:id', authenticate, adminOnly, productValidation.update, async (req
 
   } catch (error) {
     console.error('Update product error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A variant SKU is already used by another product' });
+    }
+
     res.status(500).json({ 
       message: 'Failed to update product',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    await session.endSession();
   }
 });
 
-// Delete Product (Soft Delete) - CRUD Operation (Delete) - Admin Only
-router.delete('/:id', authenticate, adminOnly, async (req, res) => {
+// Delete Product (Soft Delete) - CRUD Operation (Delete) - requires products:write
+router.delete('/:id', authenticate, requirePermission('products:write'), async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { id } = req.params;
 
@@ -266,11 +553,29 @@ router.delete('/:id', authenticate, adminOnly, async (req, res) => {
     }
 
     // Soft delete by setting isActive to false
-    const product = await Product.findByIdAndUpdate(
-      id,
-      { isActive: false },
-      { new: true }
-    );
+    let product;
+    await session.withTransaction(async () => {
+      const before = await Product.findById(id).session(session);
+      if (!before) {
+        product = null;
+        return;
+      }
+
+      product = await Product.findByIdAndUpdate(
+        id,
+        { isActive: false },
+        { new: true, session }
+      );
+
+      await AuditLog.record({
+        action: 'product.delete',
+        entityType: 'product',
+        entityId: product._id,
+        entityLabel: product.name,
+        before,
+        after: product
+      }, req, session);
+    });
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
@@ -287,26 +592,53 @@ router.delete('/:id', authenticate, adminOnly, async (req, res) => {
       message: 'Failed to delete product',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    await session.endSession();
   }
 });
 
 // Update Product Stock with Concurrency Control - Concurrency Control Feature
-router.patch('/:id/stock', authenticate, adminOnly, async (req, res) => {
+// Products sold by variant change one variant's stock, given as variantId
+router.patch('/:id/stock', authenticate, requirePermission('products:write'), async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { id } = req.params;
     const { quantityChange } = req.body;
+    const variantId = req.body.variantId || null;
 
     // Validate inputs
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({ message: 'Invalid product ID format' });
     }
 
+    if (variantId && !String(variantId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid variant ID format' });
+    }
+
     if (!quantityChange || isNaN(parseInt(quantityChange))) {
       return res.status(400).json({ message: 'Valid quantity change is required' });
     }
 
     // Use OCC (Optimistic Concurrency Control) method
-    const updatedProduct = await Product.updateStockSafe(id, parseInt(quantityChange));
+    let updatedProduct;
+    await session.withTransaction(async () => {
+      updatedProduct = await Product.updateStockSafe(id, parseInt(quantityChange), session, { variantId });
+      const variant = variantId && updatedProduct.variants.id(variantId);
+
+      await AuditLog.record({
+        action: 'product.stock_change',
+        entityType: 'product',
+        entityId: updatedProduct._id,
+        entityLabel: updatedProduct.name,
+        before: { stock: (variant || updatedProduct).stock - parseInt(quantityChange) },
+        after: { stock: (variant || updatedProduct).stock },
+        details: {
+          quantityChange: parseInt(quantityChange),
+          ...(variant && { variantId: variant._id, sku: variant.sku })
+        }
+      }, req, session);
+    });
 
     res.json({
       message: 'Product stock updated successfully',
@@ -322,10 +654,282 @@ router.patch('/:id/stock', authenticate, adminOnly, async (req, res) => {
       return res.status(409).json({ message: error.message });
     }
 
+    if (error.message.includes('variant') || error.message.startsWith('Choose an option')) {
+      return res.status(400).json({ message: error.message });
+    }
+
     res.status(500).json({ 
       message: 'Failed to update product stock',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Image uploads are kept in memory until they are resized and stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.MAX_IMAGE_UPLOAD_MB) || 10) * 1024 * 1024,
+    files: MAX_PRODUCT_IMAGES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ACCEPTED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new Error(`${file.originalname} is not a JPEG, PNG, WebP, GIF or AVIF image`));
+    }
+    cb(null, true);
+  }
+});
+
+// Parse the multipart `images` field, answering upload problems with a 400
+const uploadImages = (req, res, next) => {
+  upload.array('images', MAX_PRODUCT_IMAGES)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Images cannot be larger than ${parseInt(process.env.MAX_IMAGE_UPLOAD_MB) || 10} MB`
+      : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Upload at most ${MAX_PRODUCT_IMAGES} images in the images field`
+        : error.message;
+    res.status(400).json({ message });
+  });
+};
+
+// Images and main image of a product for the audit log
+const imageSnapshot = (product) => ({
+  images: product.images.map(image => ({ id: image._id.toString(), alt: image.alt })),
+  imageUrl: product.imageUrl
+});
+
+// Load a product for an image change, answering bad ids and unknown products itself
+const loadImageProduct = async (req, res) => {
+  const { id, imageId } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid product ID format' });
+    return null;
+  }
+
+  if (imageId !== undefined && !imageId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid image ID format' });
+    return null;
+  }
+
+  const product = await Product.findById(id);
+  if (!product) {
+    res.status(404).json({ message: 'Product not found' });
+    return null;
+  }
+
+  if (imageId !== undefined && !product.images.id(imageId)) {
+    res.status(404).json({ message: 'Image not found' });
+    return null;
+  }
+
+  return product;
+};
+
+// Respond to a failed image change
+const sendImageError = (res, error, action) => {
+  if (error.message.includes('not a supported image') || error.message.includes('at most')) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  // Reordering replaces the whole list, so it refuses to overwrite a change made meanwhile
+  if (error.name === 'VersionError') {
+    return res.status(409).json({ message: 'The product\'s images were changed at the same time. Reload and try again.' });
+  }
+
+  res.status(500).json({
+    message: `Failed to ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Upload Product Images - multipart field `images` (up to 10 files) and an
+// optional `alt` - each is resized into thumbnail, medium and large renditions
+router.post('/:id/images', authenticate, requirePermission('products:write'), uploadImages, productValidation.imageAlt, async (req, res) => {
+  const added = [];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one image to upload' });
+    }
+
+    const product = await loadImageProduct(req, res);
+    if (!product) {
+      return;
+    }
+
+    if (product.images.length + req.files.length > MAX_PRODUCT_IMAGES) {
+      return res.status(400).json({
+        message: `A product can have at most ${MAX_PRODUCT_IMAGES} images - it has ${product.images.length} already`
+      });
+    }
+
+    const before = imageSnapshot(product);
+    for (const file of req.files) {
+      const imageId = new mongoose.Types.ObjectId();
+      const renditions = await storeProductImage(product._id, imageId, file);
+      added.push({ _id: imageId, alt: req.body.alt || '', renditions });
+    }
+
+    product.images.push(...added);
+    await product.save();
+
+    await AuditLog.record({
+      action: 'product.images_add',
+      entityType: 'product',
+      entityId: product._id,
+      entityLabel: product.name,
+      before,
+      after: imageSnapshot(product)
+    }, req);
+
+    res.status(201).json({
+      message: `${added.length} image${added.length !== 1 ? 's' : ''} uploaded successfully`,
+      product
+    });
+
+  } catch (error) {
+    console.error('Upload product images error:', error);
+    await Promise.all(added.map(removeProductImage));
+    sendImageError(res, error, 'upload images');
+  }
+});
+
+// Reorder Product Images - body { imageIds } lists every image in its new
+// order; the first one becomes the product's main image
+router.put('/:id/images/order', authenticate, requirePermission('products:write'), productValidation.imageOrder, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await loadImageProduct(req, res);
+    if (!product) {
+      return;
+    }
+
+    const { imageIds } = req.body;
+    const current = product.images.map(image => image._id.toString());
+    if (imageIds.length !== current.length || new Set(imageIds).size !== imageIds.length ||
+        !imageIds.every(imageId => current.includes(imageId))) {
+      return res.status(400).json({ message: 'imageIds must list each of the product\'s images once' });
+    }
+
+    const before = imageSnapshot(product);
+    product.images = imageIds.map(imageId => product.images.id(imageId));
+    await product.save();
+
+    await AuditLog.record({
+      action: 'product.images_reorder',
+      entityType: 'product',
+      entityId: product._id,
+      entityLabel: product.name,
+      before,
+      after: imageSnapshot(product)
+    }, req);
+
+    res.json({
+      message: 'Images reordered successfully',
+      product
+    });
+
+  } catch (error) {
+    console.error('Reorder product images error:', error);
+    sendImageError(res, error, 'reorder images');
+  }
+});
+
+// Update a Product Image's alt text - body { alt }
+router.patch('/:id/images/:imageId', authenticate, requirePermission('products:write'), productValidation.imageAlt, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await loadImageProduct(req, res);
+    if (!product) {
+      return;
+    }
+
+    const before = imageSnapshot(product);
+    product.images.id(req.params.imageId).alt = req.body.alt || '';
+    await product.save();
+
+    await AuditLog.record({
+      action: 'product.image_update',
+      entityType: 'product',
+      entityId: product._id,
+      entityLabel: product.name,
+      before,
+      after: imageSnapshot(product)
+    }, req);
+
+    res.json({
+      message: 'Image updated successfully',
+      product
+    });
+
+  } catch (error) {
+    console.error('Update product image error:', error);
+    sendImageError(res, error, 'update image');
+  }
+});
+
+// Delete a Product Image - its stored renditions are removed at once. Orders
+// show the product's current main image, but a cart line keeps the URL it
+// copied, which is broken until the cart is next loaded and refreshed.
+router.delete('/:id/images/:imageId', authenticate, requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await loadImageProduct(req, res);
+    if (!product) {
+      return;
+    }
+
+    const before = imageSnapshot(product);
+    const image = product.images.id(req.params.imageId);
+    product.images.pull(image._id);
+    await product.save();
+    await removeProductImage(image);
+
+    await AuditLog.record({
+      action: 'product.image_delete',
+      entityType: 'product',
+      entityId: product._id,
+      entityLabel: product.name,
+      before,
+      after: imageSnapshot(product)
+    }, req);
+
+    res.json({
+      message: 'Image deleted successfully',
+      product
+    });
+
+  } catch (error) {
+    console.error('Delete product image error:', error);
+    sendImageError(res, error, 'delete image');
   }
 });
 
@@ -343,6 +947,7 @@ router.get('/search/:term', async (req, res) => {
       isActive: true
     })
     .select('name description price category stock imageUrl')
+    .populate('category', 'name slug')
     .limit(parseInt(limit))
     .sort({ score: { $meta: 'textScore' } });
 
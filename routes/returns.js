@@ -0,0 +1,351 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const {
+  ReturnRequest,
+  returnValidation,
+  RETURN_REASONS,
+  RETURN_STATUS_TRANSITIONS,
+  RETURN_WINDOW_DAYS
+} = require('../models/ReturnRequest');
+const { Order } = require('../models/Order');
+const { AuditLog } = require('../models/AuditLog');
+const { authenticate, requirePermission, getPermissions } = require('../middleware/auth');
+const { withStockConflictRetry, issueRefund } = require('./orders');
+
+const router = express.Router();
+
+// Map the model's domain errors to HTTP responses
+const sendReturnError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+
+  if (error.message.includes('Invalid return transition') ||
+      error.message.includes('Only delivered orders') ||
+      error.message.includes('Return window closed') ||
+      error.message.includes('not part of this order') ||
+      error.message.includes('Cannot return') ||
+      error.message.includes('Cannot receive')) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  if (error.message.includes('concurrent modification') ||
+      error.message.includes('locked')) {
+    return res.status(409).json({ message: error.message });
+  }
+
+  res.status(500).json({
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Request a Return - customers return part or all of a delivered order
+router.post('/', authenticate, returnValidation.create, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId, items, reason, comments } = req.body;
+
+    let returnRequest;
+    await session.withTransaction(async () => {
+      const order = await Order.findOne({ _id: orderId, userId: req.user._id }).session(session);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      returnRequest = await ReturnRequest.createForOrder(order, { items, reason, comments }, session);
+
+      await AuditLog.record({
+        action: 'return.create',
+        entityType: 'return',
+        entityId: returnRequest._id,
+        entityLabel: returnRequest.rmaNumber,
+        after: {
+          orderNumber: order.orderNumber,
+          reason,
+          items: returnRequest.items.map(item => ({
+            productId: item.productId,
+            ...(item.variantId && { variantId: item.variantId }),
+            quantity: item.quantity
+          }))
+        }
+      }, req, session);
+    });
+
+    res.status(201).json({
+      message: 'Return requested successfully',
+      returnRequest
+    });
+
+  } catch (error) {
+    console.error('Create return error:', error);
+    sendReturnError(res, error, 'Failed to request return');
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Get Current User's Returns
+router.get('/my-returns', authenticate, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ userId: req.user._id })
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Returns retrieved successfully',
+      returns,
+      reasons: RETURN_REASONS,
+      returnWindowDays: RETURN_WINDOW_DAYS
+    });
+
+  } catch (error) {
+    console.error('Get user returns error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve returns',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get Returns for the Admin Queue - requires returns:manage
+router.get('/', authenticate, requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    const query = {};
+    if (status && Object.keys(RETURN_STATUS_TRANSITIONS).includes(status)) {
+      query.status = status;
+    }
+
+    if (search) {
+      query.rmaNumber = { $regex: search, $options: 'i' };
+    }
+
+    const returns = await ReturnRequest.find(query)
+      .populate('userId', 'name email')
+      .populate('orderId', 'orderNumber paymentMethod paymentStatus')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const totalReturns = await ReturnRequest.countDocuments(query);
+
+    res.json({
+      message: 'Returns retrieved successfully',
+      returns,
+      statusTransitions: RETURN_STATUS_TRANSITIONS,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalReturns / parseInt(limit)),
+        totalReturns,
+        hasNext: parseInt(page) * parseInt(limit) < totalReturns,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve returns',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get Single Return - its customer or staff with returns:manage
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid return ID format' });
+    }
+
+    const query = { _id: id };
+    const permissions = await getPermissions(req);
+    if (!permissions.includes('returns:manage')) {
+      query.userId = req.user._id;
+    }
+
+    const returnRequest = await ReturnRequest.findOne(query)
+      .populate('userId', 'name email')
+      .populate('orderId', 'orderNumber totalAmount refundedAmount paymentMethod paymentStatus');
+
+    if (!returnRequest) {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+
+    res.json({
+      message: 'Return retrieved successfully',
+      returnRequest
+    });
+
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve return',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Approve or Reject a Return - requires returns:manage
+const reviewReturn = (status) => async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid return ID format' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { note } = req.body;
+
+    let returnRequest;
+    await session.withTransaction(async () => {
+      const result = await ReturnRequest.review(id, status, {
+        actorId: req.user._id,
+        note,
+        session
+      });
+      returnRequest = result.returnRequest;
+
+      await AuditLog.record({
+        action: status === 'approved' ? 'return.approve' : 'return.reject',
+        entityType: 'return',
+        entityId: returnRequest._id,
+        entityLabel: returnRequest.rmaNumber,
+        before: { status: result.previousStatus },
+        after: { status },
+        details: note ? { note } : undefined
+      }, req, session);
+    });
+
+    res.json({
+      message: `Return ${status}`,
+      returnRequest
+    });
+
+  } catch (error) {
+    console.error('Review return error:', error);
+    sendReturnError(res, error, 'Failed to update return');
+  } finally {
+    await session.endSession();
+  }
+};
+
+router.patch('/:id/approve', authenticate, requirePermission('returns:manage'), returnValidation.review, reviewReturn('approved'));
+router.patch('/:id/reject', authenticate, requirePermission('returns:manage'), returnValidation.review, reviewReturn('rejected'));
+
+// Receive Returned Items - refunds what arrived and optionally restocks it,
+// all in one transaction - requires returns:manage
+router.patch('/:id/receive', authenticate, requirePermission('returns:manage'), returnValidation.receive, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid return ID format' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items = [], note } = req.body;
+
+    let returnRequest;
+    let order;
+    await withStockConflictRetry(session, async () => {
+      const result = await ReturnRequest.receive(id, items, {
+        actorId: req.user._id,
+        note,
+        session
+      });
+      returnRequest = result.returnRequest;
+      order = result.order;
+
+      await AuditLog.record({
+        action: 'return.receive',
+        entityType: 'return',
+        entityId: returnRequest._id,
+        entityLabel: returnRequest.rmaNumber,
+        before: { status: 'approved' },
+        after: {
+          status: 'received',
+          refundAmount: returnRequest.refundAmount,
+          items: returnRequest.items.map(item => ({
+            productId: item.productId,
+            ...(item.variantId && { variantId: item.variantId }),
+            receivedQuantity: item.receivedQuantity,
+            restocked: item.restocked,
+            refundAmount: item.refundAmount
+          }))
+        },
+        details: note ? { note } : undefined
+      }, req, session);
+
+      if (returnRequest.refundAmount > 0) {
+        await AuditLog.record({
+          action: 'order.refund',
+          entityType: 'order',
+          entityId: order._id,
+          entityLabel: order.orderNumber,
+          before: { paymentStatus: result.previousPaymentStatus },
+          after: { paymentStatus: order.paymentStatus, refundedAmount: order.refundedAmount },
+          details: { rmaNumber: returnRequest.rmaNumber, amount: returnRequest.refundAmount }
+        }, req, session);
+      }
+    });
+
+    if (returnRequest.refundAmount > 0) {
+      await issueRefund(order, returnRequest.refundAmount, req);
+    }
+
+    res.json({
+      message: order.paymentStatus === 'pending_refund'
+        ? `Return received. Refund of $${returnRequest.refundAmount.toFixed(2)} requested`
+        : `Return received. Refunded $${returnRequest.refundAmount.toFixed(2)}`,
+      returnRequest,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        refundedAmount: order.refundedAmount,
+        paymentStatus: order.paymentStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('Receive return error:', error);
+    sendReturnError(res, error, 'Failed to receive return');
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,347 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { User, userValidation } = require('../models/User');
+const { SecurityEvent } = require('../models/SecurityEvent');
+const { Role } = require('../models/Role');
+const {
+  authenticate,
+  createSession,
+  isTwoFactorRequired,
+  verifyTwoFactorChallenge
+} = require('../middleware/auth');
+const { mergeGuestCartForUser } = require('./cart');
+const totp = require('../services/totp');
+
+const router = express.Router();
+
+const TOTP_ISSUER = 'Itwar Bazaar';
+
+// Two-Factor Status Route
+router.get('/status', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+      required: isTwoFactorRequired(user)
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      message: 'Failed to get two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Two-Factor Setup Route - generates a secret that becomes active once a code confirms it
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { twoFactorPendingSecret: secret } }
+    );
+
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: TOTP_ISSUER
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Enable Two-Factor Route - confirms the pending secret and issues recovery codes
+router.post('/enable', authenticate, userValidation.twoFactorCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: 'Invalid verification code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactorEnabled: true,
+          twoFactorEnabledAt: new Date(),
+          twoFactorSecret: user.twoFactorPendingSecret,
+          twoFactorLastStep: step
+        },
+        $unset: { twoFactorPendingSecret: 1 }
+      }
+    );
+    const recoveryCodes = await User.generateRecoveryCodes(user._id);
+
+    // This session has just proven the second factor
+    const { token, refreshToken } = await createSession(user, req, { mfa: true });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Disable Two-Factor Route - needs both the password and a current code
+router.post('/disable', authenticate, [
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...userValidation.twoFactorCode
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for staff accounts'
+      });
+    }
+
+    const isPasswordValid = await user.matchPassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        message: 'Password is incorrect'
+      });
+    }
+
+    const method = await User.verifyTwoFactor(user._id, { code: req.body.code });
+    if (!method) {
+      return res.status(400).json({
+        message: 'Invalid verification code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+          twoFactorEnabledAt: 1,
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorRecoveryCodes: 1,
+          twoFactorLastStep: 1
+        }
+      }
+    );
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Regenerate Recovery Codes Route - the previous codes stop working
+router.post('/recovery-codes', authenticate, userValidation.twoFactorCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const method = await User.verifyTwoFactor(req.user._id, { code: req.body.code });
+    if (!method) {
+      return res.status(400).json({
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await User.generateRecoveryCodes(req.user._id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      message: 'Failed to regenerate recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Verify Two-Factor Route - second login step, exchanges the challenge for a session
+router.post('/verify', userValidation.twoFactorLogin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        message: 'Verification code or recovery code is required'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        message: 'Login challenge expired. Please sign in again.',
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      });
+    }
+
+    const user = await User.findById(challenge.id);
+    if (!user || user.status !== 'active' || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        message: 'Login challenge expired. Please sign in again.',
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (user.isLocked()) {
+      const minutes = Math.ceil((user.lockUntil.getTime() - Date.now()) / 60000);
+      return res.status(423).json({
+        message: `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute${minutes !== 1 ? 's' : ''} or reset your password.`,
+        lockUntil: user.lockUntil
+      });
+    }
+
+    const method = await User.verifyTwoFactor(user._id, { code, recoveryCode });
+    if (!method) {
+      const { locked, lockUntil, attempts } = await User.recordFailedLogin(user._id);
+
+      if (locked) {
+        await SecurityEvent.record({
+          type: 'account_locked',
+          userId: user._id,
+          email: user.email,
+          details: { failedAttempts: attempts, lockUntil, stage: 'two_factor' }
+        }, req);
+      }
+
+      return res.status(401).json({
+        message: 'Invalid verification code'
+      });
+    }
+
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await User.resetLoginFailures(user._id);
+    }
+
+    // Generate JWT access token and refresh token
+    const { token, refreshToken } = await createSession(user, req, { mfa: true });
+
+    // Merge the anonymous cart into the user's cart
+    const cartMerge = await mergeGuestCartForUser(req, user._id);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      cartMerge,
+      usedRecoveryCode: method === 'recovery_code',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: await Role.getPermissions(user.role),
+        emailVerified: user.emailVerified,
+        passwordResetRequired: user.passwordResetRequired,
+        twoFactorEnabled: user.twoFactorEnabled,
+        twoFactorRequired: isTwoFactorRequired(user),
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      message: 'Two-factor verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -4,18 +4,54 @@ require('dotenv').config();
 
 // Import models
 const { User } = require('../models/User');
+const { Role } = require('../models/Role');
 const { Product } = require('../models/Product');
 const { Order } = require('../models/Order');
+const { Counter } = require('../models/Counter');
+const { TaxRate } = require('../models/TaxRate');
+const { ShippingMethod } = require('../models/ShippingMethod');
+const { Promotion } = require('../models/Promotion');
+const { Category } = require('../models/Category');
 const MonthlyStats = require('../models/MonthlyStats');
 
+// Sample categories - parents come before their subcategories. Products,
+// tax rates and promotions below name their category by slug.
+const sampleCategories = [
+  { name: 'Electronics', sortOrder: 0, description: 'Phones, computers and gadgets' },
+  { name: 'Phones', parent: 'electronics', sortOrder: 0 },
+  { name: 'Laptops', parent: 'electronics', sortOrder: 1 },
+  { name: 'Clothing', sortOrder: 1, description: 'Apparel for every day' },
+  { name: 'Shoes', parent: 'clothing', sortOrder: 0 },
+  { name: 'Books', sortOrder: 2 },
+  { name: 'Fiction', parent: 'books', sortOrder: 0 },
+  { name: 'Home', sortOrder: 3 },
+  { name: 'Sports', sortOrder: 4 }
+];
+
+// Sample tax rates - sample orders ship to California
+const sampleTaxRates = [
+  { name: 'California sales tax', country: 'USA', state: 'CA', rate: 7.25 },
+  { name: 'New York sales tax', country: 'USA', state: 'NY', rate: 4 },
+  { name: 'Books exemption', country: 'USA', category: 'books', rate: 0 },
+  { name: 'Canada GST', country: 'Canada', rate: 5 }
+];
+
+// Sample coupon codes
+const samplePromotions = [
+  { code: 'WELCOME10', name: '10% off your first order', type: 'percentage', value: 10, perUserLimit: 1 },
+  { code: 'SAVE20', name: '$20 off orders over $150', type: 'fixed', value: 20, minSubtotal: 150 },
+  { code: 'BOOKS3FOR2', name: 'Buy 2 books, get 1 free', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, scope: 'category', categories: ['books'] }
+];
+
 // Sample data
 const sampleProducts = [
   {
     name: 'iPhone 14 Pro',
     description: 'Latest Apple iPhone with A16 Bionic chip, Pro camera system, and 6.1-inch Super Retina XDR display.',
     price: 999.99,
-    category: 'Electronics',
+    category: 'phones',
     stock: 25,
+    weight: 0.4,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=iPhone+14+Pro',
     totalSold: 15
   },
@@ -23,8 +59,9 @@ const sampleProducts = [
     name: 'Samsung Galaxy S23',
     description: 'Premium Android smartphone with advanced camera features and long-lasting battery.',
     price: 899.99,
-    category: 'Electronics',
+    category: 'phones',
     stock: 30,
+    weight: 0.4,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Galaxy+S23',
     totalSold: 12
   },
@@ -32,8 +69,9 @@ const sampleProducts = [
     name: 'MacBook Air M2',
     description: 'Ultra-thin laptop powered by Apple M2 chip with exceptional performance and battery life.',
     price: 1199.99,
-    category: 'Electronics',
+    category: 'laptops',
     stock: 15,
+    weight: 1.8,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=MacBook+Air',
     totalSold: 8
   },
@@ -41,8 +79,9 @@ const sampleProducts = [
     name: 'Nike Air Max 270',
     description: 'Comfortable running shoes with Max Air cushioning and modern design.',
     price: 129.99,
-    category: 'Clothing',
+    category: 'shoes',
     stock: 50,
+    weight: 1.2,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Nike+Air+Max',
     totalSold: 25
   },
@@ -50,8 +89,16 @@ const sampleProducts = [
     name: 'Levi\'s 501 Jeans',
     description: 'Classic straight-fit jeans made from premium denim with authentic styling.',
     price: 89.99,
-    category: 'Clothing',
+    category: 'clothing',
     stock: 40,
+    weight: 0.7,
+    // Stock is the total of the variants
+    variants: [
+      { sku: 'LEVI501-30-BLUE', attributes: { size: '30', color: 'Blue' }, stock: 10 },
+      { sku: 'LEVI501-32-BLUE', attributes: { size: '32', color: 'Blue' }, stock: 15 },
+      { sku: 'LEVI501-34-BLUE', attributes: { size: '34', color: 'Blue' }, stock: 10 },
+      { sku: 'LEVI501-32-BLACK', attributes: { size: '32', color: 'Black' }, price: 94.99, stock: 5 }
+    ],
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Levis+501',
     totalSold: 20
   },
@@ -59,8 +106,9 @@ const sampleProducts = [
     name: 'The Great Gatsby',
     description: 'Classic American novel by F. Scott Fitzgerald, exploring themes of wealth and decadence.',
     price: 12.99,
-    category: 'Books',
+    category: 'fiction',
     stock: 100,
+    weight: 0.3,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Great+Gatsby',
     totalSold: 35
   },
@@ -68,8 +116,9 @@ const sampleProducts = [
     name: 'Clean Code',
     description: 'Essential programming book by Robert C. Martin on writing maintainable code.',
     price: 39.99,
-    category: 'Books',
+    category: 'books',
     stock: 75,
+    weight: 0.8,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Clean+Code',
     totalSold: 18
   },
@@ -77,8 +126,9 @@ const sampleProducts = [
     name: 'Coffee Maker Pro',
     description: 'Premium coffee maker with programmable settings and thermal carafe.',
     price: 159.99,
-    category: 'Home',
+    category: 'home',
     stock: 20,
+    weight: 3.5,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Coffee+Maker',
     totalSold: 22
   },
@@ -86,8 +136,9 @@ const sampleProducts = [
     name: 'Yoga Mat Premium',
     description: 'High-quality yoga mat with non-slip surface and extra cushioning.',
     price: 49.99,
-    category: 'Sports',
+    category: 'sports',
     stock: 60,
+    weight: 1.5,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Yoga+Mat',
     totalSold: 30
   },
@@ -95,8 +146,9 @@ const sampleProducts = [
     name: 'Wireless Headphones',
     description: 'Bluetooth headphones with noise cancellation and 30-hour battery life.',
     price: 199.99,
-    category: 'Electronics',
+    category: 'electronics',
     stock: 35,
+    weight: 0.5,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Headphones',
     totalSold: 28
   },
@@ -104,8 +156,9 @@ const sampleProducts = [
     name: 'Smart Watch',
     description: 'Fitness tracker with heart rate monitoring and smartphone integration.',
     price: 249.99,
-    category: 'Electronics',
+    category: 'electronics',
     stock: 25,
+    weight: 0.2,
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Smart+Watch',
     totalSold: 16
   },
@@ -113,49 +166,56 @@ const sampleProducts = [
     name: 'Organic Cotton T-Shirt',
     description: 'Comfortable and sustainable t-shirt made from 100% organic cotton.',
     price: 24.99,
-    category: 'Clothing',
+    category: 'clothing',
     stock: 80,
+    weight: 0.2,
+    variants: [
+      { sku: 'TEE-ORG-S', attributes: { size: 'S' }, stock: 20 },
+      { sku: 'TEE-ORG-M', attributes: { size: 'M' }, stock: 30 },
+      { sku: 'TEE-ORG-L', attributes: { size: 'L' }, stock: 20 },
+      { sku: 'TEE-ORG-XL', attributes: { size: 'XL' }, price: 26.99, stock: 10 }
+    ],
     imageUrl: 'https://placehold.co/300x300/EEE/31343C?text=Cotton+Tshirt',
     totalSold: 45
   }
 ];
 
+// The admin account is bootstrapped from ADMIN_EMAIL/ADMIN_PASSWORD
 const sampleUsers = [
-  {
-    name: 'Admin User',
-    email: 'admin@ecommerce.com',
-    password: 'admin123',
-    role: 'admin'
-  },
   {
     name: 'John Doe',
     email: 'john.doe@example.com',
     password: 'password123',
-    role: 'customer'
+    role: 'customer',
+    emailVerified: true
   },
   {
     name: 'Jane Smith',
     email: 'jane.smith@example.com',
     password: 'password123',
-    role: 'customer'
+    role: 'customer',
+    emailVerified: true
   },
   {
     name: 'Mike Johnson',
     email: 'mike.johnson@example.com',
     password: 'password123',
-    role: 'customer'
+    role: 'customer',
+    emailVerified: true
   },
   {
     name: 'Sarah Wilson',
     email: 'sarah.wilson@example.com',
     password: 'password123',
-    role: 'customer'
+    role: 'customer',
+    emailVerified: true
   },
   {
     name: 'David Brown',
     email: 'david.brown@example.com',
     password: 'password123',
-    role: 'customer'
+    role: 'customer',
+    emailVerified: true
   }
 ];
 
@@ -165,6 +225,7 @@ const createSampleOrders = async (users, products) => {
   const regions = ['North', 'South', 'East', 'West', 'Central'];
   const statuses = ['pending', 'processing', 'shipped', 'delivered'];
   const paymentMethods = ['credit_card', 'debit_card', 'paypal'];
+  const standardShipping = await ShippingMethod.findOne({ code: 'standard' });
   
   // Create orders for the past 6 months
   const now = new Date();
@@ -173,45 +234,71 @@ const createSampleOrders = async (users, products) => {
     // Random date within last 6 months
     const orderDate = new Date(now.getTime() - Math.random() * 180 * 24 * 60 * 60 * 1000);
     
-    // Random customer (skip admin user)
-    const customer = users[Math.floor(Math.random() * (users.length - 1)) + 1];
+    // Random customer (skip admin users)
+    const customers = users.filter(u => u.role === 'customer');
+    const customer = customers[Math.floor(Math.random() * customers.length)];
     
     // Random number of items (1-4)
     const itemCount = Math.floor(Math.random() * 4) + 1;
     const orderItems = [];
     let totalAmount = 0;
+    let weight = 0;
     
     for (let j = 0; j < itemCount; j++) {
       const product = products[Math.floor(Math.random() * products.length)];
       const quantity = Math.floor(Math.random() * 3) + 1;
-      const itemTotal = product.price * quantity;
+      // Products sold by variant need one picked
+      const variant = product.variants.length > 0
+        ? product.variants[Math.floor(Math.random() * product.variants.length)]
+        : null;
+      const { price, sku, variantLabel } = product.resolveVariant(variant && variant._id);
+      const itemTotal = price * quantity;
       
       orderItems.push({
         productId: product._id,
+        ...(variant && { variantId: variant._id, sku, variantLabel }),
         productName: product.name,
         quantity,
-        price: product.price,
-        total: itemTotal
+        price,
+        total: itemTotal,
+        category: product.category
       });
       
       totalAmount += itemTotal;
+      weight += product.weight * quantity;
     }
+
+    const shippingAddress = {
+      street: `${Math.floor(Math.random() * 9999) + 1} Main St`,
+      city: 'Sample City',
+      state: 'CA',
+      zipCode: '90210',
+      country: 'USA'
+    };
+
+    const tax = await TaxRate.calculate(
+      orderItems.map(item => ({ category: item.category, amount: item.total })),
+      shippingAddress
+    );
+    orderItems.forEach((item, index) => {
+      delete item.category;
+      Object.assign(item, tax.lines[index]);
+    });
+    const subtotal = Math.round(totalAmount * 100) / 100;
+    const shipping = standardShipping.quote(shippingAddress, { weight, subtotal });
     
     const order = {
       userId: customer._id,
       region: regions[Math.floor(Math.random() * regions.length)],
       items: orderItems,
-      totalAmount: Math.round(totalAmount * 100) / 100,
+      subtotal,
+      taxAmount: tax.taxAmount,
+      shipping: { method: shipping.method, name: shipping.name, cost: shipping.cost, weight: Math.round(weight * 1000) / 1000 },
+      totalAmount: Math.round((subtotal + tax.taxAmount + shipping.cost) * 100) / 100,
       status: statuses[Math.floor(Math.random() * statuses.length)],
       paymentMethod: paymentMethods[Math.floor(Math.random() * paymentMethods.length)],
       paymentStatus: Math.random() > 0.1 ? 'completed' : 'pending',
-      shippingAddress: {
-        street: `${Math.floor(Math.random() * 9999) + 1} Main St`,
-        city: 'Sample City',
-        state: 'CA',
-        zipCode: '90210',
-        country: 'USA'
-      },
+      shippingAddress,
       createdAt: orderDate,
       updatedAt: orderDate
     };
@@ -240,13 +327,25 @@ const seedDatabase = async () => {
       User.deleteMany({}),
       Product.deleteMany({}),
       Order.deleteMany({}),
+      Counter.deleteMany({}),
+      TaxRate.deleteMany({}),
+      ShippingMethod.deleteMany({}),
+      Promotion.deleteMany({}),
+      Category.deleteMany({}),
       MonthlyStats.deleteMany({})
     ]);
     console.log('✅ Existing data cleared');
 
+    // Built-in roles (existing custom roles are kept)
+    await Role.ensureSystemRoles();
+
     // Create users
     console.log('👥 Creating users...');
     const createdUsers = [];
+    const admin = await User.bootstrapAdmin();
+    if (admin) {
+      createdUsers.push(admin);
+    }
     for (const userData of sampleUsers) {
       const user = new User(userData);
       await user.save();
@@ -254,19 +353,57 @@ const seedDatabase = async () => {
     }
     console.log(`✅ Created ${createdUsers.length} users`);
 
+    // Create categories
+    console.log('🗂️  Creating categories...');
+    const categoryIds = {};
+    const createdCategories = [];
+    for (const { parent, ...categoryData } of sampleCategories) {
+      const category = new Category(categoryData);
+      await category.placeUnder(parent ? categoryIds[parent] : null);
+      await category.save();
+      categoryIds[category.slug] = category._id;
+      createdCategories.push(category);
+    }
+    console.log(`✅ Created ${createdCategories.length} categories`);
+
     // Create products
     console.log('📦 Creating products...');
     const createdProducts = [];
     for (const productData of sampleProducts) {
-      const product = new Product(productData);
+      const product = new Product({ ...productData, category: categoryIds[productData.category] });
       await product.save();
       createdProducts.push(product);
     }
     console.log(`✅ Created ${createdProducts.length} products`);
 
+    // Create tax rates
+    console.log('🧾 Creating tax rates...');
+    await TaxRate.create(sampleTaxRates.map(taxRate => ({
+      ...taxRate,
+      category: taxRate.category ? categoryIds[taxRate.category] : null
+    })));
+    console.log(`✅ Created ${sampleTaxRates.length} tax rates`);
+
+    // Built-in shipping methods
+    await ShippingMethod.ensureDefaultMethods();
+
+    // Create promotions
+    console.log('🏷️  Creating promotions...');
+    await Promotion.create(samplePromotions.map(promotion => ({
+      ...promotion,
+      categories: (promotion.categories || []).map(slug => categoryIds[slug])
+    })));
+    console.log(`✅ Created ${samplePromotions.length} promotions`);
+
     // Create orders
     console.log('🛒 Creating orders...');
     const orderData = await createSampleOrders(createdUsers, createdProducts);
+
+    // insertMany skips save middleware, so number the orders in date order here
+    orderData.sort((a, b) => a.createdAt - b.createdAt);
+    for (const order of orderData) {
+      order.orderNumber = await Order.nextOrderNumber(order.createdAt);
+    }
     const createdOrders = await Order.insertMany(orderData);
     console.log(`✅ Created ${createdOrders.length} orders`);
 
@@ -286,11 +423,14 @@ const seedDatabase = async () => {
     console.log(`  - Admins: ${createdUsers.filter(u => u.role === 'admin').length}`);
     console.log(`  - Customers: ${createdUsers.filter(u => u.role === 'customer').length}`);
     console.log(`Products: ${createdProducts.length}`);
-    console.log(`  - Electronics: ${createdProducts.filter(p => p.category === 'Electronics').length}`);
-    console.log(`  - Clothing: ${createdProducts.filter(p => p.category === 'Clothing').length}`);
-    console.log(`  - Books: ${createdProducts.filter(p => p.category === 'Books').length}`);
-    console.log(`  - Home: ${createdProducts.filter(p => p.category === 'Home').length}`);
-    console.log(`  - Sports: ${createdProducts.filter(p => p.category === 'Sports').length}`);
+    // Subcategory products count towards their top-level category
+    const topLevelOf = (categoryId) => {
+      const category = createdCategories.find(c => c._id.equals(categoryId));
+      return category.ancestors[0] || category._id;
+    };
+    for (const category of createdCategories.filter(c => !c.parent)) {
+      console.log(`  - ${category.name}: ${createdProducts.filter(p => topLevelOf(p.category).equals(category._id)).length}`);
+    }
     console.log(`Orders: ${createdOrders.length}`);
     
     const totalRevenue = createdOrders
@@ -299,7 +439,7 @@ const seedDatabase = async () => {
     console.log(`Total Revenue: $${Math.round(totalRevenue * 100) / 100}`);
 
     console.log('\n🔐 Test Credentials:');
-    console.log('Admin: admin@ecommerce.com / admin123');
+    console.log(`Admin: ${process.env.ADMIN_EMAIL} / (ADMIN_PASSWORD)`);
     console.log('Customer: john.doe@example.com / password123');
 
     console.log('\n🧪 MongoDB Features Demonstrated:');
@@ -4,6 +4,15 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { User } = require('./models/User');
+const { Role } = require('./models/Role');
+const { Order } = require('./models/Order');
+const { ShippingMethod } = require('./models/ShippingMethod');
+const { Reservation } = require('./models/Reservation');
+const { Category } = require('./models/Category');
+const { ProductImportJob } = require('./models/ProductImportJob');
+const { getDriverName, getUploadDir } = require('./services/storage');
+const { checkPaymentConfig } = require('./services/payments');
 
 const app = express();
 
@@ -32,9 +41,28 @@ app.use(cors({
 }));
 
 // Body Parser Middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes the provider sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded Files - only the local storage driver keeps them on this server.
+// File names are never reused, so browsers may cache them for good.
+if (getDriverName() === 'local') {
+  app.use('/uploads', express.static(getUploadDir(), {
+    immutable: true,
+    maxAge: '365d',
+    // Helmet only allows same-origin embedding; the client can be on another host
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // MongoDB Connection with Security Best Practices
 const connectDB = async () => {
   try {
@@ -50,6 +78,24 @@ const connectDB = async () => {
     
     // Create MongoDB Views
     await createViews();
+
+    // Data migrations
+    await User.grandfatherEmailVerification();
+    await Order.syncOrderNumberCounters();
+    await Category.migrateLegacyCategories();
+    await ProductImportJob.failInterrupted();
+
+    // Holds are per variant - replaces the old one-hold-per-product unique index
+    await Reservation.syncIndexes();
+
+    // Built-in roles and their permissions
+    await Role.ensureSystemRoles();
+
+    // Built-in shipping methods
+    await ShippingMethod.ensureDefaultMethods();
+
+    // Create the first admin account from ADMIN_EMAIL/ADMIN_PASSWORD
+    await User.bootstrapAdmin();
     
   } catch (error) {
     console.error('Database connection failed:', error.message);
@@ -115,16 +161,24 @@ const createViews = async () => {
 
 // Import Routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const productRoutes = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
 const { router: cartRoutes } = require('./routes/cart');
-const orderRoutes = require('./routes/orders');
+const { router: orderRoutes } = require('./routes/orders');
+const returnRoutes = require('./routes/returns');
+const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
 
 // Route Middleware
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Health Check Route
@@ -159,6 +213,14 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
+// Refuse to start with payment settings that would take orders without money
+try {
+  checkPaymentConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 // Start Server
 connectDB().then(() => {
   app.listen(PORT, () => {
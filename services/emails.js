@@ -0,0 +1,54 @@
+const { sendMail } = require('./mail');
+
+// Build a link into the React client
+const buildClientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// Password Reset Email - carries the single-use reset link
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const resetUrl = buildClientUrl('/reset-password', { token });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not ask for this, you can ignore this email - your password will not change.'
+    ].join('\n'),
+    html: `<p>Hi ${user.name},</p>
+<p>We received a request to reset your password. <a href="${resetUrl}">Choose a new password</a>.</p>
+<p>The link expires in ${expiresInMinutes} minutes and can only be used once.
+If you did not ask for this, you can ignore this email - your password will not change.</p>`
+  });
+};
+
+// Email Verification Email - confirms a new or changed address
+const sendVerificationEmail = (user, token, expiresInHours) => {
+  const verifyUrl = buildClientUrl('/verify-email', { token });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      verifyUrl,
+      '',
+      `The link expires in ${expiresInHours} hours. You need a verified email address to place orders.`
+    ].join('\n'),
+    html: `<p>Hi ${user.name},</p>
+<p>Please confirm your email address: <a href="${verifyUrl}">Verify my email</a>.</p>
+<p>The link expires in ${expiresInHours} hours. You need a verified email address to place orders.</p>`
+  });
+};
+
+module.exports = { buildClientUrl, sendPasswordResetEmail, sendVerificationEmail };
@@ -0,0 +1,67 @@
+const sharp = require('sharp');
+const { putFile, removeFile } = require('./storage');
+
+// Image Service - resizes uploaded product images and stores the results
+// Every upload is turned into these renditions, all WebP. `cover` crops to
+// the exact size; `inside` keeps the aspect ratio. Images are never enlarged.
+const RENDITIONS = {
+  thumbnail: { width: 150, height: 150, fit: 'cover' },
+  medium: { width: 600, height: 600, fit: 'inside' },
+  large: { width: 1200, height: 1200, fit: 'inside' }
+};
+
+const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+
+// Largest source image sharp will decode, in pixels - guards against decompression bombs
+const MAX_INPUT_PIXELS = 40000000;
+
+// Resize an uploaded file ({ originalname, buffer }) into every rendition and
+// store them as products/<productId>/<imageId>-<rendition>.webp.
+// Returns { thumbnail: { url, key, width, height }, medium: ..., large: ... }.
+const storeProductImage = async (productId, imageId, file) => {
+  try {
+    await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new Error(`${file.originalname} is not a supported image`);
+  }
+
+  const renditions = {};
+  try {
+    for (const [name, size] of Object.entries(RENDITIONS)) {
+      const { data, info } = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate() // Apply the camera's EXIF orientation
+        .resize({ ...size, withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+
+      const key = `products/${productId}/${imageId}-${name}.webp`;
+      const url = await putFile(key, data, 'image/webp');
+      renditions[name] = { url, key, width: info.width, height: info.height };
+    }
+  } catch (error) {
+    // Do not leave half an image behind
+    await removeProductImage({ renditions });
+    throw error;
+  }
+
+  return renditions;
+};
+
+// Remove the stored renditions of an image. A file that cannot be removed
+// is only logged - the image is already gone from the product.
+const removeProductImage = async (image) => {
+  const renditions = image.renditions || {};
+
+  for (const name of Object.keys(RENDITIONS)) {
+    const rendition = renditions[name];
+    if (!rendition || !rendition.key) continue;
+
+    try {
+      await removeFile(rendition.key);
+    } catch (error) {
+      console.error(`Failed to remove stored image ${rendition.key}:`, error.message);
+    }
+  }
+};
+
+module.exports = { storeProductImage, removeProductImage, RENDITIONS, ACCEPTED_IMAGE_TYPES };
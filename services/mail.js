@@ -0,0 +1,52 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mail Service - pluggable transports so email works without an SMTP server
+// MAIL_TRANSPORT selects one of the registered transports (default: outbox)
+const transports = {};
+
+// Register a transport: an async function receiving the full message
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+// Outbox Transport - writes each message as a JSON file for development and tests
+registerTransport('outbox', async (message) => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+  await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+
+  return { id: fileName };
+});
+
+// Console Transport - prints the message to the server log
+registerTransport('console', async (message) => {
+  console.log(`\n📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`);
+  return { id: null };
+});
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'Itwar Bazaar <no-reply@itwarbazaar.com>',
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date().toISOString()
+  };
+
+  return await transport(message);
+};
+
+module.exports = { sendMail, registerTransport };
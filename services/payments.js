@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+
+// Payment Service - pluggable providers so checkout works without a real gateway
+// PAYMENT_PROVIDER selects one of the registered providers (default: mock).
+// A provider implements:
+//   authorize({ orderId, amount, currency, method, paymentToken }) -> { reference, status: 'authorized' | 'declined', reason }
+//   capture({ reference, amount }) -> { status: 'pending' | 'captured' }
+//   refund({ reference, amount }) -> { reference, status: 'pending' | 'succeeded' | 'failed', reason }
+//   verifyWebhook(req) -> { id, type, data } - throws when the signature is not valid
+// Captures and refunds are only final once the provider's webhook confirms them.
+const providers = {};
+
+// Register a provider under the name used in PAYMENT_PROVIDER and the webhook URL
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getProviderName = () => process.env.PAYMENT_PROVIDER || 'mock';
+
+const getProvider = (name = getProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Cash on delivery is collected by the courier and never touches a provider
+const isPrepaidMethod = (method) => method !== 'cash_on_delivery';
+
+// Mock Provider - simulates a gateway locally. The paymentToken picks the outcome:
+// mock_approved (default), mock_declined, or mock_capture_failed (authorizes, then
+// the delayed webhook reports the capture as failed).
+const MOCK_TOKENS = {
+  approved: 'mock_approved',
+  declined: 'mock_declined',
+  captureFailed: 'mock_capture_failed'
+};
+
+const MOCK_WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Only development and test fall back to a built-in secret - anywhere else it
+// would be public knowledge, and anyone could sign a payment.captured event
+const getWebhookSecret = () => {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) {
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+  }
+  if (['development', 'test'].includes(process.env.NODE_ENV)) {
+    return 'mock-webhook-secret';
+  }
+  throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+};
+
+const signMockPayload = (timestamp, payload) => crypto
+  .createHmac('sha256', getWebhookSecret())
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+// Authorizations the mock has issued - it has no external state to ask
+const mockPayments = new Map();
+
+// Deliver a signed event to our own webhook endpoint after MOCK_PAYMENT_WEBHOOK_DELAY_MS,
+// the way a real gateway calls back some time after the request
+const sendMockWebhook = (type, data) => {
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    data,
+    createdAt: new Date().toISOString()
+  };
+  const delay = parseInt(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS) || 2000;
+  const url = process.env.MOCK_PAYMENT_WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 5000}/api/payments/webhooks/mock`;
+
+  setTimeout(async () => {
+    const payload = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Mock-Signature': `t=${timestamp},v1=${signMockPayload(timestamp, payload)}`
+        },
+        body: payload
+      });
+      if (!response.ok) {
+        console.error(`Mock payment webhook ${type} was rejected with status ${response.status}`);
+      }
+    } catch (error) {
+      console.error(`Mock payment webhook ${type} could not be delivered:`, error.message);
+    }
+  }, delay);
+
+  return event;
+};
+
+registerProvider('mock', {
+  testTokens: Object.values(MOCK_TOKENS),
+
+  authorize: async ({ amount, paymentToken = MOCK_TOKENS.approved }) => {
+    const reference = `mock_pay_${crypto.randomBytes(10).toString('hex')}`;
+
+    if (paymentToken === MOCK_TOKENS.declined) {
+      return { reference, status: 'declined', reason: 'Card declined by issuer' };
+    }
+
+    mockPayments.set(reference, { amount, paymentToken });
+    return { reference, status: 'authorized' };
+  },
+
+  capture: async ({ reference, amount }) => {
+    const payment = mockPayments.get(reference);
+    if (!payment) {
+      throw new Error('Unknown payment reference');
+    }
+
+    if (payment.paymentToken === MOCK_TOKENS.captureFailed) {
+      sendMockWebhook('payment.failed', { reference, amount, reason: 'Capture failed: insufficient funds' });
+    } else {
+      sendMockWebhook('payment.captured', { reference, amount });
+    }
+
+    return { status: 'pending' };
+  },
+
+  refund: async ({ reference, amount }) => {
+    const refundReference = `mock_re_${crypto.randomBytes(10).toString('hex')}`;
+    sendMockWebhook('refund.succeeded', { reference, refundReference, amount });
+    return { reference: refundReference, status: 'pending' };
+  },
+
+  verifyWebhook: (req) => {
+    const header = req.get('X-Mock-Signature') || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1 || !req.rawBody) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > MOCK_WEBHOOK_TOLERANCE_SECONDS) {
+      throw new Error('Webhook timestamp outside the tolerance window');
+    }
+
+    const expected = Buffer.from(signMockPayload(timestamp, req.rawBody.toString('utf8')));
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(req.rawBody.toString('utf8'));
+    return { id: event.id, type: event.type, data: event.data };
+  }
+});
+
+// Check the payment settings at startup, throwing with what to fix. Outside
+// development and test the provider must be chosen explicitly. The mock provider
+// approves orders without taking money, so production only runs it with
+// ALLOW_MOCK_PAYMENTS=true, and it always needs its webhook secret.
+const checkPaymentConfig = () => {
+  if (!process.env.PAYMENT_PROVIDER && !['development', 'test'].includes(process.env.NODE_ENV)) {
+    throw new Error('PAYMENT_PROVIDER is not set - choose the payment provider explicitly');
+  }
+
+  const name = getProviderName();
+  getProvider(name);
+
+  if (name === 'mock') {
+    if (process.env.NODE_ENV === 'production' && process.env.ALLOW_MOCK_PAYMENTS !== 'true') {
+      throw new Error('The mock payment provider takes no money - set ALLOW_MOCK_PAYMENTS=true to run it in production');
+    }
+
+    try {
+      getWebhookSecret();
+    } catch (error) {
+      throw new Error(`${error.message} - set it to take payments with the mock provider`);
+    }
+  }
+};
+
+module.exports = {
+  registerProvider,
+  checkPaymentConfig,
+  getProvider,
+  getProviderName,
+  getWebhookSecret,
+  isPrepaidMethod
+};
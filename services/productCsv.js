@@ -0,0 +1,451 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify');
+const { validationResult } = require('express-validator');
+const { Product, productValidation, buildVariants } = require('../models/Product');
+const { Category } = require('../models/Category');
+const { AuditLog } = require('../models/AuditLog');
+
+// Product CSV Service - the catalog as a spreadsheet, for bulk import and export.
+// A product takes one row, or one row per variant when sold in variants: variant
+// rows repeat the product's name, and the product's own columns are read from
+// its first row. `stock` is the variant's stock on a variant row.
+const CSV_COLUMNS = [
+  'name', 'description', 'price', 'category', 'stock', 'weight', 'imageUrl', 'isActive',
+  'sku', 'size', 'color', 'variantPrice', 'variantActive'
+];
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+
+// Row reports are saved to the job in batches of this many, so progress can be followed
+const PROGRESS_BATCH_ROWS = 100;
+
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+// Spreadsheets run cells starting with these as formulas - exported text is
+// prefixed with an apostrophe, which the import takes off again
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+const escapeFormula = (value) => (typeof value === 'string' && FORMULA_PATTERN.test(value) ? `'${value}` : value);
+
+const unescapeFormula = (value) => (value.startsWith('\'') && FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value);
+
+// Parse an uploaded CSV file into rows of { line, values }. Throws when the
+// file as a whole cannot be imported; problems with single rows are reported per row.
+const parseProductCsv = (buffer) => {
+  let records;
+  try {
+    records = parse(buffer, {
+      bom: true,
+      columns: header => header.map(column => column.trim()),
+      info: true,
+      skip_empty_lines: true,
+      trim: true
+    });
+  } catch (error) {
+    throw new Error(`The file is not valid CSV: ${error.message}`);
+  }
+
+  if (records.length === 0) {
+    throw new Error('The file has no product rows');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+  }
+  if (!Object.keys(records[0].record).includes('name')) {
+    throw new Error(`The file needs a header row with a name column - the columns are ${CSV_COLUMNS.join(', ')}`);
+  }
+
+  return records.map(({ record, info }) => ({
+    line: info.lines,
+    values: Object.fromEntries(Object.entries(record).map(([column, value]) => [column, unescapeFormula(value || '')]))
+  }));
+};
+
+// Rows of the same product, by name - a row without a name stands alone
+const groupRows = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row.values.name ? row.values.name.toLowerCase() : `line:${row.line}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+  return [...groups.values()];
+};
+
+// The category column takes an id, slug or name
+const resolveCategory = async (value, cache) => {
+  if (!value) {
+    return '';
+  }
+  if (!cache.has(value)) {
+    const category = await Category.findByRef(value);
+    cache.set(value, category ? category._id.toString() : '');
+  }
+  return cache.get(value);
+};
+
+// Turn a group of rows into the body POST /api/products takes. Returns the
+// body, the product's isActive flag and the line of each variant.
+const buildProductInput = async (group, addMessage, categoryCache) => {
+  const [first, ...rest] = group;
+  const variantRows = group.filter(row => row.values.sku);
+
+  if (variantRows.length > 0) {
+    group.filter(row => !row.values.sku).forEach(row =>
+      addMessage(row.line, 'Every row of a product sold in variants needs a SKU'));
+  } else {
+    rest.forEach(row => addMessage(row.line, `${first.values.name} is already on line ${first.line}`));
+  }
+
+  const toBoolean = (row, column) => {
+    const value = row.values[column];
+    if (!value) {
+      return undefined;
+    }
+    if (BOOLEAN_VALUES[value.toLowerCase()] === undefined) {
+      addMessage(row.line, `${column} must be true or false`);
+    }
+    return BOOLEAN_VALUES[value.toLowerCase()];
+  };
+
+  const variants = variantRows.map(row => ({
+    sku: row.values.sku,
+    attributes: {
+      ...(row.values.size && { size: row.values.size }),
+      ...(row.values.color && { color: row.values.color })
+    },
+    price: row.values.variantPrice === '' || row.values.variantPrice === undefined ? null : row.values.variantPrice,
+    stock: row.values.stock,
+    isActive: toBoolean(row, 'variantActive')
+  }));
+
+  const values = first.values;
+  const body = {
+    name: values.name,
+    description: values.description || '',
+    price: values.price,
+    category: await resolveCategory(values.category, categoryCache),
+    stock: variants.length > 0
+      ? String(variants.reduce((sum, variant) => sum + (parseInt(variant.stock) || 0), 0))
+      : values.stock,
+    weight: values.weight || undefined,
+    imageUrl: values.imageUrl || undefined,
+    variants
+  };
+
+  return { body, isActive: toBoolean(first, 'isActive'), variantLines: variantRows.map(row => row.line) };
+};
+
+// Check a product body with the same rules as POST /api/products
+const validateProductInput = async (body) => {
+  const req = { body };
+  for (const chain of productValidation.create) {
+    await chain.run(req);
+  }
+  return validationResult(req).array();
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The product a group updates - the one holding its SKUs, else the one with its name
+const findExisting = async (body) => {
+  const skus = body.variants.map(variant => variant.sku.toUpperCase());
+  if (skus.length > 0) {
+    const bySku = await Product.find({ 'variants.sku': { $in: skus } }).select('_id name');
+    if (bySku.length > 1) {
+      throw new Error(`These SKUs belong to different products: ${bySku.map(product => product.name).join(', ')}`);
+    }
+    if (bySku.length === 1) {
+      return await Product.findById(bySku[0]._id);
+    }
+  }
+
+  return await Product.findOne({ name: { $regex: `^${escapeRegex(body.name)}$`, $options: 'i' } });
+};
+
+// Variants after an import - listed SKUs are updated or added, the others are kept.
+// Attributes other than size and color are left as they were.
+const mergeVariants = (input, existing) => {
+  const plain = (variant) => ({
+    _id: variant._id.toString(),
+    sku: variant.sku,
+    attributes: Object.fromEntries(variant.attributes),
+    price: variant.price,
+    stock: variant.stock,
+    isActive: variant.isActive
+  });
+
+  const merged = existing.map(current => {
+    const variant = input.find(v => v.sku.toUpperCase() === current.sku);
+    if (!variant) {
+      return plain(current);
+    }
+
+    const { size, color, ...otherAttributes } = Object.fromEntries(current.attributes);
+    return {
+      ...variant,
+      _id: current._id.toString(),
+      attributes: { ...otherAttributes, ...variant.attributes },
+      isActive: variant.isActive !== undefined ? variant.isActive : current.isActive
+    };
+  });
+
+  const added = input.filter(variant => !existing.some(current => current.sku === variant.sku.toUpperCase()));
+  return [...merged, ...added];
+};
+
+// Create or update the product of a group, with its audit entry, in one transaction
+const saveProduct = async ({ body, isActive, existing }, req, jobId) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let product;
+    await session.withTransaction(async () => {
+      if (!existing) {
+        product = new Product({
+          name: body.name.trim(),
+          description: body.description.trim(),
+          price: parseFloat(body.price),
+          category: body.category,
+          stock: parseInt(body.stock),
+          weight: body.weight !== undefined ? parseFloat(body.weight) : undefined,
+          variants: buildVariants(body.variants),
+          imageUrl: body.imageUrl,
+          isActive
+        });
+        await product.save({ session });
+
+        await AuditLog.record({
+          action: 'product.create',
+          entityType: 'product',
+          entityId: product._id,
+          entityLabel: product.name,
+          after: product,
+          details: { importJobId: jobId }
+        }, req, session);
+        return;
+      }
+
+      const before = await Product.findById(existing._id).session(session);
+      const updates = {
+        name: body.name.trim(),
+        description: body.description.trim(),
+        price: parseFloat(body.price),
+        category: body.category,
+        stock: parseInt(body.stock),
+        ...(body.weight !== undefined && { weight: parseFloat(body.weight) }),
+        // Uploaded images decide the main image
+        ...(body.imageUrl && before.images.length === 0 && { imageUrl: body.imageUrl }),
+        ...(isActive !== undefined && { isActive })
+      };
+      if (body.variants.length > 0) {
+        updates.variants = buildVariants(mergeVariants(body.variants, before.variants), before.variants);
+        updates.stock = updates.variants.reduce((sum, variant) => sum + variant.stock, 0);
+      }
+      if (updates.stock !== before.stock) {
+        updates.$inc = { version: 1 };
+      }
+
+      product = await Product.findByIdAndUpdate(
+        before._id,
+        updates,
+        { new: true, runValidators: true, session }
+      );
+
+      await AuditLog.record({
+        action: 'product.update',
+        entityType: 'product',
+        entityId: product._id,
+        entityLabel: product.name,
+        before,
+        after: product,
+        details: { importJobId: jobId }
+      }, req, session);
+    });
+
+    return product;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Check, and unless it is a dry run save, the product of one group of rows.
+// Returns the report of each of its rows.
+const importGroup = async (group, { dryRun, jobId, req, categoryCache, skuLines }) => {
+  const messages = new Map(group.map(row => [row.line, new Set()]));
+  const addMessage = (line, message) => messages.get(line).add(message);
+  const firstLine = group[0].line;
+
+  const { body, isActive, variantLines } = await buildProductInput(group, addMessage, categoryCache);
+
+  let existing = null;
+  if (body.name) {
+    try {
+      existing = await findExisting(body);
+    } catch (error) {
+      addMessage(firstLine, error.message);
+    }
+  }
+
+  // Uploaded images decide the main image - the column is neither checked nor used
+  if (existing && existing.images.length > 0) {
+    delete body.imageUrl;
+  }
+
+  for (const error of await validateProductInput(body)) {
+    const variantIndex = error.path.match(/^variants\[(\d+)\]/);
+    addMessage(variantIndex ? variantLines[Number(variantIndex[1])] : firstLine, error.msg);
+  }
+
+  // A SKU can only be sold once, across the whole file
+  body.variants.forEach((variant, index) => {
+    const sku = String(variant.sku).toUpperCase();
+    if (skuLines.has(sku)) {
+      addMessage(variantLines[index], `SKU ${sku} is already on line ${skuLines.get(sku)}`);
+    } else {
+      skuLines.set(sku, variantLines[index]);
+    }
+  });
+
+  if (existing && existing.variants.length > 0 && body.variants.length === 0) {
+    addMessage(firstLine, `${existing.name} is sold in variants - give each of its rows a SKU`);
+  }
+
+  const hasErrors = () => [...messages.values()].some(lineMessages => lineMessages.size > 0);
+
+  let productId = existing ? existing._id : null;
+  if (!hasErrors() && !dryRun) {
+    try {
+      productId = (await saveProduct({ body, isActive, existing }, req, jobId))._id;
+    } catch (error) {
+      addMessage(firstLine, error.code === 11000 ? 'A variant SKU is already used by another product' : error.message);
+    }
+  }
+
+  const failed = hasErrors();
+  const errorLine = failed && group.find(row => messages.get(row.line).size > 0).line;
+
+  return group.map(row => ({
+    line: row.line,
+    name: row.values.name,
+    sku: row.values.sku ? row.values.sku.toUpperCase() : undefined,
+    action: failed ? 'error' : existing ? 'update' : 'create',
+    productId,
+    messages: messages.get(row.line).size > 0 || !failed
+      ? [...messages.get(row.line)]
+      : [`Not imported because of line ${errorLine}`]
+  }));
+};
+
+// Run an import job over parsed rows. Never throws - a failure is recorded on the job.
+// req is the request that started the job; its user is the actor in the audit log.
+const runProductImport = async (job, rows, req) => {
+  const context = {
+    dryRun: job.dryRun,
+    jobId: job._id,
+    req,
+    categoryCache: new Map(),
+    skuLines: new Map()
+  };
+  let pending = [];
+
+  try {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    for (const group of groupRows(rows)) {
+      pending.push(...await importGroup(group, context));
+
+      if (pending.length >= PROGRESS_BATCH_ROWS) {
+        job.addRows(pending);
+        pending = [];
+        await job.save();
+      }
+    }
+
+    job.addRows(pending);
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Product import error:', error);
+    job.status = 'failed';
+    job.failureReason = error.message;
+  }
+
+  try {
+    job.finishedAt = new Date();
+    await job.save();
+  } catch (error) {
+    console.error('Product import error:', error);
+  }
+
+  return job;
+};
+
+// CSV rows of one product - one per variant, or a single row
+const productToRows = (product) => {
+  const row = {
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    category: product.category ? product.category.slug : '',
+    stock: product.stock,
+    weight: product.weight,
+    // An uploaded image's URL belongs to this store's storage, and is often a
+    // relative /uploads path - only an external image URL is exported
+    imageUrl: product.images && product.images.length > 0 ? '' : product.imageUrl,
+    isActive: product.isActive
+  };
+
+  if (!product.variants || product.variants.length === 0) {
+    return [row];
+  }
+
+  return product.variants.map(variant => ({
+    ...row,
+    stock: variant.stock,
+    sku: variant.sku,
+    size: (variant.attributes || {}).size,
+    color: (variant.attributes || {}).color,
+    variantPrice: variant.price,
+    variantActive: variant.isActive
+  }));
+};
+
+// Stream products from a cursor (lean, category populated with its slug) to
+// a writable stream as CSV. Stops early when the output is closed.
+const streamProductCsv = async (cursor, output) => {
+  const csv = stringify({
+    header: true,
+    columns: CSV_COLUMNS,
+    cast: { boolean: value => (value ? 'true' : 'false') }
+  });
+  csv.pipe(output);
+
+  try {
+    for await (const product of cursor) {
+      for (const row of productToRows(product)) {
+        if (output.destroyed) {
+          return;
+        }
+        const escaped = Object.fromEntries(Object.entries(row).map(([column, value]) => [column, escapeFormula(value)]));
+        if (!csv.write(escaped)) {
+          await Promise.race([once(csv, 'drain'), once(output, 'close')]);
+        }
+      }
+    }
+  } catch (error) {
+    // Leave the output to the caller, who can still answer with an error if nothing was sent
+    csv.unpipe(output);
+    throw error;
+  } finally {
+    await cursor.close();
+    csv.end();
+  }
+};
+
+module.exports = { parseProductCsv, runProductImport, streamProductCsv, CSV_COLUMNS, MAX_IMPORT_ROWS };
@@ -0,0 +1,111 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Storage Service - pluggable drivers for uploaded files such as product images
+// STORAGE_DRIVER selects one of the registered drivers (default: local).
+// A driver implements:
+//   put(key, buffer, contentType) -> public URL of the stored file
+//   remove(key) - succeeds when the file is already gone
+// Keys are slash-separated paths, e.g. products/<productId>/<imageId>-large.webp
+const drivers = {};
+
+// Register a driver under the name used in STORAGE_DRIVER
+const registerDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+const getDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+const getDriver = (name = getDriverName()) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Directory the local driver writes to - server.js serves it at /uploads
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// Local Driver - files on the server's disk. Set UPLOAD_PUBLIC_URL when the
+// client is served from another host, e.g. https://api.example.com/uploads
+registerDriver('local', {
+  put: async (key, buffer) => {
+    const filePath = path.join(getUploadDir(), ...key.split('/'));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return `${process.env.UPLOAD_PUBLIC_URL || '/uploads'}/${key}`;
+  },
+
+  remove: async (key) => {
+    await fs.rm(path.join(getUploadDir(), ...key.split('/')), { force: true });
+  }
+});
+
+// S3 Driver - Amazon S3 or any S3-compatible service (MinIO, R2, Spaces) via
+// S3_ENDPOINT. Needs the optional @aws-sdk/client-s3 package.
+let s3Client = null;
+
+const getS3 = () => {
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=s3 needs the @aws-sdk/client-s3 package installed');
+  }
+
+  if (!s3Client) {
+    s3Client = new sdk.S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      // Without keys the SDK falls back to its usual credential chain
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+
+  return { sdk, client: s3Client };
+};
+
+const getS3Bucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET');
+  }
+  return process.env.S3_BUCKET;
+};
+
+registerDriver('s3', {
+  put: async (key, buffer, contentType) => {
+    const { sdk, client } = getS3();
+    const bucket = getS3Bucket();
+
+    await client.send(new sdk.PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      // Keys are never reused, so the files can be cached for good
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+
+    const publicUrl = process.env.S3_PUBLIC_URL ||
+      `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+    return `${publicUrl}/${key}`;
+  },
+
+  remove: async (key) => {
+    const { sdk, client } = getS3();
+    await client.send(new sdk.DeleteObjectCommand({ Bucket: getS3Bucket(), Key: key }));
+  }
+});
+
+// Store a file through the configured driver and return its public URL
+const putFile = async (key, buffer, contentType) => await getDriver().put(key, buffer, contentType);
+
+// Remove a stored file through the configured driver
+const removeFile = async (key) => await getDriver().remove(key);
+
+module.exports = { putFile, removeFile, registerDriver, getDriverName, getUploadDir };
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { IdempotencyKey } = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+const { useMemoryStore } = require('./memoryStore');
+
+const userId = new mongoose.Types.ObjectId();
+let keys;
+let handlerRuns;
+
+test.beforeEach(() => {
+  keys = useMemoryStore(IdempotencyKey, [], ['userId', 'scope', 'key']);
+  handlerRuns = 0;
+});
+
+// Run a request through idempotent('order.create') and a handler answering
+// with `status`, resolving with the response that was sent
+const send = ({ key, body, status = 201 }) => new Promise((resolve, reject) => {
+  const headers = {};
+  const req = {
+    user: { _id: userId },
+    body,
+    get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+  };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { headers[name] = value; return this; },
+    json(payload) { resolve({ status: this.statusCode, headers, body: payload }); return this; }
+  };
+
+  idempotent('order.create')(req, res, () => {
+    handlerRuns += 1;
+    res.status(status).json({ run: handlerRuns });
+  }).catch(reject);
+});
+
+test('a repeated request gets the stored response without running again', async () => {
+  const first = await send({ key: 'k1', body: { items: [1, 2] } });
+  const repeat = await send({ key: 'k1', body: { items: [1, 2] } });
+
+  assert.strictEqual(handlerRuns, 1);
+  assert.deepStrictEqual(first, { status: 201, headers: {}, body: { run: 1 } });
+  assert.deepStrictEqual(repeat, { status: 201, headers: { 'Idempotent-Replayed': 'true' }, body: { run: 1 } });
+});
+
+test('the body hash ignores key order', async () => {
+  await send({ key: 'k1', body: { a: 1, b: { c: 2, d: 3 } } });
+  const repeat = await send({ key: 'k1', body: { b: { d: 3, c: 2 }, a: 1 } });
+
+  assert.strictEqual(handlerRuns, 1);
+  assert.strictEqual(repeat.headers['Idempotent-Replayed'], 'true');
+});
+
+test('a reused key with a different body is rejected with 422', async () => {
+  await send({ key: 'k1', body: { items: [1, 2] } });
+  const reused = await send({ key: 'k1', body: { items: [1, 3] } });
+
+  assert.strictEqual(handlerRuns, 1);
+  assert.strictEqual(reused.status, 422);
+  assert.strictEqual(reused.body.code, 'IDEMPOTENCY_KEY_MISMATCH');
+});
+
+test('a key still being processed answers 409 with Retry-After', async () => {
+  const body = { items: [1] };
+  keys.push(new IdempotencyKey({
+    key: 'k1',
+    userId,
+    scope: 'order.create',
+    requestHash: IdempotencyKey.hashRequest(body),
+    expiresAt: new Date(Date.now() + 60 * 1000)
+  }).toObject());
+
+  const retry = await send({ key: 'k1', body });
+
+  assert.strictEqual(handlerRuns, 0);
+  assert.strictEqual(retry.status, 409);
+  assert.strictEqual(retry.headers['Retry-After'], '1');
+  assert.strictEqual(retry.body.code, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+});
+
+test('an abandoned request with the same body is taken over', async () => {
+  const body = { items: [1] };
+  keys.push(new IdempotencyKey({
+    key: 'k1',
+    userId,
+    scope: 'order.create',
+    requestHash: IdempotencyKey.hashRequest(body),
+    lockedAt: new Date(Date.now() - 10 * 60 * 1000),
+    expiresAt: new Date(Date.now() + 60 * 1000)
+  }).toObject());
+
+  const retry = await send({ key: 'k1', body });
+
+  assert.strictEqual(handlerRuns, 1);
+  assert.strictEqual(retry.status, 201);
+  assert.strictEqual(keys[0].status, 'completed');
+});
+
+test('a server error releases the key so a retry runs again', async () => {
+  const failed = await send({ key: 'k1', body: {}, status: 500 });
+  assert.strictEqual(failed.status, 500);
+  assert.strictEqual(keys.length, 0);
+
+  const retry = await send({ key: 'k1', body: {} });
+  assert.strictEqual(handlerRuns, 2);
+  assert.strictEqual(retry.status, 201);
+});
+
+test('a lapsed key can be used again', async () => {
+  await send({ key: 'k1', body: { items: [1] } });
+  keys[0].expiresAt = new Date(Date.now() - 1000);
+
+  const afterExpiry = await send({ key: 'k1', body: { items: [2] } });
+  assert.strictEqual(handlerRuns, 2);
+  assert.strictEqual(afterExpiry.status, 201);
+});
+
+test('an overlong key is refused and a missing key is ignored', async () => {
+  const overlong = await send({ key: 'x'.repeat(256), body: {} });
+  assert.strictEqual(overlong.status, 400);
+  assert.strictEqual(handlerRuns, 0);
+
+  await send({ key: undefined, body: {} });
+  await send({ key: undefined, body: {} });
+  assert.strictEqual(handlerRuns, 2);
+  assert.strictEqual(keys.length, 0);
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// In-memory stand-in for the few collection methods a test exercises, so model
+// logic runs without a database. Filters support equality and $lt/$lte/$gt.
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+    return (condition.$lt === undefined || value < condition.$lt) &&
+      (condition.$lte === undefined || value <= condition.$lte) &&
+      (condition.$gt === undefined || value > condition.$gt);
+  }
+  return String(value) === String(condition);
+});
+
+const plainFields = (filter) => Object.fromEntries(Object.entries(filter)
+  .filter(([, condition]) => !(condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition))));
+
+// Replace a model's collection methods with ones over `docs`. `uniqueFields`
+// makes create throw a duplicate key error (code 11000), like a unique index.
+// Reads return copies, as a query would.
+const useMemoryStore = (Model, docs = [], uniqueFields = []) => {
+  const copy = (doc) => (doc ? { ...doc } : null);
+
+  Model.findOne = async (filter) => copy(docs.find(doc => matches(doc, filter)));
+
+  Model.create = async (input) => {
+    if (uniqueFields.length > 0 && docs.some(doc => uniqueFields.every(field => String(doc[field]) === String(input[field])))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const doc = new Model(input).toObject();
+    docs.push(doc);
+    return copy(doc);
+  };
+
+  Model.updateOne = async (filter, update, options = {}) => {
+    let doc = docs.find(d => matches(d, filter));
+    if (!doc && options.upsert) {
+      doc = { _id: new mongoose.Types.ObjectId(), ...plainFields(filter) };
+      docs.push(doc);
+    }
+    if (doc) {
+      Object.assign(doc, update.$set);
+    }
+    return { matchedCount: doc ? 1 : 0 };
+  };
+
+  Model.findOneAndUpdate = async (filter, update) => {
+    const doc = docs.find(d => matches(d, filter));
+    if (doc) {
+      Object.assign(doc, update.$set);
+    }
+    return copy(doc);
+  };
+
+  Model.deleteOne = async (filter) => {
+    const index = docs.findIndex(doc => matches(doc, filter));
+    if (index >= 0) {
+      docs.splice(index, 1);
+    }
+    return { deletedCount: index >= 0 ? 1 : 0 };
+  };
+
+  return docs;
+};
+
+module.exports = { useMemoryStore };
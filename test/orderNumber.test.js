@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Each test file runs in its own process, so the format can be chosen here
+process.env.ORDER_NUMBER_FORMAT = 'ORD-{YY}{MM}-{SEQ:4}';
+
+const { Order } = require('../models/Order');
+const { Counter } = require('../models/Counter');
+
+// Counters answered in memory
+let counters;
+let sessions;
+Counter.next = async (name, session = null) => {
+  sessions.push(session);
+  counters[name] = (counters[name] || 0) + 1;
+  return counters[name];
+};
+Counter.raiseTo = async (name, seq) => {
+  counters[name] = Math.max(counters[name] || 0, seq);
+};
+Counter.createCollection = async () => {};
+
+test.beforeEach(() => {
+  counters = {};
+  sessions = [];
+});
+
+// Load models/Order with another format, returning the error it fails with
+const loadWithFormat = (format) => spawnSync(process.execPath, ['-e', "require('./models/Order')"], {
+  cwd: path.join(__dirname, '..'),
+  env: { ...process.env, ORDER_NUMBER_FORMAT: format },
+  encoding: 'utf8'
+});
+
+test('order numbers fill in the date and pad the sequence', async () => {
+  const date = new Date('2026-03-15T12:00:00Z');
+
+  assert.strictEqual(await Order.nextOrderNumber(date), 'ORD-2603-0001');
+  assert.strictEqual(await Order.nextOrderNumber(date), 'ORD-2603-0002');
+  assert.deepStrictEqual(counters, { 'orderNumber:ORD-2603-#': 2 });
+});
+
+test('a sequence wider than its padding is not truncated', async () => {
+  counters['orderNumber:ORD-2603-#'] = 9999;
+  assert.strictEqual(await Order.nextOrderNumber(new Date('2026-03-15T12:00:00Z')), 'ORD-2603-10000');
+});
+
+test('each month counts from 1 and months are taken in UTC', async () => {
+  assert.strictEqual(await Order.nextOrderNumber(new Date('2026-03-31T23:30:00Z')), 'ORD-2603-0001');
+  assert.strictEqual(await Order.nextOrderNumber(new Date('2026-04-01T00:30:00Z')), 'ORD-2604-0001');
+  assert.strictEqual(await Order.nextOrderNumber(new Date('2027-04-01T00:30:00Z')), 'ORD-2704-0001');
+});
+
+test('the counter increment joins the caller session', async () => {
+  const session = { id: 'session' };
+  await Order.nextOrderNumber(new Date(), session);
+  assert.deepStrictEqual(sessions, [session]);
+});
+
+test('syncing counters parses numbers in the current format only', async () => {
+  const existing = ['ORD-2603-0041', 'ORD-2603-0107', 'ORD-2604-0003', 'ORD-2603-12345', 'IB-2026-000900', 'ORD-26030-0001'];
+
+  // Evaluate the migration's pattern and grouping the way MongoDB would
+  Order.aggregate = async (pipeline) => {
+    const pattern = new RegExp(pipeline[0].$match.orderNumber.$regex);
+    const sequences = {};
+    existing.map(number => pattern.exec(number)).filter(Boolean).forEach(([, before, seq, after]) => {
+      const id = `${before}#${after}`;
+      sequences[id] = Math.max(sequences[id] || 0, Number(seq));
+    });
+    return Object.entries(sequences).map(([_id, seq]) => ({ _id, seq }));
+  };
+
+  assert.strictEqual(await Order.syncOrderNumberCounters(), 2);
+  assert.deepStrictEqual(counters, { 'orderNumber:ORD-2603-#': 12345, 'orderNumber:ORD-2604-#': 3 });
+
+  // New orders continue after the numbers already issued
+  assert.strictEqual(await Order.nextOrderNumber(new Date('2026-04-10T00:00:00Z')), 'ORD-2604-0004');
+});
+
+test('a format needs exactly one sequence token', () => {
+  for (const format of ['ORD-{YYYY}', 'ORD-{SEQ}-{SEQ:4}']) {
+    const result = loadWithFormat(format);
+    assert.notStrictEqual(result.status, 0, format);
+    assert.match(result.stderr, /ORDER_NUMBER_FORMAT must contain exactly one \{SEQ\} or \{SEQ:n\} token/);
+  }
+  assert.strictEqual(loadWithFormat('{SEQ}').status, 0);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const { Product } = require('../models/Product');
+const { Category } = require('../models/Category');
+const { ProductImportJob } = require('../models/ProductImportJob');
+const { parseProductCsv, runProductImport, streamProductCsv } = require('../services/productCsv');
+
+// Runs without a database: the lookups the import makes are answered in memory
+const categoryId = new mongoose.Types.ObjectId();
+let storedProducts = [];
+
+Category.findByRef = async (ref) => (ref === 'clothing' ? { _id: categoryId } : null);
+Category.exists = async ({ _id }) => (String(_id) === String(categoryId) ? { _id } : null);
+Product.find = () => ({ select: async () => [] });
+Product.findOne = async () => storedProducts[0] || null;
+
+const exportCsv = async (products) => {
+  const cursor = (async function* () { yield* products; })();
+  cursor.close = async () => {};
+
+  const output = new PassThrough();
+  let csv = '';
+  output.on('data', chunk => { csv += chunk; });
+  const ended = new Promise(resolve => output.on('end', resolve));
+  await streamProductCsv(cursor, output);
+  await ended;
+  return csv;
+};
+
+const previewImport = async (csv) => {
+  const rows = parseProductCsv(Buffer.from(csv));
+  const job = new ProductImportJob({ dryRun: true, totalRows: rows.length, createdBy: new mongoose.Types.ObjectId() });
+  job.save = async () => job;
+  return await runProductImport(job, rows, {});
+};
+
+const uploadedImageProduct = () => {
+  const product = new Product({
+    name: 'Linen Shirt',
+    description: 'A light linen shirt for summer',
+    price: 40,
+    category: categoryId,
+    stock: 5,
+    images: [{
+      alt: 'Front',
+      renditions: {
+        thumbnail: { url: '/uploads/products/p/i-thumbnail.webp', key: 'products/p/i-thumbnail.webp' },
+        medium: { url: '/uploads/products/p/i-medium.webp', key: 'products/p/i-medium.webp' },
+        large: { url: '/uploads/products/p/i-large.webp', key: 'products/p/i-large.webp' }
+      }
+    }],
+    imageUrl: '/uploads/products/p/i-medium.webp'
+  });
+  return product;
+};
+
+test('a product with an uploaded image exports and imports back', async () => {
+  const product = uploadedImageProduct();
+  storedProducts = [product];
+
+  const csv = await exportCsv([{ ...product.toObject(), category: { slug: 'clothing' } }]);
+  assert.ok(!csv.includes('/uploads/'), 'the stored image path is not exported');
+
+  const job = await previewImport(csv);
+  assert.strictEqual(job.status, 'completed');
+  assert.deepStrictEqual(job.rows.map(row => [row.action, row.messages]), [['update', []]]);
+});
+
+test('an image URL in the file is not checked for a product with uploaded images', async () => {
+  storedProducts = [uploadedImageProduct()];
+
+  const job = await previewImport(
+    'name,description,price,category,stock,imageUrl\n' +
+    'Linen Shirt,A light linen shirt for summer,40,clothing,5,/uploads/products/p/i-medium.webp\n'
+  );
+  assert.deepStrictEqual(job.rows.map(row => [row.action, row.messages]), [['update', []]]);
+});
+
+test('an external image URL exports and imports as a new product', async () => {
+  storedProducts = [];
+
+  const csv = await exportCsv([{
+    name: 'Canvas Tote',
+    description: 'A sturdy canvas tote bag',
+    price: 15,
+    category: { slug: 'clothing' },
+    stock: 8,
+    imageUrl: 'https://example.com/tote.jpg',
+    isActive: true,
+    variants: [],
+    images: []
+  }]);
+  assert.ok(csv.includes('https://example.com/tote.jpg'));
+
+  const job = await previewImport(csv);
+  assert.deepStrictEqual(job.rows.map(row => [row.action, row.messages]), [['create', []]]);
+});
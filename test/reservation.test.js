@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Product } = require('../models/Product');
+const { Reservation } = require('../models/Reservation');
+const { useMemoryStore } = require('./memoryStore');
+
+// A product with 3 units in stock, and the holds placed on it
+const product = new Product({ name: 'Desk Lamp', stock: 3 });
+Product.findById = () => ({ select: async () => product });
+
+let holds;
+Reservation.getHeldQuantity = async (productId) => holds
+  .filter(hold => String(hold.productId) === String(productId) && hold.expiresAt > new Date())
+  .reduce((sum, hold) => sum + hold.quantity, 0);
+
+const later = () => new Date(Date.now() + 60 * 1000);
+
+test.beforeEach(() => {
+  holds = useMemoryStore(Reservation, []);
+});
+
+test('a hold within stock is kept', async () => {
+  await Reservation.hold('user:a', product._id, 2);
+  assert.deepStrictEqual(holds.map(hold => [hold.owner, hold.quantity]), [['user:a', 2]]);
+});
+
+test('a new hold beyond stock is rolled back', async () => {
+  holds.push({ productId: product._id, variantId: null, owner: 'user:a', quantity: 2, expiresAt: later() });
+
+  await assert.rejects(
+    Reservation.hold('user:b', product._id, 2),
+    { message: 'Insufficient stock. Available: 1' }
+  );
+  assert.deepStrictEqual(holds.map(hold => [hold.owner, hold.quantity]), [['user:a', 2]]);
+});
+
+test('a resized hold beyond stock goes back to its previous size', async () => {
+  const expiresAt = later();
+  holds.push(
+    { productId: product._id, variantId: null, owner: 'user:a', quantity: 1, expiresAt: later() },
+    { productId: product._id, variantId: null, owner: 'user:b', quantity: 1, expiresAt }
+  );
+
+  await assert.rejects(
+    Reservation.hold('user:b', product._id, 3),
+    { message: 'Insufficient stock. Available: 2' }
+  );
+  const own = holds.find(hold => hold.owner === 'user:b');
+  assert.strictEqual(own.quantity, 1);
+  assert.strictEqual(own.expiresAt, expiresAt);
+});
+
+test('a lapsed hold does not count against stock', async () => {
+  holds.push({ productId: product._id, variantId: null, owner: 'user:a', quantity: 3, expiresAt: new Date(Date.now() - 1000) });
+
+  await Reservation.hold('user:b', product._id, 3);
+  assert.strictEqual(holds.find(hold => hold.owner === 'user:b').quantity, 3);
+});
+
+test('a hold on an unknown variant is refused', async () => {
+  await assert.rejects(
+    Reservation.hold('user:a', product._id, 1, new mongoose.Types.ObjectId()),
+    { message: 'Product variant not found' }
+  );
+  assert.strictEqual(holds.length, 0);
+});